@@ -0,0 +1,27 @@
+/**
+ * Firebase Admin - server-side only
+ *
+ * Credentials, in order of preference:
+ * 1. FIREBASE_SERVICE_ACCOUNT - service account JSON (Vercel env var)
+ * 2. Application default credentials / FIREBASE_PROJECT_ID
+ *
+ * Local development: when FIREBASE_AUTH_EMULATOR_HOST / FIRESTORE_EMULATOR_HOST
+ * are set, the Admin SDK talks to the emulators and accepts emulator tokens.
+ *
+ * GREEN CODING: Initialized ONCE per warm function instance, not per request
+ */
+
+import { initializeApp, getApps, cert } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+
+const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+
+const app = getApps()[0] || initializeApp(
+    serviceAccount
+        ? { credential: cert(JSON.parse(serviceAccount)) }
+        : { projectId: process.env.FIREBASE_PROJECT_ID || 'mavi-gpt-d4710' }
+);
+
+export const adminAuth = getAuth(app);
+export const adminDb = getFirestore(app);
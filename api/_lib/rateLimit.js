@@ -0,0 +1,62 @@
+/**
+ * Per-User Rate Limiting
+ *
+ * Fixed per-minute and per-day windows, counted in rateLimits/{uid}.
+ * Stored in Firestore (not memory) so limits hold across every function
+ * instance. Only the Admin SDK can touch this collection.
+ *
+ * Configure with env vars:
+ *   RATE_LIMIT_PER_MINUTE (default 10)
+ *   RATE_LIMIT_PER_DAY    (default 200)
+ */
+
+import { adminDb } from './firebaseAdmin.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const parseLimit = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+export const LIMITS = {
+    perMinute: parseLimit(process.env.RATE_LIMIT_PER_MINUTE, 10),
+    perDay: parseLimit(process.env.RATE_LIMIT_PER_DAY, 200)
+};
+
+/**
+ * Count one request against the user's limits
+ *
+ * @param {string} uid - Verified user ID
+ * @param {number} [now] - Current time in ms (for tests)
+ * @returns {Promise<{allowed: boolean, retryAfter: number}>} retryAfter in seconds when not allowed
+ */
+export const consumeRateLimit = async (uid, now = Date.now()) => {
+    const ref = adminDb.collection('rateLimits').doc(uid);
+    const minuteWindow = Math.floor(now / MINUTE_MS);
+    const dayWindow = Math.floor(now / DAY_MS);
+
+    return adminDb.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const data = snap.exists ? snap.data() : {};
+
+        const minuteCount = data.minuteWindow === minuteWindow ? data.minuteCount : 0;
+        const dayCount = data.dayWindow === dayWindow ? data.dayCount : 0;
+
+        if (dayCount >= LIMITS.perDay) {
+            return { allowed: false, retryAfter: Math.ceil(((dayWindow + 1) * DAY_MS - now) / 1000) };
+        }
+        if (minuteCount >= LIMITS.perMinute) {
+            return { allowed: false, retryAfter: Math.ceil(((minuteWindow + 1) * MINUTE_MS - now) / 1000) };
+        }
+
+        tx.set(ref, {
+            minuteWindow,
+            minuteCount: minuteCount + 1,
+            dayWindow,
+            dayCount: dayCount + 1
+        });
+        return { allowed: true, retryAfter: 0 };
+    });
+};
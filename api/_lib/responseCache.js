@@ -0,0 +1,80 @@
+/**
+ * Shared Response Cache - server-side writes
+ *
+ * responseCache/{key} is read by every signed-in browser (see
+ * src/responseCache.js) but written only here, with answers this proxy
+ * has just received from Gemini. Clients can't plant an entry under a
+ * key they have worked out in advance.
+ *
+ * Writes overwrite, so an expired entry is simply replaced by the next
+ * fresh answer; a Firestore TTL policy on `expiresAt` deletes the rest.
+ *
+ * Configure with env vars:
+ *   SHARED_CACHE=true        (off by default - the client also needs VITE_SHARED_CACHE=true)
+ *   CACHE_TTL_HOURS          (default 168 = 7 days; keep in step with VITE_CACHE_TTL_HOURS)
+ */
+
+import { createHash } from 'node:crypto';
+import { adminDb } from './firebaseAdmin.js';
+
+const parseHours = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+export const SHARED_CACHE = {
+    enabled: process.env.SHARED_CACHE === 'true',
+    ttlMs: parseHours(process.env.CACHE_TTL_HOURS, 168) * 60 * 60 * 1000
+};
+
+const MAX_TEXT_CHARS = 100000;
+
+// Mirrors src/responseCache.js - the browser looks entries up by the same key
+const KEY_VERSION = 2;
+
+const normalizePrompt = (text) => (text || '').normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Cache key for a proxied request - same material as cacheKeyFor in the client,
+ * with the Gemini provider's name and model label
+ *
+ * @param {{prompt: string, history: Array, systemInstruction?: string, generation?: Object}} body - Validated request body
+ * @returns {string} Hex SHA-256
+ */
+export const sharedCacheKey = ({ prompt, history = [], systemInstruction, generation }) => {
+    const material = JSON.stringify({
+        v: KEY_VERSION,
+        config: {
+            provider: 'gemini',
+            model: 'server-configured',
+            systemInstruction: systemInstruction || '',
+            generation
+        },
+        history: history.map(turn => [turn.role, normalizePrompt(turn.text)]),
+        prompt: normalizePrompt(prompt)
+    });
+    return createHash('sha256').update(material).digest('hex');
+};
+
+/**
+ * Store a complete answer for other users (failures are logged, never thrown)
+ *
+ * @param {string} key - From sharedCacheKey
+ * @param {string} text - Complete answer from Gemini
+ * @param {Object|null} usage - Token counts, shown as "saved" on later hits
+ */
+export const writeSharedResponse = async (key, text, usage) => {
+    if (!SHARED_CACHE.enabled || SHARED_CACHE.ttlMs === 0 || !text || text.length >= MAX_TEXT_CHARS) return;
+
+    const now = Date.now();
+    try {
+        await adminDb.collection('responseCache').doc(key).set({
+            text,
+            usage: usage ? { promptTokens: usage.promptTokens, responseTokens: usage.responseTokens, totalTokens: usage.totalTokens } : null,
+            createdAt: new Date(now),
+            expiresAt: new Date(now + SHARED_CACHE.ttlMs)
+        });
+    } catch (error) {
+        console.error('Error writing shared response cache:', error);
+    }
+};
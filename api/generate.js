@@ -0,0 +1,380 @@
+/**
+ * POST /api/generate - Gemini proxy (Vercel serverless function)
+ *
+ * Keeps the Gemini API key on the server. Every request must carry a
+ * Firebase ID token (Authorization: Bearer <token>) and is counted against
+ * per-user rate limits.
+ *
+ * Request body:
+ *   { action: 'generate' | 'stream' | 'countTokens', prompt, history, attachments, systemInstruction, generation,
+ *     responseSchema }
+ *   history: [{ role: 'user' | 'assistant', text }], already windowed by the client
+ *   attachments: [{ mimeType, data (base64) }] - images/PDFs for this prompt only
+ *   systemInstruction: the conversation's tutor mode, optional
+ *   generation: { model, temperature, maxOutputTokens, safetySettings } from the user's
+ *               settings, optional - the model must be in the allow-list
+ *   responseSchema: JSON schema for a structured answer (quizzes, flashcards), 'generate' only -
+ *                   the text returned is then JSON
+ *
+ * Responses:
+ *   generate    → 200 { text, usage }
+ *   stream      → 200 application/x-ndjson, one { text } delta per line,
+ *                 then { done: true, usage } or { error: { status, message } }
+ *   usage       → { promptTokens, responseTokens, totalTokens, model } from Gemini's usageMetadata
+ *   countTokens → 200 { totalTokens }
+ *   errors      → 4xx/5xx { error: { status, code, message } }
+ *                 code: RATE_LIMITED | QUOTA_EXHAUSTED | SAFETY_BLOCKED | INVALID_KEY | EMAIL_UNVERIFIED | UPSTREAM
+ *
+ * Server env: GEMINI_API_KEY, GEMINI_MODEL (default gemini-2.5-flash),
+ *             GEMINI_ALLOWED_MODELS (comma-separated; default the three in src/userSettings.js),
+ *             SHARED_CACHE / CACHE_TTL_HOURS (complete text answers are stored for other
+ *             users, see ./_lib/responseCache.js)
+ *
+ * GREEN CODING: Upstream generation is aborted when the client disconnects,
+ * so a stopped answer stops consuming compute too.
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { adminAuth } from './_lib/firebaseAdmin.js';
+import { consumeRateLimit } from './_lib/rateLimit.js';
+import { sharedCacheKey, writeSharedResponse, SHARED_CACHE } from './_lib/responseCache.js';
+
+const MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+const MAX_PROMPT_CHARS = 32000;
+const MAX_HISTORY_TURNS = 100;
+const MAX_SYSTEM_INSTRUCTION_CHARS = 4000;
+const MAX_RESPONSE_SCHEMA_CHARS = 4000;
+const ACTIONS = ['generate', 'stream', 'countTokens'];
+
+// Mirrors src/userSettings.js - settings are re-checked here, never trusted
+const ALLOWED_MODELS = (process.env.GEMINI_ALLOWED_MODELS || 'gemini-2.5-flash-lite,gemini-2.5-flash,gemini-2.5-pro')
+    .split(',')
+    .map(model => model.trim())
+    .filter(Boolean);
+const SAFETY_CATEGORIES = [
+    'HARM_CATEGORY_HARASSMENT',
+    'HARM_CATEGORY_HATE_SPEECH',
+    'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    'HARM_CATEGORY_DANGEROUS_CONTENT'
+];
+const SAFETY_THRESHOLDS = ['BLOCK_LOW_AND_ABOVE', 'BLOCK_MEDIUM_AND_ABOVE', 'BLOCK_ONLY_HIGH'];
+const MAX_TEMPERATURE = 2;
+const MAX_OUTPUT_TOKENS = 8192;
+
+// Mirrors src/attachments.js - the 4.5 MB Vercel body limit is the real ceiling
+const ATTACHMENT_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'application/pdf'];
+const MAX_ATTACHMENTS = 4;
+const MAX_ATTACHMENT_BYTES = 3 * 1024 * 1024;
+
+const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+/**
+ * Error with an HTTP status for the JSON error body
+ */
+class HttpError extends Error {
+    constructor(status, message, code) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+const sendError = (res, status, message, code) => {
+    res.status(status).json({ error: { status, code, message } });
+};
+
+/**
+ * Verify the caller's Firebase ID token
+ *
+ * @param {Object} req - Incoming request
+ * @returns {Promise<Object>} Decoded token
+ * @throws {HttpError} 401 for a missing/invalid token, 403 for an unverified email
+ */
+const authenticate = async (req) => {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer (.+)$/);
+    if (!match) {
+        throw new HttpError(401, 'Missing Firebase ID token', 'INVALID_KEY');
+    }
+
+    let decoded;
+    try {
+        decoded = await adminAuth.verifyIdToken(match[1]);
+    } catch {
+        throw new HttpError(401, 'Invalid or expired Firebase ID token', 'INVALID_KEY');
+    }
+
+    // Same gate as /chat in the client - unverified sign-ups can't spend quota
+    if (!decoded.email_verified) {
+        throw new HttpError(403, 'Please verify your email address first', 'EMAIL_UNVERIFIED');
+    }
+    return decoded;
+};
+
+/**
+ * Validate attachments and convert them to Gemini inline data parts
+ *
+ * @param {Array} attachments - [{ mimeType, data }]
+ * @returns {Array<{inlineData: {mimeType: string, data: string}}>}
+ */
+const parseAttachments = (attachments) => {
+    if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS) {
+        throw new HttpError(400, `attachments must be an array of at most ${MAX_ATTACHMENTS} files`);
+    }
+
+    let totalBytes = 0;
+    return attachments.map(attachment => {
+        const { mimeType, data } = attachment || {};
+        if (!ATTACHMENT_TYPES.includes(mimeType)) {
+            throw new HttpError(400, `Unsupported attachment type: ${mimeType}`);
+        }
+        if (typeof data !== 'string' || !/^[A-Za-z0-9+/]+=*$/.test(data)) {
+            throw new HttpError(400, 'Attachment data must be base64');
+        }
+
+        totalBytes += Math.floor(data.length * 3 / 4);
+        if (totalBytes > MAX_ATTACHMENT_BYTES) {
+            throw new HttpError(413, 'Attachments exceed 3 MB');
+        }
+
+        return { inlineData: { mimeType, data } };
+    });
+};
+
+/**
+ * Validate the user's generation settings
+ *
+ * @param {Object} [generation] - { model, temperature, maxOutputTokens, safetySettings }
+ * @returns {{model: string, generationConfig?: Object, safetySettings?: Array}} Model params for the SDK
+ */
+const parseGeneration = (generation) => {
+    if (generation === undefined || generation === null) return { model: MODEL };
+    if (typeof generation !== 'object') throw new HttpError(400, 'generation must be an object');
+
+    const { model = MODEL, temperature, maxOutputTokens, safetySettings } = generation;
+    if (model !== MODEL && !ALLOWED_MODELS.includes(model)) {
+        throw new HttpError(400, `model must be one of: ${ALLOWED_MODELS.join(', ')}`);
+    }
+    if (temperature !== undefined && (typeof temperature !== 'number' || !(temperature >= 0 && temperature <= MAX_TEMPERATURE))) {
+        throw new HttpError(400, `temperature must be between 0 and ${MAX_TEMPERATURE}`);
+    }
+    if (maxOutputTokens !== undefined && (!Number.isInteger(maxOutputTokens) || maxOutputTokens < 1 || maxOutputTokens > MAX_OUTPUT_TOKENS)) {
+        throw new HttpError(400, `maxOutputTokens must be an integer from 1 to ${MAX_OUTPUT_TOKENS}`);
+    }
+    if (safetySettings !== undefined && (
+        !Array.isArray(safetySettings) ||
+        safetySettings.some(s => !SAFETY_CATEGORIES.includes(s?.category) || !SAFETY_THRESHOLDS.includes(s?.threshold))
+    )) {
+        throw new HttpError(400, `safetySettings thresholds must be one of: ${SAFETY_THRESHOLDS.join(', ')}`);
+    }
+
+    const generationConfig = {
+        ...(temperature !== undefined && { temperature }),
+        ...(maxOutputTokens !== undefined && { maxOutputTokens })
+    };
+    return {
+        model,
+        ...(Object.keys(generationConfig).length > 0 && { generationConfig }),
+        ...(safetySettings && { safetySettings: safetySettings.map(({ category, threshold }) => ({ category, threshold })) })
+    };
+};
+
+/**
+ * Validate a response schema and turn it into JSON-mode generation config
+ * Gemini rejects unsupported schema keywords itself - only shape and size are checked here
+ *
+ * @param {string} action - Request action
+ * @param {Object} [responseSchema] - Schema from the client
+ * @returns {Object|null} { responseMimeType, responseSchema }, or null for free text
+ */
+const parseResponseSchema = (action, responseSchema) => {
+    if (responseSchema === undefined || responseSchema === null) return null;
+    if (action !== 'generate') throw new HttpError(400, 'responseSchema is only supported for action "generate"');
+    if (typeof responseSchema !== 'object' || Array.isArray(responseSchema) || typeof responseSchema.type !== 'string') {
+        throw new HttpError(400, 'responseSchema must be a schema object with a type');
+    }
+    if (JSON.stringify(responseSchema).length > MAX_RESPONSE_SCHEMA_CHARS) {
+        throw new HttpError(400, `responseSchema exceeds ${MAX_RESPONSE_SCHEMA_CHARS} characters`);
+    }
+    return { responseMimeType: 'application/json', responseSchema };
+};
+
+/**
+ * Validate the request body and build Gemini contents
+ *
+ * @param {Object} body - Parsed JSON body
+ * @returns {{action: string, contents: Array, systemInstruction: string|undefined, modelParams: Object,
+ *          cacheKey: string|null}} cacheKey is set when the answer may go into the shared cache
+ */
+const parseBody = (body) => {
+    const {
+        action = 'generate', prompt, history = [], attachments = [], systemInstruction, generation, responseSchema
+    } = body || {};
+
+    if (!ACTIONS.includes(action)) {
+        throw new HttpError(400, `action must be one of: ${ACTIONS.join(', ')}`);
+    }
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+        throw new HttpError(400, 'Prompt cannot be empty');
+    }
+    if (prompt.length > MAX_PROMPT_CHARS) {
+        throw new HttpError(400, `Prompt exceeds ${MAX_PROMPT_CHARS} characters`);
+    }
+    if (systemInstruction !== undefined && systemInstruction !== null && (
+        typeof systemInstruction !== 'string' || systemInstruction.length > MAX_SYSTEM_INSTRUCTION_CHARS
+    )) {
+        throw new HttpError(400, `systemInstruction must be a string of at most ${MAX_SYSTEM_INSTRUCTION_CHARS} characters`);
+    }
+    if (!Array.isArray(history) || history.length > MAX_HISTORY_TURNS) {
+        throw new HttpError(400, `history must be an array of at most ${MAX_HISTORY_TURNS} turns`);
+    }
+
+    const contents = history.map(turn => {
+        if (!turn || !['user', 'assistant'].includes(turn.role) || typeof turn.text !== 'string') {
+            throw new HttpError(400, 'Each history turn needs role "user" | "assistant" and text');
+        }
+        return { role: turn.role === 'user' ? 'user' : 'model', parts: [{ text: turn.text }] };
+    });
+    contents.push({ role: 'user', parts: [...parseAttachments(attachments), { text: prompt }] });
+
+    const modelParams = parseGeneration(generation);
+    const jsonConfig = parseResponseSchema(action, responseSchema);
+    if (jsonConfig) modelParams.generationConfig = { ...modelParams.generationConfig, ...jsonConfig };
+
+    // Same rule as the client: no attachments, no structured answers
+    const cacheable = SHARED_CACHE.enabled && action !== 'countTokens' && attachments.length === 0 && !jsonConfig;
+
+    return {
+        action,
+        contents,
+        systemInstruction: systemInstruction || undefined,
+        modelParams,
+        cacheKey: cacheable ? sharedCacheKey({ prompt, history, systemInstruction, generation }) : null
+    };
+};
+
+/**
+ * Token counts Gemini reported for a response, in the client's usage shape
+ *
+ * @param {Object} [usageMetadata] - From GenerateContentResponse
+ * @param {string} model - Model that produced the response
+ * @returns {{promptTokens: number, responseTokens: number, totalTokens: number, model: string}|null}
+ */
+const toUsage = (usageMetadata, model) => {
+    if (!usageMetadata) return null;
+    const promptTokens = usageMetadata.promptTokenCount || 0;
+    const responseTokens = usageMetadata.candidatesTokenCount || 0;
+    return {
+        promptTokens,
+        responseTokens,
+        totalTokens: usageMetadata.totalTokenCount || promptTokens + responseTokens,
+        model
+    };
+};
+
+/**
+ * Describe an upstream Gemini failure for the client
+ * Codes let the browser pick the right typed error without string matching
+ *
+ * @param {Error} error - Error from the Gemini SDK
+ * @returns {{status: number, code: string, message: string}}
+ */
+const describeUpstreamError = (error) => {
+    const message = error.message || 'Upstream model error';
+
+    if (/\bSAFETY\b|blocked due to|PROHIBITED_CONTENT/i.test(message)) {
+        return { status: 422, code: 'SAFETY_BLOCKED', message };
+    }
+    // Transient 429s mention "quota" too - only a used-up daily/monthly quota is final
+    if (error.status === 429 || /RESOURCE_EXHAUSTED|quota/i.test(message)) {
+        const exhausted = /quota/i.test(message) && /per[ _]?day|daily|per[ _]?month|monthly|billing/i.test(message);
+        return { status: 429, code: exhausted ? 'QUOTA_EXHAUSTED' : 'RATE_LIMITED', message };
+    }
+    if (error.status === 400 && /API key/i.test(message)) {
+        // The server's key is bad - not the user's fault, but not retryable
+        return { status: 500, code: 'INVALID_KEY', message: 'Server Gemini API key was rejected' };
+    }
+    return { status: 502, code: 'UPSTREAM', message };
+};
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return sendError(res, 405, 'Method not allowed');
+    }
+
+    let action;
+    let contents;
+    let systemInstruction;
+    let modelParams;
+    let cacheKey;
+    try {
+        const decoded = await authenticate(req);
+        ({ action, contents, systemInstruction, modelParams, cacheKey } = parseBody(req.body));
+
+        // Token counting is cheap metadata - only generation is rate limited
+        if (action !== 'countTokens') {
+            const { allowed, retryAfter } = await consumeRateLimit(decoded.uid);
+            if (!allowed) {
+                res.setHeader('Retry-After', String(retryAfter));
+                return sendError(res, 429, `Too Many Requests - rate limit reached, retry in ${retryAfter}s`, 'RATE_LIMITED');
+            }
+        }
+    } catch (error) {
+        if (error instanceof HttpError) return sendError(res, error.status, error.message, error.code);
+        console.error('Proxy setup error:', error);
+        return sendError(res, 500, 'Internal error');
+    }
+
+    const model = genAI.getGenerativeModel({ ...modelParams, systemInstruction });
+
+    // Stop upstream work if the browser goes away (Stop button, closed tab)
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    try {
+        if (action === 'countTokens') {
+            const { totalTokens } = await model.countTokens({ contents });
+            return res.status(200).json({ totalTokens });
+        }
+
+        if (action === 'generate') {
+            const result = await model.generateContent({ contents }, { signal: controller.signal });
+            const text = result.response.text();
+            const usage = toUsage(result.response.usageMetadata, modelParams.model);
+            if (cacheKey) await writeSharedResponse(cacheKey, text, usage);
+            return res.status(200).json({ text, usage });
+        }
+
+        const result = await model.generateContentStream({ contents }, { signal: controller.signal });
+        res.status(200);
+        res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-store');
+
+        try {
+            let text = '';
+            for await (const chunk of result.stream) {
+                const delta = chunk.text();
+                text += delta;
+                res.write(`${JSON.stringify({ text: delta })}\n`);
+            }
+            const { usageMetadata } = await result.response;
+            const usage = toUsage(usageMetadata, modelParams.model);
+            res.write(`${JSON.stringify({ done: true, usage })}\n`);
+            // Only complete answers - a stopped stream ends in the catch below
+            if (cacheKey) await writeSharedResponse(cacheKey, text, usage);
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.error('Gemini stream error:', error);
+            res.write(`${JSON.stringify({ error: describeUpstreamError(error) })}\n`);
+        }
+        return res.end();
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Gemini API error:', error);
+        const { status, code, message } = describeUpstreamError(error);
+        return sendError(res, status, message, code);
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Service Worker - offline app shell
+ *
+ * Caching strategy:
+ * - Page navigations: network first, cached index.html when offline
+ *   (every route is the same single-page shell)
+ * - /assets/*: cache first - Vite fingerprints these file names, so a
+ *   cached copy is never stale
+ * - Every script and stylesheet of the build (lazy routes, the Markdown
+ *   renderer, language catalogs) is precached on install, so a route that
+ *   was never opened online still starts offline
+ *
+ * The build stamps BUILD_ID and PRECACHE_ASSETS (see vite.config.js), so
+ * every deploy changes this file: the new worker installs, and activate
+ * deletes the previous build's cache with all of its assets.
+ * - Other same-origin files (manifest, icons): cache, refreshed in the background
+ * - /api/* and other origins (Firebase, AI providers): never cached
+ *
+ * Firestore data is cached separately by the SDK's persistent cache.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Repeat visits load the shell from disk instead of the network
+ * - Only the files the app actually uses are stored
+ */
+
+// Replaced at build time by the service-worker-manifest plugin in vite.config.js
+const BUILD_ID = 'dev';
+const PRECACHE_ASSETS = [];
+
+const CACHE_NAME = `mavi-shell-${BUILD_ID}`;
+const SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+
+/**
+ * Precache the shell plus every script and stylesheet of this build
+ * (fonts and images are cached the first time they are used)
+ */
+const precache = async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll([...SHELL, ...PRECACHE_ASSETS]);
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+const networkFirstPage = async (request) => {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put('/index.html', response.clone());
+        return response;
+    } catch {
+        return (await cache.match('/index.html')) || Response.error();
+    }
+};
+
+const cacheFirst = async (request) => {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+};
+
+const staleWhileRevalidate = async (request) => {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    const refresh = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        refresh.catch(() => {});
+        return cached;
+    }
+    return refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    if (url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request));
+    } else if (url.pathname.startsWith('/assets/')) {
+        event.respondWith(cacheFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
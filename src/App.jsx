@@ -5,6 +5,7 @@
  * - Efficient authentication state management
  * - Routes only render when needed
  * - Protected routes prevent unauthorized access
+ * - /chat additionally requires a verified email address
  * - Clean component structure with minimal overhead
  */
 
@@ -13,10 +14,18 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { onAuthStateChanged } from 'firebase/auth';
 import { auth } from './firebase';
 import { ThemeProvider } from './context/ThemeContext';
+import { LanguageProvider } from './context/LanguageContext';
+import { DEFAULT_SETTINGS, loadUserSettings, resetCurrentSettings } from './userSettings';
 
 // Components
 import Login from './components/Login';
 import Register from './components/Register';
+import ForgotPassword from './components/ForgotPassword';
+import VerifyEmail from './components/VerifyEmail';
+import Settings from './components/Settings';
+import UsageDashboard from './components/UsageDashboard';
+import StudyDecks from './components/StudyDecks';
+import SharedConversation from './components/SharedConversation';
 import Chat from './components/Chat';
 import Navbar from './components/Navbar';
 import LandingPage from './components/LandingPage';
@@ -28,7 +37,12 @@ import './components/LandingPage.css';
 function App() {
     // GREEN CODING: Single state for authentication
     const [user, setUser] = useState(null);
+    const [emailVerified, setEmailVerified] = useState(false);
     const [loading, setLoading] = useState(true);
+    // Bumped after updateProfile - the user object changes in place
+    const [, setProfileVersion] = useState(0);
+    // Model and generation settings (users/{uid}), defaults until loaded
+    const [settings, setSettings] = useState(DEFAULT_SETTINGS);
 
     /**
      * Monitor Authentication State
@@ -38,6 +52,7 @@ function App() {
     useEffect(() => {
         const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
             setUser(currentUser);
+            setEmailVerified(Boolean(currentUser?.emailVerified));
             setLoading(false);
         });
 
@@ -45,6 +60,44 @@ function App() {
         return () => unsubscribe();
     }, []);
 
+    /**
+     * Load the user's settings once per sign-in
+     * Chat works with the defaults meanwhile - nothing waits for this read
+     */
+    const uid = user?.uid;
+    useEffect(() => {
+        if (!uid) {
+            resetCurrentSettings();
+            setSettings(DEFAULT_SETTINGS);
+            return;
+        }
+
+        let cancelled = false;
+        loadUserSettings(uid).then(loaded => {
+            if (!cancelled) setSettings(loaded);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [uid]);
+
+    /**
+     * Re-read the signed-in user after they click the verification link
+     * The ID token is refreshed too, so /api/generate sees email_verified
+     * 
+     * @returns {Promise<boolean>} Whether the email is now verified
+     */
+    const refreshUser = async () => {
+        await auth.currentUser.reload();
+        const verified = auth.currentUser.emailVerified;
+        if (verified) await auth.currentUser.getIdToken(true);
+        setEmailVerified(verified);
+        return verified;
+    };
+
+    // Where a signed-in user lands from the public pages
+    const home = emailVerified ? '/chat' : '/verify-email';
+
     // Show loading state while checking authentication
     if (loading) {
         return (
@@ -56,36 +109,91 @@ function App() {
     }
 
     return (
-        <ThemeProvider>
-            <Router>
-                <div className="app">
-                    {user && <Navbar user={user} />}
-
-                    <Routes>
-                        {/* Public Routes */}
-                        <Route
-                            path="/login"
-                            element={user ? <Navigate to="/chat" /> : <Login />}
-                        />
-                        <Route
-                            path="/register"
-                            element={user ? <Navigate to="/chat" /> : <Register />}
-                        />
-
-                        {/* Protected Route */}
-                        <Route
-                            path="/chat"
-                            element={user ? <Chat user={user} /> : <Navigate to="/login" />}
-                        />
-
-                        {/* Landing Page - Default Route */}
-                        <Route
-                            path="/"
-                            element={user ? <Navigate to="/chat" /> : <LandingPage />}
-                        />
-                    </Routes>
-                </div>
-            </Router>
+        <ThemeProvider userId={uid} stored={settings.appearance}>
+            <LanguageProvider>
+                <Router>
+                    <div className="app">
+                        {user && <Navbar user={user} />}
+
+                        <Routes>
+                            {/* Public Routes */}
+                            <Route
+                                path="/login"
+                                element={user ? <Navigate to={home} /> : <Login />}
+                            />
+                            <Route
+                                path="/register"
+                                element={user ? <Navigate to={home} /> : <Register />}
+                            />
+                            <Route
+                                path="/forgot-password"
+                                element={user ? <Navigate to={home} /> : <ForgotPassword />}
+                            />
+
+                            {/* Signed in, email not confirmed yet */}
+                            <Route
+                                path="/verify-email"
+                                element={
+                                    !user ? <Navigate to="/login" /> :
+                                    emailVerified ? <Navigate to="/chat" /> :
+                                    <VerifyEmail user={user} onRefresh={refreshUser} />
+                                }
+                            />
+
+                            {/* Protected Route - /chat opens the latest conversation */}
+                            <Route
+                                path="/chat/:conversationId?"
+                                element={
+                                    !user ? <Navigate to="/login" /> :
+                                    !emailVerified ? <Navigate to="/verify-email" /> :
+                                    <Chat user={user} settings={settings} />
+                                }
+                            />
+
+                            <Route
+                                path="/settings"
+                                element={
+                                    !user ? <Navigate to="/login" /> :
+                                    !emailVerified ? <Navigate to="/verify-email" /> :
+                                    <Settings
+                                        user={user}
+                                        settings={settings}
+                                        onProfileChange={() => setProfileVersion(v => v + 1)}
+                                        onSettingsChange={setSettings}
+                                    />
+                                }
+                            />
+
+                            <Route
+                                path="/usage"
+                                element={
+                                    !user ? <Navigate to="/login" /> :
+                                    !emailVerified ? <Navigate to="/verify-email" /> :
+                                    <UsageDashboard user={user} />
+                                }
+                            />
+
+                            <Route
+                                path="/study"
+                                element={
+                                    !user ? <Navigate to="/login" /> :
+                                    !emailVerified ? <Navigate to="/verify-email" /> :
+                                    <StudyDecks user={user} />
+                                }
+                            />
+
+                            {/* Public read-only snapshot - signed in or not */}
+                            <Route path="/share/:shareId" element={<SharedConversation />} />
+
+                            {/* Landing Page - Default Route */}
+                            <Route
+                                path="/"
+                                element={user ? <Navigate to={home} /> : <LandingPage />}
+                            />
+                        </Routes>
+                    </div>
+                </Router>
+            </LanguageProvider>
         </ThemeProvider>
     );
 }
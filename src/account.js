@@ -0,0 +1,177 @@
+/**
+ * Account - data export and deletion for the signed-in user
+ *
+ * Covers everything the client stores about a user:
+ *   conversations/{id}  where userId == uid
+ *   chats/{id}          where userId == uid
+ *   usageDaily/{id}     where userId == uid
+ *   shares/{id}         where userId == uid (public read-only snapshots)
+ *   decks/{id}          where userId == uid (saved quizzes and flashcards)
+ *   templates/{id}      where userId == uid (slash-command prompt templates)
+ *   users/{uid}         model and generation settings
+ * (rateLimits/{uid} holds only request counters and is managed by /api/generate.)
+ * Deletion also clears what this browser keeps: the offline prompt queue
+ * (localStorage), the local response cache and Firestore's persistent cache
+ * (IndexedDB).
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Two queries read everything - no per-conversation round trips
+ * - Deletes are batched (500 per commit)
+ */
+
+import {
+    EmailAuthProvider,
+    GoogleAuthProvider,
+    reauthenticateWithCredential,
+    reauthenticateWithPopup
+} from 'firebase/auth';
+import { clearIndexedDbPersistence, collection, doc, getDoc, getDocs, query, terminate, where } from 'firebase/firestore';
+import { db } from './firebase';
+import { commitInBatches } from './conversations';
+import { toDate } from './chatTransfer';
+import { clearQueue } from './offlineQueue';
+import { clearResponseCache } from './responseCache';
+
+export const ACCOUNT_EXPORT_FORMAT = 'mavi-gpt-account';
+export const ACCOUNT_EXPORT_VERSION = 1;
+
+/**
+ * Whether the user can sign in with an email and password
+ *
+ * @param {Object} user - Firebase Auth user
+ * @returns {boolean}
+ */
+export const usesPassword = (user) => user.providerData.some(p => p.providerId === 'password');
+
+/**
+ * Confirm the user's identity before a sensitive change
+ * Firebase rejects password changes and account deletion without a recent sign-in
+ *
+ * @param {Object} user - Firebase Auth user
+ * @param {string} [password] - Current password (password accounts)
+ */
+export const reauthenticate = async (user, password) => {
+    if (usesPassword(user)) {
+        if (!password) throw new Error('Please enter your current password');
+        await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, password));
+    } else {
+        await reauthenticateWithPopup(user, new GoogleAuthProvider());
+    }
+};
+
+/**
+ * Read every document a user owns in a collection
+ *
+ * @param {string} name - Collection name
+ * @param {string} userId - Owner's uid
+ * @returns {Promise<Array>} Query document snapshots
+ */
+const fetchOwned = async (name, userId) => {
+    const snapshot = await getDocs(query(collection(db, name), where('userId', '==', userId)));
+    return snapshot.docs;
+};
+
+// Firestore Timestamps → ISO strings, everything else as stored
+const serialize = (data) => Object.fromEntries(Object.entries(data).map(([key, value]) => [
+    key,
+    value && typeof value.toDate === 'function' ? toDate(value).toISOString() : value
+]));
+
+/**
+ * Build a JSON copy of all of a user's data
+ *
+ * @param {Object} user - Firebase Auth user
+ * @returns {Promise<string>} Pretty-printed JSON
+ */
+export const exportAccountData = async (user) => {
+    const [conversations, chats, usageDaily, shares, decks, templates, settings] = await Promise.all([
+        fetchOwned('conversations', user.uid),
+        fetchOwned('chats', user.uid),
+        fetchOwned('usageDaily', user.uid),
+        fetchOwned('shares', user.uid),
+        fetchOwned('decks', user.uid),
+        fetchOwned('templates', user.uid),
+        getDoc(doc(db, 'users', user.uid))
+    ]);
+
+    const byTime = (a, b) => String(a.timestamp).localeCompare(String(b.timestamp));
+
+    return JSON.stringify({
+        format: ACCOUNT_EXPORT_FORMAT,
+        version: ACCOUNT_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        account: {
+            uid: user.uid,
+            email: user.email,
+            displayName: user.displayName || null,
+            emailVerified: user.emailVerified,
+            providers: user.providerData.map(p => p.providerId),
+            createdAt: user.metadata.creationTime || null,
+            lastSignInAt: user.metadata.lastSignInTime || null
+        },
+        settings: settings.exists() ? serialize(settings.data()) : null,
+        conversations: conversations.map(d => ({ id: d.id, ...serialize(d.data()) })),
+        chats: chats.map(d => ({ id: d.id, ...serialize(d.data()) })).sort(byTime),
+        usageDaily: usageDaily.map(d => serialize(d.data())).sort((a, b) => a.date.localeCompare(b.date)),
+        // Exchanges inside a share are copies of chats above - only the links are listed
+        shares: shares.map(d => ({
+            id: d.id,
+            conversationId: d.data().conversationId,
+            title: d.data().title,
+            exchanges: d.data().exchanges?.length || 0,
+            createdAt: toDate(d.data().createdAt)?.toISOString() || null
+        })),
+        decks: decks.map(d => ({
+            id: d.id,
+            ...serialize(d.data()),
+            // Review dates are nested in each item
+            items: (d.data().items || []).map(item => ({ ...item, review: serialize(item.review || {}) }))
+        })),
+        templates: templates.map(d => ({ id: d.id, ...serialize(d.data()) }))
+    }, null, 2);
+};
+
+/**
+ * Delete every conversation, chat, usage, share, deck, template and settings document a user owns
+ * (revoking all of their shared links)
+ * Run before deleting the Auth user - afterwards the rules no longer let
+ * the client read (or delete) the documents
+ *
+ * @param {string} userId - Owner's uid
+ * @returns {Promise<number>} Number of documents deleted
+ */
+export const deleteAccountData = async (userId) => {
+    const [chats, conversations, usageDaily, shares, decks, templates] = await Promise.all([
+        fetchOwned('chats', userId),
+        fetchOwned('conversations', userId),
+        fetchOwned('usageDaily', userId),
+        fetchOwned('shares', userId),
+        fetchOwned('decks', userId),
+        fetchOwned('templates', userId)
+    ]);
+
+    const refs = [...chats, ...conversations, ...usageDaily, ...shares, ...decks, ...templates].map(d => d.ref);
+    // Deleting a missing document is a no-op, so the settings doc needs no read
+    refs.push(doc(db, 'users', userId));
+    await commitInBatches(refs, (batch, ref) => batch.delete(ref));
+    return refs.length;
+};
+
+/**
+ * Remove the user's data from this browser - run after deleteAccountData
+ * Firestore is shut down to clear its cache, so the page must be reloaded
+ * afterwards. Firestore refuses to clear a cache another open tab is still
+ * using; that is logged, and the other steps still run.
+ *
+ * @param {string} userId - Owner's uid
+ */
+export const clearLocalData = async (userId) => {
+    clearQueue(userId);
+    await clearResponseCache().catch(error => console.error('Error clearing response cache:', error));
+    try {
+        await terminate(db);
+        await clearIndexedDbPersistence(db);
+    } catch (error) {
+        console.error('Error clearing Firestore cache:', error);
+    }
+};
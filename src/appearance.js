@@ -0,0 +1,61 @@
+/**
+ * Appearance - theme modes and accent colours
+ *
+ * The theme mode is "system" (follows the OS light/dark setting live),
+ * "light", "dark" or "high-contrast". The accent recolours buttons, user
+ * bubbles and borders; colours live in App.css, keyed by data-accent.
+ *
+ * Stored in localStorage for instant startup, and in users/{uid}
+ * (field `appearance`) so it follows the user to other devices.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Pure CSS custom properties - switching re-renders nothing but the root attributes
+ * - Dark mode is one tap away (and the default), saving energy on OLED screens
+ */
+
+export const THEME_MODES = [
+    { id: 'system', label: 'System', icon: '🖥️' },
+    { id: 'light', label: 'Light', icon: '☀️' },
+    { id: 'dark', label: 'Dark', icon: '🌙' },
+    { id: 'high-contrast', label: 'High contrast', icon: '◐' }
+];
+
+// `color` is only for the picker swatch - App.css holds the theme variables
+export const ACCENT_COLORS = [
+    { id: 'default', label: 'Theme default', color: null },
+    { id: 'violet', label: 'Violet', color: '#7c3aed' },
+    { id: 'ocean', label: 'Ocean', color: '#0284c7' },
+    { id: 'emerald', label: 'Emerald', color: '#059669' },
+    { id: 'sunset', label: 'Sunset', color: '#ea580c' },
+    { id: 'rose', label: 'Rose', color: '#e11d48' }
+];
+
+export const DEFAULT_APPEARANCE = { theme: 'dark', accent: 'default' };
+
+const isOption = (value, options) => options.some(option => option.id === value);
+
+/**
+ * Validate a stored appearance
+ *
+ * @param {Object} [raw] - { theme, accent } from localStorage or Firestore
+ * @returns {{theme: string, accent: string}|null} Valid appearance, or null if there is none
+ */
+export const validateAppearance = (raw) => {
+    if (!raw || typeof raw !== 'object') return null;
+    return {
+        theme: isOption(raw.theme, THEME_MODES) ? raw.theme : DEFAULT_APPEARANCE.theme,
+        accent: isOption(raw.accent, ACCENT_COLORS) ? raw.accent : DEFAULT_APPEARANCE.accent
+    };
+};
+
+/**
+ * Theme to render for a mode
+ *
+ * @param {string} mode - One of THEME_MODES
+ * @param {boolean} systemDark - Whether the OS prefers dark
+ * @returns {'light'|'dark'|'high-contrast'}
+ */
+export const resolveTheme = (mode, systemDark) => {
+    if (mode === 'system') return systemDark ? 'dark' : 'light';
+    return mode;
+};
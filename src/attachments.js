@@ -0,0 +1,125 @@
+/**
+ * Attachments - images and PDFs sent to the model as inline data
+ *
+ * Each attachment is read once into base64 for the request. Only its
+ * metadata (name, type, size and a small JPEG thumbnail for images) is
+ * kept in chat history - the file itself is never stored.
+ *
+ * Limits are set by the /api/generate proxy: Vercel caps a function's
+ * request body at 4.5 MB, and base64 inflates files by a third, so the
+ * raw total must stay under ~3 MB.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Files are only re-sent on the turn they were attached, never as history
+ * - Thumbnails are tiny (≤ 160px JPEG) so history reads stay cheap
+ */
+
+export const ACCEPTED_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'application/pdf'];
+export const MAX_ATTACHMENTS = 4;
+export const MAX_TOTAL_BYTES = 3 * 1024 * 1024;
+
+const THUMBNAIL_SIZE = 160;
+
+/**
+ * Human-readable file size
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "1.2 MB"
+ */
+export const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Check new files against type, count and size limits
+ *
+ * @param {Array<{size: number}>} current - Attachments already pending
+ * @param {FileList|Array<File>} files - Files the user just added
+ * @returns {{accepted: Array<File>, errors: Array<string>}}
+ */
+export const validateFiles = (current, files) => {
+    const accepted = [];
+    const errors = [];
+    let count = current.length;
+    let total = current.reduce((sum, a) => sum + a.size, 0);
+
+    Array.from(files).forEach(file => {
+        if (!ACCEPTED_TYPES.includes(file.type)) {
+            errors.push(`${file.name}: only PNG, JPEG, WebP, GIF images and PDFs are supported.`);
+        } else if (count >= MAX_ATTACHMENTS) {
+            errors.push(`${file.name}: at most ${MAX_ATTACHMENTS} files per message.`);
+        } else if (total + file.size > MAX_TOTAL_BYTES) {
+            errors.push(`${file.name}: attachments are limited to ${formatBytes(MAX_TOTAL_BYTES)} per message.`);
+        } else {
+            accepted.push(file);
+            count += 1;
+            total += file.size;
+        }
+    });
+
+    return { accepted, errors };
+};
+
+/**
+ * Read a file as base64 (without the data: URL prefix)
+ *
+ * @param {File} file - File to read
+ * @returns {Promise<string>} Base64 data
+ */
+const readBase64 = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+/**
+ * Small JPEG preview of an image, as a data URL
+ *
+ * @param {File} file - Image file
+ * @returns {Promise<string|null>} Thumbnail, or null if the browser can't decode it
+ */
+const makeThumbnail = async (file) => {
+    try {
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        return canvas.toDataURL('image/jpeg', 0.7);
+    } catch (error) {
+        console.error('Thumbnail failed:', error);
+        return null;
+    }
+};
+
+/**
+ * Prepare a file for sending
+ *
+ * @param {File} file - Validated file
+ * @returns {Promise<{name: string, mimeType: string, size: number, data: string, thumbnail: string|null}>}
+ */
+export const readAttachment = async (file) => ({
+    name: file.name,
+    mimeType: file.type,
+    size: file.size,
+    data: await readBase64(file),
+    thumbnail: file.type.startsWith('image/') ? await makeThumbnail(file) : null
+});
+
+/**
+ * Metadata kept in history - everything except the file data
+ *
+ * @param {{name: string, mimeType: string, size: number, thumbnail: string|null}} attachment
+ * @returns {{name: string, mimeType: string, size: number, thumbnail: string|null}}
+ */
+export const toAttachmentMeta = ({ name, mimeType, size, thumbnail }) => ({
+    name,
+    mimeType,
+    size,
+    thumbnail: thumbnail || null
+});
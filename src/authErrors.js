@@ -0,0 +1,42 @@
+/**
+ * Friendly Firebase Auth error messages
+ *
+ * Firebase errors carry a `code` such as `auth/invalid-credential` and a
+ * message like "Firebase: Error (auth/invalid-credential)." - neither is
+ * meant for students. Map the codes we expect to plain sentences.
+ */
+
+const MESSAGES = {
+    'auth/invalid-credential': 'Incorrect email or password.',
+    'auth/wrong-password': 'Incorrect email or password.',
+    'auth/user-not-found': 'Incorrect email or password.',
+    'auth/invalid-email': 'Please enter a valid email address.',
+    'auth/missing-email': 'Please enter your email address.',
+    'auth/email-already-in-use': 'An account with this email already exists. Try logging in instead.',
+    'auth/weak-password': 'Password must be at least 6 characters.',
+    'auth/user-disabled': 'This account has been disabled. Please contact support.',
+    'auth/too-many-requests': 'Too many attempts. Please wait a few minutes and try again.',
+    'auth/network-request-failed': 'Network error. Check your connection and try again.',
+    'auth/popup-closed-by-user': 'The Google sign-in window was closed before finishing.',
+    'auth/cancelled-popup-request': 'The Google sign-in window was closed before finishing.',
+    'auth/popup-blocked': 'Your browser blocked the Google sign-in window. Please allow pop-ups and try again.',
+    'auth/account-exists-with-different-credential': 'This email is already registered with a password. Log in with your password instead.',
+    'auth/unauthorized-domain': 'Google sign-in is not enabled for this website yet.',
+    'auth/operation-not-allowed': 'This sign-in method is not enabled yet.',
+    'auth/requires-recent-login': 'For your security, please log in again and retry.',
+    'auth/expired-action-code': 'This link has expired. Please request a new one.',
+    'auth/invalid-action-code': 'This link is invalid or has already been used.'
+};
+
+/**
+ * Turn a Firebase Auth error into a message for the user
+ *
+ * @param {Error} error - Error thrown by firebase/auth
+ * @param {string} [fallback] - Message for unexpected codes
+ * @returns {string} Friendly message
+ */
+export const friendlyAuthError = (error, fallback = 'Something went wrong. Please try again.') => {
+    if (error?.code && MESSAGES[error.code]) return MESSAGES[error.code];
+    console.error('Unexpected auth error:', error);
+    return fallback;
+};
@@ -0,0 +1,346 @@
+/**
+ * Chat Transfer - export and import conversations
+ *
+ * Export formats:
+ * - Markdown  - readable, keeps the model's formatting and LaTeX as-is
+ * - JSON      - lossless: timestamps and metadata, and the only import format
+ * - HTML      - single self-contained file (inline CSS, no scripts or assets)
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Export reads the conversation from Firestore ONCE, only when asked
+ * - Everything is generated in the browser - no server round trip
+ * - Import de-duplicates before writing, so re-importing costs no writes
+ */
+
+import { collection, doc, getDocs, query, where, orderBy } from 'firebase/firestore';
+import { db } from './firebase';
+import { commitInBatches, createConversation, listConversations, IMPORTED_TITLE } from './conversations';
+import { MessageError } from './i18n';
+
+export const EXPORT_FORMAT = 'mavi-gpt-conversation';
+export const EXPORT_VERSION = 1;
+
+// Import limits - keep a single import to a bounded number of writes
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+const MAX_IMPORT_EXCHANGES = 5000;
+const MAX_FIELD_CHARS = 100000;
+
+/**
+ * Normalize Firestore Timestamps, Dates and ISO strings to a Date
+ *
+ * @param {*} value - Stored timestamp
+ * @returns {Date|null} Valid Date, or null
+ */
+export const toDate = (value) => {
+    if (!value) return null;
+    const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Read every exchange in a conversation, oldest first
+ *
+ * @param {string} userId - Owner's uid
+ * @param {string} conversationId - Conversation to read
+ * @returns {Promise<Array<{id: string, userPrompt: string, aiResponse: string, timestamp: Date}>>}
+ */
+export const fetchConversationChats = async (userId, conversationId) => {
+    // Same (descending) index as the paginated history query
+    const snapshot = await getDocs(query(
+        collection(db, 'chats'),
+        where('userId', '==', userId),
+        where('conversationId', '==', conversationId),
+        orderBy('timestamp', 'desc')
+    ));
+
+    return [...snapshot.docs].reverse().map(d => {
+        const data = d.data();
+        return {
+            id: d.id,
+            userPrompt: data.userPrompt,
+            aiResponse: data.aiResponse,
+            timestamp: toDate(data.timestamp)
+        };
+    });
+};
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * @param {{id: string, title: string}} conversation - Conversation metadata
+ * @param {Array} chats - Exchanges from fetchConversationChats
+ * @returns {string} Markdown document
+ */
+export const toMarkdown = (conversation, chats) => {
+    const lines = [
+        `# ${conversation.title}`,
+        '',
+        `_Exported from MaVi GPT on ${new Date().toLocaleString()}_`,
+        ''
+    ];
+
+    chats.forEach(chat => {
+        lines.push('---', '');
+        if (chat.timestamp) lines.push(`**${chat.timestamp.toLocaleString()}**`, '');
+        lines.push('### 🧑 You', '', chat.userPrompt, '', '### 🤖 MaVi GPT', '', chat.aiResponse, '');
+    });
+
+    return lines.join('\n');
+};
+
+/**
+ * @param {{id: string, title: string, createdAt?: *}} conversation - Conversation metadata
+ * @param {Array} chats - Exchanges from fetchConversationChats
+ * @returns {string} Pretty-printed JSON in the importable format
+ */
+export const toJSON = (conversation, chats) => JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversation: {
+        id: conversation.id,
+        title: conversation.title,
+        createdAt: toDate(conversation.createdAt)?.toISOString() || null
+    },
+    exchangeCount: chats.length,
+    exchanges: chats.map(chat => ({
+        userPrompt: chat.userPrompt,
+        aiResponse: chat.aiResponse,
+        timestamp: chat.timestamp?.toISOString() || null
+    }))
+}, null, 2);
+
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * @param {{id: string, title: string}} conversation - Conversation metadata
+ * @param {Array} chats - Exchanges from fetchConversationChats
+ * @returns {string} Standalone HTML page - all text escaped, no scripts
+ */
+export const toHTML = (conversation, chats) => {
+    const exchanges = chats.map(chat => `
+    <section class="exchange">
+      ${chat.timestamp ? `<time datetime="${chat.timestamp.toISOString()}">${escapeHtml(chat.timestamp.toLocaleString())}</time>` : ''}
+      <div class="msg user"><strong>You</strong><div>${escapeHtml(chat.userPrompt)}</div></div>
+      <div class="msg ai"><strong>MaVi GPT</strong><div>${escapeHtml(chat.aiResponse)}</div></div>
+    </section>`).join('\n');
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(conversation.title)} - MaVi GPT</title>
+  <style>
+    body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; color: #1a1a2e; line-height: 1.6; }
+    h1 { color: #667eea; }
+    .meta { color: #6a6a88; font-size: 0.9rem; }
+    .exchange { border-top: 1px solid #ddd; padding: 1rem 0; }
+    time { color: #6a6a88; font-size: 0.8rem; }
+    .msg { margin: 0.75rem 0; padding: 0.75rem 1rem; border-radius: 12px; }
+    .msg div { white-space: pre-wrap; word-break: break-word; }
+    .user { background: #eef0ff; }
+    .ai { background: #f6f6f9; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(conversation.title)}</h1>
+  <p class="meta">Exported from MaVi GPT on ${escapeHtml(new Date().toLocaleString())} · ${chats.length} exchanges</p>
+${exchanges}
+</body>
+</html>
+`;
+};
+
+/**
+ * Save text as a file via a temporary object URL
+ *
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type
+ */
+export const downloadFile = (filename, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Firefox and Safari start the download asynchronously - revoking now can cancel it
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * File-system-safe version of a conversation title
+ *
+ * @param {string} title - Conversation title
+ * @returns {string} Slug for file names
+ */
+export const fileSlug = (title) => (
+    (title || 'conversation').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50) || 'conversation'
+);
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * Parse and validate an exported JSON file
+ *
+ * @param {string} text - File contents
+ * @returns {{sourceId: string|null, title: string, exchanges: Array<{userPrompt: string, aiResponse: string, timestamp: Date}>}}
+ *   sourceId is the exported conversation's ID
+ * @throws {MessageError} With the reason when the file is not importable
+ */
+export const parseImport = (text) => {
+    if (text.length > MAX_IMPORT_BYTES) {
+        throw new MessageError('transfer.tooLarge', { max: MAX_IMPORT_BYTES / (1024 * 1024) });
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new MessageError('transfer.invalidJson');
+    }
+
+    if (data?.format !== EXPORT_FORMAT) {
+        throw new MessageError('transfer.notExport');
+    }
+    if (data.version !== EXPORT_VERSION) {
+        throw new MessageError('transfer.unsupportedVersion', { version: data.version });
+    }
+    if (!Array.isArray(data.exchanges)) {
+        throw new MessageError('transfer.noExchanges');
+    }
+    if (data.exchanges.length > MAX_IMPORT_EXCHANGES) {
+        throw new MessageError('transfer.tooMany', { max: MAX_IMPORT_EXCHANGES });
+    }
+
+    const exchanges = data.exchanges.map((exchange, index) => {
+        const { userPrompt, aiResponse } = exchange || {};
+        const valid = [userPrompt, aiResponse].every(field => (
+            typeof field === 'string' && field.trim() && field.length <= MAX_FIELD_CHARS
+        ));
+        if (!valid) {
+            throw new MessageError('transfer.missingField', { number: index + 1 });
+        }
+
+        const timestamp = toDate(exchange.timestamp);
+        if (!timestamp) {
+            throw new MessageError('transfer.invalidTimestamp', { number: index + 1 });
+        }
+
+        return { userPrompt, aiResponse, timestamp };
+    });
+
+    const title = typeof data.conversation?.title === 'string' && data.conversation.title.trim()
+        ? data.conversation.title.trim().slice(0, 100)
+        : IMPORTED_TITLE;
+
+    const sourceId = typeof data.conversation?.id === 'string' ? data.conversation.id : null;
+
+    return { sourceId, title, exchanges };
+};
+
+// Same exchange ⇔ same prompt, response and timestamp (to the millisecond)
+const exchangeKey = (exchange) => JSON.stringify([
+    exchange.timestamp.getTime(),
+    exchange.userPrompt,
+    exchange.aiResponse
+]);
+
+/**
+ * Keys of the exchanges already saved in a conversation
+ *
+ * @param {string} userId - Owner's uid
+ * @param {string} conversationId - Conversation to read
+ * @returns {Promise<Set<string>>}
+ */
+const savedExchangeKeys = async (userId, conversationId) => {
+    const existing = await fetchConversationChats(userId, conversationId);
+    return new Set(existing.filter(chat => chat.timestamp).map(exchangeKey));
+};
+
+/**
+ * The user's conversation a file was exported from, or imported into before
+ * - the exported conversation itself, when the user still has it
+ * - else a conversation with the file's title that already holds some of its exchanges
+ *
+ * @param {string} userId - Owner's uid
+ * @param {{sourceId: string|null, title: string, exchanges: Array}} parsed - Result of parseImport
+ * @returns {Promise<{id: string, seen: Set<string>}|null>} The conversation and its exchange keys
+ */
+const findImportTarget = async (userId, parsed) => {
+    const conversations = await listConversations(userId);
+    const source = conversations.find(conversation => conversation.id === parsed.sourceId);
+    if (source) return { id: source.id, seen: await savedExchangeKeys(userId, source.id) };
+
+    const fileKeys = parsed.exchanges.map(exchangeKey);
+    for (const conversation of conversations.filter(c => c.title === parsed.title)) {
+        const seen = await savedExchangeKeys(userId, conversation.id);
+        if (fileKeys.some(key => seen.has(key))) return { id: conversation.id, seen };
+    }
+    return null;
+};
+
+/**
+ * Write parsed exchanges into a conversation, skipping duplicates
+ *
+ * With no conversationId the file goes back into the conversation it came
+ * from (see findImportTarget); only when there is none is a new
+ * conversation created, titled from the file.
+ *
+ * @param {string} userId - Owner's uid
+ * @param {{sourceId: string|null, title: string, exchanges: Array}} parsed - Result of parseImport
+ * @param {string} [conversationId] - Target conversation
+ * @returns {Promise<{conversation: Object|null, conversationId: string|null, imported: number, skipped: number}>}
+ *   `conversation` is set only when a new one was created; `conversationId` is
+ *   the conversation imported into (null when nothing was new and none matched)
+ */
+export const importExchanges = async (userId, parsed, conversationId = null) => {
+    let seen = new Set();
+    let conversation = null;
+
+    if (conversationId) {
+        seen = await savedExchangeKeys(userId, conversationId);
+    } else {
+        const target = await findImportTarget(userId, parsed);
+        if (target) ({ id: conversationId, seen } = target);
+    }
+
+    const fresh = parsed.exchanges.filter(exchange => {
+        const key = exchangeKey(exchange);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+    const skipped = parsed.exchanges.length - fresh.length;
+
+    if (fresh.length === 0) {
+        return { conversation, conversationId, imported: 0, skipped };
+    }
+
+    if (!conversationId) {
+        conversation = await createConversation(userId, parsed.title);
+        conversationId = conversation.id;
+    }
+
+    const chatsRef = collection(db, 'chats');
+    const writes = fresh.map(exchange => ({ ref: doc(chatsRef), exchange }));
+    await commitInBatches(writes, (batch, { ref, exchange }) => batch.set(ref, {
+        userId,
+        conversationId,
+        userPrompt: exchange.userPrompt,
+        aiResponse: exchange.aiResponse,
+        timestamp: exchange.timestamp
+    }));
+
+    return { conversation, conversationId, imported: fresh.length, skipped };
+};
@@ -8,136 +8,1282 @@
  *    - Prevents unnecessary re-renders with proper useEffect dependencies
  * 
  * 2. OPTIMIZED FIRESTORE USAGE
- *    - Fetch chat history ONCE on component mount
- *    - Store only essential fields (userPrompt, aiResponse, timestamp)
+ *    - Fetch chat history ONCE per opened conversation
+ *    - Store only essential fields (userPrompt, aiResponse, timestamp, token usage)
  *    - No real-time listeners (reduces network overhead)
  * 
  * 3. AI API OPTIMIZATION
- *    - Gemini API called ONLY when user clicks Send
- *    - Empty/duplicate prompts are blocked
- *    - Using gemini-1.5-flash for minimal compute
+ *    - AI provider called ONLY when user clicks Send
+ *    - Empty prompts are blocked; repeated prompts are answered from the
+ *      response cache (Regenerate bypasses it)
+ *    - Model comes from the user's settings (a Flash model by default) via the provider layer
+ *    - Only a bounded window of prior turns is sent as context
+ *    - Slash commands expand locally into the prompt before it is sent
  * 
- * 4. MINIMAL UI
+ * 4. OFFLINE FIRST
+ *    - History is served from Firestore's persistent cache when offline
+ *    - Prompts typed offline are queued and sent once, when back online
+ * 
+ * 5. MINIMAL UI
  *    - Simple chat bubbles
+ *    - Markdown/LaTeX renderer is lazy-loaded with the first AI answer
  *    - No heavy animations or images
  *    - Energy-efficient rendering
  */
 
-import React, { useState, useEffect, useRef } from 'react';
-import { collection, addDoc, query, orderBy, getDocs, where } from 'firebase/firestore';
+import React, { useState, useEffect, useLayoutEffect, useRef, lazy, Suspense } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { collection, addDoc, doc, updateDoc, query, orderBy, getDocs, where, limit, startAfter } from 'firebase/firestore';
 import { db } from '../firebase';
-import { generateResponse } from '../gemini';
+import { streamResponse, generateResponse } from '../gemini';
+import { AIError } from '../errors';
+import {
+    listConversations,
+    createConversation,
+    renameConversation,
+    deleteConversation,
+    touchConversation,
+    migrateLegacyChats,
+    setConversationMode,
+    normalizeMode,
+    deleteExchange,
+    branchConversation,
+    titleFromPrompt,
+    DEFAULT_TITLE
+} from '../conversations';
+import { buildSystemInstruction, getTutorMode, getAnswerStyle } from '../tutorModes';
+import { ACCEPTED_TYPES, validateFiles, readAttachment, toAttachmentMeta, formatBytes } from '../attachments';
+import { loadQueue, enqueuePrompt, removeQueued, dropQueuedFor, queuedMessages } from '../offlineQueue';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+import { recordUsage, footprintOf, formatEnergy, formatCO2, formatTokens } from '../footprint';
+import { BUILT_IN_COMMANDS, listTemplates, parseCommand, findCommand, matchCommands, expandTemplate } from '../promptTemplates';
+import ConversationSidebar from './ConversationSidebar';
+import ExportMenu from './ExportMenu';
+import TutorModeSelector from './TutorModeSelector';
+import MessageActions from './MessageActions';
+import SearchDialog from './SearchDialog';
+import ShareDialog from './ShareDialog';
+import StudyMenu from './StudyMenu';
+import StudyDialog from './StudyDialog';
+import SlashCommandPalette from './SlashCommandPalette';
+import { markSearchIndexStale } from '../search';
+import { toDate } from '../chatTransfer';
+import { useLanguage } from '../context/LanguageContext';
+
+// GREEN CODING: Markdown, KaTeX and highlight.js load only when an AI answer is shown
+const MarkdownMessage = lazy(() => import('./MarkdownMessage'));
+
+// Exchanges (prompt + answer) per history page
+const HISTORY_PAGE_SIZE = 20;
+
+// Sent when the user attaches files without typing a question
+const ATTACHMENT_ONLY_PROMPT = 'Please help me with the attached file(s).';
+
+// Regenerated answers kept per exchange - the oldest is dropped beyond this
+const MAX_ANSWER_VERSIONS = 5;
+
+// Keys for messages created in this session, before they have a docId
+let lastLocalId = 0;
+const nextLocalId = () => ++lastLocalId;
+
+/**
+ * Stable React key for a message
+ * Prefers IDs that exist from the moment the bubble appears, so saving
+ * (which adds a docId) doesn't remount it
+ * 
+ * @param {Object} msg - UI message
+ * @param {number} index - Fallback for error bubbles
+ * @returns {string}
+ */
+const messageKey = (msg, index) => {
+    if (msg.streamId) return `stream-${msg.streamId}`;
+    if (msg.localId) return `local-${msg.localId}`;
+    if (msg.queueId) return `queue-${msg.queueId}-${msg.sender}`;
+    if (msg.docId) return `${msg.docId}-${msg.sender}`;
+    return `index-${index}`;
+};
+
+/**
+ * Saved form of an AI message's current answer, for `versions`
+ * 
+ * @param {Object} msg - AI message
+ * @returns {{aiResponse: string, usage: Object|null, cached: Object|null, tutorMode: string|null, answerStyle: string|null}}
+ */
+const toVersion = (msg) => ({
+    aiResponse: msg.text,
+    usage: msg.usage || null,
+    cached: msg.cached || null,
+    tutorMode: msg.tutorMode || null,
+    answerStyle: msg.answerStyle || null
+});
+
+/**
+ * Thumbnails (images) or file chips (PDFs) for a message's attachments
+ * 
+ * @param {{attachments: Array<{name: string, mimeType: string, size: number, thumbnail: string|null}>, onRemove?: Function}} props
+ */
+const AttachmentList = ({ attachments, onRemove }) => {
+    const { t } = useLanguage();
+    return (
+        <ul className="attachment-list">
+            {attachments.map((attachment, index) => (
+                <li key={index} className="attachment-chip" title={`${attachment.name} (${formatBytes(attachment.size)})`}>
+                    {attachment.thumbnail ? (
+                        <img src={attachment.thumbnail} alt={attachment.name} />
+                    ) : (
+                        <span className="attachment-icon" aria-hidden="true">📄</span>
+                    )}
+                    <span className="attachment-name">{attachment.name}</span>
+                    {onRemove && (
+                        <button
+                            onClick={() => onRemove(index)}
+                            className="attachment-remove"
+                            aria-label={t('chat.removeAttachment', { name: attachment.name })}
+                        >
+                            ×
+                        </button>
+                    )}
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+// Message keys for the status line under a queued prompt
+const QUEUE_STATUS_LABELS = {
+    queued: 'chat.queued',
+    sending: 'chat.sending',
+    sent: 'chat.sent'
+};
+
+/**
+ * Tokens and estimated energy/CO2 under an AI answer
+ * 
+ * @param {{usage: {totalTokens: number, promptTokens: number, responseTokens: number, estimated?: boolean}}} props
+ */
+const UsageLine = ({ usage }) => {
+    const { t } = useLanguage();
+    const { energyWh, co2g } = footprintOf(usage.totalTokens);
+    const approx = usage.estimated ? '~' : '';
+    const detail = t('chat.usageDetail', {
+        prompt: formatTokens(usage.promptTokens),
+        response: formatTokens(usage.responseTokens)
+    });
+    return (
+        <div className="message-meta" title={`${detail}${usage.estimated ? t('chat.usageEstimated') : ''}`}>
+            {approx}{t('chat.usageLine', {
+                tokens: formatTokens(usage.totalTokens),
+                energy: formatEnergy(energyWh),
+                co2: formatCO2(co2g)
+            })}
+        </div>
+    );
+};
+
+/**
+ * Tutor mode an answer was written in
+ * 
+ * @param {{tutorMode: string, answerStyle: string}} props
+ */
+const ModeLine = ({ tutorMode, answerStyle }) => {
+    const mode = getTutorMode(tutorMode);
+    return (
+        <div className="message-meta">
+            {mode.icon} {mode.label} · {getAnswerStyle(answerStyle, tutorMode).label}
+        </div>
+    );
+};
+
+/**
+ * Marker under an answer served from the response cache
+ * 
+ * @param {{cached: {source: string, savedTokens: number}, onRegenerate?: Function}} props
+ */
+const CachedLine = ({ cached, onRegenerate }) => {
+    const { t } = useLanguage();
+    return (
+        <div className="message-meta cached-meta">
+            ⚡ {t('chat.cachedAnswer')}{cached.source === 'shared' ? t('chat.cachedShared') : ''}
+            {cached.savedTokens > 0 && t('chat.cachedSaved', { tokens: formatTokens(cached.savedTokens) })}
+            {onRegenerate && (
+                <button onClick={onRegenerate} className="btn-regenerate" title={t('chat.regenerateTitle')}>
+                    ↻ {t('chat.regenerate')}
+                </button>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Fetch one page of a conversation's history, newest first from `cursor`
+ * GREEN CODING: Bounded read - at most HISTORY_PAGE_SIZE documents
+ * 
+ * @param {string} userId - Owner's uid
+ * @param {string} conversationId - Conversation to read
+ * @param {Object} [cursor] - Oldest document of the previous page
+ * @returns {Promise<{messages: Array, oldest: Object|null, hasMore: boolean}>} Messages oldest first
+ */
+const fetchHistoryPage = async (userId, conversationId, cursor = null) => {
+    const constraints = [
+        where('userId', '==', userId),
+        where('conversationId', '==', conversationId),
+        orderBy('timestamp', 'desc'),
+        ...(cursor ? [startAfter(cursor)] : []),
+        limit(HISTORY_PAGE_SIZE)
+    ];
+
+    const snapshot = await getDocs(query(collection(db, 'chats'), ...constraints));
+
+    // Convert to message format for UI, oldest first
+    const messages = [];
+    [...snapshot.docs].reverse().forEach((chatDoc) => {
+        const data = chatDoc.data();
+        // GREEN CODING: Only extract necessary fields
+        messages.push({
+            text: data.userPrompt,
+            sender: 'user',
+            docId: chatDoc.id,
+            attachments: data.attachments || [],
+            timestamp: toDate(data.timestamp)
+        });
+        messages.push({
+            text: data.aiResponse,
+            sender: 'ai',
+            docId: chatDoc.id,
+            usage: data.usage || null,
+            cached: data.cached || null,
+            tutorMode: data.tutorMode || null,
+            answerStyle: data.answerStyle || null,
+            versions: data.versions || null,
+            activeVersion: data.activeVersion ?? 0
+        });
+    });
+
+    return {
+        messages,
+        oldest: snapshot.docs[snapshot.docs.length - 1] || null,
+        hasMore: snapshot.size === HISTORY_PAGE_SIZE
+    };
+};
+
+const Chat = ({ user, settings }) => {
+    const { conversationId } = useParams();
+    const navigate = useNavigate();
+    const { t, formatDateTime } = useLanguage();
 
-const Chat = ({ user }) => {
     // GREEN CODING: Minimal state - only what's necessary
+    const [conversations, setConversations] = useState([]);
     const [messages, setMessages] = useState([]);
     const [input, setInput] = useState('');
     const [loading, setLoading] = useState(false);
+    const [hasMore, setHasMore] = useState(false);
+    const [loadingOlder, setLoadingOlder] = useState(false);
+    const [historyVersion, setHistoryVersion] = useState(0);
+    const [attachments, setAttachments] = useState([]);
+    const [attachmentError, setAttachmentError] = useState('');
+    const [dragging, setDragging] = useState(false);
+    // Mode for the next new conversation, chosen before its first message
+    // (starts as the default tutor behaviour from Settings)
+    const [pendingMode, setPendingMode] = useState(() => normalizeMode(settings));
+    // Prompt being edited for resend: { message, text }
+    const [editing, setEditing] = useState(null);
+    // Search: dialog visibility, the result to scroll to, and the briefly highlighted exchange
+    const [searchOpen, setSearchOpen] = useState(false);
+    const [focusTarget, setFocusTarget] = useState(null);
+    const [highlightId, setHighlightId] = useState(null);
+    // Share dialog for the open conversation
+    const [shareOpen, setShareOpen] = useState(false);
+    // Quiz or flashcards being generated from the open conversation
+    const [studyKind, setStudyKind] = useState(null);
+    // Slash commands: the user's templates (null until first needed), the highlighted
+    // suggestion, whether Esc closed the list, and why a command couldn't be sent
+    const [templates, setTemplates] = useState(null);
+    const [paletteIndex, setPaletteIndex] = useState(0);
+    const [paletteClosed, setPaletteClosed] = useState(false);
+    const [commandError, setCommandError] = useState('');
+    const templatesRequest = useRef(null);
+    const online = useOnlineStatus();
     const messagesEndRef = useRef(null);
+    const fileInputRef = useRef(null);
+
+    // Offline queue: latest messages for the flush loop, and a re-entry guard
+    const messagesRef = useRef(messages);
+    messagesRef.current = messages;
+    const flushingRef = useRef(false);
+    const flushQueueRef = useRef(null);
+    const abortControllerRef = useRef(null);
+
+    // History pagination: cursor, scroll anchor and top-of-list sentinel
+    const messagesContainerRef = useRef(null);
+    const topSentinelRef = useRef(null);
+    const oldestDocRef = useRef(null);
+    const scrollRestoreRef = useRef(null);
+    const loadOlderRef = useRef(null);
+    const jumpToBottomRef = useRef(false);
+
+    // Conversation currently on screen - streaming callbacks check it so a
+    // late chunk never lands in a thread the user has switched away from
+    const activeConversationRef = useRef(conversationId);
+    // Set when a conversation is created here, so its (empty) history isn't re-fetched
+    const createdLocallyRef = useRef(null);
+    // Conversation whose history `messages` currently holds (null while loading)
+    const loadedConversationRef = useRef(null);
+
+    // Settings arrive after mount (and change on the Settings page) - new
+    // conversations follow the default tutor behaviour saved there
+    useEffect(() => {
+        setPendingMode(normalizeMode({ tutorMode: settings?.tutorMode, answerStyle: settings?.answerStyle }));
+    }, [settings?.tutorMode, settings?.answerStyle]);
 
     /**
-     * Load Chat History
-     * GREEN CODING: Fetch ONCE on component mount, not on every state change
-     * Only essential fields retrieved to minimize data transfer
+     * Load Conversation List
+     * GREEN CODING: Fetched ONCE per user; legacy flat chats are migrated
+     * into an "Imported" conversation the first time
      */
     useEffect(() => {
-        const loadChatHistory = async () => {
+        const loadConversations = async () => {
             if (!user) return;
 
             try {
-                const q = query(
-                    collection(db, 'chats'),
-                    where('userId', '==', user.uid),
-                    orderBy('timestamp', 'asc')
-                );
-
-                const querySnapshot = await getDocs(q);
-                const chatHistory = [];
-
-                querySnapshot.forEach((doc) => {
-                    const data = doc.data();
-                    // GREEN CODING: Only extract necessary fields
-                    chatHistory.push({
-                        userPrompt: data.userPrompt,
-                        aiResponse: data.aiResponse,
-                        timestamp: data.timestamp
-                    });
-                });
+                let list = await listConversations(user.uid);
+                if (list.length === 0) {
+                    const imported = await migrateLegacyChats(user.uid);
+                    if (imported) list = [imported];
+                }
+                setConversations(list);
 
-                // Convert to message format for UI
-                const formattedMessages = [];
-                chatHistory.forEach(chat => {
-                    formattedMessages.push({ text: chat.userPrompt, sender: 'user' });
-                    formattedMessages.push({ text: chat.aiResponse, sender: 'ai' });
-                });
+                // Plain /chat opens the most recent conversation
+                if (!conversationId && list.length > 0) {
+                    navigate(`/chat/${list[0].id}`, { replace: true });
+                }
+            } catch (error) {
+                console.error('Error loading conversations:', error);
+            }
+        };
+
+        loadConversations();
+    }, [user]); // Only runs when user changes
+
+    /**
+     * Load Chat History
+     * GREEN CODING: Only the newest page is fetched when a conversation opens;
+     * older pages are read on demand as the user scrolls up
+     */
+    useEffect(() => {
+        activeConversationRef.current = conversationId;
+
+        // Just created here - the UI already holds everything in it
+        // (whoever created it also set the pagination state)
+        if (conversationId && conversationId === createdLocallyRef.current) {
+            createdLocallyRef.current = null;
+            loadedConversationRef.current = conversationId;
+            return;
+        }
+        loadedConversationRef.current = null;
+
+        // Switching threads stops any answer still streaming into the old one
+        abortControllerRef.current?.abort();
+        setEditing(null);
+        setMessages([]);
+        setHasMore(false);
+        oldestDocRef.current = null;
 
-                setMessages(formattedMessages);
+        const loadChatHistory = async () => {
+            if (!user || !conversationId) return;
+
+            try {
+                const page = await fetchHistoryPage(user.uid, conversationId);
+
+                // Ignore the result if the user has already moved on
+                if (activeConversationRef.current === conversationId) {
+                    // Land on the newest message without animating past the
+                    // top sentinel (which would fetch a second page at once)
+                    jumpToBottomRef.current = true;
+                    loadedConversationRef.current = conversationId;
+                    oldestDocRef.current = page.oldest;
+                    setHasMore(page.hasMore);
+                    // Prompts still waiting in the offline queue go last
+                    setMessages([...page.messages, ...queuedMessages(user.uid, conversationId)]);
+                }
             } catch (error) {
                 console.error('Error loading chat history:', error);
             }
         };
 
         loadChatHistory();
-    }, [user]); // Only runs when user changes
+    }, [user, conversationId, historyVersion]); // Only runs when user or conversation changes (or after an import)
 
     /**
-     * Auto-scroll to latest message
+     * Load Older Messages
+     * Prepends the previous page; the scroll offset is restored in the
+     * layout effect below so the visible messages don't jump
+     */
+    const loadOlderMessages = async () => {
+        if (!hasMore || loadingOlder || !conversationId || !oldestDocRef.current) return;
+
+        const requestedFor = conversationId;
+        setLoadingOlder(true);
+
+        try {
+            const page = await fetchHistoryPage(user.uid, conversationId, oldestDocRef.current);
+            if (activeConversationRef.current !== requestedFor) return;
+
+            const container = messagesContainerRef.current;
+            if (container) {
+                scrollRestoreRef.current = {
+                    height: container.scrollHeight,
+                    top: container.scrollTop
+                };
+            }
+
+            oldestDocRef.current = page.oldest;
+            setHasMore(page.hasMore);
+            setMessages(prev => [...page.messages, ...prev]);
+        } catch (error) {
+            console.error('Error loading older messages:', error);
+        } finally {
+            setLoadingOlder(false);
+        }
+    };
+
+    // Observer callbacks always call the latest loader (fresh state/props)
+    loadOlderRef.current = loadOlderMessages;
+
+    /**
+     * Load older pages when the top of the thread scrolls into view
+     * GREEN CODING: IntersectionObserver instead of a scroll listener -
+     * no callback runs on every scroll frame
+     */
+    useEffect(() => {
+        const sentinel = topSentinelRef.current;
+        if (!hasMore || !sentinel) return;
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting) loadOlderRef.current();
+        }, { root: messagesContainerRef.current, rootMargin: '200px 0px 0px 0px' });
+
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [hasMore, loadingOlder, conversationId]);
+
+    /**
+     * Scroll to a search result
+     * Older pages are loaded one at a time until the exchange is on screen
+     * (or the thread runs out - e.g. it was deleted since indexing)
+     */
+    useEffect(() => {
+        if (!focusTarget || focusTarget.conversationId !== conversationId) return;
+        if (loadedConversationRef.current !== conversationId) return;
+
+        if (messages.some(msg => msg.docId === focusTarget.docId)) {
+            messagesContainerRef.current
+                ?.querySelector(`[data-doc-id="${focusTarget.docId}"]`)
+                ?.scrollIntoView({ behavior: 'instant', block: 'center' });
+            setHighlightId(focusTarget.docId);
+            setFocusTarget(null);
+        } else if (hasMore) {
+            if (!loadingOlder) loadOlderRef.current();
+        } else {
+            setFocusTarget(null);
+        }
+    }, [focusTarget, conversationId, messages, hasMore, loadingOlder]);
+
+    // The highlight fades after a moment
+    useEffect(() => {
+        if (!highlightId) return;
+        const timer = setTimeout(() => setHighlightId(null), 2500);
+        return () => clearTimeout(timer);
+    }, [highlightId]);
+
+    /**
+     * Ctrl+K (Cmd+K on macOS) opens search
      */
     useEffect(() => {
-        messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+        const handleShortcut = (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                setSearchOpen(true);
+            }
+        };
+        window.addEventListener('keydown', handleShortcut);
+        return () => window.removeEventListener('keydown', handleShortcut);
+    }, []);
+
+    /**
+     * Open a search result in its conversation
+     * 
+     * @param {{id: string, conversationId: string}} chat - Matched exchange
+     */
+    const handleOpenResult = (chat) => {
+        setSearchOpen(false);
+        setFocusTarget({ conversationId: chat.conversationId, docId: chat.id });
+        if (chat.conversationId !== conversationId) {
+            navigate(`/chat/${chat.conversationId}`);
+        }
+    };
+
+    /**
+     * Auto-scroll to latest message
+     * When older messages were prepended instead, keep the same messages
+     * in view by offsetting scrollTop by the height that was added above
+     * (layout effect: runs before paint, so nothing visibly jumps)
+     */
+    useLayoutEffect(() => {
+        const container = messagesContainerRef.current;
+        const restore = scrollRestoreRef.current;
+
+        if (restore && container) {
+            scrollRestoreRef.current = null;
+            container.scrollTo({
+                top: container.scrollHeight - restore.height + restore.top,
+                behavior: 'instant'
+            });
+            return;
+        }
+
+        const behavior = jumpToBottomRef.current ? 'instant' : 'smooth';
+        jumpToBottomRef.current = false;
+        messagesEndRef.current?.scrollIntoView({ behavior, block: 'end' });
     }, [messages]);
 
+    /**
+     * Create a conversation and open it
+     * 
+     * @param {string} [title] - Initial title
+     * @returns {Promise<string>} New conversation ID
+     */
+    const openNewConversation = async (title = DEFAULT_TITLE) => {
+        const conversation = await createConversation(user.uid, title, pendingMode);
+        createdLocallyRef.current = conversation.id;
+        activeConversationRef.current = conversation.id;
+        oldestDocRef.current = null;
+        setHasMore(false);
+        setConversations(prev => [conversation, ...prev]);
+        navigate(`/chat/${conversation.id}`);
+        return conversation.id;
+    };
+
+    const handleCreateConversation = async () => {
+        try {
+            abortControllerRef.current?.abort();
+            setMessages([]);
+            await openNewConversation();
+        } catch (error) {
+            console.error('Error creating conversation:', error);
+        }
+    };
+
+    const handleRenameConversation = async (id, title) => {
+        try {
+            await renameConversation(id, title);
+            setConversations(prev => prev.map(c => c.id === id ? { ...c, title } : c));
+        } catch (error) {
+            console.error('Error renaming conversation:', error);
+        }
+    };
+
+    const handleDeleteConversation = async (id) => {
+        try {
+            await deleteConversation(user.uid, id);
+            dropQueuedFor(user.uid, id);
+            markSearchIndexStale();
+            setConversations(prev => prev.filter(c => c.id !== id));
+            if (id === conversationId) {
+                navigate('/chat', { replace: true });
+            }
+        } catch (error) {
+            console.error('Error deleting conversation:', error);
+        }
+    };
+
+    /**
+     * Tutor mode and answer style of a conversation
+     * A conversation not in the list yet (just created) uses the pending mode
+     * 
+     * @param {string|null} id - Conversation ID
+     * @returns {{tutorMode: string, answerStyle: string}}
+     */
+    const modeFor = (id) => {
+        const conversation = id && conversations.find(c => c.id === id);
+        return conversation ? normalizeMode(conversation) : pendingMode;
+    };
+
+    /**
+     * Switch the open conversation's tutor mode
+     * With no conversation open, the choice is kept for the next one
+     * 
+     * @param {{tutorMode: string, answerStyle: string}} mode - New mode
+     */
+    const handleModeChange = async (mode) => {
+        const normalized = normalizeMode(mode);
+        setPendingMode(normalized);
+        if (!conversationId) return;
+
+        setConversations(prev => prev.map(c => c.id === conversationId ? { ...c, ...normalized } : c));
+        try {
+            await setConversationMode(conversationId, normalized);
+        } catch (error) {
+            console.error('Error saving tutor mode:', error);
+        }
+    };
+
+    /**
+     * Show imported messages
+     * The conversation they went into is opened, or re-read from page one when already open
+     * 
+     * @param {{conversation: Object|null, conversationId: string}} result - From importExchanges
+     */
+    const handleImported = ({ conversation, conversationId: targetId }) => {
+        markSearchIndexStale();
+        if (conversation) setConversations(prev => [conversation, ...prev]);
+        if (targetId !== conversationId) {
+            navigate(`/chat/${targetId}`);
+        } else {
+            setHistoryVersion(v => v + 1);
+        }
+    };
+
+    /**
+     * Add an answer's tokens to today's footprint total (background write)
+     * 
+     * @param {Object} usage - Token usage from the provider
+     */
+    const saveUsage = (usage) => {
+        recordUsage(user.uid, usage).catch(error => {
+            console.error('Error recording usage:', error);
+        });
+    };
+
+    /**
+     * Record activity on a conversation after a message is saved
+     * First prompt names a conversation that still has the default title
+     * 
+     * @param {string} id - Conversation that received the message
+     * @param {string} prompt - The user's prompt
+     */
+    const recordActivity = (id, prompt) => {
+        const current = conversations.find(c => c.id === id);
+        const newTitle = current?.title === DEFAULT_TITLE ? titleFromPrompt(prompt) : null;
+
+        setConversations(prev => {
+            const existing = prev.find(c => c.id === id);
+            if (!existing) return prev;
+            const updated = { ...existing, updatedAt: new Date(), ...(newTitle && { title: newTitle }) };
+            return [updated, ...prev.filter(c => c.id !== id)];
+        });
+
+        const writes = [touchConversation(id)];
+        if (newTitle) writes.push(renameConversation(id, newTitle));
+        Promise.all(writes).catch(error => {
+            console.error('Error updating conversation:', error);
+        });
+    };
+
+    /**
+     * Add files picked or dropped by the user
+     * Files are read (base64 + thumbnail) once, when attached
+     * 
+     * @param {FileList|Array<File>} files - New files
+     */
+    const addAttachments = async (files) => {
+        const { accepted, errors } = validateFiles(attachments, files);
+        setAttachmentError(errors.join(' '));
+        if (accepted.length === 0) return;
+
+        try {
+            const read = await Promise.all(accepted.map(readAttachment));
+            setAttachments(prev => [...prev, ...read]);
+        } catch (error) {
+            console.error('Error reading attachment:', error);
+            setAttachmentError(t('chat.fileReadError'));
+        }
+    };
+
+    const handleFileInput = (e) => {
+        const files = Array.from(e.target.files || []);
+        e.target.value = '';
+        addAttachments(files);
+    };
+
+    const removeAttachment = (index) => {
+        setAttachments(prev => prev.filter((_, i) => i !== index));
+        setAttachmentError('');
+    };
+
+    const handleDragOver = (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        setDragging(true);
+    };
+
+    const handleDragLeave = (e) => {
+        // Ignore leaves into child elements
+        if (e.currentTarget.contains(e.relatedTarget)) return;
+        setDragging(false);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setDragging(false);
+        if (!loading) addAttachments(e.dataTransfer.files);
+    };
+
     /**
      * Handle Send Message
      * GREEN CODING: AI triggered ONLY on explicit user action
+     * The answer streams into its bubble; Stop aborts the request and keeps
+     * the partial text. Firestore is written ONCE with the final text.
      */
     const handleSend = async () => {
         // GREEN CODING: Prevent empty API calls
-        if (!input.trim() || loading) return;
+        if ((!input.trim() && attachments.length === 0) || loading) return;
 
-        const userMessage = input.trim();
+        if (!navigator.onLine) {
+            await queuePrompt();
+            return;
+        }
+
+        const userMessage = input.trim() ? await expandInput(input.trim()) : ATTACHMENT_ONLY_PROMPT;
+        if (userMessage === null) return;
+        const files = attachments;
         setInput('');
+        setAttachments([]);
+        setAttachmentError('');
 
-        // Add user message to UI immediately
-        setMessages(prev => [...prev, { text: userMessage, sender: 'user' }]);
-        setLoading(true);
+        // Snapshot prior turns before adding the new prompt
+        const history = messages;
+
+        // Add user message to UI immediately (metadata only, no file data)
+        setMessages(prev => [...prev, {
+            text: userMessage,
+            sender: 'user',
+            localId: nextLocalId(),
+            attachments: files.map(toAttachmentMeta),
+            timestamp: new Date()
+        }]);
+        await runGeneration(userMessage, history, files);
+    };
+
+    /**
+     * Queue the typed prompt while offline
+     * The conversation (if new) is created in Firestore's local cache and
+     * synced later; the prompt waits in the offline queue
+     */
+    const queuePrompt = async () => {
+        if (attachments.length > 0) {
+            setAttachmentError(t('chat.offlineAttachments'));
+            return;
+        }
+
+        const userMessage = await expandInput(input.trim());
+        if (userMessage === null) return;
+        setInput('');
+
+        try {
+            const targetId = conversationId || await openNewConversation(titleFromPrompt(userMessage));
+            const entry = enqueuePrompt(user.uid, targetId, userMessage);
+            setMessages(prev => [...prev, { text: userMessage, sender: 'user', queueId: entry.id, queueStatus: 'queued', timestamp: new Date() }]);
+        } catch (error) {
+            console.error('Error queuing prompt:', error);
+            setInput(userMessage);
+        }
+    };
+
+    const setQueueStatus = (queueId, queueStatus) => {
+        setMessages(prev => prev.map(msg => msg.queueId === queueId ? { ...msg, queueStatus } : msg));
+    };
+
+    /**
+     * Answer a queued prompt for a conversation that isn't on screen
+     * Context comes from the newest history page; nothing is streamed
+     * 
+     * @param {{conversationId: string, prompt: string}} entry - Queue entry
+     */
+    const sendQueuedInBackground = async (entry) => {
+        const mode = modeFor(entry.conversationId);
+        const { messages: recent } = await fetchHistoryPage(user.uid, entry.conversationId);
+        const { text: aiResponse, usage, cached } = await generateResponse(entry.prompt, recent, {
+            systemInstruction: buildSystemInstruction(mode.tutorMode, mode.answerStyle)
+        });
+
+        await addDoc(collection(db, 'chats'), {
+            userId: user.uid,
+            conversationId: entry.conversationId,
+            userPrompt: entry.prompt,
+            aiResponse,
+            timestamp: new Date(),
+            usage,
+            ...mode,
+            ...(cached && { cached })
+        });
+        markSearchIndexStale();
+        recordActivity(entry.conversationId, entry.prompt);
+        if (usage) saveUsage(usage);
+    };
+
+    /**
+     * Send queued prompts, oldest first
+     * Prompts in the open conversation stream into their place in the
+     * thread; the rest are answered in the background. Stops early if the
+     * connection drops again - unsent entries stay queued.
+     */
+    const flushQueue = async () => {
+        if (flushingRef.current || !navigator.onLine || !user) return;
+
+        const entries = loadQueue(user.uid);
+        if (entries.length === 0) return;
+
+        flushingRef.current = true;
+        const base = messagesRef.current;
+        // Answers streamed during this flush, by queueId - context for later prompts
+        const answers = new Map();
+
+        try {
+            for (const entry of entries) {
+                if (!navigator.onLine) break;
+
+                const index = base.findIndex(msg => msg.queueId === entry.id);
+                if (entry.conversationId === activeConversationRef.current && index !== -1) {
+                    const history = base.slice(0, index).flatMap(msg => (
+                        answers.has(msg.queueId) ? [msg, { text: answers.get(msg.queueId), sender: 'ai' }] : [msg]
+                    ));
+
+                    setQueueStatus(entry.id, 'sending');
+                    const result = await runGeneration(entry.prompt, history, [], {
+                        targetId: entry.conversationId,
+                        queueId: entry.id
+                    });
+
+                    // Cancelled before any answer (e.g. thread switched) - try again later
+                    if (result && !result.text) break;
+
+                    removeQueued(user.uid, entry.id);
+                    if (result) answers.set(entry.id, result.text);
+                    setQueueStatus(entry.id, result ? 'sent' : null);
+                } else {
+                    try {
+                        await sendQueuedInBackground(entry);
+                        removeQueued(user.uid, entry.id);
+                        if (entry.conversationId === activeConversationRef.current) {
+                            setHistoryVersion(v => v + 1);
+                        }
+                    } catch (error) {
+                        console.error('Error sending queued prompt:', error);
+                        if (error instanceof AIError && error.retryable) break;
+                        removeQueued(user.uid, entry.id);
+                    }
+                }
+            }
+        } finally {
+            flushingRef.current = false;
+        }
+    };
+
+    // The effect below always calls the latest flush (fresh state/props)
+    flushQueueRef.current = flushQueue;
+
+    /**
+     * Flush the offline queue when the connection returns
+     * Also runs after each answer and on first load, for prompts queued
+     * in an earlier session
+     */
+    useEffect(() => {
+        if (online && !loading) flushQueueRef.current();
+    }, [online, loading, user]);
+
+    /**
+     * Handle Retry
+     * Re-runs the failed prompt with the same context; the user bubble
+     * is already on screen, so only the error bubble is replaced
+     * 
+     * @param {Object} errorMessage - The error bubble that was clicked
+     */
+    const handleRetry = async (errorMessage) => {
+        if (loading) return;
+
+        setMessages(prev => prev.filter(msg => msg !== errorMessage));
+        await runGeneration(errorMessage.prompt, errorMessage.history, errorMessage.attachments);
+    };
+
+    /**
+     * Handle Regenerate
+     * Asks the model again, bypassing the cache. The new answer streams
+     * into the same bubble and becomes a new version of the saved
+     * exchange - earlier versions stay selectable
+     * 
+     * @param {Object} aiMessage - Answer bubble (must have a docId)
+     */
+    const handleRegenerate = async (aiMessage) => {
+        const index = messages.indexOf(aiMessage);
+        const promptMessage = messages[index - 1];
+        if (loading || index < 1 || promptMessage?.sender !== 'user') return;
+
+        const streamId = Date.now();
+        setMessages(prev => prev.map(msg => msg === aiMessage
+            ? { ...msg, text: '', streamId, streaming: true, usage: null, cached: null, tutorMode: null }
+            : msg));
+
+        await runGeneration(promptMessage.text, messages.slice(0, index - 1), [], {
+            bypassCache: true,
+            streamId,
+            replaceDocId: aiMessage.docId,
+            previousVersions: aiMessage.versions || [toVersion(aiMessage)],
+            restore: aiMessage
+        });
+    };
+
+    /**
+     * Show (and save as active) another version of a regenerated answer
+     * 
+     * @param {Object} aiMessage - Answer bubble with `versions`
+     * @param {number} index - Version to show
+     */
+    const handleSelectVersion = (aiMessage, index) => {
+        const version = aiMessage.versions[index];
+        if (!version || loading) return;
+
+        setMessages(prev => prev.map(msg => msg === aiMessage ? {
+            ...msg,
+            text: version.aiResponse,
+            usage: version.usage,
+            cached: version.cached,
+            tutorMode: version.tutorMode,
+            answerStyle: version.answerStyle,
+            activeVersion: index
+        } : msg));
+
+        // aiResponse mirrors the active version, so history, search and exports follow the choice
+        markSearchIndexStale();
+        updateDoc(doc(db, 'chats', aiMessage.docId), { ...version, activeVersion: index }).catch(error => {
+            console.error('Error switching answer version:', error);
+        });
+    };
+
+    /**
+     * Delete an exchange - the prompt and its answer - from Firestore
+     * 
+     * @param {Object} message - Either half of the exchange (must have a docId)
+     */
+    const handleDeleteExchange = async (message) => {
+        if (!window.confirm(t('chat.confirmDelete'))) return;
 
         try {
-            // GREEN CODING: Single API call to Gemini (gemini-1.5-flash)
-            const aiResponse = await generateResponse(userMessage);
+            await deleteExchange(message.docId);
+            markSearchIndexStale();
+            setMessages(prev => prev.filter(msg => msg.docId !== message.docId));
+        } catch (error) {
+            console.error('Error deleting message:', error);
+        }
+    };
 
-            // Add AI response to UI
-            setMessages(prev => [...prev, { text: aiResponse, sender: 'ai' }]);
+    /**
+     * Edit a prompt and resend it in a new branch
+     * The exchanges before it are copied into a new conversation, which
+     * opens with the edited prompt; the original thread is kept as it was.
+     * Attachments of the original prompt are not re-sent.
+     * 
+     * @param {Object} userMessage - Saved prompt being edited
+     * @param {string} text - Edited prompt
+     */
+    const handleEditResend = async (userMessage, text) => {
+        const prompt = text.trim();
+        if (!prompt || loading || !userMessage.docId) return;
 
-            // Reset loading state immediately so user can send more messages
+        setEditing(null);
+        setLoading(true);
+
+        let branch;
+        let page;
+        try {
+            const source = conversations.find(c => c.id === conversationId) || { id: conversationId, title: DEFAULT_TITLE };
+            branch = await branchConversation(user.uid, source, userMessage.docId);
+            markSearchIndexStale();
+            page = await fetchHistoryPage(user.uid, branch.id);
+        } catch (error) {
+            console.error('Error branching conversation:', error);
             setLoading(false);
+            return;
+        }
+
+        // Open the branch with its history already in place
+        createdLocallyRef.current = branch.id;
+        activeConversationRef.current = branch.id;
+        oldestDocRef.current = page.oldest;
+        setHasMore(page.hasMore);
+        jumpToBottomRef.current = true;
+        setConversations(prev => [branch, ...prev]);
+        setMessages([...page.messages, { text: prompt, sender: 'user', localId: nextLocalId(), timestamp: new Date() }]);
+        navigate(`/chat/${branch.id}`);
+
+        await runGeneration(prompt, page.messages, [], { targetId: branch.id, mode: normalizeMode(branch) });
+    };
+
+    /**
+     * Show a failure as an error bubble
+     * Error bubbles are never saved to Firestore or replayed to the model
+     * 
+     * @param {Error} error - Typed AIError (or any Error)
+     * @param {string} prompt - Prompt to resend on Retry
+     * @param {Array} history - Context to resend on Retry
+     * @param {Array} [files] - Attachments to resend on Retry
+     */
+    const showError = (error, prompt, history, files = []) => {
+        setMessages(prev => [...prev, {
+            text: error.message || t('chat.genericError'),
+            sender: 'ai',
+            error: true,
+            errorCode: error.code,
+            prompt,
+            history,
+            attachments: files
+        }]);
+    };
+
+    /**
+     * Generate, stream and save one answer
+     * 
+     * @param {string} userMessage - Prompt already shown in the chat
+     * @param {Array} history - Messages before that prompt
+     * @param {Array} [files] - Attachments read by readAttachment, sent with this prompt only
+     * @param {Object} [options]
+     * @param {string} [options.targetId] - Conversation to answer in (defaults to the open one)
+     * @param {string} [options.queueId] - Queued prompt being sent; its answer is placed right after it
+     * @param {boolean} [options.bypassCache] - Skip the response cache (Regenerate)
+     * @param {number} [options.streamId] - Existing bubble to stream into (Regenerate)
+     * @param {string} [options.replaceDocId] - Saved exchange to add a version to instead of adding one
+     * @param {Array} [options.previousVersions] - That exchange's versions so far (Regenerate)
+     * @param {Object} [options.restore] - Bubble to put back if generation fails or is stopped
+     *        before any text arrives (Regenerate)
+     * @param {{tutorMode: string, answerStyle: string}} [options.mode] - Tutor mode, if the
+     *        conversation isn't in the list yet (new branch)
+     * @returns {Promise<{text: string, stopped: boolean}|null>} The answer, or null if it failed
+     */
+    const runGeneration = async (userMessage, history, files = [], options = {}) => {
+        setLoading(true);
+
+        // First message from plain /chat starts a new conversation
+        let targetId = options.targetId || conversationId;
+        if (!targetId) {
+            try {
+                targetId = await openNewConversation(titleFromPrompt(userMessage));
+            } catch (error) {
+                console.error('Error creating conversation:', error);
+                showError(new Error(t('chat.newConversationError')), userMessage, history, files);
+                setLoading(false);
+                return null;
+            }
+        }
+
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        const streamId = options.streamId || Date.now();
+        const mode = options.mode || modeFor(targetId);
+
+        // Fill (or create) the streaming AI bubble with the text so far
+        const updateStreamingMessage = (text, streaming, extra = {}) => {
+            if (activeConversationRef.current !== targetId) return;
+            setMessages(prev => {
+                const exists = prev.some(msg => msg.streamId === streamId);
+                if (!exists) {
+                    const bubble = { text, sender: 'ai', streamId, streaming, ...extra };
+                    // A queued prompt's answer goes under it, not after later queued prompts
+                    const after = options.queueId ? prev.findIndex(msg => msg.queueId === options.queueId) : -1;
+                    if (after === -1) return [...prev, bubble];
+                    return [...prev.slice(0, after + 1), bubble, ...prev.slice(after + 1)];
+                }
+                return prev.map(msg => msg.streamId === streamId ? { ...msg, text, streaming, ...extra } : msg);
+            });
+        };
+
+        // Regenerate blanked an existing bubble - put its previous answer back
+        const restoreBubble = () => {
+            if (activeConversationRef.current !== targetId) return;
+            setMessages(prev => options.restore
+                ? prev.map(msg => msg.streamId === streamId ? { ...options.restore, streaming: false } : msg)
+                : prev.filter(msg => msg.streamId !== streamId));
+        };
+
+        try {
+            // GREEN CODING: Single streamed call to the configured AI provider
+            // Prior turns give the model conversation memory
+            const { text: aiResponse, stopped, usage, cached } = await streamResponse(userMessage, history, {
+                onChunk: (text) => updateStreamingMessage(text, true),
+                signal: controller.signal,
+                attachments: files,
+                bypassCache: options.bypassCache,
+                systemInstruction: buildSystemInstruction(mode.tutorMode, mode.answerStyle)
+            });
+
+            // Stopped before any token arrived - nothing to show or save
+            if (!aiResponse) {
+                if (stopped) {
+                    restoreBubble();
+                    return { text: '', stopped };
+                }
+                throw new AIError(t('chat.emptyResponse'), { code: 'EMPTY' });
+            }
+
+            // Regenerate: the new answer is added as the active version
+            const versions = options.replaceDocId
+                ? [...options.previousVersions, { aiResponse, usage, cached: null, ...mode }].slice(-MAX_ANSWER_VERSIONS)
+                : null;
+            const activeVersion = versions ? versions.length - 1 : 0;
+
+            updateStreamingMessage(aiResponse, false, { usage, cached, ...mode, versions, activeVersion });
 
             // GREEN CODING: Store in Firestore in background - don't block UI
-            // This runs asynchronously and won't prevent further chat interactions
-            addDoc(collection(db, 'chats'), {
-                userId: user.uid,
-                userPrompt: userMessage,
-                aiResponse: aiResponse,
-                timestamp: new Date()
+            // Written once, after streaming ends (final or partial text)
+            const save = options.replaceDocId
+                ? updateDoc(doc(db, 'chats', options.replaceDocId), {
+                    aiResponse, usage, cached: null, ...mode, versions, activeVersion
+                }).then(() => options.replaceDocId)
+                : addDoc(collection(db, 'chats'), {
+                    userId: user.uid,
+                    conversationId: targetId,
+                    userPrompt: userMessage,
+                    aiResponse: aiResponse,
+                    timestamp: new Date(),
+                    usage,
+                    ...mode,
+                    ...(cached && { cached }),
+                    // GREEN CODING: Only names, sizes and thumbnails - never the files
+                    ...(files.length > 0 && { attachments: files.map(toAttachmentMeta) })
+                }).then(ref => ref.id);
+
+            save.then((docId) => {
+                markSearchIndexStale();
+                // Saved ID on both halves lets the exchange be edited, regenerated or deleted later
+                setMessages(prev => {
+                    const answerIndex = prev.findIndex(msg => msg.streamId === streamId);
+                    return prev.map((msg, i) => (
+                        i === answerIndex || (i === answerIndex - 1 && msg.sender === 'user' && !msg.docId)
+                            ? { ...msg, docId }
+                            : msg
+                    ));
+                });
+                recordActivity(targetId, userMessage);
+                if (usage) saveUsage(usage);
             }).catch(error => {
                 console.error('Error saving to Firestore:', error);
                 // Chat continues to work even if Firestore fails
             });
 
+            return { text: aiResponse, stopped };
+
         } catch (error) {
             console.error('Error generating response:', error);
 
-            // Display the actual error message to the user
-            const errorMessage = error.message || 'Sorry, I encountered an error. Please try again.';
-
-            setMessages(prev => [...prev, {
-                text: errorMessage,
-                sender: 'ai'
-            }]);
+            // Replace any partial bubble with a typed error bubble
+            // (a failed regenerate puts the previous answer back)
+            if (activeConversationRef.current !== targetId) return null;
+            restoreBubble();
+            showError(error, userMessage, history, files);
+            return null;
+        } finally {
+            // Reset loading state so user can send more messages
+            if (abortControllerRef.current === controller) {
+                abortControllerRef.current = null;
+            }
             setLoading(false);
         }
     };
 
+    /**
+     * Handle Stop
+     * Cancels the in-flight request; runGeneration keeps the partial answer
+     */
+    const handleStop = () => {
+        abortControllerRef.current?.abort();
+    };
+
+    const activeConversation = conversations.find(c => c.id === conversationId);
+    // Sharing and study sets read the saved exchanges, so they need at least one
+    const canUseSaved = Boolean(activeConversation) && online && messages.some(msg => msg.docId);
+
+    /**
+     * The user's templates, read once per visit
+     * If they can't be read, the built-in commands still work
+     *
+     * @returns {Promise<Array<Object>>}
+     */
+    const loadTemplates = () => {
+        if (!templatesRequest.current) {
+            templatesRequest.current = listTemplates(user.uid)
+                .catch(error => {
+                    console.error('Error loading templates:', error);
+                    return [];
+                })
+                .then(list => {
+                    setTemplates(list);
+                    return list;
+                });
+        }
+        return templatesRequest.current;
+    };
+
+    const commands = [...BUILT_IN_COMMANDS, ...(templates || [])];
+    const suggestions = paletteClosed ? [] : matchCommands(commands, input);
+    // Templates may arrive after the user has moved down the list
+    const activeIndex = Math.min(paletteIndex, suggestions.length - 1);
+    const typedCommand = parseCommand(input);
+    const activeCommand = typedCommand && findCommand(commands, typedCommand.name);
+
+    /**
+     * Expand a slash command into the prompt it stands for
+     * Text that isn't a known command is sent as typed
+     *
+     * @param {string} text - Trimmed input
+     * @returns {Promise<string|null>} Prompt to send, or null when values are missing
+     */
+    const expandInput = async (text) => {
+        const parsed = parseCommand(text);
+        if (!parsed) return text;
+
+        const command = findCommand([...BUILT_IN_COMMANDS, ...await loadTemplates()], parsed.name);
+        if (!command) return text;
+
+        const { prompt, missing } = expandTemplate(command.template, parsed.args);
+        if (missing.length > 0) {
+            setCommandError(t('chat.commandMissing', { names: missing.join(', ') }));
+            return null;
+        }
+        return prompt;
+    };
+
+    const handleInputChange = (e) => {
+        const value = e.target.value;
+        setInput(value);
+        setCommandError('');
+        setPaletteIndex(0);
+        if (!value.startsWith('/')) setPaletteClosed(false);
+        else loadTemplates();
+    };
+
+    const pickCommand = (command) => {
+        setInput(`/${command.name} `);
+        setPaletteIndex(0);
+    };
+
+    /**
+     * Keyboard navigation in the slash-command palette
+     * Runs before handleKeyPress - preventDefault here stops Enter sending
+     */
+    const handleKeyDown = (e) => {
+        if (suggestions.length === 0) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setPaletteIndex((activeIndex + step + suggestions.length) % suggestions.length);
+        } else if ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Tab') {
+            e.preventDefault();
+            pickCommand(suggestions[activeIndex]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            setPaletteClosed(true);
+        }
+    };
+
     /**
      * Handle Enter key press
      */
@@ -149,56 +1295,259 @@ const Chat = ({ user }) => {
     };
 
     return (
-        <div className="chat-container">
-            <div className="chat-header">
-                <h2>Chat with MaVi GPT</h2>
-                <p className="chat-subtitle">AI Assistant for Engineering Students 🎓</p>
-            </div>
+        <div className="chat-layout">
+            <ConversationSidebar
+                conversations={conversations}
+                activeId={conversationId}
+                onCreate={handleCreateConversation}
+                onRename={handleRenameConversation}
+                onDelete={handleDeleteConversation}
+                onSearch={() => setSearchOpen(true)}
+            />
+            {searchOpen && (
+                <SearchDialog
+                    user={user}
+                    conversations={conversations}
+                    onOpen={handleOpenResult}
+                    onClose={() => setSearchOpen(false)}
+                />
+            )}
+            {shareOpen && activeConversation && (
+                <ShareDialog
+                    user={user}
+                    conversation={activeConversation}
+                    onClose={() => setShareOpen(false)}
+                />
+            )}
+            {studyKind && activeConversation && (
+                <StudyDialog
+                    user={user}
+                    conversation={activeConversation}
+                    kind={studyKind}
+                    onClose={() => setStudyKind(null)}
+                />
+            )}
+            <div
+                className={`chat-container${dragging ? ' dragging' : ''}`}
+                onDragOver={handleDragOver}
+                onDragLeave={handleDragLeave}
+                onDrop={handleDrop}
+            >
+                <div className="chat-header">
+                    <h2>{t('chat.title')}</h2>
+                    <p className="chat-subtitle">{t('chat.subtitle')}</p>
+                    <TutorModeSelector
+                        mode={modeFor(conversationId)}
+                        onChange={handleModeChange}
+                        disabled={loading}
+                    />
+                    <button
+                        onClick={() => setShareOpen(true)}
+                        className="btn-secondary btn-share"
+                        disabled={!canUseSaved}
+                        title={t('chat.shareTitle')}
+                    >
+                        🔗 {t('chat.share')}
+                    </button>
+                    <StudyMenu disabled={!canUseSaved} onSelect={setStudyKind} />
+                    <ExportMenu
+                        user={user}
+                        conversation={activeConversation}
+                        onImported={handleImported}
+                    />
+                </div>
 
-            <div className="messages-container">
-                {messages.length === 0 ? (
-                    <div className="welcome-message">
-                        <h3>Welcome to MaVi GPT! 👋</h3>
-                        <p>Ask me anything about your engineering studies.</p>
-                        <p className="green-info">💚 Powered by energy-efficient AI</p>
-                    </div>
-                ) : (
-                    messages.map((msg, index) => (
-                        <div key={index} className={`message ${msg.sender}`}>
-                            <div className="message-content">
-                                {msg.text}
-                            </div>
+                <div className="messages-container" ref={messagesContainerRef}>
+                    {hasMore && (
+                        <div ref={topSentinelRef} className="history-sentinel">
+                            {loadingOlder ? t('chat.loadingOlder') : ''}
                         </div>
-                    ))
-                )}
+                    )}
 
-                {loading && (
-                    <div className="message ai">
-                        <div className="message-content typing">
-                            Thinking...
+                    {messages.length === 0 ? (
+                        <div className="welcome-message">
+                            <h3>{t('chat.welcomeTitle')}</h3>
+                            <p>{t('chat.welcomeText')}</p>
+                            <p className="green-info">
+                                💚 {t('chat.greenInfo')} <Link to="/usage">{t('chat.seeFootprint')}</Link>
+                            </p>
                         </div>
-                    </div>
-                )}
+                    ) : (
+                        messages.map((msg, index) => (
+                            <div
+                                key={messageKey(msg, index)}
+                                className={`message ${msg.sender}${msg.error ? ' error' : ''}${msg.docId && msg.docId === highlightId ? ' highlighted' : ''}`}
+                                data-doc-id={msg.sender === 'user' ? msg.docId : undefined}
+                            >
+                                <div className={`message-content${msg.streaming ? ' streaming' : ''}`}>
+                                    {msg.error ? (
+                                        <>
+                                            <div className="plain-text">{msg.text}</div>
+                                            {msg.prompt && (
+                                                <button onClick={() => handleRetry(msg)} className="btn-retry" disabled={loading}>
+                                                    ↻ {t('chat.retry')}
+                                                </button>
+                                            )}
+                                        </>
+                                    ) : msg.sender === 'ai' ? (
+                                        <>
+                                            <Suspense fallback={<div className="plain-text">{msg.text}</div>}>
+                                                <MarkdownMessage text={msg.text} runnable={!msg.streaming} />
+                                            </Suspense>
+                                            {msg.tutorMode && !msg.streaming && (
+                                                <ModeLine tutorMode={msg.tutorMode} answerStyle={msg.answerStyle} />
+                                            )}
+                                            {msg.usage && !msg.streaming && <UsageLine usage={msg.usage} />}
+                                            {msg.cached && !msg.streaming && (
+                                                <CachedLine
+                                                    cached={msg.cached}
+                                                    onRegenerate={msg.docId && !loading ? () => handleRegenerate(msg) : null}
+                                                />
+                                            )}
+                                        </>
+                                    ) : editing?.message === msg ? (
+                                        <div className="message-edit">
+                                            <textarea
+                                                value={editing.text}
+                                                onChange={(e) => setEditing({ message: msg, text: e.target.value })}
+                                                rows="3"
+                                                autoFocus
+                                            />
+                                            {msg.attachments?.length > 0 && (
+                                                <p className="message-edit-note">{t('chat.editAttachmentsNote')}</p>
+                                            )}
+                                            <div className="message-edit-buttons">
+                                                <button onClick={() => setEditing(null)} className="btn-secondary">
+                                                    {t('chat.cancel')}
+                                                </button>
+                                                <button
+                                                    onClick={() => handleEditResend(msg, editing.text)}
+                                                    className="btn-primary"
+                                                    disabled={!editing.text.trim() || loading}
+                                                >
+                                                    {t('chat.sendAsBranch')}
+                                                </button>
+                                            </div>
+                                        </div>
+                                    ) : (
+                                        <>
+                                            {msg.attachments?.length > 0 && (
+                                                <AttachmentList attachments={msg.attachments} />
+                                            )}
+                                            <div className="plain-text" dir="auto">{msg.text}</div>
+                                            {msg.queueStatus && (
+                                                <div className={`queue-status ${msg.queueStatus}`}>
+                                                    {t(QUEUE_STATUS_LABELS[msg.queueStatus])}
+                                                </div>
+                                            )}
+                                            {msg.timestamp && (
+                                                <time className="message-time" dateTime={msg.timestamp.toISOString()}>
+                                                    {formatDateTime(msg.timestamp)}
+                                                </time>
+                                            )}
+                                        </>
+                                    )}
+                                </div>
+                                {!msg.error && !msg.streaming && editing?.message !== msg && (
+                                    <MessageActions
+                                        text={msg.text}
+                                        disabled={loading}
+                                        onRegenerate={msg.sender === 'ai' && msg.docId ? () => handleRegenerate(msg) : null}
+                                        onEdit={msg.sender === 'user' && msg.docId && online
+                                            ? () => setEditing({ message: msg, text: msg.text })
+                                            : null}
+                                        onDelete={msg.docId ? () => handleDeleteExchange(msg) : null}
+                                        versions={msg.versions ? {
+                                            count: msg.versions.length,
+                                            active: msg.activeVersion,
+                                            onSelect: (i) => handleSelectVersion(msg, i)
+                                        } : null}
+                                    />
+                                )}
+                            </div>
+                        ))
+                    )}
 
-                <div ref={messagesEndRef} />
-            </div>
+                    {/* Shown only until the first streamed token arrives */}
+                    {loading && !messages.some(msg => msg.streaming) && (
+                        <div className="message ai">
+                            <div className="message-content typing">
+                                {t('chat.thinking')}
+                            </div>
+                        </div>
+                    )}
 
-            <div className="input-container">
-                <textarea
-                    value={input}
-                    onChange={(e) => setInput(e.target.value)}
-                    onKeyPress={handleKeyPress}
-                    placeholder="Type your message here..."
-                    disabled={loading}
-                    rows="2"
-                />
-                <button
-                    onClick={handleSend}
-                    disabled={loading || !input.trim()}
-                    className="btn-send"
-                >
-                    {loading ? 'Sending...' : 'Send'}
-                </button>
+                    <div ref={messagesEndRef} />
+                </div>
+
+                <div className="input-container">
+                    <div className="input-notices">
+                        <SlashCommandPalette
+                            listId="slash-commands"
+                            suggestions={suggestions}
+                            activeIndex={activeIndex}
+                            command={activeCommand}
+                            error={commandError}
+                            onPick={pickCommand}
+                        />
+                        {!online && (
+                            <div className="offline-banner" role="status">
+                                {t('chat.offlineBanner')}
+                            </div>
+                        )}
+                        {(attachments.length > 0 || attachmentError) && (
+                            <div className="pending-attachments">
+                                <AttachmentList attachments={attachments} onRemove={removeAttachment} />
+                                {attachmentError && <p className="attachment-error" role="alert">{attachmentError}</p>}
+                            </div>
+                        )}
+                    </div>
+                    <button
+                        onClick={() => fileInputRef.current?.click()}
+                        className="btn-attach"
+                        disabled={loading || !online}
+                        aria-label={t('chat.attach')}
+                        title={t('chat.attach')}
+                    >
+                        📎
+                    </button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept={ACCEPTED_TYPES.join(',')}
+                        onChange={handleFileInput}
+                        multiple
+                        hidden
+                    />
+                    <textarea
+                        value={input}
+                        onChange={handleInputChange}
+                        onKeyDown={handleKeyDown}
+                        onKeyPress={handleKeyPress}
+                        aria-autocomplete="list"
+                        aria-controls={suggestions.length > 0 ? 'slash-commands' : undefined}
+                        aria-activedescendant={suggestions.length > 0 ? `slash-commands-${activeIndex}` : undefined}
+                        placeholder={online ? t('chat.placeholder') : t('chat.placeholderOffline')}
+                        disabled={loading}
+                        rows="2"
+                    />
+                    {loading ? (
+                        <button
+                            onClick={handleStop}
+                            className="btn-send btn-stop"
+                        >
+                            {t('chat.stop')}
+                        </button>
+                    ) : (
+                        <button
+                            onClick={handleSend}
+                            disabled={!input.trim() && attachments.length === 0}
+                            className="btn-send"
+                        >
+                            {t('chat.send')}
+                        </button>
+                    )}
+                </div>
             </div>
         </div>
     );
@@ -0,0 +1,99 @@
+/**
+ * Conversation Sidebar Component
+ *
+ * Lists the user's conversations with create, rename and delete actions,
+ * and opens history search.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Stateless list - conversations are owned and loaded once by Chat
+ * - Only the row being renamed keeps local state
+ * - Plain links, no live listeners
+ */
+
+import React, { useState } from 'react';
+import { NavLink } from 'react-router-dom';
+
+const ConversationSidebar = ({ conversations, activeId, onCreate, onRename, onDelete, onSearch }) => {
+    const [editingId, setEditingId] = useState(null);
+    const [draftTitle, setDraftTitle] = useState('');
+
+    const startRename = (conversation) => {
+        setEditingId(conversation.id);
+        setDraftTitle(conversation.title);
+    };
+
+    const commitRename = async () => {
+        const id = editingId;
+        setEditingId(null);
+        if (!draftTitle.trim()) return;
+        await onRename(id, draftTitle.trim());
+    };
+
+    const handleRenameKey = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            commitRename();
+        } else if (e.key === 'Escape') {
+            setEditingId(null);
+        }
+    };
+
+    const handleDelete = (conversation) => {
+        if (window.confirm(`Delete "${conversation.title}" and all of its messages?`)) {
+            onDelete(conversation.id);
+        }
+    };
+
+    return (
+        <aside className="conversation-sidebar">
+            <button onClick={onCreate} className="btn-primary btn-new-chat">
+                + New chat
+            </button>
+            <button onClick={onSearch} className="btn-search" title="Search all conversations (Ctrl+K)">
+                <span>🔍 Search</span>
+                <kbd>Ctrl K</kbd>
+            </button>
+
+            <ul className="conversation-list">
+                {conversations.map(conversation => (
+                    <li
+                        key={conversation.id}
+                        className={`conversation-item${conversation.id === activeId ? ' active' : ''}`}
+                    >
+                        {editingId === conversation.id ? (
+                            <input
+                                className="conversation-rename"
+                                value={draftTitle}
+                                onChange={(e) => setDraftTitle(e.target.value)}
+                                onBlur={commitRename}
+                                onKeyDown={handleRenameKey}
+                                aria-label="Conversation title"
+                                autoFocus
+                            />
+                        ) : (
+                            <>
+                                <NavLink to={`/chat/${conversation.id}`} className="conversation-link" title={conversation.title}>
+                                    {conversation.title}
+                                </NavLink>
+                                <div className="conversation-actions">
+                                    <button onClick={() => startRename(conversation)} title="Rename" aria-label="Rename conversation">
+                                        ✏️
+                                    </button>
+                                    <button onClick={() => handleDelete(conversation)} title="Delete" aria-label="Delete conversation">
+                                        🗑️
+                                    </button>
+                                </div>
+                            </>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            {conversations.length === 0 && (
+                <p className="conversation-empty">No conversations yet</p>
+            )}
+        </aside>
+    );
+};
+
+export default ConversationSidebar;
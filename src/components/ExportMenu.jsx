@@ -0,0 +1,118 @@
+/**
+ * Export Menu Component
+ *
+ * Download the open conversation as Markdown, JSON or standalone HTML,
+ * or import a previously exported JSON file into it.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Native <details> dropdown - no menu library, no open/close state
+ * - Firestore is read only when an export is actually requested
+ */
+
+import React, { useRef, useState } from 'react';
+import {
+    fetchConversationChats,
+    toMarkdown,
+    toJSON,
+    toHTML,
+    downloadFile,
+    fileSlug,
+    parseImport,
+    importExchanges
+} from '../chatTransfer';
+import { useLanguage } from '../context/LanguageContext';
+
+// Labels are in the i18n catalogs, under transfer.formats.{id}
+const FORMATS = [
+    { id: 'md', build: toMarkdown, mimeType: 'text/markdown' },
+    { id: 'json', build: toJSON, mimeType: 'application/json' },
+    { id: 'html', build: toHTML, mimeType: 'text/html' }
+];
+
+const ExportMenu = ({ user, conversation, onImported }) => {
+    const { t, tError } = useLanguage();
+    const [busy, setBusy] = useState(false);
+    const [status, setStatus] = useState('');
+    const fileInputRef = useRef(null);
+    const menuRef = useRef(null);
+
+    const closeMenu = () => {
+        if (menuRef.current) menuRef.current.open = false;
+    };
+
+    const handleExport = async (format) => {
+        closeMenu();
+        setBusy(true);
+        setStatus('');
+
+        try {
+            const chats = await fetchConversationChats(user.uid, conversation.id);
+            downloadFile(
+                `${fileSlug(conversation.title)}.${format.id}`,
+                format.build(conversation, chats),
+                format.mimeType
+            );
+        } catch (error) {
+            console.error('Export failed:', error);
+            setStatus(t('transfer.exportError'));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleImportFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        closeMenu();
+        setBusy(true);
+        setStatus('');
+
+        try {
+            const parsed = parseImport(await file.text());
+            const result = await importExchanges(user.uid, parsed, conversation?.id);
+            setStatus(`${t('transfer.imported', { count: result.imported })} ${t('transfer.skipped', { count: result.skipped })}`);
+            if (result.imported > 0) onImported(result);
+        } catch (error) {
+            console.error('Import failed:', error);
+            setStatus(tError(error, 'transfer.importError'));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="export-menu">
+            <details ref={menuRef}>
+                <summary className="btn-secondary" aria-disabled={busy}>
+                    {busy ? t('transfer.working') : `⇅ ${t('transfer.menu')}`}
+                </summary>
+                <div className="export-menu-items">
+                    {FORMATS.map(format => (
+                        <button
+                            key={format.id}
+                            onClick={() => handleExport(format)}
+                            disabled={busy || !conversation}
+                        >
+                            ⬇ {t(`transfer.formats.${format.id}`)}
+                        </button>
+                    ))}
+                    <button onClick={() => fileInputRef.current?.click()} disabled={busy}>
+                        ⬆ {conversation ? t('transfer.importIntoChat') : t('transfer.importJson')}
+                    </button>
+                </div>
+            </details>
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImportFile}
+                hidden
+            />
+            {status && <p className="export-status" role="status">{status}</p>}
+        </div>
+    );
+};
+
+export default ExportMenu;
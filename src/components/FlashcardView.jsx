@@ -0,0 +1,88 @@
+/**
+ * Flashcard View Component
+ *
+ * One card at a time: recall the answer, flip the card, then grade how
+ * well you knew it. The grades drive the deck's review schedule.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Everything runs on the cards already loaded - no model calls
+ * - Markdown/LaTeX renderer is lazy-loaded, as in the chat
+ */
+
+import React, { useState, lazy, Suspense } from 'react';
+import { GRADES } from '../decks';
+import { useLanguage } from '../context/LanguageContext';
+
+const MarkdownMessage = lazy(() => import('./MarkdownMessage'));
+
+const Rich = ({ text }) => (
+    <Suspense fallback={<span dir="auto">{text}</span>}>
+        <MarkdownMessage text={text} />
+    </Suspense>
+);
+
+/**
+ * @param {{cards: Array<{front: string, back: string}>, onFinish?: (grades: Array<string>) => void}} props
+ */
+const FlashcardView = ({ cards, onFinish }) => {
+    const { t } = useLanguage();
+    const [current, setCurrent] = useState(0);
+    const [flipped, setFlipped] = useState(false);
+    const [grades, setGrades] = useState([]);
+
+    if (current >= cards.length) {
+        const missed = grades.filter(grade => grade === 'again').length;
+        return (
+            <div className="study-summary" role="status">
+                <p className="study-score">{t('study.cardsReviewed', { count: cards.length })}</p>
+                <p>{missed === 0 ? t('study.allKnown') : t('study.seeAgainSoon', { count: missed })}</p>
+            </div>
+        );
+    }
+
+    const card = cards[current];
+
+    const handleGrade = (grade) => {
+        const next = [...grades, grade];
+        setGrades(next);
+        setFlipped(false);
+        setCurrent(current + 1);
+        if (next.length === cards.length) onFinish?.(next);
+    };
+
+    return (
+        <div className="flashcard-view">
+            <p className="study-progress">{t('study.cardProgress', { current: current + 1, total: cards.length })}</p>
+            <div className={`flashcard${flipped ? ' flipped' : ''}`}>
+                <div className="study-prompt">
+                    <Rich text={card.front} />
+                </div>
+                {flipped && (
+                    <div className="flashcard-back">
+                        <Rich text={card.back} />
+                    </div>
+                )}
+            </div>
+
+            {flipped ? (
+                <div className="flashcard-grades" role="group" aria-label={t('study.gradePrompt')}>
+                    {GRADES.map(grade => (
+                        <button
+                            key={grade}
+                            onClick={() => handleGrade(grade)}
+                            className={`btn-secondary grade-${grade}`}
+                        >
+                            {t(`study.grades.${grade}`)}
+                        </button>
+                    ))}
+                </div>
+            ) : (
+                <button onClick={() => setFlipped(true)} className="btn-primary" autoFocus>
+                    {t('study.showAnswer')}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default FlashcardView;
@@ -0,0 +1,95 @@
+/**
+ * Forgot Password Component
+ *
+ * Sends a Firebase password-reset email. The same confirmation is shown
+ * whether or not the address has an account, so the form can't be used
+ * to find out who is registered.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Firebase hosts the reset page - no custom backend or email service
+ * - One request per explicit submit
+ */
+
+import React, { useState } from 'react';
+import { sendPasswordResetEmail } from 'firebase/auth';
+import { Link } from 'react-router-dom';
+import { auth } from '../firebase';
+import { friendlyAuthError } from '../authErrors';
+
+const ForgotPassword = () => {
+    const [email, setEmail] = useState('');
+    const [error, setError] = useState('');
+    const [sent, setSent] = useState(false);
+    const [loading, setLoading] = useState(false);
+
+    const handleReset = async (e) => {
+        e.preventDefault();
+
+        if (!email) {
+            setError('Please enter your email address');
+            return;
+        }
+
+        setLoading(true);
+        setError('');
+
+        try {
+            await sendPasswordResetEmail(auth, email, { url: `${window.location.origin}/login` });
+            setSent(true);
+        } catch (err) {
+            // Unknown addresses look like success (see above)
+            if (err.code === 'auth/user-not-found') {
+                setSent(true);
+            } else {
+                setError(friendlyAuthError(err, 'Could not send the reset email. Please try again.'));
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="auth-container">
+            <div className="auth-card">
+                <Link to="/" className="home-btn" aria-label="Go to home">
+                    🏠 Home
+                </Link>
+                <h1>MaVi GPT</h1>
+                <h2>Reset Password</h2>
+
+                {sent ? (
+                    <div className="success-message" role="status">
+                        If an account exists for <strong>{email}</strong>, a password reset link is on its way.
+                        Check your inbox (and spam folder).
+                    </div>
+                ) : (
+                    <form onSubmit={handleReset}>
+                        <div className="form-group">
+                            <label>Email</label>
+                            <input
+                                type="email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                placeholder="Enter your account email"
+                                disabled={loading}
+                                required
+                            />
+                        </div>
+
+                        {error && <div className="error-message">{error}</div>}
+
+                        <button type="submit" disabled={loading} className="btn-primary">
+                            {loading ? 'Sending...' : 'Send Reset Link'}
+                        </button>
+                    </form>
+                )}
+
+                <p className="auth-switch">
+                    Remembered it? <Link to="/login">Back to Login</Link>
+                </p>
+            </div>
+        </div>
+    );
+};
+
+export default ForgotPassword;
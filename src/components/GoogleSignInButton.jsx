@@ -0,0 +1,50 @@
+/**
+ * Google Sign-In Button
+ *
+ * Shared by Login and Register - Google accounts are created on first
+ * sign-in and arrive with a verified email, so they go straight to /chat.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Firebase popup flow - no Google SDK script loaded up front
+ */
+
+import React, { useState } from 'react';
+import { GoogleAuthProvider, signInWithPopup } from 'firebase/auth';
+import { useNavigate } from 'react-router-dom';
+import { auth } from '../firebase';
+import { friendlyAuthError } from '../authErrors';
+
+const GoogleSignInButton = ({ disabled, onError }) => {
+    const [loading, setLoading] = useState(false);
+    const navigate = useNavigate();
+
+    const handleClick = async () => {
+        setLoading(true);
+        onError('');
+
+        try {
+            const provider = new GoogleAuthProvider();
+            provider.setCustomParameters({ prompt: 'select_account' });
+            await signInWithPopup(auth, provider);
+            navigate('/chat');
+        } catch (err) {
+            onError(friendlyAuthError(err, 'Google sign-in failed. Please try again.'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <button
+            type="button"
+            onClick={handleClick}
+            disabled={disabled || loading}
+            className="btn-google"
+        >
+            <span className="google-mark" aria-hidden="true">G</span>
+            {loading ? 'Connecting to Google...' : 'Continue with Google'}
+        </button>
+    );
+};
+
+export default GoogleSignInButton;
@@ -3,14 +3,28 @@
  * 
  * A stunning, creative landing page with glassmorphic design,
  * dynamic animations, and vibrant aesthetics
+ * All text comes from the i18n catalogs (landing.*)
  */
 
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useTheme } from '../context/ThemeContext';
+import { useLanguage } from '../context/LanguageContext';
+import LanguageSwitcher from './LanguageSwitcher';
+
+// Feature cards - title and description are landing.features.{key}.*
+const FEATURES = [
+    { icon: '🚀', key: 'fast' },
+    { icon: '🎨', key: 'design' },
+    { icon: '🔒', key: 'secure' },
+    { icon: '🌍', key: 'green' },
+    { icon: '💬', key: 'natural' },
+    { icon: '⚡', key: 'available' }
+];
 
 function LandingPage() {
     const { theme, toggleTheme } = useTheme();
+    const { t } = useLanguage();
     const [mousePosition, setMousePosition] = useState({ x: 0, y: 0 });
     const [isVisible, setIsVisible] = useState(false);
 
@@ -28,39 +42,6 @@ function LandingPage() {
         return () => window.removeEventListener('mousemove', handleMouseMove);
     }, []);
 
-    const features = [
-        {
-            icon: '🚀',
-            title: 'Lightning Fast',
-            description: 'Get instant responses powered by Google Gemini AI with minimal latency'
-        },
-        {
-            icon: '🎨',
-            title: 'Beautiful Design',
-            description: 'Experience a stunning glassmorphic interface with dark & light themes'
-        },
-        {
-            icon: '🔒',
-            title: 'Secure & Private',
-            description: 'Your conversations are protected with Firebase authentication'
-        },
-        {
-            icon: '🌍',
-            title: 'Green Coding',
-            description: 'Built with eco-friendly principles for minimal carbon footprint'
-        },
-        {
-            icon: '💬',
-            title: 'Natural Conversations',
-            description: 'Chat naturally like talking to a real human assistant'
-        },
-        {
-            icon: '⚡',
-            title: 'Always Available',
-            description: '24/7 availability - your AI companion never sleeps'
-        }
-    ];
-
     return (
         <div className="landing-page">
             {/* Animated Background */}
@@ -85,15 +66,16 @@ function LandingPage() {
                     <span className="brand-text">MaVi GPT</span>
                 </div>
                 <div className="landing-nav-actions">
+                    <LanguageSwitcher />
                     <button
                         className="btn-theme-toggle"
                         onClick={toggleTheme}
-                        aria-label="Toggle theme"
+                        aria-label={t('landing.toggleTheme')}
                     >
                         {theme === 'light' ? '🌙' : '☀️'}
                     </button>
-                    <Link to="/login" className="nav-link">Login</Link>
-                    <Link to="/register" className="nav-btn-primary">Get Started</Link>
+                    <Link to="/login" className="nav-link">{t('common.login')}</Link>
+                    <Link to="/register" className="nav-btn-primary">{t('landing.getStarted')}</Link>
                 </div>
             </nav>
 
@@ -102,40 +84,38 @@ function LandingPage() {
                 <div className="hero-content">
                     <div className="hero-badge">
                         <span className="badge-dot" />
-                        Powered by Google Gemini AI
+                        {t('landing.badge')}
                     </div>
                     <h1 className="hero-title">
-                        Your Intelligent
-                        <span className="gradient-text"> AI Companion</span>
+                        {t('landing.heroTitle')}
+                        <span className="gradient-text">{t('landing.heroHighlight')}</span>
                     </h1>
                     <p className="hero-description">
-                        Experience the future of conversation with MaVi GPT.
-                        Smart, intuitive, and beautifully designed to help you
-                        accomplish more with the power of artificial intelligence.
+                        {t('landing.heroDescription')}
                     </p>
                     <div className="hero-cta">
                         <Link to="/register" className="btn-hero-primary">
-                            <span>Start Chatting Free</span>
+                            <span>{t('landing.startChatting')}</span>
                             <span className="btn-arrow">→</span>
                         </Link>
                         <Link to="/login" className="btn-hero-secondary">
-                            <span>Sign In</span>
+                            <span>{t('landing.signIn')}</span>
                         </Link>
                     </div>
                     <div className="hero-stats">
                         <div className="stat-item">
                             <span className="stat-number">100%</span>
-                            <span className="stat-label">Free to Use</span>
+                            <span className="stat-label">{t('landing.statFree')}</span>
                         </div>
                         <div className="stat-divider" />
                         <div className="stat-item">
                             <span className="stat-number">24/7</span>
-                            <span className="stat-label">Available</span>
+                            <span className="stat-label">{t('landing.statAvailable')}</span>
                         </div>
                         <div className="stat-divider" />
                         <div className="stat-item">
                             <span className="stat-number">∞</span>
-                            <span className="stat-label">Possibilities</span>
+                            <span className="stat-label">{t('landing.statPossibilities')}</span>
                         </div>
                     </div>
                 </div>
@@ -151,13 +131,13 @@ function LandingPage() {
                         </div>
                         <div className="preview-messages">
                             <div className="preview-msg user">
-                                <p>Hello! Can you help me learn something new today?</p>
+                                <p>{t('landing.previewUser1')}</p>
                             </div>
                             <div className="preview-msg ai">
-                                <p>Of course! I'd love to help you explore new ideas. What topic interests you? 🌟</p>
+                                <p>{t('landing.previewAi')}</p>
                             </div>
                             <div className="preview-msg user">
-                                <p>Tell me about the future of AI!</p>
+                                <p>{t('landing.previewUser2')}</p>
                             </div>
                             <div className="preview-input">
                                 <span className="typing-cursor" />
@@ -171,22 +151,22 @@ function LandingPage() {
             <section className="features-section">
                 <div className="section-header">
                     <h2 className="section-title">
-                        Why Choose <span className="gradient-text">MaVi GPT</span>?
+                        {t('landing.whyBefore')}<span className="gradient-text">MaVi GPT</span>{t('landing.whyAfter')}
                     </h2>
                     <p className="section-subtitle">
-                        Discover the features that make MaVi GPT your perfect AI companion
+                        {t('landing.whySubtitle')}
                     </p>
                 </div>
                 <div className="features-grid">
-                    {features.map((feature, index) => (
+                    {FEATURES.map((feature, index) => (
                         <div
-                            key={index}
+                            key={feature.key}
                             className="feature-card"
                             style={{ animationDelay: `${index * 0.1}s` }}
                         >
                             <div className="feature-icon">{feature.icon}</div>
-                            <h3 className="feature-title">{feature.title}</h3>
-                            <p className="feature-description">{feature.description}</p>
+                            <h3 className="feature-title">{t(`landing.features.${feature.key}.title`)}</h3>
+                            <p className="feature-description">{t(`landing.features.${feature.key}.description`)}</p>
                         </div>
                     ))}
                 </div>
@@ -196,29 +176,29 @@ function LandingPage() {
             <section className="how-it-works">
                 <div className="section-header">
                     <h2 className="section-title">
-                        How It <span className="gradient-text">Works</span>
+                        {t('landing.howBefore')}<span className="gradient-text">{t('landing.howHighlight')}</span>
                     </h2>
                     <p className="section-subtitle">
-                        Get started in just three simple steps
+                        {t('landing.howSubtitle')}
                     </p>
                 </div>
                 <div className="steps-container">
                     <div className="step-card">
                         <div className="step-number">01</div>
-                        <h3>Create Account</h3>
-                        <p>Sign up for free in seconds with your email</p>
+                        <h3>{t('landing.step1Title')}</h3>
+                        <p>{t('landing.step1Text')}</p>
                     </div>
                     <div className="step-connector" />
                     <div className="step-card">
                         <div className="step-number">02</div>
-                        <h3>Start Chatting</h3>
-                        <p>Begin your conversation with MaVi GPT instantly</p>
+                        <h3>{t('landing.step2Title')}</h3>
+                        <p>{t('landing.step2Text')}</p>
                     </div>
                     <div className="step-connector" />
                     <div className="step-card">
                         <div className="step-number">03</div>
-                        <h3>Enjoy AI Power</h3>
-                        <p>Get intelligent responses to all your questions</p>
+                        <h3>{t('landing.step3Title')}</h3>
+                        <p>{t('landing.step3Text')}</p>
                     </div>
                 </div>
             </section>
@@ -226,10 +206,10 @@ function LandingPage() {
             {/* CTA Section */}
             <section className="cta-section">
                 <div className="cta-card">
-                    <h2>Ready to Experience the Future?</h2>
-                    <p>Join thousands of users already chatting with MaVi GPT</p>
+                    <h2>{t('landing.ctaTitle')}</h2>
+                    <p>{t('landing.ctaText')}</p>
                     <Link to="/register" className="btn-cta">
-                        Get Started for Free
+                        {t('landing.ctaButton')}
                         <span className="sparkle">✨</span>
                     </Link>
                 </div>
@@ -243,10 +223,10 @@ function LandingPage() {
                         <span>MaVi GPT</span>
                     </div>
                     <p className="footer-text">
-                        Built with 💜 using Green Coding Principles
+                        {t('landing.footerText')}
                     </p>
                     <p className="footer-copyright">
-                        © 2026 MaVi GPT. All rights reserved.
+                        {t('landing.copyright')}
                     </p>
                 </div>
             </footer>
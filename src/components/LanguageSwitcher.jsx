@@ -0,0 +1,32 @@
+/**
+ * Language Switcher Component
+ *
+ * Native <select> listing every UI language by its own name.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - No dropdown library; the catalog is fetched only when a language is picked
+ */
+
+import React from 'react';
+import { LANGUAGES } from '../i18n';
+import { useLanguage } from '../context/LanguageContext';
+
+const LanguageSwitcher = () => {
+    const { language, setLanguage, t } = useLanguage();
+
+    return (
+        <select
+            className="language-switcher"
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            aria-label={t('common.language')}
+            title={t('common.language')}
+        >
+            {LANGUAGES.map(option => (
+                <option key={option.code} value={option.code} lang={option.code}>{option.label}</option>
+            ))}
+        </select>
+    );
+};
+
+export default LanguageSwitcher;
@@ -6,12 +6,19 @@
  * - Firebase handles authentication - no custom backend needed
  * - Auth happens only on user action (form submission)
  * - Simple, lightweight UI with no heavy animations or images
+ *
+ * Also offers Google sign-in and a link to the password reset form.
+ * Unverified accounts are sent on to /verify-email by the /chat route.
  */
 
 import React, { useState } from 'react';
 import { signInWithEmailAndPassword } from 'firebase/auth';
 import { auth } from '../firebase';
 import { useNavigate, Link } from 'react-router-dom';
+import { friendlyAuthError } from '../authErrors';
+import GoogleSignInButton from './GoogleSignInButton';
+import LanguageSwitcher from './LanguageSwitcher';
+import { useLanguage } from '../context/LanguageContext';
 
 const Login = () => {
     // GREEN CODING: Minimal state - only what's necessary
@@ -21,6 +28,7 @@ const Login = () => {
     const [loading, setLoading] = useState(false);
 
     const navigate = useNavigate();
+    const { t } = useLanguage();
 
     /**
      * Handle Login
@@ -31,7 +39,7 @@ const Login = () => {
 
         // Input validation to prevent unnecessary API calls
         if (!email || !password) {
-            setError('Please fill in all fields');
+            setError(t('common.fillAllFields'));
             return;
         }
 
@@ -44,7 +52,7 @@ const Login = () => {
             // Redirect to chat on successful login
             navigate('/chat');
         } catch (err) {
-            setError(err.message || 'Failed to login');
+            setError(friendlyAuthError(err, t('login.failed')));
         } finally {
             setLoading(false);
         }
@@ -53,46 +61,54 @@ const Login = () => {
     return (
         <div className="auth-container">
             <div className="auth-card">
-                <Link to="/" className="home-btn" aria-label="Go to home">
-                    🏠 Home
+                <Link to="/" className="home-btn" aria-label={t('common.home')}>
+                    🏠 {t('common.home')}
                 </Link>
+                <LanguageSwitcher />
                 <h1>MaVi GPT</h1>
-                <h2>Login</h2>
+                <h2>{t('common.login')}</h2>
 
                 <form onSubmit={handleLogin}>
                     <div className="form-group">
-                        <label>Email</label>
+                        <label>{t('common.email')}</label>
                         <input
                             type="email"
                             value={email}
                             onChange={(e) => setEmail(e.target.value)}
-                            placeholder="Enter your email"
+                            placeholder={t('common.emailPlaceholder')}
                             disabled={loading}
                             required
                         />
                     </div>
 
                     <div className="form-group">
-                        <label>Password</label>
+                        <label>{t('common.password')}</label>
                         <input
                             type="password"
                             value={password}
                             onChange={(e) => setPassword(e.target.value)}
-                            placeholder="Enter your password"
+                            placeholder={t('login.passwordPlaceholder')}
                             disabled={loading}
                             required
                         />
                     </div>
 
+                    <p className="forgot-link">
+                        <Link to="/forgot-password">{t('login.forgotPassword')}</Link>
+                    </p>
+
                     {error && <div className="error-message">{error}</div>}
 
                     <button type="submit" disabled={loading} className="btn-primary">
-                        {loading ? 'Logging in...' : 'Login'}
+                        {loading ? t('login.submitting') : t('common.login')}
                     </button>
                 </form>
 
+                <div className="auth-divider"><span>{t('common.or')}</span></div>
+                <GoogleSignInButton disabled={loading} onError={setError} />
+
                 <p className="auth-switch">
-                    Don't have an account? <a href="/register">Register</a>
+                    {t('login.noAccount')} <Link to="/register">{t('common.register')}</Link>
                 </p>
             </div>
         </div>
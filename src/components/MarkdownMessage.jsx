@@ -0,0 +1,188 @@
+/**
+ * Markdown Message Component
+ *
+ * Renders AI answers as GitHub-flavored markdown with highlighted code
+ * blocks (each with a Copy button) and inline/display LaTeX via KaTeX.
+ * With `runnable`, JavaScript and Python blocks also get a Run button -
+ * the code runs in a sandboxed worker (see ../runners) and its output
+ * is shown under the block as plain text.
+ *
+ * SECURITY:
+ * - Raw HTML from the model is parsed, then sanitized with an allow-list
+ *   (rehype-sanitize) BEFORE math and highlighting run
+ * - No dangerouslySetInnerHTML anywhere in the pipeline
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Plugin lists are module constants, built once
+ * - Memoized, so finished bubbles don't re-parse while another streams
+ * - Code runs only when Run is pressed
+ */
+
+import React, { memo, useEffect, useRef, useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeRaw from 'rehype-raw';
+import rehypeSanitize, { defaultSchema } from 'rehype-sanitize';
+import rehypeKatex from 'rehype-katex';
+import rehypeHighlight from 'rehype-highlight';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github-dark.css';
+import { runCode, runnableLanguage, RUN_LIMITS } from '../runners';
+
+/**
+ * Sanitize schema
+ * Default GitHub allow-list, plus the classes remark-math puts on math
+ * nodes so rehype-katex can still find them after sanitizing.
+ */
+const sanitizeSchema = {
+    ...defaultSchema,
+    attributes: {
+        ...defaultSchema.attributes,
+        code: [
+            ...(defaultSchema.attributes.code || []),
+            ['className', /^language-./, 'math-inline', 'math-display']
+        ]
+    }
+};
+
+const remarkPlugins = [remarkGfm, remarkMath];
+
+// Order matters: sanitize untrusted HTML first, then generate trusted markup
+const rehypePlugins = [
+    rehypeRaw,
+    [rehypeSanitize, sanitizeSchema],
+    rehypeKatex,
+    [rehypeHighlight, { detect: true }]
+];
+
+const RUN_LABELS = { javascript: 'JavaScript', python: 'Python' };
+
+/**
+ * Output of a run, under its code block - always rendered as text
+ *
+ * @param {{run: {phase: string, result?: Object}, language: string}} props
+ */
+const CodeOutput = ({ run, language }) => {
+    const { phase, result } = run;
+    let summary;
+    if (phase === 'loading') summary = 'Loading Python (about 10 MB, first run only)...';
+    else if (phase === 'running') summary = `Running ${RUN_LABELS[language]}...`;
+    else if (result.status === 'stopped') summary = '■ Stopped';
+    else if (result.status === 'ok') summary = `✓ Finished in ${result.durationMs} ms`;
+    else summary = '✗ Failed';
+
+    return (
+        <div className="code-output" role="status" aria-live="polite">
+            <p className="code-output-status">{summary}</p>
+            {result && (result.output.length > 0 || result.error) && (
+                <pre>
+                    {result.output.map((chunk, index) => (
+                        <span key={index} className={chunk.stream === 'stderr' ? 'code-output-stderr' : undefined}>
+                            {chunk.text}
+                        </span>
+                    ))}
+                    {result.error && <span className="code-output-stderr">{result.error}</span>}
+                </pre>
+            )}
+            {result?.status === 'ok' && result.output.length === 0 && (
+                <p className="code-output-status">No output - use {language === 'python' ? 'print()' : 'console.log()'} to show values.</p>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Code block with a Copy button (and Run, for runnable languages)
+ * Reads the rendered text so highlighting spans don't need unwrapping
+ */
+const CodeBlock = ({ children, node, runnable = false, ...props }) => {
+    const preRef = useRef(null);
+    const abortRef = useRef(null);
+    const [copied, setCopied] = useState(false);
+    // { phase: 'loading' | 'running' | 'done', result? }
+    const [run, setRun] = useState(null);
+
+    const code = node?.children?.find(child => child.tagName === 'code');
+    const language = runnable ? runnableLanguage(code?.properties?.className) : null;
+    const running = run && run.phase !== 'done';
+
+    // A bubble that goes away (new conversation, deleted message) stops its run
+    useEffect(() => () => abortRef.current?.abort(), []);
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(preRef.current?.innerText || '');
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        } catch (error) {
+            console.error('Copy failed:', error);
+        }
+    };
+
+    const handleRun = async () => {
+        if (running) {
+            abortRef.current?.abort();
+            return;
+        }
+
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setRun({ phase: 'running' });
+        try {
+            const result = await runCode(language, preRef.current?.innerText || '', {
+                signal: controller.signal,
+                onStatus: phase => setRun({ phase })
+            });
+            setRun({ phase: 'done', result });
+        } catch (error) {
+            setRun({ phase: 'done', result: { output: [], status: 'error', error: error.message } });
+        }
+    };
+
+    return (
+        <div className="code-block">
+            <div className="code-block-actions">
+                {language && (
+                    <button
+                        onClick={handleRun}
+                        className={`btn-copy-code btn-run-code${running ? ' running' : ''}`}
+                        title={`Run in a sandbox (${RUN_LIMITS[language === 'python' ? 'pythonTimeoutMs' : 'jsTimeoutMs'] / 1000} s limit)`}
+                    >
+                        {running ? '■ Stop' : `▶ Run ${RUN_LABELS[language]}`}
+                    </button>
+                )}
+                <button onClick={handleCopy} className="btn-copy-code" aria-label="Copy code">
+                    {copied ? 'Copied!' : 'Copy'}
+                </button>
+            </div>
+            <pre ref={preRef} {...props}>{children}</pre>
+            {run && <CodeOutput run={run} language={language} />}
+        </div>
+    );
+};
+
+// Links from the model open in a new tab without access to this window
+const SafeLink = ({ node, ...props }) => (
+    <a {...props} target="_blank" rel="noopener noreferrer" />
+);
+
+const components = { pre: CodeBlock, a: SafeLink };
+const runnableComponents = { ...components, pre: props => <CodeBlock {...props} runnable /> };
+
+/**
+ * @param {{text: string, runnable?: boolean}} props - runnable: show Run on JavaScript/Python blocks
+ */
+const MarkdownMessage = ({ text, runnable = false }) => (
+    <div className="markdown-body" dir="auto">
+        <ReactMarkdown
+            remarkPlugins={remarkPlugins}
+            rehypePlugins={rehypePlugins}
+            components={runnable ? runnableComponents : components}
+        >
+            {text}
+        </ReactMarkdown>
+    </div>
+);
+
+export default memo(MarkdownMessage);
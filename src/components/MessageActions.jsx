@@ -0,0 +1,80 @@
+/**
+ * Message Actions Component
+ *
+ * Hover menu on a chat message: copy, and - for saved exchanges -
+ * regenerate (AI answers), edit and resend (prompts) and delete.
+ * Regenerated answers keep earlier versions, switched with ‹ n/m ›.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Shown with CSS :hover / :focus-within - no per-message hover state
+ * - Nothing is fetched: every action works on data already on screen
+ */
+
+import React, { useState } from 'react';
+
+/**
+ * @param {Object} props
+ * @param {string} props.text - Message text, for Copy
+ * @param {Function} [props.onRegenerate] - AI answers only
+ * @param {Function} [props.onEdit] - User prompts only
+ * @param {Function} [props.onDelete] - Deletes the whole exchange
+ * @param {{count: number, active: number, onSelect: Function}} [props.versions] - Regenerated answers
+ * @param {boolean} [props.disabled] - While an answer is being generated
+ */
+const MessageActions = ({ text, onRegenerate, onEdit, onDelete, versions, disabled = false }) => {
+    const [copied, setCopied] = useState(false);
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(text);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        } catch (error) {
+            console.error('Copy failed:', error);
+        }
+    };
+
+    return (
+        <div className="message-actions">
+            {versions && versions.count > 1 && (
+                <span className="message-versions">
+                    <button
+                        onClick={() => versions.onSelect(versions.active - 1)}
+                        disabled={disabled || versions.active === 0}
+                        aria-label="Previous version"
+                    >
+                        ‹
+                    </button>
+                    {versions.active + 1}/{versions.count}
+                    <button
+                        onClick={() => versions.onSelect(versions.active + 1)}
+                        disabled={disabled || versions.active === versions.count - 1}
+                        aria-label="Next version"
+                    >
+                        ›
+                    </button>
+                </span>
+            )}
+            <button onClick={handleCopy} title="Copy">
+                {copied ? '✓ Copied' : '⧉ Copy'}
+            </button>
+            {onRegenerate && (
+                <button onClick={onRegenerate} disabled={disabled} title="Ask again - earlier versions are kept">
+                    ↻ Regenerate
+                </button>
+            )}
+            {onEdit && (
+                <button onClick={onEdit} disabled={disabled} title="Edit and resend in a new branch">
+                    ✎ Edit
+                </button>
+            )}
+            {onDelete && (
+                <button onClick={onDelete} disabled={disabled} className="danger" title="Delete this question and answer">
+                    🗑 Delete
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default MessageActions;
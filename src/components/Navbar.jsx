@@ -10,12 +10,15 @@
 import React from 'react';
 import { signOut } from 'firebase/auth';
 import { auth } from '../firebase';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import { useTheme } from '../context/ThemeContext';
+import { useLanguage } from '../context/LanguageContext';
+import LanguageSwitcher from './LanguageSwitcher';
 
 const Navbar = ({ user }) => {
     const navigate = useNavigate();
     const { theme, toggleTheme } = useTheme();
+    const { t } = useLanguage();
 
     /**
      * Handle Logout
@@ -32,20 +35,30 @@ const Navbar = ({ user }) => {
 
     return (
         <nav className="navbar">
-            <div className="navbar-brand">
+            <Link to="/chat" className="navbar-brand">
                 <h1>MaVi GPT</h1>
-                <span className="navbar-subtitle">AI for Engineering Students</span>
-            </div>
+                <span className="navbar-subtitle">{t('nav.subtitle')}</span>
+            </Link>
 
             <div className="navbar-actions">
                 {user && (
                     <>
-                        <span className="user-email">{user.email}</span>
-                        <button onClick={toggleTheme} className="btn-theme-toggle" title={`Switch to ${theme === 'dark' ? 'light' : 'dark'} mode`}>
+                        <span className="user-email">{user.displayName || user.email}</span>
+                        <LanguageSwitcher />
+                        <button onClick={toggleTheme} className="btn-theme-toggle" title={t(theme === 'dark' ? 'nav.switchToLight' : 'nav.switchToDark')}>
                             {theme === 'dark' ? '☀️' : '🌙'}
                         </button>
+                        <Link to="/study" className="btn-secondary" title={t('nav.studyTitle')}>
+                            📚 {t('nav.study')}
+                        </Link>
+                        <Link to="/usage" className="btn-secondary" title={t('nav.usageTitle')}>
+                            🌱 {t('nav.usage')}
+                        </Link>
+                        <Link to="/settings" className="btn-secondary" title={t('nav.settingsTitle')}>
+                            ⚙️ {t('nav.settings')}
+                        </Link>
                         <button onClick={handleLogout} className="btn-secondary">
-                            Logout
+                            {t('nav.logout')}
                         </button>
                     </>
                 )}
@@ -0,0 +1,200 @@
+/**
+ * Prompt Templates Component - the Settings card for the user's own slash commands
+ *
+ * Lists the user's templates with edit and delete, and a form to add or
+ * change one. Saved templates appear in the chat's "/" palette next to
+ * the built-in commands (see src/promptTemplates.js for the syntax).
+ *
+ * GREEN CODING PRINCIPLES:
+ * - One query when the card opens, one write per save or delete
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+    BUILT_IN_COMMANDS,
+    MAX_TEMPLATES,
+    MAX_TEMPLATE_CHARS,
+    MAX_DESCRIPTION_CHARS,
+    listTemplates,
+    saveTemplate,
+    deleteTemplate,
+    validateTemplate,
+    usageOf
+} from '../promptTemplates';
+import { useLanguage } from '../context/LanguageContext';
+
+const EMPTY_FORM = { name: '', description: '', template: '' };
+
+const PromptTemplates = ({ user }) => {
+    const { t, tError } = useLanguage();
+    const [templates, setTemplates] = useState(null);
+    // { id?, name, description, template } while the form is open
+    const [form, setForm] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [status, setStatus] = useState(null);
+    const cardRef = useRef(null);
+
+    useEffect(() => {
+        listTemplates(user.uid)
+            .then(setTemplates)
+            .catch(err => {
+                console.error('Error loading templates:', err);
+                setTemplates([]);
+                setStatus({ type: 'error', text: t('templates.loadError') });
+            });
+    }, [user]);
+
+    // "Manage your templates" in the chat palette links to /settings#templates
+    useEffect(() => {
+        if (window.location.hash === '#templates') cardRef.current?.scrollIntoView();
+    }, []);
+
+    const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+    const openForm = (template = EMPTY_FORM) => {
+        setStatus(null);
+        setForm({ id: template.id, name: template.name, description: template.description, template: template.template });
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        setStatus(null);
+
+        try {
+            const others = templates.filter(template => template.id !== form.id);
+            const fields = validateTemplate(form, others);
+            const saved = await saveTemplate(user.uid, fields, form.id);
+            setTemplates([...others, { ...templates.find(template => template.id === form.id), ...saved }]
+                .sort((a, b) => a.name.localeCompare(b.name)));
+            setForm(null);
+            setStatus({ type: 'success', text: t('templates.saved', { name: saved.name }) });
+        } catch (err) {
+            console.error('Error saving template:', err);
+            setStatus({ type: 'error', text: tError(err, 'templates.saveError') });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleDelete = async (template) => {
+        if (!window.confirm(t('templates.confirmDelete', { name: template.name }))) return;
+        setStatus(null);
+        try {
+            await deleteTemplate(template.id);
+            setTemplates(prev => prev.filter(other => other.id !== template.id));
+        } catch (err) {
+            console.error('Error deleting template:', err);
+            setStatus({ type: 'error', text: t('templates.deleteError') });
+        }
+    };
+
+    const statusLine = status && (
+        <div className={status.type === 'error' ? 'error-message' : 'success-message'} role="status">
+            {status.text}
+        </div>
+    );
+
+    return (
+        <section className="settings-card prompt-templates" id="templates" ref={cardRef}>
+            <h3>{t('templates.title')}</h3>
+            <p className="settings-text">
+                {t('templates.introType')}<code>/</code>
+                {t('templates.introCommands', { commands: BUILT_IN_COMMANDS.map(command => `/${command.name}`).join(', ') })}
+                {' '}{t('templates.introSend')}<code>{t('templates.introExample')}</code>{t('templates.introExpand')}
+            </p>
+
+            {templates === null ? (
+                <p className="settings-hint">{t('templates.loading')}</p>
+            ) : templates.length > 0 && (
+                <ul className="template-list">
+                    {templates.map(template => (
+                        <li key={template.id}>
+                            <div className="template-info">
+                                <code>{usageOf(template)}</code>
+                                {template.description && <span className="settings-hint">{template.description}</span>}
+                            </div>
+                            <button onClick={() => openForm(template)} disabled={busy} className="btn-secondary">
+                                {t('templates.edit')}
+                            </button>
+                            <button onClick={() => handleDelete(template)} disabled={busy} className="btn-secondary danger">
+                                {t('templates.delete')}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {form ? (
+                <form onSubmit={handleSave}>
+                    <div className="form-group">
+                        <label>{t('templates.nameLabel')}</label>
+                        <input
+                            type="text"
+                            value={form.name}
+                            onChange={(e) => updateForm({ name: e.target.value })}
+                            placeholder={t('templates.namePlaceholder')}
+                            maxLength={31}
+                            disabled={busy}
+                            required
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label>{t('templates.descriptionLabel')}</label>
+                        <input
+                            type="text"
+                            value={form.description}
+                            onChange={(e) => updateForm({ description: e.target.value })}
+                            placeholder={t('templates.descriptionPlaceholder')}
+                            maxLength={MAX_DESCRIPTION_CHARS}
+                            disabled={busy}
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label>{t('templates.templateLabel')}</label>
+                        <textarea
+                            value={form.template}
+                            onChange={(e) => updateForm({ template: e.target.value })}
+                            placeholder={t('templates.templatePlaceholder')}
+                            maxLength={MAX_TEMPLATE_CHARS}
+                            rows="5"
+                            disabled={busy}
+                            required
+                        />
+                        <p className="settings-hint">
+                            {t('templates.syntaxHint')}
+                            {form.template.trim() && form.name.trim() && (
+                                <>{t('templates.usage')}<code>{usageOf({ name: form.name.trim().replace(/^\//, ''), template: form.template })}</code></>
+                            )}
+                        </p>
+                    </div>
+                    {statusLine}
+                    <div className="settings-actions">
+                        <button type="button" onClick={() => setForm(null)} disabled={busy} className="btn-secondary">
+                            {t('templates.cancel')}
+                        </button>
+                        <button type="submit" disabled={busy} className="btn-primary">
+                            {busy ? t('templates.saving') : t('templates.save')}
+                        </button>
+                    </div>
+                </form>
+            ) : (
+                <>
+                    {statusLine}
+                    <button
+                        onClick={() => openForm()}
+                        disabled={templates === null || templates.length >= MAX_TEMPLATES}
+                        className="btn-secondary"
+                    >
+                        ➕ {t('templates.new')}
+                    </button>
+                    {templates?.length >= MAX_TEMPLATES && (
+                        <p className="settings-hint">{t('templates.limitHint', { max: MAX_TEMPLATES })}</p>
+                    )}
+                </>
+            )}
+        </section>
+    );
+};
+
+export default PromptTemplates;
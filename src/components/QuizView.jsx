@@ -0,0 +1,102 @@
+/**
+ * Quiz View Component
+ *
+ * Multiple-choice questions one at a time: picking an option reveals
+ * whether it was right and why, and the score is shown at the end.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Everything runs on the questions already loaded - no model calls
+ * - Markdown/LaTeX renderer is lazy-loaded, as in the chat
+ */
+
+import React, { useState, lazy, Suspense } from 'react';
+import { useLanguage } from '../context/LanguageContext';
+
+const MarkdownMessage = lazy(() => import('./MarkdownMessage'));
+
+const Rich = ({ text }) => (
+    <Suspense fallback={<span dir="auto">{text}</span>}>
+        <MarkdownMessage text={text} />
+    </Suspense>
+);
+
+/**
+ * @param {{questions: Array<{question: string, options: Array<string>, answerIndex: number, explanation: string}>,
+ *          onFinish?: (grades: Array<string>) => void}} props
+ *        onFinish gets 'good' for each right answer and 'again' for each wrong one
+ */
+const QuizView = ({ questions, onFinish }) => {
+    const { t } = useLanguage();
+    const [current, setCurrent] = useState(0);
+    const [chosen, setChosen] = useState(null);
+    const [results, setResults] = useState([]);
+
+    if (current >= questions.length) {
+        const score = results.filter(Boolean).length;
+        return (
+            <div className="study-summary" role="status">
+                <p className="study-score">{score} / {questions.length}</p>
+                <p>{t('study.percentCorrect', { percent: Math.round((score / questions.length) * 100) })}</p>
+            </div>
+        );
+    }
+
+    const question = questions[current];
+    const answered = chosen !== null;
+
+    const handleChoose = (index) => {
+        if (answered) return;
+        setChosen(index);
+        setResults(prev => [...prev, index === question.answerIndex]);
+    };
+
+    const handleNext = () => {
+        setChosen(null);
+        setCurrent(current + 1);
+        if (current + 1 === questions.length) {
+            onFinish?.(results.map(correct => (correct ? 'good' : 'again')));
+        }
+    };
+
+    return (
+        <div className="quiz-view">
+            <p className="study-progress">{t('study.questionProgress', { current: current + 1, total: questions.length })}</p>
+            <div className="study-prompt">
+                <Rich text={question.question} />
+            </div>
+
+            <ol className="quiz-options">
+                {question.options.map((option, index) => {
+                    const state = !answered ? ''
+                        : index === question.answerIndex ? ' correct'
+                        : index === chosen ? ' wrong'
+                        : '';
+                    return (
+                        <li key={index}>
+                            <button
+                                onClick={() => handleChoose(index)}
+                                className={`quiz-option${state}`}
+                                disabled={answered}
+                                aria-pressed={index === chosen}
+                            >
+                                <Rich text={option} />
+                            </button>
+                        </li>
+                    );
+                })}
+            </ol>
+
+            {answered && (
+                <div className="study-feedback" role="status">
+                    <strong>{chosen === question.answerIndex ? `✓ ${t('study.correct')}` : `✗ ${t('study.notQuite')}`}</strong>
+                    {question.explanation && <Rich text={question.explanation} />}
+                    <button onClick={handleNext} className="btn-primary" autoFocus>
+                        {current + 1 === questions.length ? t('study.seeScore') : t('study.nextQuestion')}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default QuizView;
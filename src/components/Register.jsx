@@ -6,12 +6,19 @@
  * - Firebase handles user creation - no custom backend
  * - Registration happens only on user action
  * - Lightweight UI
+ *
+ * New email/password accounts get a verification email and must confirm
+ * it (on /verify-email) before they can use the chat.
  */
 
 import React, { useState } from 'react';
-import { createUserWithEmailAndPassword } from 'firebase/auth';
+import { createUserWithEmailAndPassword, sendEmailVerification } from 'firebase/auth';
 import { auth } from '../firebase';
 import { useNavigate, Link } from 'react-router-dom';
+import { friendlyAuthError } from '../authErrors';
+import GoogleSignInButton from './GoogleSignInButton';
+import LanguageSwitcher from './LanguageSwitcher';
+import { useLanguage } from '../context/LanguageContext';
 
 const Register = () => {
     // GREEN CODING: Minimal state
@@ -22,6 +29,7 @@ const Register = () => {
     const [loading, setLoading] = useState(false);
 
     const navigate = useNavigate();
+    const { t } = useLanguage();
 
     /**
      * Handle Registration
@@ -32,17 +40,17 @@ const Register = () => {
 
         // Input validation to prevent unnecessary API calls
         if (!email || !password || !confirmPassword) {
-            setError('Please fill in all fields');
+            setError(t('common.fillAllFields'));
             return;
         }
 
         if (password !== confirmPassword) {
-            setError('Passwords do not match');
+            setError(t('register.passwordsMismatch'));
             return;
         }
 
         if (password.length < 6) {
-            setError('Password must be at least 6 characters');
+            setError(t('register.passwordTooShort'));
             return;
         }
 
@@ -51,11 +59,14 @@ const Register = () => {
 
         try {
             // Firebase Auth - single API call
-            await createUserWithEmailAndPassword(auth, email, password);
-            // Redirect to chat after successful registration
-            navigate('/chat');
+            const { user } = await createUserWithEmailAndPassword(auth, email, password);
+            // A failed send can be retried from /verify-email
+            await sendEmailVerification(user, { url: `${window.location.origin}/chat` }).catch(err => {
+                console.error('Error sending verification email:', err);
+            });
+            navigate('/verify-email');
         } catch (err) {
-            setError(err.message || 'Failed to register');
+            setError(friendlyAuthError(err, t('register.failed')));
         } finally {
             setLoading(false);
         }
@@ -64,44 +75,45 @@ const Register = () => {
     return (
         <div className="auth-container">
             <div className="auth-card">
-                <Link to="/" className="home-btn" aria-label="Go to home">
-                    🏠 Home
+                <Link to="/" className="home-btn" aria-label={t('common.home')}>
+                    🏠 {t('common.home')}
                 </Link>
+                <LanguageSwitcher />
                 <h1>MaVi GPT</h1>
-                <h2>Register</h2>
+                <h2>{t('common.register')}</h2>
 
                 <form onSubmit={handleRegister}>
                     <div className="form-group">
-                        <label>Email</label>
+                        <label>{t('common.email')}</label>
                         <input
                             type="email"
                             value={email}
                             onChange={(e) => setEmail(e.target.value)}
-                            placeholder="Enter your email"
+                            placeholder={t('common.emailPlaceholder')}
                             disabled={loading}
                             required
                         />
                     </div>
 
                     <div className="form-group">
-                        <label>Password</label>
+                        <label>{t('common.password')}</label>
                         <input
                             type="password"
                             value={password}
                             onChange={(e) => setPassword(e.target.value)}
-                            placeholder="Enter your password (min 6 characters)"
+                            placeholder={t('register.passwordPlaceholder')}
                             disabled={loading}
                             required
                         />
                     </div>
 
                     <div className="form-group">
-                        <label>Confirm Password</label>
+                        <label>{t('register.confirmPassword')}</label>
                         <input
                             type="password"
                             value={confirmPassword}
                             onChange={(e) => setConfirmPassword(e.target.value)}
-                            placeholder="Confirm your password"
+                            placeholder={t('register.confirmPlaceholder')}
                             disabled={loading}
                             required
                         />
@@ -110,12 +122,15 @@ const Register = () => {
                     {error && <div className="error-message">{error}</div>}
 
                     <button type="submit" disabled={loading} className="btn-primary">
-                        {loading ? 'Creating Account...' : 'Register'}
+                        {loading ? t('register.submitting') : t('common.register')}
                     </button>
                 </form>
 
+                <div className="auth-divider"><span>{t('common.or')}</span></div>
+                <GoogleSignInButton disabled={loading} onError={setError} />
+
                 <p className="auth-switch">
-                    Already have an account? <a href="/login">Login</a>
+                    {t('register.haveAccount')} <Link to="/login">{t('common.login')}</Link>
                 </p>
             </div>
         </div>
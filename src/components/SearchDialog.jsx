@@ -0,0 +1,164 @@
+/**
+ * Search Dialog Component
+ *
+ * Ctrl+K search over every saved exchange. Results are ranked, show a
+ * highlighted snippet and can be limited to a date range; choosing one
+ * opens its conversation scrolled to that message.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - The index is built once (see ../search) - keystrokes only run an in-memory lookup
+ * - Plain overlay, no modal library
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { loadSearchIndex, searchIndex, makeSnippet } from '../search';
+import { useLanguage } from '../context/LanguageContext';
+
+/**
+ * Snippet segments with matches in <mark>
+ *
+ * @param {{segments: Array<{text: string, match: boolean}>}} props
+ */
+const Snippet = ({ segments }) => (
+    <>
+        {segments.map((segment, i) => (segment.match ? <mark key={i}>{segment.text}</mark> : <span key={i}>{segment.text}</span>))}
+    </>
+);
+
+/**
+ * Date input value ("YYYY-MM-DD") to the start or end of that local day
+ *
+ * @param {string} value - From <input type="date">
+ * @param {boolean} endOfDay - Use 23:59:59.999 instead of midnight
+ * @returns {Date|null}
+ */
+const parseDay = (value, endOfDay) => (value ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`) : null);
+
+/**
+ * @param {{user: Object, conversations: Array, onOpen: Function, onClose: Function}} props
+ */
+const SearchDialog = ({ user, conversations, onOpen, onClose }) => {
+    const { t, formatDateTime } = useLanguage();
+    const [index, setIndex] = useState(null);
+    const [status, setStatus] = useState('loading');
+    const [queryText, setQueryText] = useState('');
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [selected, setSelected] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+        loadSearchIndex(user.uid)
+            .then(built => {
+                if (cancelled) return;
+                setIndex(built);
+                setStatus('ready');
+            })
+            .catch(error => {
+                console.error('Error building search index:', error);
+                if (!cancelled) setStatus('error');
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [user]);
+
+    const results = useMemo(
+        () => searchIndex(index, queryText, { from: parseDay(from, false), to: parseDay(to, true) }),
+        [index, queryText, from, to]
+    );
+
+    useEffect(() => {
+        setSelected(0);
+    }, [results]);
+
+    const titles = useMemo(() => new Map(conversations.map(c => [c.id, c.title])), [conversations]);
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setSelected(i => Math.min(i + 1, results.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setSelected(i => Math.max(i - 1, 0));
+        } else if (e.key === 'Enter' && results[selected]) {
+            e.preventDefault();
+            onOpen(results[selected].chat);
+        }
+    };
+
+    return (
+        <div className="search-overlay" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="search-dialog" role="dialog" aria-modal="true" aria-label={t('search.dialogLabel')} onKeyDown={handleKeyDown}>
+                <input
+                    type="search"
+                    className="search-input"
+                    value={queryText}
+                    onChange={(e) => setQueryText(e.target.value)}
+                    placeholder={t('search.placeholder')}
+                    aria-label={t('search.search')}
+                    autoFocus
+                />
+                <div className="search-filters">
+                    <label>
+                        {t('search.from')}
+                        <input type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} />
+                    </label>
+                    <label>
+                        {t('search.to')}
+                        <input type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} />
+                    </label>
+                    {(from || to) && (
+                        <button onClick={() => { setFrom(''); setTo(''); }} className="link-button">
+                            {t('search.anyTime')}
+                        </button>
+                    )}
+                </div>
+
+                {status === 'loading' && <p className="search-status">{t('search.indexing')}</p>}
+                {status === 'error' && <p className="search-status">{t('search.loadError')}</p>}
+                {status === 'ready' && queryText.trim() && results.length === 0 && (
+                    <p className="search-status">{t('search.noMatches')}</p>
+                )}
+
+                <ul className="search-results" role="listbox">
+                    {results.map((result, i) => {
+                        const { chat, terms } = result;
+                        const promptSnippet = makeSnippet(chat.userPrompt, terms);
+                        const answerSnippet = makeSnippet(chat.aiResponse, terms);
+                        return (
+                            <li
+                                key={chat.id}
+                                role="option"
+                                aria-selected={i === selected}
+                                className={`search-result${i === selected ? ' selected' : ''}`}
+                                onMouseEnter={() => setSelected(i)}
+                                onClick={() => onOpen(chat)}
+                            >
+                                <div className="search-result-meta">
+                                    <span>{titles.get(chat.conversationId) || t('search.conversation')}</span>
+                                    {chat.timestamp && <span>{formatDateTime(chat.timestamp, { dateStyle: 'medium' })}</span>}
+                                </div>
+                                <div className="search-result-prompt">
+                                    {promptSnippet ? <Snippet segments={promptSnippet} /> : chat.userPrompt}
+                                </div>
+                                {answerSnippet && (
+                                    <div className="search-result-snippet">
+                                        <Snippet segments={answerSnippet} />
+                                    </div>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+
+                <p className="search-hint">{t('search.hint')}</p>
+            </div>
+        </div>
+    );
+};
+
+export default SearchDialog;
@@ -0,0 +1,445 @@
+/**
+ * Settings Component - account management
+ *
+ * Display name, appearance (theme mode and accent, synced to users/{uid}),
+ * AI preferences (model, sampling, safety, default tutor
+ * behaviour and answer language, saved in users/{uid}), prompt templates for
+ * slash commands (PromptTemplates), password change, a download of all
+ * stored data and permanent account deletion (Firestore data first,
+ * then the Auth user, then what this browser keeps).
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Nothing is read from Firestore until the user asks for it
+ *   (prompt templates: one query when the page opens)
+ * - Each section only calls Firebase on its own explicit submit
+ */
+
+import React, { useEffect, useState } from 'react';
+import { updateProfile, updatePassword, deleteUser } from 'firebase/auth';
+import { friendlyAuthError } from '../authErrors';
+import { usesPassword, reauthenticate, exportAccountData, deleteAccountData, clearLocalData } from '../account';
+import { downloadFile } from '../chatTransfer';
+import {
+    MODEL_OPTIONS,
+    RESPONSE_LANGUAGES,
+    SAFETY_CATEGORIES,
+    SAFETY_THRESHOLDS,
+    TEMPERATURE_RANGE,
+    MAX_OUTPUT_TOKENS_RANGE,
+    DEFAULT_SETTINGS,
+    saveUserSettings
+} from '../userSettings';
+import { TUTOR_MODES, ANSWER_STYLES, getTutorMode } from '../tutorModes';
+import { THEME_MODES, ACCENT_COLORS } from '../appearance';
+import { useTheme } from '../context/ThemeContext';
+import PromptTemplates from './PromptTemplates';
+
+// Typed by the user to confirm deletion
+const DELETE_CONFIRMATION = 'DELETE';
+
+/**
+ * Inline result line under a form
+ *
+ * @param {{status: {type: 'success'|'error', text: string}|null}} props
+ */
+const StatusLine = ({ status }) => {
+    if (!status) return null;
+    return (
+        <div className={status.type === 'error' ? 'error-message' : 'success-message'} role="status">
+            {status.text}
+        </div>
+    );
+};
+
+const Settings = ({ user, settings, onProfileChange, onSettingsChange }) => {
+    const hasPassword = usesPassword(user);
+
+    const [displayName, setDisplayName] = useState(user.displayName || '');
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [deletePassword, setDeletePassword] = useState('');
+    const [deleteConfirm, setDeleteConfirm] = useState('');
+    const [prefs, setPrefs] = useState(settings);
+    const { mode, accent, setMode, setAccent } = useTheme();
+
+    // Settings may finish loading after this page opens
+    useEffect(() => {
+        setPrefs(settings);
+    }, [settings]);
+
+    // Which section is busy, and the last result per section
+    const [busy, setBusy] = useState(null);
+    const [status, setStatus] = useState({});
+
+    /**
+     * Run one section's action with shared busy/status handling
+     *
+     * @param {string} section - Section key
+     * @param {() => Promise<string|void>} action - Returns the success text
+     */
+    const run = async (section, action) => {
+        setBusy(section);
+        setStatus(prev => ({ ...prev, [section]: null }));
+
+        try {
+            const text = await action();
+            if (text) setStatus(prev => ({ ...prev, [section]: { type: 'success', text } }));
+        } catch (err) {
+            const text = err.code ? friendlyAuthError(err) : err.message;
+            setStatus(prev => ({ ...prev, [section]: { type: 'error', text } }));
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleDisplayName = (e) => {
+        e.preventDefault();
+        run('profile', async () => {
+            const name = displayName.trim();
+            if (name.length > 60) throw new Error('Display name must be 60 characters or fewer');
+            await updateProfile(user, { displayName: name || null });
+            onProfileChange();
+            return 'Display name saved.';
+        });
+    };
+
+    const updatePrefs = (changes) => setPrefs(prev => ({ ...prev, ...changes }));
+
+    const handlePrefs = (e) => {
+        e.preventDefault();
+        run('prefs', async () => {
+            const saved = await saveUserSettings(user.uid, prefs);
+            onSettingsChange(saved);
+            return 'AI preferences saved.';
+        });
+    };
+
+    const handlePassword = (e) => {
+        e.preventDefault();
+        run('password', async () => {
+            if (newPassword.length < 6) throw new Error('Password must be at least 6 characters');
+            if (newPassword !== confirmPassword) throw new Error('Passwords do not match');
+
+            await reauthenticate(user, currentPassword);
+            await updatePassword(user, newPassword);
+            setCurrentPassword('');
+            setNewPassword('');
+            setConfirmPassword('');
+            return 'Password changed.';
+        });
+    };
+
+    const handleDownload = () => {
+        run('data', async () => {
+            const json = await exportAccountData(user);
+            const date = new Date().toISOString().slice(0, 10);
+            downloadFile(`mavi-gpt-data-${date}.json`, json, 'application/json');
+            return 'Your data has been downloaded.';
+        });
+    };
+
+    const handleDelete = (e) => {
+        e.preventDefault();
+        run('delete', async () => {
+            if (deleteConfirm !== DELETE_CONFIRMATION) {
+                throw new Error(`Type ${DELETE_CONFIRMATION} to confirm`);
+            }
+
+            // Re-authenticate first so deleteUser can't fail after the data is gone
+            await reauthenticate(user, deletePassword);
+            await deleteAccountData(user.uid);
+            await deleteUser(user);
+            await clearLocalData(user.uid);
+            // Full reload - Firestore was shut down to clear its cache
+            window.location.replace('/');
+        });
+    };
+
+    return (
+        <div className="settings-container">
+            <h2>Account Settings</h2>
+            <p className="settings-email">{user.email}</p>
+
+            <section className="settings-card">
+                <h3>Profile</h3>
+                <form onSubmit={handleDisplayName}>
+                    <div className="form-group">
+                        <label>Display name</label>
+                        <input
+                            type="text"
+                            value={displayName}
+                            onChange={(e) => setDisplayName(e.target.value)}
+                            placeholder="How should we call you?"
+                            maxLength={60}
+                            disabled={busy !== null}
+                        />
+                    </div>
+                    <StatusLine status={status.profile} />
+                    <button type="submit" disabled={busy !== null} className="btn-primary">
+                        {busy === 'profile' ? 'Saving...' : 'Save Name'}
+                    </button>
+                </form>
+            </section>
+
+            <section className="settings-card">
+                <h3>Appearance</h3>
+                <p className="settings-text">Applied right away and saved to your account, so other devices follow.</p>
+                <div className="form-group">
+                    <label>Theme</label>
+                    <div className="theme-options" role="radiogroup" aria-label="Theme">
+                        {THEME_MODES.map(option => (
+                            <button
+                                key={option.id}
+                                type="button"
+                                role="radio"
+                                aria-checked={mode === option.id}
+                                className={`theme-option${mode === option.id ? ' selected' : ''}`}
+                                onClick={() => setMode(option.id)}
+                            >
+                                {option.icon} {option.label}
+                            </button>
+                        ))}
+                    </div>
+                    {mode === 'system' && <p className="settings-hint">Follows your device's light/dark setting.</p>}
+                </div>
+                <div className="form-group">
+                    <label>Accent colour</label>
+                    <div className="accent-options" role="radiogroup" aria-label="Accent colour">
+                        {ACCENT_COLORS.map(option => (
+                            <button
+                                key={option.id}
+                                type="button"
+                                role="radio"
+                                aria-checked={accent === option.id}
+                                aria-label={option.label}
+                                title={option.label}
+                                className={`accent-swatch${accent === option.id ? ' selected' : ''}${option.color ? '' : ' default'}`}
+                                style={option.color ? { background: option.color } : undefined}
+                                onClick={() => setAccent(option.id)}
+                            />
+                        ))}
+                    </div>
+                    {mode === 'high-contrast' && (
+                        <p className="settings-hint">The high-contrast theme uses its own colours.</p>
+                    )}
+                </div>
+            </section>
+
+            <section className="settings-card">
+                <h3>AI Preferences</h3>
+                <form onSubmit={handlePrefs}>
+                    <div className="form-group">
+                        <label>Model</label>
+                        <select
+                            value={prefs.model}
+                            onChange={(e) => updatePrefs({ model: e.target.value })}
+                            disabled={busy !== null}
+                        >
+                            {MODEL_OPTIONS.map(option => (
+                                <option key={option.id} value={option.id}>{option.label} - {option.note}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="form-group">
+                        <label>Temperature: {prefs.temperature.toFixed(1)}</label>
+                        <input
+                            type="range"
+                            min={TEMPERATURE_RANGE.min}
+                            max={TEMPERATURE_RANGE.max}
+                            step={TEMPERATURE_RANGE.step}
+                            value={prefs.temperature}
+                            onChange={(e) => updatePrefs({ temperature: Number(e.target.value) })}
+                            disabled={busy !== null}
+                        />
+                        <p className="settings-hint">Lower is more focused and repeatable, higher is more varied.</p>
+                    </div>
+                    <div className="form-group">
+                        <label>Max answer length (tokens)</label>
+                        <input
+                            type="number"
+                            min={MAX_OUTPUT_TOKENS_RANGE.min}
+                            max={MAX_OUTPUT_TOKENS_RANGE.max}
+                            step="256"
+                            value={prefs.maxOutputTokens}
+                            onChange={(e) => updatePrefs({ maxOutputTokens: parseInt(e.target.value, 10) || 0 })}
+                            disabled={busy !== null}
+                        />
+                        <p className="settings-hint">
+                            {MAX_OUTPUT_TOKENS_RANGE.min}-{MAX_OUTPUT_TOKENS_RANGE.max}. Shorter limits use less energy.
+                        </p>
+                    </div>
+                    {SAFETY_CATEGORIES.map(category => (
+                        <div className="form-group" key={category.id}>
+                            <label>Safety filter: {category.label}</label>
+                            <select
+                                value={prefs.safety[category.id]}
+                                onChange={(e) => updatePrefs({ safety: { ...prefs.safety, [category.id]: e.target.value } })}
+                                disabled={busy !== null}
+                            >
+                                {SAFETY_THRESHOLDS.map(option => (
+                                    <option key={option.id} value={option.id}>{option.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    ))}
+                    <div className="form-group">
+                        <label>Default tutor mode for new chats</label>
+                        <select
+                            value={prefs.tutorMode}
+                            onChange={(e) => updatePrefs({
+                                tutorMode: e.target.value,
+                                answerStyle: getTutorMode(e.target.value).defaultStyle
+                            })}
+                            disabled={busy !== null}
+                        >
+                            {TUTOR_MODES.map(option => (
+                                <option key={option.id} value={option.id}>{option.icon} {option.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="form-group">
+                        <label>Default answer style</label>
+                        <select
+                            value={prefs.answerStyle}
+                            onChange={(e) => updatePrefs({ answerStyle: e.target.value })}
+                            disabled={busy !== null}
+                        >
+                            {ANSWER_STYLES.map(option => (
+                                <option key={option.id} value={option.id}>{option.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="form-group">
+                        <label>Answer language</label>
+                        <select
+                            value={prefs.responseLanguage}
+                            onChange={(e) => updatePrefs({ responseLanguage: e.target.value })}
+                            disabled={busy !== null}
+                        >
+                            {RESPONSE_LANGUAGES.map(option => (
+                                <option key={option.id} value={option.id}>{option.label}</option>
+                            ))}
+                        </select>
+                        <p className="settings-hint">The language the AI answers in. The app's own language is set in the navbar.</p>
+                    </div>
+                    <StatusLine status={status.prefs} />
+                    <div className="settings-actions">
+                        <button
+                            type="button"
+                            onClick={() => setPrefs(DEFAULT_SETTINGS)}
+                            disabled={busy !== null}
+                            className="btn-secondary"
+                        >
+                            Reset to Defaults
+                        </button>
+                        <button type="submit" disabled={busy !== null} className="btn-primary">
+                            {busy === 'prefs' ? 'Saving...' : 'Save Preferences'}
+                        </button>
+                    </div>
+                </form>
+            </section>
+
+            <PromptTemplates user={user} />
+
+            {hasPassword && (
+                <section className="settings-card">
+                    <h3>Change Password</h3>
+                    <form onSubmit={handlePassword}>
+                        <div className="form-group">
+                            <label>Current password</label>
+                            <input
+                                type="password"
+                                value={currentPassword}
+                                onChange={(e) => setCurrentPassword(e.target.value)}
+                                autoComplete="current-password"
+                                disabled={busy !== null}
+                                required
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>New password</label>
+                            <input
+                                type="password"
+                                value={newPassword}
+                                onChange={(e) => setNewPassword(e.target.value)}
+                                placeholder="At least 6 characters"
+                                autoComplete="new-password"
+                                disabled={busy !== null}
+                                required
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Confirm new password</label>
+                            <input
+                                type="password"
+                                value={confirmPassword}
+                                onChange={(e) => setConfirmPassword(e.target.value)}
+                                autoComplete="new-password"
+                                disabled={busy !== null}
+                                required
+                            />
+                        </div>
+                        <StatusLine status={status.password} />
+                        <button type="submit" disabled={busy !== null} className="btn-primary">
+                            {busy === 'password' ? 'Changing...' : 'Change Password'}
+                        </button>
+                    </form>
+                </section>
+            )}
+
+            <section className="settings-card">
+                <h3>Your Data</h3>
+                <p className="settings-text">
+                    Download a JSON file with your account details and every conversation and message stored for you.
+                </p>
+                <StatusLine status={status.data} />
+                <button onClick={handleDownload} disabled={busy !== null} className="btn-secondary">
+                    {busy === 'data' ? 'Preparing...' : '⬇ Download My Data'}
+                </button>
+            </section>
+
+            <section className="settings-card danger-zone">
+                <h3>Delete Account</h3>
+                <p className="settings-text">
+                    Permanently deletes your account, all conversations, all chat messages and your usage history. This cannot be undone.
+                </p>
+                <form onSubmit={handleDelete}>
+                    {hasPassword && (
+                        <div className="form-group">
+                            <label>Current password</label>
+                            <input
+                                type="password"
+                                value={deletePassword}
+                                onChange={(e) => setDeletePassword(e.target.value)}
+                                autoComplete="current-password"
+                                disabled={busy !== null}
+                                required
+                            />
+                        </div>
+                    )}
+                    <div className="form-group">
+                        <label>Type {DELETE_CONFIRMATION} to confirm</label>
+                        <input
+                            type="text"
+                            value={deleteConfirm}
+                            onChange={(e) => setDeleteConfirm(e.target.value)}
+                            disabled={busy !== null}
+                            required
+                        />
+                    </div>
+                    <StatusLine status={status.delete} />
+                    <button
+                        type="submit"
+                        disabled={busy !== null || deleteConfirm !== DELETE_CONFIRMATION}
+                        className="btn-danger"
+                    >
+                        {busy === 'delete' ? 'Deleting...' : 'Delete My Account'}
+                    </button>
+                </form>
+            </section>
+        </div>
+    );
+};
+
+export default Settings;
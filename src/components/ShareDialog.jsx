@@ -0,0 +1,210 @@
+/**
+ * Share Dialog Component
+ *
+ * Publish selected exchanges of the open conversation as a public,
+ * read-only link (/share/:id), and list or revoke earlier links.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - The conversation and its shares are read only when the dialog opens
+ * - Plain overlay, no modal library
+ */
+
+import React, { useEffect, useState } from 'react';
+import { fetchConversationChats } from '../chatTransfer';
+import { MAX_SHARED_EXCHANGES, createShare, listShares, revokeShare, shareUrl } from '../shares';
+import { useLanguage } from '../context/LanguageContext';
+
+// Characters of each prompt shown in the checklist
+const PROMPT_PREVIEW_CHARS = 120;
+
+/**
+ * Copy-to-clipboard button showing a short confirmation
+ *
+ * @param {{text: string}} props
+ */
+const CopyButton = ({ text }) => {
+    const { t } = useLanguage();
+    const [copied, setCopied] = useState(false);
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(text);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        } catch (error) {
+            console.error('Copy failed:', error);
+        }
+    };
+
+    return (
+        <button onClick={handleCopy} className="btn-secondary">
+            {copied ? `✓ ${t('share.copied')}` : `⧉ ${t('share.copyLink')}`}
+        </button>
+    );
+};
+
+/**
+ * @param {{user: Object, conversation: {id: string, title: string}, onClose: Function}} props
+ */
+const ShareDialog = ({ user, conversation, onClose }) => {
+    const { t, tError, formatDateTime } = useLanguage();
+    const [chats, setChats] = useState([]);
+    const [shares, setShares] = useState([]);
+    const [selected, setSelected] = useState(new Set());
+    const [status, setStatus] = useState('loading');
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all([
+            fetchConversationChats(user.uid, conversation.id),
+            listShares(user.uid, conversation.id)
+        ])
+            .then(([loadedChats, loadedShares]) => {
+                if (cancelled) return;
+                setChats(loadedChats);
+                setShares(loadedShares);
+                // Newest exchanges first, up to the limit
+                setSelected(new Set(loadedChats.slice(-MAX_SHARED_EXCHANGES).map(chat => chat.id)));
+                setStatus('ready');
+            })
+            .catch(err => {
+                console.error('Error loading share dialog:', err);
+                if (!cancelled) setStatus('error');
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [user, conversation]);
+
+    const toggle = (chatId) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            if (next.has(chatId)) next.delete(chatId);
+            else next.add(chatId);
+            return next;
+        });
+    };
+
+    const handleCreate = async () => {
+        setBusy(true);
+        setError('');
+        try {
+            const share = await createShare(user.uid, conversation, chats.filter(chat => selected.has(chat.id)));
+            setShares(prev => [share, ...prev]);
+        } catch (err) {
+            console.error('Error creating share:', err);
+            setError(tError(err, 'share.createError'));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRevoke = async (shareId) => {
+        if (!window.confirm(t('share.confirmRevoke'))) return;
+        setBusy(true);
+        setError('');
+        try {
+            await revokeShare(shareId);
+            setShares(prev => prev.filter(share => share.id !== shareId));
+        } catch (err) {
+            console.error('Error revoking share:', err);
+            setError(t('share.revokeError'));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="search-overlay" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+            <div
+                className="search-dialog share-dialog"
+                role="dialog"
+                aria-modal="true"
+                aria-label={t('share.dialogLabel')}
+                onKeyDown={(e) => e.key === 'Escape' && onClose()}
+            >
+                <div className="share-header">
+                    <h3>🔗 {t('share.heading', { title: conversation.title })}</h3>
+                    <button onClick={onClose} className="link-button" aria-label={t('share.close')} autoFocus>✕</button>
+                </div>
+                <p className="share-note">{t('share.note')}</p>
+
+                {status === 'loading' && <p className="search-status">{t('share.loading')}</p>}
+                {status === 'error' && <p className="search-status">{t('share.loadError')}</p>}
+
+                {status === 'ready' && (
+                    <>
+                        <div className="share-select-all">
+                            <span>{t('share.selected', { selected: selected.size, total: chats.length, max: MAX_SHARED_EXCHANGES })}</span>
+                            <button
+                                onClick={() => setSelected(new Set(chats.slice(-MAX_SHARED_EXCHANGES).map(chat => chat.id)))}
+                                className="link-button"
+                            >
+                                {t('share.selectAll')}
+                            </button>
+                            <button onClick={() => setSelected(new Set())} className="link-button">
+                                {t('share.selectNone')}
+                            </button>
+                        </div>
+                        <ul className="share-exchanges">
+                            {chats.map(chat => (
+                                <li key={chat.id}>
+                                    <label>
+                                        <input
+                                            type="checkbox"
+                                            checked={selected.has(chat.id)}
+                                            onChange={() => toggle(chat.id)}
+                                        />
+                                        <span dir="auto">
+                                            {chat.userPrompt.length > PROMPT_PREVIEW_CHARS
+                                                ? `${chat.userPrompt.slice(0, PROMPT_PREVIEW_CHARS)}…`
+                                                : chat.userPrompt}
+                                        </span>
+                                    </label>
+                                </li>
+                            ))}
+                        </ul>
+
+                        {error && <div className="error-message" role="alert">{error}</div>}
+
+                        <button
+                            onClick={handleCreate}
+                            className="btn-primary"
+                            disabled={busy || selected.size === 0 || selected.size > MAX_SHARED_EXCHANGES}
+                        >
+                            {busy ? t('share.working') : t('share.create')}
+                        </button>
+
+                        {shares.length > 0 && (
+                            <div className="share-links">
+                                <h4>{t('share.links')}</h4>
+                                <ul>
+                                    {shares.map(share => (
+                                        <li key={share.id}>
+                                            <a href={shareUrl(share.id)} target="_blank" rel="noreferrer">
+                                                {t('share.messageCount', { count: share.count })}
+                                                {share.createdAt && ` · ${formatDateTime(share.createdAt)}`}
+                                            </a>
+                                            <CopyButton text={shareUrl(share.id)} />
+                                            <button
+                                                onClick={() => handleRevoke(share.id)}
+                                                className="btn-secondary danger"
+                                                disabled={busy}
+                                            >
+                                                {t('share.revoke')}
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ShareDialog;
@@ -0,0 +1,104 @@
+/**
+ * Shared Conversation Component - public page at /share/:shareId
+ *
+ * Renders a read-only snapshot published from the Share dialog. Works
+ * without signing in; a revoked or unknown link shows a short notice.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - A single document read, no listeners
+ * - Markdown/LaTeX renderer is lazy-loaded, as in the chat
+ */
+
+import React, { useEffect, useState, lazy, Suspense } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { loadShare } from '../shares';
+import { useLanguage } from '../context/LanguageContext';
+
+const MarkdownMessage = lazy(() => import('./MarkdownMessage'));
+
+const SharedConversation = () => {
+    const { shareId } = useParams();
+    const { t, formatDateTime } = useLanguage();
+    const [share, setShare] = useState(null);
+    const [status, setStatus] = useState('loading');
+
+    useEffect(() => {
+        let cancelled = false;
+        setStatus('loading');
+        loadShare(shareId)
+            .then(loaded => {
+                if (cancelled) return;
+                setShare(loaded);
+                setStatus(loaded ? 'ready' : 'missing');
+            })
+            .catch(error => {
+                console.error('Error loading share:', error);
+                if (!cancelled) setStatus('error');
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [shareId]);
+
+    useEffect(() => {
+        if (share) document.title = `${share.title} - MaVi GPT`;
+    }, [share]);
+
+    return (
+        <div className="shared-container">
+            {status === 'loading' && <p className="shared-status">{t('share.pageLoading')}</p>}
+            {status === 'missing' && (
+                <div className="shared-status">
+                    <h2>{t('share.missingTitle')}</h2>
+                    <p>{t('share.missingText')}</p>
+                </div>
+            )}
+            {status === 'error' && (
+                <p className="shared-status">{t('share.pageError')}</p>
+            )}
+
+            {status === 'ready' && (
+                <>
+                    <header className="shared-header">
+                        <h2 dir="auto">{share.title}</h2>
+                        <p className="shared-meta">
+                            🔒 {t('share.readOnly')}
+                            {share.createdAt && ` · ${t('share.sharedOn', { date: formatDateTime(share.createdAt, { dateStyle: 'medium' }) })}`}
+                            {` · ${t('share.messageCount', { count: share.exchanges.length })}`}
+                        </p>
+                    </header>
+
+                    <div className="shared-messages">
+                        {share.exchanges.map((exchange, index) => (
+                            <React.Fragment key={index}>
+                                <div className="message user">
+                                    <div className="message-content">
+                                        <div className="plain-text" dir="auto">{exchange.userPrompt}</div>
+                                        {exchange.timestamp && (
+                                            <time className="message-time" dateTime={exchange.timestamp.toISOString()}>
+                                                {formatDateTime(exchange.timestamp)}
+                                            </time>
+                                        )}
+                                    </div>
+                                </div>
+                                <div className="message ai">
+                                    <div className="message-content">
+                                        <Suspense fallback={<div className="plain-text">{exchange.aiResponse}</div>}>
+                                            <MarkdownMessage text={exchange.aiResponse} />
+                                        </Suspense>
+                                    </div>
+                                </div>
+                            </React.Fragment>
+                        ))}
+                    </div>
+                </>
+            )}
+
+            <footer className="shared-footer">
+                <Link to="/" className="btn-primary">✨ {t('share.cta')}</Link>
+            </footer>
+        </div>
+    );
+};
+
+export default SharedConversation;
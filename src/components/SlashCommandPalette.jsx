@@ -0,0 +1,66 @@
+/**
+ * Slash Command Palette Component
+ *
+ * Floats above the chat input. While a command name is being typed it
+ * lists matching commands (↑/↓ to move, Enter or Tab to pick, Esc to
+ * close); once a known command is typed it shows how to call it.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Rendered only while the input starts with "/"
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { usageOf } from '../promptTemplates';
+import { useLanguage } from '../context/LanguageContext';
+
+/**
+ * @param {Object} props
+ * @param {string} props.listId - ID of the listbox; option i is `${listId}-${i}`
+ *        (the textarea points aria-controls/aria-activedescendant at them)
+ */
+const SlashCommandPalette = ({ listId, suggestions, activeIndex, command, error, onPick }) => {
+    const { t } = useLanguage();
+    const describe = (item) => (item.builtIn ? t(`templates.builtIn.${item.id}`) : item.description);
+
+    if (suggestions.length === 0 && !command && !error) return null;
+
+    return (
+        <div className="slash-palette">
+            {suggestions.length > 0 ? (
+                <>
+                    <ul id={listId} role="listbox" aria-label={t('chat.commands')}>
+                        {suggestions.map((item, i) => (
+                            <li
+                                key={item.id}
+                                id={`${listId}-${i}`}
+                                role="option"
+                                aria-selected={i === activeIndex}
+                                className={i === activeIndex ? 'active' : ''}
+                                // mousedown, so the textarea keeps focus
+                                onMouseDown={(e) => {
+                                    e.preventDefault();
+                                    onPick(item);
+                                }}
+                            >
+                                <span className="slash-name">{item.icon} /{item.name}</span>
+                                <span className="slash-description">{describe(item)}</span>
+                            </li>
+                        ))}
+                    </ul>
+                    <Link to="/settings#templates" className="slash-manage">
+                        {t('chat.manageTemplates')}
+                    </Link>
+                </>
+            ) : command && (
+                <p className="slash-usage">
+                    {command.icon} <code>{usageOf(command)}</code>
+                    {describe(command) && <span className="slash-description"> - {describe(command)}</span>}
+                </p>
+            )}
+            {error && <p className="slash-error" role="alert">{error}</p>}
+        </div>
+    );
+};
+
+export default SlashCommandPalette;
@@ -0,0 +1,151 @@
+/**
+ * Study Decks - saved quizzes and flashcards, reviewed on a schedule
+ *
+ * Each deck shows how many items are due. Reviewing runs the due items
+ * through the quiz or flashcard view and saves the new schedule (see
+ * src/decks.js for the spaced-repetition rules).
+ *
+ * GREEN CODING PRINCIPLES:
+ * - One query for the list, one write per finished review
+ * - No model calls - decks are generated once, from the chat
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { listDecks, dueItems, nextDue, recordReviews, deleteDeck } from '../decks';
+import { getStudyKind } from '../studySets';
+import { useLanguage } from '../context/LanguageContext';
+import QuizView from './QuizView';
+import FlashcardView from './FlashcardView';
+
+const StudyDecks = ({ user }) => {
+    const { t, formatDateTime } = useLanguage();
+    const [decks, setDecks] = useState(null);
+    const [error, setError] = useState('');
+    // { deck, indexes } while a review is running
+    const [review, setReview] = useState(null);
+    const [reviewStatus, setReviewStatus] = useState('');
+
+    useEffect(() => {
+        listDecks(user.uid)
+            .then(setDecks)
+            .catch(err => {
+                console.error('Error loading decks:', err);
+                setError(t('study.loadError'));
+            });
+    }, [user]);
+
+    const startReview = (deck, indexes) => {
+        setReviewStatus('');
+        setReview({ deck, indexes });
+    };
+
+    const handleFinish = async (grades) => {
+        const { deck, indexes } = review;
+        try {
+            const updated = await recordReviews(deck, indexes.map((index, i) => ({ index, grade: grades[i] })));
+            setDecks(prev => [updated, ...prev.filter(d => d.id !== deck.id)]);
+            const next = nextDue(updated);
+            setReviewStatus(next ? t('study.reviewSavedNext', { date: formatDateTime(next) }) : t('study.reviewSaved'));
+        } catch (err) {
+            console.error('Error saving review:', err);
+            setReviewStatus(t('study.reviewSaveError'));
+        }
+    };
+
+    const handleDelete = async (deck) => {
+        if (!window.confirm(t('study.confirmDelete', { title: deck.title }))) return;
+        try {
+            await deleteDeck(deck.id);
+            setDecks(prev => prev.filter(d => d.id !== deck.id));
+        } catch (err) {
+            console.error('Error deleting deck:', err);
+            setError(t('study.deleteError'));
+        }
+    };
+
+    if (review) {
+        const { deck, indexes } = review;
+        const items = indexes.map(index => deck.items[index]);
+        return (
+            <div className="usage-container">
+                <h2 dir="auto">{getStudyKind(deck.kind).icon} {deck.title}</h2>
+                <section className="settings-card study-body">
+                    {deck.kind === 'quiz'
+                        ? <QuizView questions={items} onFinish={handleFinish} />
+                        : <FlashcardView cards={items} onFinish={handleFinish} />}
+                </section>
+                {reviewStatus && <p className="usage-note" role="status">{reviewStatus}</p>}
+                <button onClick={() => setReview(null)} className="btn-secondary">← {t('study.allDecks')}</button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="usage-container">
+            <h2>📚 {t('study.title')}</h2>
+            <p className="usage-note">{t('study.intro')}</p>
+
+            {error && <div className="error-message" role="alert">{error}</div>}
+            {!decks && !error && <p className="usage-note">{t('study.loading')}</p>}
+
+            {decks && decks.length === 0 && (
+                <section className="settings-card">
+                    <p className="settings-text">
+                        {t('study.emptyBefore')}<Link to="/chat">{t('study.emptyLink')}</Link>
+                        {t('study.emptyAfter', { study: t('chat.study'), quiz: t('chat.makeQuiz'), flashcards: t('chat.makeFlashcards') })}
+                    </p>
+                </section>
+            )}
+
+            {decks && decks.length > 0 && (
+                <ul className="deck-list">
+                    {decks.map(deck => {
+                        const due = dueItems(deck);
+                        const kind = getStudyKind(deck.kind);
+                        return (
+                            <li key={deck.id} className="settings-card deck-card">
+                                <div className="deck-info">
+                                    <h3 dir="auto">{kind.icon} {deck.title}</h3>
+                                    <p className="usage-note">
+                                        {t(`study.kinds.${kind.id}`)} · {t('study.itemCount', { count: deck.items.length })}
+                                        {' · '}
+                                        {due.length > 0
+                                            ? t('study.dueNow', { count: due.length })
+                                            : t('study.nextReview', { date: formatDateTime(nextDue(deck), { dateStyle: 'medium' }) })}
+                                    </p>
+                                </div>
+                                <div className="settings-actions">
+                                    <button
+                                        onClick={() => startReview(deck, due)}
+                                        className="btn-primary"
+                                        disabled={due.length === 0}
+                                    >
+                                        {due.length > 0 ? t('study.reviewCount', { count: due.length }) : t('study.review')}
+                                    </button>
+                                    <button
+                                        onClick={() => startReview(deck, deck.items.map((item, index) => index))}
+                                        className="btn-secondary"
+                                        title={t('study.practiseAllTitle')}
+                                    >
+                                        {t('study.practiseAll')}
+                                    </button>
+                                    {deck.conversationId && (
+                                        <Link to={`/chat/${deck.conversationId}`} className="btn-secondary">
+                                            {t('study.openChat')}
+                                        </Link>
+                                    )}
+                                    <button onClick={() => handleDelete(deck)} className="btn-secondary danger">
+                                        {t('study.delete')}
+                                    </button>
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default StudyDecks;
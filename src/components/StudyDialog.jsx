@@ -0,0 +1,140 @@
+/**
+ * Study Dialog Component
+ *
+ * Turns the open conversation into a quiz or a set of flashcards, lets
+ * the student try it straight away and save it as a deck for spaced
+ * review on the Study page.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - One structured model call when the dialog opens, another only on "Generate again"
+ * - Its tokens count towards the footprint meter like any answer
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { fetchConversationChats } from '../chatTransfer';
+import { generateStudySet, getStudyKind } from '../studySets';
+import { saveDeck } from '../decks';
+import { recordUsage } from '../footprint';
+import { AIError } from '../errors';
+import { useLanguage } from '../context/LanguageContext';
+import QuizView from './QuizView';
+import FlashcardView from './FlashcardView';
+
+/**
+ * @param {{user: Object, conversation: {id: string, title: string}, kind: string, onClose: Function}} props
+ */
+const StudyDialog = ({ user, conversation, kind, onClose }) => {
+    const { t, tError } = useLanguage();
+    const [set, setSet] = useState(null);
+    const [status, setStatus] = useState('generating');
+    const [error, setError] = useState('');
+    const [savedDeck, setSavedDeck] = useState(null);
+    const [attempt, setAttempt] = useState(0);
+    const studyKind = getStudyKind(kind);
+
+    // Keyed by IDs, not objects - a re-rendered conversation must not cost another model call
+    useEffect(() => {
+        let cancelled = false;
+        setStatus('generating');
+        setError('');
+        setSavedDeck(null);
+
+        const saveUsage = (usage) => {
+            if (!usage) return;
+            recordUsage(user.uid, usage).catch(err => console.error('Error recording usage:', err));
+        };
+
+        fetchConversationChats(user.uid, conversation.id)
+            .then(chats => generateStudySet(kind, conversation, chats))
+            .then(generated => {
+                saveUsage(generated.usage);
+                if (cancelled) return;
+                setSet(generated);
+                setStatus('ready');
+            })
+            .catch(err => {
+                console.error('Error generating study set:', err);
+                saveUsage(err.usage);
+                if (cancelled) return;
+                // AI failures carry their own message, as in the chat
+                setError(err instanceof AIError ? err.message : tError(err, 'study.generateError'));
+                setStatus('error');
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [user.uid, conversation.id, kind, attempt]);
+
+    const handleSave = async () => {
+        setStatus('saving');
+        try {
+            setSavedDeck(await saveDeck(user.uid, conversation.id, set));
+        } catch (err) {
+            console.error('Error saving deck:', err);
+            setError(t('study.saveError'));
+        } finally {
+            setStatus('ready');
+        }
+    };
+
+    return (
+        <div className="search-overlay" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+            <div
+                className="search-dialog study-dialog"
+                role="dialog"
+                aria-modal="true"
+                aria-label={t(`study.kinds.${studyKind.id}`)}
+                onKeyDown={(e) => e.key === 'Escape' && onClose()}
+            >
+                <div className="share-header">
+                    <h3 dir="auto">{studyKind.icon} {set?.title || conversation.title}</h3>
+                    <button onClick={onClose} className="link-button" aria-label={t('study.close')}>✕</button>
+                </div>
+
+                {status === 'generating' && (
+                    <p className="search-status">{t(`study.generating.${studyKind.id}`)}</p>
+                )}
+                {status === 'error' && (
+                    <>
+                        <div className="error-message" role="alert">{error}</div>
+                        <button onClick={() => setAttempt(a => a + 1)} className="btn-secondary">↻ {t('study.tryAgain')}</button>
+                    </>
+                )}
+
+                {set && (status === 'ready' || status === 'saving') && (
+                    <>
+                        <div className="study-body">
+                            {set.kind === 'quiz'
+                                ? <QuizView key={attempt} questions={set.items} />
+                                : <FlashcardView key={attempt} cards={set.items} />}
+                        </div>
+
+                        {error && <div className="error-message" role="alert">{error}</div>}
+
+                        <div className="settings-actions">
+                            {savedDeck ? (
+                                <p className="share-note" role="status">
+                                    ✓ {t('study.savedBefore')}<Link to="/study" onClick={onClose}>{t('study.savedLink')}</Link>{t('study.savedAfter')}
+                                </p>
+                            ) : (
+                                <button onClick={handleSave} className="btn-primary" disabled={status === 'saving'}>
+                                    {status === 'saving' ? t('study.saving') : `💾 ${t('study.saveDeck')}`}
+                                </button>
+                            )}
+                            <button
+                                onClick={() => setAttempt(a => a + 1)}
+                                className="btn-secondary"
+                                disabled={status === 'saving'}
+                            >
+                                ↻ {t('study.generateAgain')}
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default StudyDialog;
@@ -0,0 +1,47 @@
+/**
+ * Study Menu Component
+ *
+ * "Make quiz" / "Make flashcards" for the open conversation.
+ * Generation happens in StudyDialog once an option is picked.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Native <details> dropdown, as in ExportMenu - no menu library
+ */
+
+import React, { useRef } from 'react';
+import { STUDY_KINDS } from '../studySets';
+import { useLanguage } from '../context/LanguageContext';
+
+const LABEL_KEYS = {
+    quiz: 'chat.makeQuiz',
+    flashcards: 'chat.makeFlashcards'
+};
+
+const StudyMenu = ({ disabled, onSelect }) => {
+    const { t } = useLanguage();
+    const menuRef = useRef(null);
+
+    const handleSelect = (kind) => {
+        if (menuRef.current) menuRef.current.open = false;
+        onSelect(kind);
+    };
+
+    return (
+        <div className="export-menu study-menu">
+            <details ref={menuRef}>
+                <summary className="btn-secondary" aria-disabled={disabled} title={t('chat.studyTitle')}>
+                    📚 {t('chat.study')}
+                </summary>
+                <div className="export-menu-items">
+                    {STUDY_KINDS.map(kind => (
+                        <button key={kind.id} onClick={() => handleSelect(kind.id)} disabled={disabled}>
+                            {kind.icon} {t(LABEL_KEYS[kind.id])}
+                        </button>
+                    ))}
+                </div>
+            </details>
+        </div>
+    );
+};
+
+export default StudyMenu;
@@ -0,0 +1,52 @@
+/**
+ * Tutor Mode Selector Component
+ *
+ * Picks the subject (tutor mode) and answer style for the open
+ * conversation. Changing the mode also switches to its default style.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Native <select> elements - no dropdown library
+ * - Nothing is sent to the model on change; the new mode applies to the next message
+ */
+
+import React from 'react';
+import { TUTOR_MODES, ANSWER_STYLES, getTutorMode } from '../tutorModes';
+
+/**
+ * @param {{mode: {tutorMode: string, answerStyle: string}, onChange: Function, disabled?: boolean}} props
+ */
+const TutorModeSelector = ({ mode, onChange, disabled = false }) => (
+    <div className="tutor-mode-selector">
+        <label>
+            <span>Tutor mode</span>
+            <select
+                value={mode.tutorMode}
+                onChange={(e) => onChange({
+                    tutorMode: e.target.value,
+                    answerStyle: getTutorMode(e.target.value).defaultStyle
+                })}
+                disabled={disabled}
+            >
+                {TUTOR_MODES.map(option => (
+                    <option key={option.id} value={option.id}>
+                        {option.icon} {option.label}
+                    </option>
+                ))}
+            </select>
+        </label>
+        <label>
+            <span>Answer style</span>
+            <select
+                value={mode.answerStyle}
+                onChange={(e) => onChange({ ...mode, answerStyle: e.target.value })}
+                disabled={disabled}
+            >
+                {ANSWER_STYLES.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+            </select>
+        </label>
+    </div>
+);
+
+export default TutorModeSelector;
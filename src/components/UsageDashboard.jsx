@@ -0,0 +1,146 @@
+/**
+ * Usage Dashboard - personal token, energy and CO2 totals
+ *
+ * Daily bars for the last 7 days and totals for the last 4 calendar
+ * weeks (Monday to Sunday). Figures are estimates: see src/footprint.js
+ * for the factors and how to change them.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - One query for at most 28 small daily documents
+ * - Plain CSS bars - no charting library
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+    fetchDailyUsage,
+    sumUsage,
+    footprintOf,
+    formatEnergy,
+    formatCO2,
+    formatTokens,
+    FOOTPRINT_FACTORS
+} from '../footprint';
+
+const WEEKS = 4;
+
+// Monday of the week `weeksAgo` weeks before this one, at local midnight
+const weekStart = (weeksAgo) => {
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7) - weeksAgo * 7);
+    return date;
+};
+
+const UsageDashboard = ({ user }) => {
+    const [days, setDays] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const loadUsage = async () => {
+            try {
+                setDays(await fetchDailyUsage(user.uid, weekStart(WEEKS - 1)));
+            } catch (err) {
+                console.error('Error loading usage:', err);
+                setError('Could not load your usage. Please try again later.');
+            }
+        };
+
+        loadUsage();
+    }, [user]);
+
+    if (error) {
+        return <div className="usage-container"><div className="error-message">{error}</div></div>;
+    }
+    if (!days) {
+        return <div className="usage-container"><p className="usage-note">Loading your footprint...</p></div>;
+    }
+
+    const lastWeek = days.slice(-7);
+    const peak = Math.max(1, ...lastWeek.map(day => day.totalTokens));
+    const today = sumUsage(days.slice(-1));
+
+    // Calendar weeks, newest first; each is 7 days except the current one
+    const weeks = Array.from({ length: WEEKS }, (_, i) => {
+        const from = i * 7;
+        return { start: days[from].date, ...sumUsage(days.slice(from, from + 7)) };
+    }).reverse();
+
+    const estimated = sumUsage(days).estimatedMessages;
+
+    return (
+        <div className="usage-container">
+            <h2>Your AI Footprint 🌱</h2>
+            <p className="usage-note">
+                Estimated from the tokens each answer used, at {FOOTPRINT_FACTORS.whPer1kTokens} Wh per 1,000 tokens
+                and {FOOTPRINT_FACTORS.gCO2PerKWh} g CO₂ per kWh.
+            </p>
+
+            <section className="usage-cards">
+                <div className="usage-card">
+                    <span className="usage-label">Today</span>
+                    <strong>{formatTokens(today.totalTokens)} tokens</strong>
+                    <span>{formatEnergy(today.energyWh)} · {formatCO2(today.co2g)} CO₂</span>
+                    <span className="usage-sub">{today.messages} answer{today.messages === 1 ? '' : 's'}</span>
+                </div>
+                <div className="usage-card">
+                    <span className="usage-label">This week</span>
+                    <strong>{formatTokens(weeks[0].totalTokens)} tokens</strong>
+                    <span>{formatEnergy(weeks[0].energyWh)} · {formatCO2(weeks[0].co2g)} CO₂</span>
+                    <span className="usage-sub">{weeks[0].messages} answer{weeks[0].messages === 1 ? '' : 's'}</span>
+                </div>
+            </section>
+
+            <section className="settings-card">
+                <h3>Last 7 days</h3>
+                <ul className="usage-bars">
+                    {lastWeek.map(day => {
+                        const { energyWh, co2g } = footprintOf(day.totalTokens);
+                        const label = new Date(`${day.date}T00:00`).toLocaleDateString(undefined, { weekday: 'short' });
+                        return (
+                            <li key={day.date} title={`${day.date}: ${formatTokens(day.totalTokens)} tokens, ${formatEnergy(energyWh)}, ${formatCO2(co2g)} CO₂`}>
+                                <div className="usage-bar-track">
+                                    <div className="usage-bar" style={{ height: `${(day.totalTokens / peak) * 100}%` }} />
+                                </div>
+                                <span className="usage-bar-label">{label}</span>
+                            </li>
+                        );
+                    })}
+                </ul>
+            </section>
+
+            <section className="settings-card">
+                <h3>Weekly totals</h3>
+                <table className="usage-table">
+                    <thead>
+                        <tr>
+                            <th>Week of</th>
+                            <th>Answers</th>
+                            <th>Tokens</th>
+                            <th>Energy</th>
+                            <th>CO₂</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {weeks.map(week => (
+                            <tr key={week.start}>
+                                <td>{new Date(`${week.start}T00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}</td>
+                                <td>{week.messages}</td>
+                                <td>{formatTokens(week.totalTokens)}</td>
+                                <td>{formatEnergy(week.energyWh)}</td>
+                                <td>{formatCO2(week.co2g)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {estimated > 0 && (
+                    <p className="usage-note">
+                        {estimated} answer{estimated === 1 ? ' was' : 's were'} stopped early or came from a provider
+                        without token counts, so their tokens are estimated from text length.
+                    </p>
+                )}
+            </section>
+        </div>
+    );
+};
+
+export default UsageDashboard;
@@ -0,0 +1,91 @@
+/**
+ * Verify Email Component
+ *
+ * Shown instead of /chat until the user's email address is confirmed.
+ * The link in the email is handled by Firebase; this page resends it and
+ * re-checks the account once the user says they've clicked it.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - No polling - the account is reloaded only when the user asks
+ */
+
+import React, { useState } from 'react';
+import { sendEmailVerification, signOut } from 'firebase/auth';
+import { useNavigate } from 'react-router-dom';
+import { auth } from '../firebase';
+import { friendlyAuthError } from '../authErrors';
+
+const VerifyEmail = ({ user, onRefresh }) => {
+    const [status, setStatus] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+    const navigate = useNavigate();
+
+    const handleResend = async () => {
+        setLoading(true);
+        setError('');
+        setStatus('');
+
+        try {
+            await sendEmailVerification(user, { url: `${window.location.origin}/chat` });
+            setStatus(`Verification email sent to ${user.email}.`);
+        } catch (err) {
+            setError(friendlyAuthError(err, 'Could not send the verification email. Please try again.'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleCheck = async () => {
+        setLoading(true);
+        setError('');
+        setStatus('');
+
+        try {
+            const verified = await onRefresh();
+            if (verified) {
+                navigate('/chat', { replace: true });
+            } else {
+                setError('Your email is not verified yet. Click the link in the email, then try again.');
+            }
+        } catch (err) {
+            setError(friendlyAuthError(err));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSignOut = async () => {
+        await signOut(auth);
+        navigate('/login');
+    };
+
+    return (
+        <div className="auth-container">
+            <div className="auth-card">
+                <h1>MaVi GPT</h1>
+                <h2>Verify Your Email</h2>
+
+                <p className="auth-text">
+                    We sent a verification link to <strong>{user.email}</strong>.
+                    Open it to activate your account, then come back here.
+                </p>
+
+                {status && <div className="success-message" role="status">{status}</div>}
+                {error && <div className="error-message">{error}</div>}
+
+                <button onClick={handleCheck} disabled={loading} className="btn-primary">
+                    {loading ? 'Checking...' : "I've Verified My Email"}
+                </button>
+
+                <p className="auth-switch">
+                    No email? <button onClick={handleResend} disabled={loading} className="link-button">Resend link</button>
+                    {' · '}
+                    <button onClick={handleSignOut} className="link-button">Use another account</button>
+                </p>
+            </div>
+        </div>
+    );
+};
+
+export default VerifyEmail;
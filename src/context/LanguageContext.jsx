@@ -0,0 +1,64 @@
+/**
+ * Language Context - Global UI Language
+ *
+ * Provides the UI language, t(), tError() and date formatting to the entire application
+ * Persists the choice in localStorage; the first visit follows the browser
+ * Sets <html lang> and <html dir> so right-to-left languages flip the layout
+ */
+
+import React, { createContext, useState, useEffect, useContext, useCallback } from 'react';
+import { getLanguage, detectLanguage, loadCatalog, translate, formatDate, MessageError } from '../i18n';
+
+const LanguageContext = createContext();
+
+export const useLanguage = () => {
+    const context = useContext(LanguageContext);
+    if (!context) {
+        throw new Error('useLanguage must be used within LanguageProvider');
+    }
+    return context;
+};
+
+export const LanguageProvider = ({ children }) => {
+    // Initialize from localStorage, or the browser's preferred languages
+    const [language, setLanguage] = useState(() => {
+        return getLanguage(localStorage.getItem('mavi-language') || detectLanguage()).code;
+    });
+    // Language whose catalog is loaded - English until the first load finishes
+    const [loaded, setLoaded] = useState('en');
+
+    useEffect(() => {
+        let cancelled = false;
+        localStorage.setItem('mavi-language', language);
+        loadCatalog(language)
+            .then(() => {
+                if (!cancelled) setLoaded(language);
+            })
+            .catch(error => {
+                console.error('Error loading language:', error);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [language]);
+
+    // Update document attributes once the catalog is in place
+    const { dir } = getLanguage(loaded);
+    useEffect(() => {
+        document.documentElement.setAttribute('lang', loaded);
+        document.documentElement.setAttribute('dir', dir);
+    }, [loaded, dir]);
+
+    const t = useCallback((key, vars) => translate(loaded, key, vars), [loaded]);
+    const formatDateTime = useCallback((date, options) => formatDate(loaded, date, options), [loaded]);
+    // A MessageError's own message, or the fallback key for anything unexpected
+    const tError = useCallback((error, fallbackKey) => (
+        error instanceof MessageError ? t(error.key, error.vars) : t(fallbackKey)
+    ), [t]);
+
+    return (
+        <LanguageContext.Provider value={{ language, setLanguage, dir, t, tError, formatDateTime }}>
+            {children}
+        </LanguageContext.Provider>
+    );
+};
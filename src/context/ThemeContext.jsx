@@ -1,14 +1,21 @@
 /**
  * Theme Context - Global Theme Management
- * 
- * Provides theme state (light/dark) to entire application
- * Persists theme preference in localStorage
+ *
+ * Provides theme state to entire application: a mode (system, light, dark
+ * or high-contrast, see ../appearance) and an accent colour
+ * "system" follows the OS prefers-color-scheme setting live
+ * Persists the preference in localStorage, and in the signed-in user's
+ * profile (users/{uid}) so it follows them across devices
  */
 
 import React, { createContext, useState, useEffect, useContext } from 'react';
+import { validateAppearance, resolveTheme } from '../appearance';
+import { saveAppearance } from '../userSettings';
 
 const ThemeContext = createContext();
 
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
 export const useTheme = () => {
     const context = useContext(ThemeContext);
     if (!context) {
@@ -17,26 +24,78 @@ export const useTheme = () => {
     return context;
 };
 
-export const ThemeProvider = ({ children }) => {
-    // Initialize theme from localStorage or default to 'dark'
-    const [theme, setTheme] = useState(() => {
-        const savedTheme = localStorage.getItem('mavi-theme');
-        return savedTheme || 'dark';
-    });
+/**
+ * @param {Object} props
+ * @param {string|null} [props.userId] - Signed-in user, whose profile changes are saved to
+ * @param {{theme: string, accent: string}|null} [props.stored] - Appearance loaded from that profile
+ */
+export const ThemeProvider = ({ children, userId = null, stored = null }) => {
+    // Initialize from localStorage or default to dark
+    const [appearance, setAppearance] = useState(() => validateAppearance({
+        theme: localStorage.getItem('mavi-theme'),
+        accent: localStorage.getItem('mavi-accent')
+    }));
+    const [systemDark, setSystemDark] = useState(() => window.matchMedia(DARK_QUERY).matches);
+
+    // Follow the OS setting while in system mode - an event, no polling
+    useEffect(() => {
+        if (appearance.theme !== 'system') return;
+        const media = window.matchMedia(DARK_QUERY);
+        const update = () => setSystemDark(media.matches);
+        update();
+        media.addEventListener('change', update);
+        return () => media.removeEventListener('change', update);
+    }, [appearance.theme]);
+
+    // The profile's appearance wins once loaded (sign-in, change on another device)
+    // - checked like every other source, the profile may have been edited by hand
+    const storedTheme = stored?.theme;
+    const storedAccent = stored?.accent;
+    useEffect(() => {
+        if (storedTheme) setAppearance(validateAppearance({ theme: storedTheme, accent: storedAccent }));
+    }, [storedTheme, storedAccent]);
+
+    const theme = resolveTheme(appearance.theme, systemDark);
 
-    // Update document attribute and localStorage when theme changes
+    // Update document attributes and localStorage when the appearance changes
     useEffect(() => {
         document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('mavi-theme', theme);
-    }, [theme]);
+        document.documentElement.setAttribute('data-accent', appearance.accent);
+        localStorage.setItem('mavi-theme', appearance.theme);
+        localStorage.setItem('mavi-accent', appearance.accent);
+    }, [theme, appearance]);
+
+    /**
+     * Change the mode and/or accent, saving to the profile when signed in
+     *
+     * @param {{theme?: string, accent?: string}} changes
+     */
+    const updateAppearance = (changes) => {
+        const next = { ...appearance, ...changes };
+        setAppearance(next);
+        if (userId) {
+            saveAppearance(userId, next).catch(error => {
+                console.error('Error saving appearance:', error);
+            });
+        }
+    };
 
-    // Toggle between light and dark
+    // Quick toggle between light and dark (leaves system/high-contrast mode)
     const toggleTheme = () => {
-        setTheme(prevTheme => prevTheme === 'dark' ? 'light' : 'dark');
+        updateAppearance({ theme: theme === 'dark' ? 'light' : 'dark' });
     };
 
     return (
-        <ThemeContext.Provider value={{ theme, toggleTheme }}>
+        <ThemeContext.Provider
+            value={{
+                theme,
+                mode: appearance.theme,
+                accent: appearance.accent,
+                setMode: (mode) => updateAppearance({ theme: mode }),
+                setAccent: (accent) => updateAppearance({ accent }),
+                toggleTheme
+            }}
+        >
             {children}
         </ThemeContext.Provider>
     );
@@ -0,0 +1,251 @@
+/**
+ * Conversations - Firestore helpers for named chat threads
+ *
+ * Data model:
+ *   conversations/{conversationId} → { userId, title, createdAt, updatedAt, tutorMode?, answerStyle? }
+ *   chats/{chatId}                 → { userId, conversationId, userPrompt, aiResponse, timestamp,
+ *                                      tutorMode?, answerStyle?, versions?, activeVersion? }
+ *
+ * tutorMode/answerStyle are IDs from ./tutorModes; missing means the defaults.
+ * versions holds every regenerated answer; aiResponse is always the active one.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Messages stay in the flat `chats` collection, tagged with conversationId,
+ *   so one indexed query loads a thread (no per-thread subcollection reads)
+ * - Conversation list is fetched once per mount, not through a live listener
+ * - Batched writes for migration, deletion and import (one round trip per 500 docs)
+ */
+
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    where,
+    orderBy,
+    limit,
+    startAfter,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    writeBatch
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { getTutorMode, getAnswerStyle } from './tutorModes';
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 500;
+
+export const IMPORTED_TITLE = 'Imported';
+export const DEFAULT_TITLE = 'New conversation';
+const BRANCH_SUFFIX = ' (edited)';
+
+/**
+ * Derive a conversation title from its first prompt
+ *
+ * @param {string} prompt - First user message
+ * @returns {string} Short title
+ */
+export const titleFromPrompt = (prompt) => {
+    const clean = (prompt || '').replace(/\s+/g, ' ').trim();
+    if (!clean) return DEFAULT_TITLE;
+    return clean.length > 40 ? `${clean.slice(0, 40)}…` : clean;
+};
+
+/**
+ * List a user's conversations, most recently active first
+ *
+ * @param {string} userId - Owner's uid
+ * @returns {Promise<Array<{id: string, title: string, createdAt: Date, updatedAt: Date}>>}
+ */
+export const listConversations = async (userId) => {
+    const q = query(
+        collection(db, 'conversations'),
+        where('userId', '==', userId),
+        orderBy('updatedAt', 'desc')
+    );
+
+    const snapshot = await getDocs(q);
+    return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+};
+
+/**
+ * Create a conversation
+ *
+ * @param {string} userId - Owner's uid
+ * @param {string} [title] - Display title
+ * @param {{tutorMode?: string, answerStyle?: string}} [mode] - Tutor mode chosen before the first message
+ * @returns {Promise<{id: string, userId: string, title: string, createdAt: Date, updatedAt: Date}>}
+ */
+export const createConversation = async (userId, title = DEFAULT_TITLE, mode = {}) => {
+    const now = new Date();
+    const data = { userId, title, createdAt: now, updatedAt: now, ...normalizeMode(mode) };
+    const ref = doc(collection(db, 'conversations'));
+    const write = setDoc(ref, data);
+
+    // Offline, the write waits in the local cache until the connection
+    // returns - the ID is usable right away, so don't block on the server
+    if (navigator.onLine) {
+        await write;
+    } else {
+        write.catch(error => console.error('Error syncing new conversation:', error));
+    }
+    return { id: ref.id, ...data };
+};
+
+/**
+ * Rename a conversation
+ *
+ * @param {string} conversationId - Conversation to rename
+ * @param {string} title - New title (trimmed, must be non-empty)
+ */
+export const renameConversation = async (conversationId, title) => {
+    const clean = (title || '').trim();
+    if (!clean) {
+        throw new Error('Conversation title cannot be empty');
+    }
+    await updateDoc(doc(db, 'conversations', conversationId), { title: clean });
+};
+
+/**
+ * Resolve a tutor mode/answer style pair to known IDs
+ *
+ * @param {{tutorMode?: string, answerStyle?: string}} mode - Possibly stale or missing IDs
+ * @returns {{tutorMode: string, answerStyle: string}}
+ */
+export const normalizeMode = ({ tutorMode, answerStyle } = {}) => {
+    const resolved = getTutorMode(tutorMode).id;
+    return { tutorMode: resolved, answerStyle: getAnswerStyle(answerStyle, resolved).id };
+};
+
+/**
+ * Change a conversation's tutor mode and answer style
+ * Applies to messages sent from now on - saved answers keep the mode they were written in
+ *
+ * @param {string} conversationId - Conversation to update
+ * @param {{tutorMode?: string, answerStyle?: string}} mode - New mode
+ * @returns {Promise<{tutorMode: string, answerStyle: string}>} The stored values
+ */
+export const setConversationMode = async (conversationId, mode) => {
+    const normalized = normalizeMode(mode);
+    await updateDoc(doc(db, 'conversations', conversationId), normalized);
+    return normalized;
+};
+
+/**
+ * Mark a conversation as recently active so it sorts to the top
+ *
+ * @param {string} conversationId - Conversation that received a message
+ */
+export const touchConversation = async (conversationId) => {
+    await updateDoc(doc(db, 'conversations', conversationId), { updatedAt: new Date() });
+};
+
+/**
+ * Delete a conversation and every message saved under it
+ *
+ * @param {string} userId - Owner's uid (required by security rules on the query)
+ * @param {string} conversationId - Conversation to delete
+ */
+export const deleteConversation = async (userId, conversationId) => {
+    const q = query(
+        collection(db, 'chats'),
+        where('userId', '==', userId),
+        where('conversationId', '==', conversationId)
+    );
+    const snapshot = await getDocs(q);
+
+    const refs = [...snapshot.docs.map(d => d.ref), doc(db, 'conversations', conversationId)];
+    await commitInBatches(refs, (batch, ref) => batch.delete(ref));
+};
+
+/**
+ * Delete one exchange (a prompt and its answer)
+ *
+ * @param {string} chatId - Saved exchange to delete
+ */
+export const deleteExchange = async (chatId) => {
+    await deleteDoc(doc(db, 'chats', chatId));
+};
+
+/**
+ * Branch a conversation just before one of its exchanges
+ *
+ * Used by edit-and-resend: every exchange before `chatId` is copied
+ * (timestamps included) into a new conversation with the same tutor mode.
+ * The original thread is left untouched.
+ *
+ * @param {string} userId - Owner's uid
+ * @param {{id: string, title: string, tutorMode?: string, answerStyle?: string}} conversation - Source thread
+ * @param {string} chatId - Exchange being edited - it and everything after it stay behind
+ * @returns {Promise<Object>} The new conversation
+ */
+export const branchConversation = async (userId, conversation, chatId) => {
+    const cursor = await getDoc(doc(db, 'chats', chatId));
+    // Newest first from the edited exchange - the same index as history pages
+    const snapshot = await getDocs(query(
+        collection(db, 'chats'),
+        where('userId', '==', userId),
+        where('conversationId', '==', conversation.id),
+        orderBy('timestamp', 'desc'),
+        startAfter(cursor)
+    ));
+
+    const title = conversation.title.endsWith(BRANCH_SUFFIX) ? conversation.title : `${conversation.title}${BRANCH_SUFFIX}`;
+    const branch = await createConversation(userId, title, conversation);
+    await commitInBatches(snapshot.docs, (batch, chatDoc) => batch.set(
+        doc(collection(db, 'chats')),
+        { ...chatDoc.data(), conversationId: branch.id }
+    ));
+
+    return branch;
+};
+
+/**
+ * Migrate legacy flat chats into an "Imported" conversation
+ *
+ * Before conversations existed every message went into `chats` without a
+ * conversationId. Only runs when the user has no conversations yet, so it
+ * costs a single 1-document read for everyone else.
+ *
+ * @param {string} userId - Owner's uid
+ * @returns {Promise<Object|null>} The created conversation, or null if nothing to migrate
+ */
+export const migrateLegacyChats = async (userId) => {
+    const probe = await getDocs(query(
+        collection(db, 'chats'),
+        where('userId', '==', userId),
+        limit(1)
+    ));
+    if (probe.empty) return null;
+
+    const snapshot = await getDocs(query(
+        collection(db, 'chats'),
+        where('userId', '==', userId)
+    ));
+    const legacy = snapshot.docs.filter(d => !d.data().conversationId);
+    if (legacy.length === 0) return null;
+
+    const conversation = await createConversation(userId, IMPORTED_TITLE);
+    await commitInBatches(
+        legacy.map(d => d.ref),
+        (batch, ref) => batch.update(ref, { conversationId: conversation.id })
+    );
+
+    return conversation;
+};
+
+/**
+ * Apply a write to many documents, BATCH_SIZE at a time
+ *
+ * @param {Array} items - Document references (or anything `apply` understands)
+ * @param {(batch: Object, item: *) => void} apply - Adds one write to the batch
+ */
+export const commitInBatches = async (items, apply) => {
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+        const batch = writeBatch(db);
+        items.slice(i, i + BATCH_SIZE).forEach(item => apply(batch, item));
+        await batch.commit();
+    }
+};
@@ -0,0 +1,183 @@
+/**
+ * Study Decks - saved quizzes and flashcards with spaced repetition
+ *
+ * Data model:
+ *   decks/{deckId} → { userId, conversationId, kind, title, items, createdAt, updatedAt }
+ *   items: [{ ...question or card (see ./studySets), review: { due, interval, ease, reps } }]
+ *
+ * Scheduling is a simplified SM-2: every item has an interval in days and
+ * an ease factor. "Again" brings it back in ten minutes, "Good" multiplies
+ * the interval by the ease, "Hard" and "Easy" nudge both. A quiz answer
+ * counts as "Good" when right and "Again" when wrong.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - One document per deck - a review session is one read and one write
+ * - Reviewing never calls the model
+ */
+
+import {
+    addDoc,
+    collection,
+    deleteDoc,
+    doc,
+    getDocs,
+    query,
+    updateDoc,
+    where
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { toDate } from './chatTransfer';
+
+// Labels are in the i18n catalogs, under study.grades.{grade}
+export const GRADES = ['again', 'hard', 'good', 'easy'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELEARN_MS = 10 * 60 * 1000;
+const START_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_INTERVAL_DAYS = 365;
+
+/**
+ * Schedule for an item that has never been reviewed - due straight away
+ *
+ * @param {Date} [now]
+ * @returns {{due: Date, interval: number, ease: number, reps: number}}
+ */
+export const newReview = (now = new Date()) => ({ due: now, interval: 0, ease: START_EASE, reps: 0 });
+
+/**
+ * Next schedule after a review
+ *
+ * @param {{interval: number, ease: number, reps: number}} review - Current schedule
+ * @param {string} grade - 'again' | 'hard' | 'good' | 'easy'
+ * @param {Date} [now]
+ * @returns {{due: Date, interval: number, ease: number, reps: number}}
+ */
+export const scheduleReview = (review, grade, now = new Date()) => {
+    const { interval, ease, reps } = { ...newReview(now), ...review };
+
+    if (grade === 'again') {
+        return { due: new Date(now.getTime() + RELEARN_MS), interval: 0, ease: Math.max(MIN_EASE, ease - 0.2), reps: 0 };
+    }
+
+    let next;
+    let nextEase = ease;
+    if (grade === 'hard') {
+        next = Math.max(1, interval * 1.2);
+        nextEase = Math.max(MIN_EASE, ease - 0.15);
+    } else if (grade === 'easy') {
+        next = reps === 0 ? 4 : Math.max(interval + 1, interval * ease * 1.3);
+        nextEase = ease + 0.15;
+    } else {
+        next = reps === 0 ? 1 : reps === 1 ? 3 : Math.max(interval + 1, interval * ease);
+    }
+
+    const days = Math.min(MAX_INTERVAL_DAYS, Math.round(next));
+    return { due: new Date(now.getTime() + days * DAY_MS), interval: days, ease: nextEase, reps: reps + 1 };
+};
+
+/**
+ * Items due for review
+ *
+ * @param {{items: Array}} deck - Deck from listDecks
+ * @param {Date} [now]
+ * @returns {Array<number>} Indexes into deck.items, most overdue first
+ */
+export const dueItems = (deck, now = new Date()) => deck.items
+    .map((item, index) => ({ index, due: item.review.due }))
+    .filter(({ due }) => due <= now)
+    .sort((a, b) => a.due - b.due)
+    .map(({ index }) => index);
+
+/**
+ * Earliest upcoming review, for "next review" hints
+ *
+ * @param {{items: Array}} deck - Deck from listDecks
+ * @returns {Date|null}
+ */
+export const nextDue = (deck) => deck.items.reduce(
+    (earliest, item) => (!earliest || item.review.due < earliest ? item.review.due : earliest),
+    null
+);
+
+/**
+ * Read a stored item, converting its due date
+ */
+const fromStored = (item) => ({
+    ...item,
+    review: { ...newReview(), ...item.review, due: toDate(item.review?.due) || new Date() }
+});
+
+/**
+ * Save a generated set as a new deck
+ *
+ * @param {string} userId - Owner's uid
+ * @param {string} conversationId - Conversation it was made from
+ * @param {{kind: string, title: string, items: Array}} set - From generateStudySet
+ * @returns {Promise<Object>} The new deck
+ */
+export const saveDeck = async (userId, conversationId, { kind, title, items }) => {
+    const now = new Date();
+    const deck = {
+        userId,
+        conversationId,
+        kind,
+        title,
+        items: items.map(item => ({ ...item, review: newReview(now) })),
+        createdAt: now,
+        updatedAt: now
+    };
+    const ref = await addDoc(collection(db, 'decks'), deck);
+    return { id: ref.id, ...deck };
+};
+
+/**
+ * A user's decks, most recently reviewed first
+ *
+ * @param {string} userId - Owner's uid
+ * @returns {Promise<Array<Object>>}
+ */
+export const listDecks = async (userId) => {
+    // Single equality filter - no composite index needed
+    const snapshot = await getDocs(query(collection(db, 'decks'), where('userId', '==', userId)));
+
+    return snapshot.docs
+        .map(d => {
+            const data = d.data();
+            return {
+                id: d.id,
+                ...data,
+                items: (data.items || []).map(fromStored),
+                createdAt: toDate(data.createdAt),
+                updatedAt: toDate(data.updatedAt)
+            };
+        })
+        .sort((a, b) => (b.updatedAt?.getTime() || 0) - (a.updatedAt?.getTime() || 0));
+};
+
+/**
+ * Apply a review session's grades and save the deck
+ *
+ * @param {Object} deck - Deck from listDecks
+ * @param {Array<{index: number, grade: string}>} results - Grades for the reviewed items
+ * @returns {Promise<Object>} The updated deck
+ */
+export const recordReviews = async (deck, results) => {
+    const now = new Date();
+    const items = deck.items.map(item => ({ ...item }));
+    results.forEach(({ index, grade }) => {
+        items[index].review = scheduleReview(items[index].review, grade, now);
+    });
+
+    await updateDoc(doc(db, 'decks', deck.id), { items, updatedAt: now });
+    return { ...deck, items, updatedAt: now };
+};
+
+/**
+ * Delete a deck
+ *
+ * @param {string} deckId - Deck document ID
+ */
+export const deleteDeck = async (deckId) => {
+    await deleteDoc(doc(db, 'decks', deckId));
+};
@@ -0,0 +1,218 @@
+/**
+ * AI Error Model
+ *
+ * Every failure from an AI provider is converted into one of these typed
+ * errors, so the UI can react to the kind of failure instead of matching
+ * strings in error messages.
+ *
+ * GREEN CODING: Only transient failures (rate limits, network) are retried,
+ * and with jittered exponential backoff - never a tight retry loop that
+ * burns requests on errors that cannot succeed.
+ */
+
+/**
+ * Base class for all AI failures
+ * `retryable` marks failures that may succeed if the same request is repeated
+ */
+export class AIError extends Error {
+    constructor(message, { code, retryable = false, cause } = {}) {
+        super(message, { cause });
+        this.name = this.constructor.name;
+        this.code = code;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * Too many requests in a short period
+ * `retryAfter` is in seconds when the server said how long to wait
+ */
+export class RateLimitedError extends AIError {
+    constructor(retryAfter = null, options = {}) {
+        const wait = retryAfter ? ` Please wait ${formatSeconds(retryAfter)} and try again.` : ' Please wait a moment and try again.';
+        super(`⚠️ Rate Limit Exceeded! Too many requests.${wait}`, { ...options, code: 'RATE_LIMITED', retryable: true });
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Daily/monthly quota used up - retrying soon will not help
+ */
+export class QuotaExhaustedError extends AIError {
+    constructor(options = {}) {
+        super('⚠️ API Quota Exceeded! The usage limit has been reached. Please try again after the quota resets.', { ...options, code: 'QUOTA_EXHAUSTED' });
+    }
+}
+
+/**
+ * The prompt or answer was blocked by the model's safety filters
+ */
+export class SafetyBlockedError extends AIError {
+    constructor(options = {}) {
+        super('🛡️ This response was blocked by the safety filters. Try rephrasing your question.', { ...options, code: 'SAFETY_BLOCKED' });
+    }
+}
+
+/**
+ * Connection failed or the AI service is temporarily unavailable
+ */
+export class NetworkError extends AIError {
+    constructor(options = {}) {
+        super('📡 Could not reach the AI service. Check your connection and try again.', { ...options, code: 'NETWORK', retryable: true });
+    }
+}
+
+/**
+ * API key (or sign-in token) was rejected
+ */
+export class InvalidKeyError extends AIError {
+    constructor(options = {}) {
+        super('🔑 The AI service rejected our credentials. Please sign in again, or ask the administrator to check the API key.', { ...options, code: 'INVALID_KEY' });
+    }
+}
+
+/**
+ * The proxy refuses accounts whose email address isn't verified yet
+ */
+export class EmailUnverifiedError extends AIError {
+    constructor(options = {}) {
+        super('✉️ Please verify your email address first - open the link we sent you, then sign in again.', { ...options, code: 'EMAIL_UNVERIFIED' });
+    }
+}
+
+/**
+ * Structured output (quiz, flashcards) was not valid JSON or did not match its schema
+ * Retrying the same request rarely helps - the user can generate again
+ */
+export class InvalidOutputError extends AIError {
+    constructor(options = {}) {
+        super('🧩 The AI returned something that could not be read as a study set. Please try again.', { ...options, code: 'INVALID_OUTPUT' });
+    }
+}
+
+const formatSeconds = (seconds) => (
+    seconds >= 120 ? `${Math.ceil(seconds / 60)} minutes` : `${Math.ceil(seconds)} seconds`
+);
+
+// Transient 429s mention "quota" too - only a used-up daily/monthly (or billing) quota is final
+const EXHAUSTED_QUOTA = /per[ _]?day|daily|per[ _]?month|monthly|insufficient_quota|billing/i;
+
+/**
+ * Convert any thrown value into a typed AIError
+ *
+ * Reads `status` / `retryAfter` / `code` set by providers, then falls back
+ * to the message text for SDK errors that only carry a string.
+ *
+ * @param {*} error - Raw error from a provider
+ * @returns {AIError} Typed error
+ */
+export const classifyError = (error) => {
+    if (error instanceof AIError) return error;
+
+    const message = String(error?.message || error || '');
+    const status = error?.status;
+    const options = { cause: error };
+
+    if (error?.code === 'SAFETY_BLOCKED' || /\bSAFETY\b|blocked due to|PROHIBITED_CONTENT|blockReason/i.test(message)) {
+        return new SafetyBlockedError(options);
+    }
+    if (error?.code === 'QUOTA_EXHAUSTED') {
+        return new QuotaExhaustedError(options);
+    }
+    if (error?.code === 'RATE_LIMITED' || status === 429 || /\b429\b|Too Many Requests|RESOURCE_EXHAUSTED|quota/i.test(message)) {
+        return /quota/i.test(message) && EXHAUSTED_QUOTA.test(message)
+            ? new QuotaExhaustedError(options)
+            : new RateLimitedError(error?.retryAfter ?? null, options);
+    }
+    // Checked before 401/403 - the proxy answers an unverified account with 403
+    if (error?.code === 'EMAIL_UNVERIFIED') {
+        return new EmailUnverifiedError(options);
+    }
+    if (error?.code === 'INVALID_KEY' || status === 401 || status === 403 || /API key not valid|API_KEY_INVALID|PERMISSION_DENIED/i.test(message)) {
+        return new InvalidKeyError(options);
+    }
+    if (
+        (status >= 500 && status < 600) ||
+        // fetch() rejects with a TypeError when the request can't be made - other TypeErrors are bugs
+        (error?.name === 'TypeError' && /fetch|network|load failed/i.test(message)) ||
+        /Failed to fetch|NetworkError|network|ECONNRESET|ETIMEDOUT|\[50[0234]\b/i.test(message)
+    ) {
+        return new NetworkError(options);
+    }
+
+    return new AIError(message || 'Sorry, I encountered an error. Please try again.', { ...options, code: 'UNKNOWN' });
+};
+
+/**
+ * Backoff delay for an attempt: exponential with full jitter
+ *
+ * @param {number} attempt - 0 for the first retry
+ * @param {{baseDelayMs: number, maxDelayMs: number}} options
+ * @returns {number} Delay in milliseconds
+ */
+export const backoffDelay = (attempt, { baseDelayMs, maxDelayMs }) => {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+};
+
+export const RETRY_DEFAULTS = {
+    retries: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 8000
+};
+
+/**
+ * Wait for `ms`, rejecting immediately if `signal` aborts
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    }, { once: true });
+});
+
+/**
+ * Run `fn`, retrying transient AI failures with jittered exponential backoff
+ *
+ * A rate limit whose Retry-After is longer than maxDelayMs is not retried -
+ * the user sees the error instead of an apparently frozen chat.
+ *
+ * @param {(attempt: number) => Promise<*>} fn - Operation to run
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs] - First backoff ceiling
+ * @param {number} [options.maxDelayMs] - Largest single wait
+ * @param {AbortSignal} [options.signal] - Stops waiting and retrying
+ * @param {(error: AIError) => boolean} [options.shouldRetry] - Extra veto, e.g. "no tokens streamed yet"
+ * @returns {Promise<*>} Result of `fn`
+ * @throws {AIError} The last failure, classified
+ */
+export const withRetry = async (fn, options = {}) => {
+    const { retries, baseDelayMs, maxDelayMs, signal, shouldRetry = () => true } = { ...RETRY_DEFAULTS, ...options };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (rawError) {
+            if (signal?.aborted) throw rawError;
+
+            const error = classifyError(rawError);
+            if (!error.retryable || attempt >= retries || !shouldRetry(error)) throw error;
+
+            let delay = backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+            if (error instanceof RateLimitedError && error.retryAfter) {
+                const serverDelay = error.retryAfter * 1000;
+                if (serverDelay > maxDelayMs) throw error;
+                delay = Math.max(delay, serverDelay);
+            }
+
+            console.warn(`AI request failed (${error.code}), retrying in ${delay}ms`);
+            await sleep(delay, signal);
+        }
+    }
+};
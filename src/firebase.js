@@ -9,8 +9,13 @@
  */
 
 import { initializeApp } from 'firebase/app';
-import { getAuth } from 'firebase/auth';
-import { getFirestore } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import {
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  connectFirestoreEmulator
+} from 'firebase/firestore';
 
 // Firebase configuration - Your actual Firebase project credentials
 const firebaseConfig = {
@@ -37,5 +42,28 @@ export const auth = getAuth(app);
 /**
  * Firestore instance
  * GREEN CODING: NoSQL structure allows efficient querying with minimal reads
+ *
+ * Persistent (IndexedDB) cache: history already loaded stays readable
+ * offline, and writes made offline are synced when the connection returns.
+ * The multi-tab manager lets several open tabs share one cache.
  */
-export const db = getFirestore(app);
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
+
+/**
+ * Local Emulators (development only)
+ * Set in .env.local to run against `firebase emulators:start`:
+ *   VITE_FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:9099
+ *   VITE_FIRESTORE_EMULATOR_HOST=127.0.0.1:8080
+ */
+const authEmulatorHost = import.meta.env.VITE_FIREBASE_AUTH_EMULATOR_HOST;
+if (authEmulatorHost) {
+  connectAuthEmulator(auth, `http://${authEmulatorHost}`, { disableWarnings: true });
+}
+
+const firestoreEmulatorHost = import.meta.env.VITE_FIRESTORE_EMULATOR_HOST;
+if (firestoreEmulatorHost) {
+  const [host, port] = firestoreEmulatorHost.split(':');
+  connectFirestoreEmulator(db, host, Number(port));
+}
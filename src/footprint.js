@@ -0,0 +1,146 @@
+/**
+ * Footprint - token usage converted to estimated energy and CO2
+ *
+ * Token counts are what the provider reports (Gemini's usageMetadata) or,
+ * failing that, a ~4 characters/token estimate. Energy and CO2 are derived
+ * at display time from two configurable factors, so changing a factor
+ * re-prices all history without rewriting any documents:
+ *
+ *   VITE_ENERGY_WH_PER_1K_TOKENS=0.3   inference energy per 1,000 tokens
+ *   VITE_CARBON_G_PER_KWH=475          grid carbon intensity (world average)
+ *
+ * Data model (one document per user per local calendar day):
+ *   usageDaily/{userId}_{YYYY-MM-DD} → { userId, date, promptTokens, responseTokens,
+ *                                        totalTokens, messages, estimatedMessages }
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Daily totals are incremented on write, so the dashboard reads at most
+ *   one small document per day instead of every chat message
+ * - No live listeners - the dashboard reads once when opened
+ */
+
+import { collection, doc, getDocs, increment, orderBy, query, setDoc, where } from 'firebase/firestore';
+import { db } from './firebase';
+
+const parseFactor = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+export const FOOTPRINT_FACTORS = {
+    whPer1kTokens: parseFactor(import.meta.env.VITE_ENERGY_WH_PER_1K_TOKENS, 0.3),
+    gCO2PerKWh: parseFactor(import.meta.env.VITE_CARBON_G_PER_KWH, 475)
+};
+
+/**
+ * Estimated energy and emissions for a number of tokens
+ *
+ * @param {number} tokens - Total tokens (prompt + response)
+ * @returns {{energyWh: number, co2g: number}}
+ */
+export const footprintOf = (tokens) => {
+    const energyWh = (tokens / 1000) * FOOTPRINT_FACTORS.whPer1kTokens;
+    return { energyWh, co2g: (energyWh / 1000) * FOOTPRINT_FACTORS.gCO2PerKWh };
+};
+
+/**
+ * @param {number} wh - Energy in watt-hours
+ * @returns {string} e.g. "12 mWh", "0.45 Wh", "1.20 kWh"
+ */
+export const formatEnergy = (wh) => {
+    if (wh < 0.1) return `${(wh * 1000).toFixed(wh < 0.01 ? 1 : 0)} mWh`;
+    if (wh < 1000) return `${wh.toFixed(2)} Wh`;
+    return `${(wh / 1000).toFixed(2)} kWh`;
+};
+
+/**
+ * @param {number} grams - CO2-equivalent in grams
+ * @returns {string} e.g. "5.7 mg", "0.21 g", "1.05 kg"
+ */
+export const formatCO2 = (grams) => {
+    if (grams < 0.1) return `${(grams * 1000).toFixed(grams < 0.01 ? 1 : 0)} mg`;
+    if (grams < 1000) return `${grams.toFixed(2)} g`;
+    return `${(grams / 1000).toFixed(2)} kg`;
+};
+
+export const formatTokens = (tokens) => Math.round(tokens).toLocaleString();
+
+/**
+ * Local calendar day key
+ *
+ * @param {Date} date - Any time on the day
+ * @returns {string} YYYY-MM-DD in the browser's time zone
+ */
+export const dayKey = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Add one answer's usage to the user's total for today
+ *
+ * @param {string} userId - Owner's uid
+ * @param {{promptTokens: number, responseTokens: number, totalTokens: number, estimated?: boolean}} usage
+ * @param {Date} [date] - When the answer was generated
+ */
+export const recordUsage = async (userId, usage, date = new Date()) => {
+    const key = dayKey(date);
+    await setDoc(doc(db, 'usageDaily', `${userId}_${key}`), {
+        userId,
+        date: key,
+        promptTokens: increment(usage.promptTokens),
+        responseTokens: increment(usage.responseTokens),
+        totalTokens: increment(usage.totalTokens),
+        messages: increment(1),
+        estimatedMessages: increment(usage.estimated ? 1 : 0)
+    }, { merge: true });
+};
+
+/**
+ * Daily totals from `start` to today, one entry per day (zeros included)
+ *
+ * @param {string} userId - Owner's uid
+ * @param {Date} start - First day to include
+ * @returns {Promise<Array<{date: string, promptTokens: number, responseTokens: number,
+ *          totalTokens: number, messages: number, estimatedMessages: number}>>} Oldest first
+ */
+export const fetchDailyUsage = async (userId, start) => {
+    const snapshot = await getDocs(query(
+        collection(db, 'usageDaily'),
+        where('userId', '==', userId),
+        where('date', '>=', dayKey(start)),
+        orderBy('date', 'asc')
+    ));
+    const stored = new Map(snapshot.docs.map(d => [d.data().date, d.data()]));
+
+    const days = [];
+    const today = dayKey(new Date());
+    for (const day = new Date(start); dayKey(day) <= today; day.setDate(day.getDate() + 1)) {
+        const key = dayKey(day);
+        const data = stored.get(key) || {};
+        days.push({
+            date: key,
+            promptTokens: data.promptTokens || 0,
+            responseTokens: data.responseTokens || 0,
+            totalTokens: data.totalTokens || 0,
+            messages: data.messages || 0,
+            estimatedMessages: data.estimatedMessages || 0
+        });
+    }
+    return days;
+};
+
+/**
+ * Sum daily entries
+ *
+ * @param {Array} days - From fetchDailyUsage
+ * @returns {{totalTokens: number, messages: number, estimatedMessages: number, energyWh: number, co2g: number}}
+ */
+export const sumUsage = (days) => {
+    const totals = days.reduce((sum, day) => ({
+        totalTokens: sum.totalTokens + day.totalTokens,
+        messages: sum.messages + day.messages,
+        estimatedMessages: sum.estimatedMessages + day.estimatedMessages
+    }), { totalTokens: 0, messages: 0, estimatedMessages: 0 });
+    return { ...totals, ...footprintOf(totals.totalTokens) };
+};
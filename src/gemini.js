@@ -1,37 +1,164 @@
 /**
- * Google Gemini AI Configuration
+ * AI Response Service
+ * 
+ * Chat components call this module only. The actual backend (Gemini,
+ * an OpenAI-compatible server, Ollama or the offline mock) is chosen by
+ * env config in ./providers - nothing here depends on a specific SDK.
  * 
  * GREEN CODING PRINCIPLES:
- * 1. Using gemini-1.5-flash - lightest model for reduced computational cost
+ * 1. Defaults to gemini-2.5-flash - a light model for reduced computational cost
+ *    (users pick another from an allow-list in Settings, see ./userSettings)
  * 2. API calls are ONLY triggered on user action (Send button)
  * 3. No background processing or auto-suggestions
- * 4. Single request-response pattern (no streaming unless needed)
- * 5. Direct API integration reduces middleware overhead
+ * 4. Single request per prompt - streamed so the user can stop early
+ *    (transient failures retried with jittered backoff, see ./errors)
+ * 5. Self-hosted or mock providers avoid cloud compute entirely
+ * 6. Conversation memory is windowed - only recent turns are re-sent
+ * 7. Every answer reports its token usage, so its footprint can be measured
+ * 8. Repeated prompts are answered from the response cache (./responseCache)
+ * 9. Quizzes and flashcards are one structured (JSON) request each (./studySets)
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-
-// Get API key from environment variables (stored in .env.local)
-// GREEN CODING: Secure key management prevents leaks and unauthorized usage
-const API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
+import { getProvider } from './providers';
+import { estimateTokens, toUsage } from './providers/utils';
+import { InvalidOutputError, classifyError, withRetry } from './errors';
+import { CACHE_CONFIG, cacheKeyFor, getCachedResponse, cacheResponse } from './responseCache';
+import { getCurrentSettings, toGenerationOptions, toLanguageInstruction } from './userSettings';
 
 /**
- * Initialize Gemini AI ONCE
- * GREEN CODING: Single initialization prevents redundant API setup
+ * Conversation History Window
+ * GREEN CODING: Only the most recent turns are sent back to the model.
+ * Bounded by message count AND characters so one long thread can't blow
+ * past the model's context limit (or waste tokens re-sending old turns).
+ *
+ * Override in .env.local:
+ *   VITE_HISTORY_MAX_MESSAGES=20
+ *   VITE_HISTORY_MAX_CHARS=24000
  */
-const genAI = new GoogleGenerativeAI(API_KEY);
+const parseLimit = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+export const HISTORY_WINDOW = {
+    maxMessages: parseLimit(import.meta.env.VITE_HISTORY_MAX_MESSAGES, 20),
+    maxChars: parseLimit(import.meta.env.VITE_HISTORY_MAX_CHARS, 24000)
+};
 
 /**
- * Get Gemini Model
- * GREEN CODING: Using gemini-1.5-flash - the most energy-efficient model
- * This model balances performance with minimal computational requirements
- * 
- * @returns {Object} Gemini model instance
+ * Build Chat History
+ * Converts UI messages ({ text, sender }) into provider-neutral
+ * user/assistant turns, keeping only the newest turns that fit the window.
+ *
+ * Most chat APIs require history to start with a 'user' turn and alternate
+ * roles, so error bubbles are skipped and consecutive same-role turns are merged.
+ *
+ * @param {Array<{text: string, sender: string, error?: boolean}>} messages - Prior messages, oldest first
+ * @param {{maxMessages?: number, maxChars?: number}} [window] - History limits
+ * @returns {Array<{role: string, text: string}>} Turns, role 'user' or 'assistant'
  */
-export const getGeminiModel = () => {
-    return genAI.getGenerativeModel({
-        model: 'gemini-2.5-flash' // Using supported model
+export const buildHistory = (messages = [], window = HISTORY_WINDOW) => {
+    const { maxMessages = HISTORY_WINDOW.maxMessages, maxChars = HISTORY_WINDOW.maxChars } = window;
+
+    // Normalize to alternating user/model turns
+    const turns = [];
+    messages.forEach(msg => {
+        if (!msg || msg.error || !msg.text || !msg.text.trim()) return;
+
+        const role = msg.sender === 'user' ? 'user' : 'assistant';
+        const last = turns[turns.length - 1];
+        if (last && last.role === role) {
+            last.text += `\n\n${msg.text}`;
+        } else {
+            turns.push({ role, text: msg.text });
+        }
     });
+
+    // Walk backwards from the newest turn until a limit is reached
+    const windowed = [];
+    let chars = 0;
+    for (let i = turns.length - 1; i >= 0; i--) {
+        if (windowed.length >= maxMessages) break;
+        if (chars + turns[i].text.length > maxChars) break;
+        chars += turns[i].text.length;
+        windowed.unshift(turns[i]);
+    }
+
+    // History must open with a user turn and end with an assistant turn,
+    // because the new prompt is sent as the next user turn
+    while (windowed.length > 0 && windowed[0].role !== 'user') windowed.shift();
+    while (windowed.length > 0 && windowed[windowed.length - 1].role !== 'assistant') windowed.pop();
+
+    return windowed;
+};
+
+/**
+ * Estimate usage when the provider reported none (or the user stopped
+ * the stream before the final counts arrived)
+ *
+ * @param {string} prompt - Prompt sent
+ * @param {Array<{text: string}>} turns - History sent
+ * @param {string} text - Answer received
+ * @returns {{promptTokens: number, responseTokens: number, totalTokens: number, estimated: true}}
+ */
+const estimateUsage = (prompt, turns, text) => toUsage(
+    [...turns.map(turn => turn.text), prompt].reduce((sum, part) => sum + estimateTokens(part), 0),
+    estimateTokens(text),
+    { model: getProvider().model, estimated: true }
+);
+
+/**
+ * The signed-in user's settings, as request options
+ * The response language is appended to the tutor mode instruction
+ *
+ * @param {string} [systemInstruction] - Tutor mode instruction
+ * @returns {{generation: Object, instruction: string}}
+ */
+const requestSettings = (systemInstruction) => {
+    const settings = getCurrentSettings();
+    return {
+        generation: toGenerationOptions(settings),
+        instruction: [systemInstruction, toLanguageInstruction(settings)].filter(Boolean).join('\n\n')
+    };
+};
+
+/**
+ * Cache key for a request, or null when it must not be cached
+ * (attachments, explicit regenerate, or no WebCrypto in this context)
+ *
+ * @param {string} prompt - New prompt
+ * @param {Array} turns - Windowed history
+ * @param {{attachments: Array, bypassCache: boolean, systemInstruction: string, generation: Object}} options
+ * @returns {Promise<string|null>}
+ */
+const cacheKeyForRequest = async (prompt, turns, { attachments, bypassCache, systemInstruction, generation }) => {
+    if (bypassCache || attachments.length > 0) return null;
+    const { name, model } = getProvider();
+    try {
+        // Same question in a different tutor mode, or with other settings, is a different answer
+        return await cacheKeyFor(prompt, turns, {
+            provider: name,
+            model,
+            systemInstruction: systemInstruction || '',
+            generation
+        });
+    } catch (error) {
+        console.error('Response cache key failed:', error);
+        return null;
+    }
+};
+
+/**
+ * Look up a cached answer
+ *
+ * @param {string|null} key - From cacheKeyForRequest
+ * @returns {Promise<{text: string, cached: {source: string, savedTokens: number}}|null>}
+ */
+const lookupCache = async (key) => {
+    // Only the Gemini proxy writes shared entries - other providers would never hit
+    const hit = key && await getCachedResponse(key, { shared: CACHE_CONFIG.shared && getProvider().name === 'gemini' });
+    if (!hit) return null;
+    return { text: hit.text, cached: { source: hit.source, savedTokens: hit.usage?.totalTokens || 0 } };
 };
 
 /**
@@ -39,37 +166,197 @@ export const getGeminiModel = () => {
  * GREEN CODING: On-demand generation only when user explicitly requests
  * No pre-fetching, no background processing
  * 
+ * Prior turns are replayed to the model so follow-ups
+ * ("now do part (b)") have the context of the conversation.
+ * 
  * @param {string} prompt - User's message
- * @returns {Promise<string>} AI response text
+ * @param {Array<{text: string, sender: string}>} [history] - Prior messages, oldest first
+ * @param {Object} [options]
+ * @param {Array<{mimeType: string, data: string}>} [options.attachments] - Images/PDFs for this prompt only
+ * @param {boolean} [options.bypassCache] - Regenerate: skip the response cache
+ * @param {string} [options.systemInstruction] - Tutor mode instruction (see ./tutorModes)
+ * @returns {Promise<{text: string, usage: Object|null, cached: Object|null}>} AI response text and
+ *          token usage, or for a cache hit `cached: { source, savedTokens }` and no usage
+ * @throws {AIError} Typed failure (RateLimitedError, QuotaExhaustedError, ...)
  */
-export const generateResponse = async (prompt) => {
+export const generateResponse = async (prompt, history = [], { attachments = [], bypassCache = false, systemInstruction } = {}) => {
     try {
         // Input validation to prevent empty API calls
         if (!prompt || prompt.trim().length === 0) {
             throw new Error('Prompt cannot be empty');
         }
 
-        const model = getGeminiModel();
+        const turns = buildHistory(history);
+        // The signed-in user's model, sampling, safety and response language
+        const { generation, instruction } = requestSettings(systemInstruction);
 
-        // Single API call - no retries unless necessary
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
+        // Single API call - retried only on transient failures
+        const key = await cacheKeyForRequest(prompt, turns, {
+            attachments, bypassCache, systemInstruction: instruction, generation
+        });
+        const hit = await lookupCache(key);
+        if (hit) return { ...hit, usage: null };
 
-        return text;
+        const { text, usage: reported } = await withRetry(() => getProvider().generate({
+            prompt, history: turns, attachments, systemInstruction: instruction, generation
+        }));
+        const usage = reported || estimateUsage(prompt, turns, text);
+        if (key) cacheResponse(key, text, usage);
+        return { text, usage, cached: null };
     } catch (error) {
-        console.error('Gemini API Error:', error);
+        console.error('AI Provider Error:', error);
+        throw classifyError(error);
+    }
+};
+
+/**
+ * Stream AI Response
+ * GREEN CODING: Same single request as generateResponse, but tokens are
+ * rendered as they arrive and the user can stop generation early -
+ * no compute is spent on an answer nobody is waiting for.
+ * 
+ * Aborting via `signal` is not an error: the partial text is returned
+ * with `stopped: true` so the caller can keep it. Its usage is estimated,
+ * since the provider's counts only arrive at the end of the stream.
+ * 
+ * @param {string} prompt - User's message
+ * @param {Array<{text: string, sender: string}>} [history] - Prior messages, oldest first
+ * @param {Object} [options]
+ * @param {(text: string) => void} [options.onChunk] - Called with the accumulated text after each chunk
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+ * @param {Array<{mimeType: string, data: string}>} [options.attachments] - Images/PDFs for this prompt only
+ * @param {boolean} [options.bypassCache] - Regenerate: skip the response cache
+ * @param {string} [options.systemInstruction] - Tutor mode instruction (see ./tutorModes)
+ * @returns {Promise<{text: string, stopped: boolean, usage: Object|null, cached: Object|null}>}
+ *          Final (or partial) response text and token usage; a cache hit is
+ *          delivered in one chunk with `cached: { source, savedTokens }` and no usage
+ * @throws {AIError} Typed failure (RateLimitedError, QuotaExhaustedError, ...)
+ */
+export const streamResponse = async (prompt, history = [], {
+    onChunk, signal, attachments = [], bypassCache = false, systemInstruction
+} = {}) => {
+    let text = '';
+    let usage = null;
+    let turns = [];
 
-        // Check if it's a quota error
-        if (error.message && error.message.includes('quota')) {
-            throw new Error('⚠️ API Quota Exceeded! Your free tier limit has been reached. Please wait 24 hours for quota reset or upgrade your API key.');
+    try {
+        // Input validation to prevent empty API calls
+        if (!prompt || prompt.trim().length === 0) {
+            throw new Error('Prompt cannot be empty');
         }
 
-        // Check if it's a rate limit error (429)
-        if (error.message && (error.message.includes('429') || error.message.includes('Too Many Requests'))) {
-            throw new Error('⚠️ Rate Limit Exceeded! Too many requests. Please wait a few minutes and try again.');
+        turns = buildHistory(history);
+        const { generation, instruction } = requestSettings(systemInstruction);
+
+        const key = await cacheKeyForRequest(prompt, turns, {
+            attachments, bypassCache, systemInstruction: instruction, generation
+        });
+        const hit = await lookupCache(key);
+        if (hit) {
+            onChunk?.(hit.text);
+            return { ...hit, stopped: false, usage: null };
         }
 
-        throw error;
+        // Retried only before the first token - after that a retry would
+        // duplicate text the user has already seen
+        await withRetry(async () => {
+            const deltas = getProvider().stream({
+                prompt, history: turns, attachments, systemInstruction: instruction, generation, signal
+            });
+
+            // Stepped by hand (not for-await) to read the generator's return value
+            let step;
+            while (!(step = await deltas.next()).done) {
+                text += step.value;
+                onChunk?.(text);
+            }
+            usage = step.value?.usage || null;
+        }, { signal, shouldRetry: () => text.length === 0 });
+
+        usage = usage || estimateUsage(prompt, turns, text);
+        // Only complete answers are cached - never a stopped, partial one
+        if (key) cacheResponse(key, text, usage);
+        return { text, stopped: false, usage, cached: null };
+    } catch (error) {
+        // User pressed Stop - keep whatever has arrived so far
+        if (signal?.aborted) {
+            return { text, stopped: true, usage: estimateUsage(prompt, turns, text), cached: null };
+        }
+
+        console.error('AI Provider Error:', error);
+        throw classifyError(error);
     }
 };
+
+/**
+ * Parse a structured answer
+ * Models without native JSON mode sometimes wrap it in a ```json fence
+ *
+ * @param {string} text - Raw model output
+ * @returns {*} Parsed JSON
+ * @throws {SyntaxError} When it isn't JSON
+ */
+const parseJSON = (text) => JSON.parse(text.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+
+/**
+ * Generate Structured Output
+ * GREEN CODING: A single request with no history - the prompt carries
+ * everything the model needs. Not cached: generating again should give
+ * a different set.
+ *
+ * The answer is JSON constrained by `schema` (Gemini's response schema,
+ * JSON schema on other providers). The caller still validates its content.
+ *
+ * @param {string} prompt - Instructions plus source text
+ * @param {Object} schema - Response schema (see ./studySets)
+ * @param {Object} [options]
+ * @param {string} [options.systemInstruction] - Extra instruction; the response language is appended
+ * @param {number} [options.minOutputTokens] - Raises a low max-tokens setting so the JSON is not cut off
+ * @returns {Promise<{data: *, usage: Object}>} Parsed JSON and token usage
+ * @throws {AIError} Typed failure; InvalidOutputError (with `usage`) when the answer is not JSON
+ */
+export const generateStructured = async (prompt, schema, { systemInstruction, minOutputTokens = 0 } = {}) => {
+    let text;
+    let usage;
+    try {
+        if (!prompt || prompt.trim().length === 0) {
+            throw new Error('Prompt cannot be empty');
+        }
+
+        const { generation, instruction } = requestSettings(systemInstruction);
+        const result = await withRetry(() => getProvider().generate({
+            prompt,
+            history: [],
+            systemInstruction: instruction,
+            generation: { ...generation, maxOutputTokens: Math.max(generation.maxOutputTokens || 0, minOutputTokens) },
+            responseSchema: schema
+        }));
+        text = result.text;
+        usage = result.usage || estimateUsage(prompt, [], text);
+    } catch (error) {
+        console.error('AI Provider Error:', error);
+        throw classifyError(error);
+    }
+
+    try {
+        return { data: parseJSON(text), usage };
+    } catch (error) {
+        console.error('Structured output was not JSON:', error);
+        // Tokens were spent all the same - the caller still records them
+        const invalid = new InvalidOutputError({ cause: error });
+        invalid.usage = usage;
+        throw invalid;
+    }
+};
+
+/**
+ * Count Prompt Tokens
+ * Uses the provider's own tokenizer where available, else an estimate.
+ * 
+ * @param {string} prompt - User's message
+ * @param {Array<{text: string, sender: string}>} [history] - Prior messages, oldest first
+ * @returns {Promise<number>} Tokens the request would consume
+ */
+export const countTokens = async (prompt, history = []) => {
+    return getProvider().countTokens({ prompt, history: buildHistory(history) });
+};
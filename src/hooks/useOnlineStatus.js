@@ -0,0 +1,25 @@
+/**
+ * useOnlineStatus - whether the browser currently has a network connection
+ *
+ * GREEN CODING: Listens to the browser's online/offline events - no polling
+ *
+ * @returns {boolean} navigator.onLine, kept up to date
+ */
+
+import { useEffect, useState } from 'react';
+
+export const useOnlineStatus = () => {
+    const [online, setOnline] = useState(() => navigator.onLine);
+
+    useEffect(() => {
+        const update = () => setOnline(navigator.onLine);
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        return () => {
+            window.removeEventListener('online', update);
+            window.removeEventListener('offline', update);
+        };
+    }, []);
+
+    return online;
+};
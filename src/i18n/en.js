@@ -0,0 +1,320 @@
+/**
+ * English messages - the source catalog
+ *
+ * Every key used in the UI must exist here; other catalogs may leave keys
+ * out, and those fall back to the English text.
+ * Placeholders are written {name} and filled in by t(key, { name }).
+ * Messages that depend on a number give plural forms: { one, other }
+ * (other languages add the forms their plural rules need).
+ */
+
+export default {
+    common: {
+        home: 'Home',
+        email: 'Email',
+        password: 'Password',
+        emailPlaceholder: 'Enter your email',
+        or: 'or',
+        login: 'Login',
+        register: 'Register',
+        language: 'Language',
+        fillAllFields: 'Please fill in all fields'
+    },
+    nav: {
+        subtitle: 'AI for Engineering Students',
+        switchToLight: 'Switch to light mode',
+        switchToDark: 'Switch to dark mode',
+        study: 'Study',
+        studyTitle: 'Review your saved quizzes and flashcards',
+        usage: 'Usage',
+        usageTitle: 'Your token and carbon footprint',
+        settings: 'Settings',
+        settingsTitle: 'Account settings',
+        logout: 'Logout'
+    },
+    login: {
+        passwordPlaceholder: 'Enter your password',
+        forgotPassword: 'Forgot password?',
+        submitting: 'Logging in...',
+        failed: 'Failed to login',
+        noAccount: "Don't have an account?"
+    },
+    register: {
+        passwordPlaceholder: 'Enter your password (min 6 characters)',
+        confirmPassword: 'Confirm Password',
+        confirmPlaceholder: 'Confirm your password',
+        passwordsMismatch: 'Passwords do not match',
+        passwordTooShort: 'Password must be at least 6 characters',
+        submitting: 'Creating Account...',
+        failed: 'Failed to register',
+        haveAccount: 'Already have an account?'
+    },
+    landing: {
+        toggleTheme: 'Toggle theme',
+        getStarted: 'Get Started',
+        badge: 'Powered by Google Gemini AI',
+        heroTitle: 'Your Intelligent',
+        heroHighlight: ' AI Companion',
+        heroDescription: 'Experience the future of conversation with MaVi GPT. Smart, intuitive, and beautifully designed to help you accomplish more with the power of artificial intelligence.',
+        startChatting: 'Start Chatting Free',
+        signIn: 'Sign In',
+        statFree: 'Free to Use',
+        statAvailable: 'Available',
+        statPossibilities: 'Possibilities',
+        previewUser1: 'Hello! Can you help me learn something new today?',
+        previewAi: "Of course! I'd love to help you explore new ideas. What topic interests you? 🌟",
+        previewUser2: 'Tell me about the future of AI!',
+        // Title is split around the highlighted brand name - either side may be empty
+        whyBefore: 'Why Choose ',
+        whyAfter: '?',
+        whySubtitle: 'Discover the features that make MaVi GPT your perfect AI companion',
+        features: {
+            fast: {
+                title: 'Lightning Fast',
+                description: 'Get instant responses powered by Google Gemini AI with minimal latency'
+            },
+            design: {
+                title: 'Beautiful Design',
+                description: 'Experience a stunning glassmorphic interface with dark & light themes'
+            },
+            secure: {
+                title: 'Secure & Private',
+                description: 'Your conversations are protected with Firebase authentication'
+            },
+            green: {
+                title: 'Green Coding',
+                description: 'Built with eco-friendly principles for minimal carbon footprint'
+            },
+            natural: {
+                title: 'Natural Conversations',
+                description: 'Chat naturally like talking to a real human assistant'
+            },
+            available: {
+                title: 'Always Available',
+                description: '24/7 availability - your AI companion never sleeps'
+            }
+        },
+        howBefore: 'How It ',
+        howHighlight: 'Works',
+        howSubtitle: 'Get started in just three simple steps',
+        step1Title: 'Create Account',
+        step1Text: 'Sign up for free in seconds with your email',
+        step2Title: 'Start Chatting',
+        step2Text: 'Begin your conversation with MaVi GPT instantly',
+        step3Title: 'Enjoy AI Power',
+        step3Text: 'Get intelligent responses to all your questions',
+        ctaTitle: 'Ready to Experience the Future?',
+        ctaText: 'Join thousands of users already chatting with MaVi GPT',
+        ctaButton: 'Get Started for Free',
+        footerText: 'Built with 💜 using Green Coding Principles',
+        copyright: '© 2026 MaVi GPT. All rights reserved.'
+    },
+    chat: {
+        title: 'Chat with MaVi GPT',
+        subtitle: 'AI Assistant for Engineering Students 🎓',
+        loadingOlder: 'Loading earlier messages...',
+        welcomeTitle: 'Welcome to MaVi GPT! 👋',
+        welcomeText: 'Ask me anything about your engineering studies.',
+        greenInfo: 'Powered by energy-efficient AI -',
+        seeFootprint: 'see your footprint',
+        thinking: 'Thinking...',
+        retry: 'Retry',
+        regenerate: 'Regenerate',
+        regenerateTitle: 'Ask the model again, skipping the cache',
+        cachedAnswer: 'Cached answer',
+        cachedShared: ' (shared)',
+        cachedSaved: ' · saved ~{tokens} tokens',
+        usageLine: '{tokens} tokens · ≈{energy} · ≈{co2} CO₂',
+        usageDetail: '{prompt} in + {response} out',
+        usageEstimated: ' (estimated)',
+        editAttachmentsNote: 'Attachments are not re-sent with an edited prompt.',
+        cancel: 'Cancel',
+        sendAsBranch: 'Send as new branch',
+        confirmDelete: 'Delete this question and its answer?',
+        queued: "⏳ Queued - sends when you're back online",
+        sending: '↻ Sending...',
+        sent: '✓ Sent',
+        offlineBanner: "📴 You're offline. Saved history is still available, and new messages will be queued and sent when the connection returns.",
+        attach: 'Attach image or PDF',
+        removeAttachment: 'Remove {name}',
+        placeholder: 'Type your message, or / for commands...',
+        placeholderOffline: 'Offline - your message will be queued...',
+        send: 'Send',
+        stop: 'Stop',
+        fileReadError: 'Could not read the file. Please try again.',
+        offlineAttachments: "Attachments can't be queued offline. Remove them, or send when you're back online.",
+        newConversationError: 'Could not start a new conversation. Please try again.',
+        emptyResponse: 'The AI returned an empty response. Please try again.',
+        genericError: 'Sorry, I encountered an error. Please try again.',
+        share: 'Share',
+        shareTitle: 'Publish selected messages as a read-only link',
+        study: 'Study',
+        studyTitle: 'Make a quiz or flashcards from this conversation',
+        makeQuiz: 'Make quiz',
+        makeFlashcards: 'Make flashcards',
+        commands: 'Slash commands',
+        manageTemplates: 'Manage your templates',
+        commandMissing: 'Add a value for: {names} (separate values with |)'
+    },
+    share: {
+        dialogLabel: 'Share conversation',
+        heading: 'Share “{title}”',
+        close: 'Close',
+        note: 'Anyone with the link can read the selected messages without signing in. Attachments are not included, and later changes to this chat are not shown.',
+        loading: 'Loading...',
+        loadError: 'Could not load this conversation. Please try again.',
+        selected: '{selected} of {total} selected (max {max})',
+        selectAll: 'Select all',
+        selectNone: 'None',
+        working: 'Working...',
+        create: 'Create public link',
+        links: 'Links to this chat',
+        messageCount: { one: '{count} message', other: '{count} messages' },
+        copied: 'Copied',
+        copyLink: 'Copy link',
+        revoke: 'Revoke',
+        confirmRevoke: 'Revoke this link? Anyone who has it will no longer be able to open it.',
+        createError: 'Could not create the link. Please try again.',
+        revokeError: 'Could not revoke the link. Please try again.',
+        noneSelected: 'Select at least one message to share.',
+        tooMany: 'You can share up to {max} messages at once.',
+        tooLarge: 'That is too much text for one link. Select fewer messages.',
+        pageLoading: 'Loading shared conversation...',
+        missingTitle: 'Link not available',
+        missingText: 'This conversation was never shared, or its owner has revoked the link.',
+        pageError: 'Could not load this conversation. Check your connection and try again.',
+        readOnly: 'Read-only snapshot',
+        sharedOn: 'shared {date}',
+        cta: 'Ask your own questions with MaVi GPT'
+    },
+    study: {
+        kinds: { quiz: 'Quiz', flashcards: 'Flashcards' },
+        grades: { again: 'Again', hard: 'Hard', good: 'Good', easy: 'Easy' },
+        close: 'Close',
+        generating: {
+            quiz: 'Writing your quiz from this conversation...',
+            flashcards: 'Writing your flashcards from this conversation...'
+        },
+        generateError: 'Could not generate a study set. Please try again.',
+        noMessages: 'This conversation has no saved messages yet.',
+        tryAgain: 'Try again',
+        // Sentence split around the link to the Study page
+        savedBefore: 'Saved - review it any time on the ',
+        savedLink: 'Study page',
+        savedAfter: '.',
+        saving: 'Saving...',
+        saveDeck: 'Save deck',
+        saveError: 'Could not save the deck. Please try again.',
+        generateAgain: 'Generate again',
+        questionProgress: 'Question {current} of {total}',
+        percentCorrect: '{percent}% correct',
+        correct: 'Correct',
+        notQuite: 'Not quite',
+        seeScore: 'See score',
+        nextQuestion: 'Next question',
+        cardProgress: 'Card {current} of {total}',
+        cardsReviewed: { one: '{count} card reviewed', other: '{count} cards reviewed' },
+        allKnown: 'You knew them all.',
+        seeAgainSoon: '{count} to see again soon.',
+        gradePrompt: 'How well did you know it?',
+        showAnswer: 'Show answer',
+        title: 'Study',
+        intro: 'Quizzes and flashcards you saved from your chats. Items come back for review on a schedule - sooner when you get them wrong, later when you know them well.',
+        loading: 'Loading your decks...',
+        loadError: 'Could not load your decks. Please try again.',
+        emptyBefore: 'No decks yet. Open a conversation in ',
+        emptyLink: 'Chat',
+        emptyAfter: ' and choose "📚 {study}" → "{quiz}" or "{flashcards}".',
+        itemCount: { one: '{count} item', other: '{count} items' },
+        dueNow: '{count} due now',
+        nextReview: 'next review {date}',
+        review: 'Review',
+        reviewCount: 'Review {count}',
+        practiseAll: 'Practise all',
+        practiseAllTitle: 'Go through every item - counts towards the schedule',
+        openChat: 'Open chat',
+        delete: 'Delete',
+        confirmDelete: 'Delete "{title}"? Its review history is lost.',
+        deleteError: 'Could not delete the deck. Please try again.',
+        reviewSaved: 'Saved.',
+        reviewSavedNext: 'Saved. Next review: {date}',
+        reviewSaveError: 'Could not save this review. Please try again.',
+        allDecks: 'All decks'
+    },
+    templates: {
+        builtIn: {
+            explain: 'Explain a concept step by step',
+            derive: 'Derive a formula from first principles',
+            summarize: 'Revision notes on a topic (or this conversation)',
+            practice: 'Practice problems, easiest first',
+            debug: 'Find and fix the bug in some code'
+        },
+        title: 'Prompt Templates',
+        // Sentence split around "/" and the "/name values" example
+        introType: 'Type ',
+        introCommands: ' in the chat for the built-in commands ({commands}) and your own templates.',
+        introSend: 'Sending ',
+        introExample: '/name values',
+        introExpand: ' expands the template into the prompt.',
+        loading: 'Loading your templates...',
+        loadError: 'Could not load your templates. Please try again.',
+        edit: 'Edit',
+        delete: 'Delete',
+        confirmDelete: 'Delete the /{name} template?',
+        deleteError: 'Could not delete the template. Please try again.',
+        nameLabel: 'Command name',
+        namePlaceholder: 'e.g. exam-question',
+        descriptionLabel: 'Description (optional)',
+        descriptionPlaceholder: 'Shown in the command list',
+        templateLabel: 'Template',
+        templatePlaceholder: 'Write an exam-style question on {{topic}} worth {{marks=10}} marks, with a marking scheme.',
+        syntaxHint: 'Use {{name}} for a value you type after the command, or {{name=default}} for an optional one. Separate values with |',
+        usage: ' - usage: ',
+        cancel: 'Cancel',
+        saving: 'Saving...',
+        save: 'Save Template',
+        saved: 'Saved. Type /{name} in the chat to use it.',
+        saveError: 'Could not save the template. Please try again.',
+        new: 'New Template',
+        limitHint: 'You have {max} templates - delete one to add another.',
+        limitReached: 'You can have up to {max} templates - delete one to add another.',
+        invalidName: 'Name must be 1-30 lowercase letters, digits or hyphens',
+        builtInName: '/{name} is a built-in command - choose another name',
+        duplicateName: 'You already have a /{name} template',
+        descriptionTooLong: 'Description must be {max} characters or fewer',
+        templateRequired: 'Template text is required',
+        templateTooLong: 'Template must be {max} characters or fewer'
+    },
+    transfer: {
+        menu: 'Export / Import',
+        working: 'Working...',
+        formats: { md: 'Markdown (.md)', json: 'JSON (.json)', html: 'Web page (.html)' },
+        importJson: 'Import JSON',
+        importIntoChat: 'Import JSON into this chat',
+        exportError: 'Export failed. Please try again.',
+        importError: 'Import failed. Please try again.',
+        imported: { one: 'Imported {count} message.', other: 'Imported {count} messages.' },
+        skipped: { one: 'Skipped {count} duplicate.', other: 'Skipped {count} duplicates.' },
+        tooLarge: 'File is too large to import (max {max} MB).',
+        invalidJson: 'File is not valid JSON.',
+        notExport: 'This is not a MaVi GPT conversation export.',
+        unsupportedVersion: 'Unsupported export version {version}.',
+        noExchanges: 'Export has no exchanges list.',
+        tooMany: 'Too many exchanges (max {max}).',
+        missingField: 'Exchange {number} is missing a prompt or response.',
+        invalidTimestamp: 'Exchange {number} has an invalid timestamp.'
+    },
+    search: {
+        dialogLabel: 'Search chat history',
+        search: 'Search',
+        placeholder: 'Search your questions and answers...',
+        from: 'From',
+        to: 'To',
+        anyTime: 'Any time',
+        indexing: 'Indexing your history...',
+        loadError: 'Could not load your history. Please try again.',
+        noMatches: 'No matches.',
+        conversation: 'Conversation',
+        hint: '↑↓ to choose · Enter to open · Esc to close'
+    }
+};
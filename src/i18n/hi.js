@@ -0,0 +1,312 @@
+/**
+ * Hindi messages (हिन्दी)
+ * Missing keys fall back to English - see ./en.js
+ */
+
+export default {
+    common: {
+        home: 'होम',
+        email: 'ईमेल',
+        password: 'पासवर्ड',
+        emailPlaceholder: 'अपना ईमेल दर्ज करें',
+        or: 'या',
+        login: 'लॉग इन',
+        register: 'रजिस्टर करें',
+        language: 'भाषा',
+        fillAllFields: 'कृपया सभी फ़ील्ड भरें'
+    },
+    nav: {
+        subtitle: 'इंजीनियरिंग छात्रों के लिए AI',
+        switchToLight: 'लाइट मोड पर जाएँ',
+        switchToDark: 'डार्क मोड पर जाएँ',
+        study: 'अध्ययन',
+        studyTitle: 'अपने सहेजे गए क्विज़ और फ़्लैशकार्ड दोहराएँ',
+        usage: 'उपयोग',
+        usageTitle: 'आपके टोकन और कार्बन फ़ुटप्रिंट',
+        settings: 'सेटिंग्स',
+        settingsTitle: 'खाता सेटिंग्स',
+        logout: 'लॉग आउट'
+    },
+    login: {
+        passwordPlaceholder: 'अपना पासवर्ड दर्ज करें',
+        forgotPassword: 'पासवर्ड भूल गए?',
+        submitting: 'लॉग इन हो रहा है...',
+        failed: 'लॉग इन नहीं हो सका',
+        noAccount: 'खाता नहीं है?'
+    },
+    register: {
+        passwordPlaceholder: 'अपना पासवर्ड दर्ज करें (कम से कम 6 अक्षर)',
+        confirmPassword: 'पासवर्ड की पुष्टि करें',
+        confirmPlaceholder: 'पासवर्ड दोबारा दर्ज करें',
+        passwordsMismatch: 'पासवर्ड मेल नहीं खाते',
+        passwordTooShort: 'पासवर्ड कम से कम 6 अक्षरों का होना चाहिए',
+        submitting: 'खाता बनाया जा रहा है...',
+        failed: 'रजिस्टर नहीं हो सका',
+        haveAccount: 'पहले से खाता है?'
+    },
+    landing: {
+        toggleTheme: 'थीम बदलें',
+        getStarted: 'शुरू करें',
+        badge: 'Google Gemini AI द्वारा संचालित',
+        heroTitle: 'आपका बुद्धिमान',
+        heroHighlight: ' AI साथी',
+        heroDescription: 'MaVi GPT के साथ बातचीत के भविष्य का अनुभव करें। स्मार्ट, सहज और सुंदर - कृत्रिम बुद्धिमत्ता की शक्ति से आपको और अधिक हासिल करने में मदद के लिए बनाया गया।',
+        startChatting: 'मुफ़्त में चैट शुरू करें',
+        signIn: 'साइन इन',
+        statFree: 'उपयोग मुफ़्त',
+        statAvailable: 'उपलब्ध',
+        statPossibilities: 'संभावनाएँ',
+        previewUser1: 'नमस्ते! क्या आप आज कुछ नया सीखने में मेरी मदद कर सकते हैं?',
+        previewAi: 'ज़रूर! मुझे नए विचारों को समझने में आपकी मदद करके ख़ुशी होगी। आपको कौन-सा विषय पसंद है? 🌟',
+        previewUser2: 'मुझे AI के भविष्य के बारे में बताइए!',
+        whyBefore: '',
+        whyAfter: ' ही क्यों चुनें?',
+        whySubtitle: 'जानिए कौन-सी विशेषताएँ MaVi GPT को आपका सबसे अच्छा AI साथी बनाती हैं',
+        features: {
+            fast: {
+                title: 'बिजली-सी तेज़',
+                description: 'Google Gemini AI से तुरंत जवाब, बहुत कम इंतज़ार के साथ'
+            },
+            design: {
+                title: 'सुंदर डिज़ाइन',
+                description: 'डार्क और लाइट थीम के साथ आकर्षक ग्लासमॉर्फ़िक इंटरफ़ेस'
+            },
+            secure: {
+                title: 'सुरक्षित और निजी',
+                description: 'आपकी बातचीत Firebase प्रमाणीकरण से सुरक्षित है'
+            },
+            green: {
+                title: 'ग्रीन कोडिंग',
+                description: 'कम से कम कार्बन फ़ुटप्रिंट के लिए पर्यावरण-अनुकूल सिद्धांतों पर बना'
+            },
+            natural: {
+                title: 'स्वाभाविक बातचीत',
+                description: 'ऐसे चैट करें जैसे किसी असली सहायक से बात कर रहे हों'
+            },
+            available: {
+                title: 'हमेशा उपलब्ध',
+                description: '24/7 उपलब्ध - आपका AI साथी कभी नहीं सोता'
+            }
+        },
+        howBefore: 'यह कैसे ',
+        howHighlight: 'काम करता है',
+        howSubtitle: 'सिर्फ़ तीन आसान चरणों में शुरू करें',
+        step1Title: 'खाता बनाएँ',
+        step1Text: 'अपने ईमेल से कुछ ही सेकंड में मुफ़्त साइन अप करें',
+        step2Title: 'चैट शुरू करें',
+        step2Text: 'MaVi GPT से तुरंत बातचीत शुरू करें',
+        step3Title: 'AI की शक्ति का आनंद लें',
+        step3Text: 'अपने सभी सवालों के समझदार जवाब पाएँ',
+        ctaTitle: 'भविष्य का अनुभव करने के लिए तैयार हैं?',
+        ctaText: 'हज़ारों उपयोगकर्ताओं के साथ जुड़ें जो पहले से MaVi GPT से चैट कर रहे हैं',
+        ctaButton: 'मुफ़्त में शुरू करें',
+        footerText: 'ग्रीन कोडिंग सिद्धांतों के साथ 💜 से बनाया गया',
+        copyright: '© 2026 MaVi GPT. सर्वाधिकार सुरक्षित।'
+    },
+    chat: {
+        title: 'MaVi GPT से चैट करें',
+        subtitle: 'इंजीनियरिंग छात्रों के लिए AI सहायक 🎓',
+        loadingOlder: 'पुराने संदेश लोड हो रहे हैं...',
+        welcomeTitle: 'MaVi GPT में आपका स्वागत है! 👋',
+        welcomeText: 'अपनी इंजीनियरिंग पढ़ाई के बारे में कुछ भी पूछें।',
+        greenInfo: 'ऊर्जा-कुशल AI द्वारा संचालित -',
+        seeFootprint: 'अपना फ़ुटप्रिंट देखें',
+        thinking: 'सोच रहा है...',
+        retry: 'फिर से कोशिश करें',
+        regenerate: 'फिर से बनाएँ',
+        regenerateTitle: 'कैश छोड़कर मॉडल से फिर से पूछें',
+        cachedAnswer: 'कैश किया गया जवाब',
+        cachedShared: ' (साझा)',
+        cachedSaved: ' · ~{tokens} टोकन बचे',
+        usageLine: '{tokens} टोकन · ≈{energy} · ≈{co2} CO₂',
+        usageDetail: '{prompt} इनपुट + {response} आउटपुट',
+        usageEstimated: ' (अनुमानित)',
+        editAttachmentsNote: 'बदले गए प्रश्न के साथ अटैचमेंट दोबारा नहीं भेजे जाते।',
+        cancel: 'रद्द करें',
+        sendAsBranch: 'नई शाखा के रूप में भेजें',
+        confirmDelete: 'यह प्रश्न और इसका उत्तर हटाएँ?',
+        queued: '⏳ कतार में - ऑनलाइन होने पर भेजा जाएगा',
+        sending: '↻ भेजा जा रहा है...',
+        sent: '✓ भेजा गया',
+        offlineBanner: '📴 आप ऑफ़लाइन हैं। सहेजा गया इतिहास अब भी उपलब्ध है, और नए संदेश कतार में रखकर कनेक्शन लौटने पर भेजे जाएँगे।',
+        attach: 'छवि या PDF जोड़ें',
+        removeAttachment: '{name} हटाएँ',
+        placeholder: 'अपना संदेश लिखें, या कमांड के लिए / ...',
+        placeholderOffline: 'ऑफ़लाइन - आपका संदेश कतार में रखा जाएगा...',
+        send: 'भेजें',
+        stop: 'रोकें',
+        fileReadError: 'फ़ाइल पढ़ी नहीं जा सकी। कृपया फिर से कोशिश करें।',
+        offlineAttachments: 'ऑफ़लाइन रहते हुए अटैचमेंट कतार में नहीं रखे जा सकते। उन्हें हटाएँ, या ऑनलाइन होने पर भेजें।',
+        newConversationError: 'नई बातचीत शुरू नहीं हो सकी। कृपया फिर से कोशिश करें।',
+        emptyResponse: 'AI ने खाली जवाब दिया। कृपया फिर से कोशिश करें।',
+        genericError: 'माफ़ कीजिए, कोई त्रुटि हुई। कृपया फिर से कोशिश करें।',
+        share: 'शेयर करें',
+        shareTitle: 'चुने हुए संदेशों को केवल-पढ़ने वाले लिंक के रूप में प्रकाशित करें',
+        study: 'अध्ययन',
+        studyTitle: 'इस बातचीत से क्विज़ या फ़्लैशकार्ड बनाएँ',
+        makeQuiz: 'क्विज़ बनाएँ',
+        makeFlashcards: 'फ़्लैशकार्ड बनाएँ',
+        commands: 'स्लैश कमांड',
+        manageTemplates: 'अपने टेम्पलेट प्रबंधित करें',
+        commandMissing: 'इनका मान जोड़ें: {names} (मानों को | से अलग करें)'
+    },
+    share: {
+        dialogLabel: 'बातचीत शेयर करें',
+        heading: '“{title}” शेयर करें',
+        close: 'बंद करें',
+        note: 'लिंक वाला कोई भी व्यक्ति बिना साइन इन किए चुने हुए संदेश पढ़ सकता है। अटैचमेंट शामिल नहीं होते, और इस चैट में बाद में किए गए बदलाव नहीं दिखते।',
+        loading: 'लोड हो रहा है...',
+        loadError: 'यह बातचीत लोड नहीं हो सकी। कृपया फिर से कोशिश करें।',
+        selected: '{total} में से {selected} चुने गए (अधिकतम {max})',
+        selectAll: 'सभी चुनें',
+        selectNone: 'कोई नहीं',
+        working: 'काम हो रहा है...',
+        create: 'सार्वजनिक लिंक बनाएँ',
+        links: 'इस चैट के लिंक',
+        messageCount: { one: '{count} संदेश', other: '{count} संदेश' },
+        copied: 'कॉपी हो गया',
+        copyLink: 'लिंक कॉपी करें',
+        revoke: 'रद्द करें',
+        confirmRevoke: 'यह लिंक रद्द करें? जिनके पास यह है, वे इसे अब नहीं खोल पाएँगे।',
+        createError: 'लिंक नहीं बन सका। कृपया फिर से कोशिश करें।',
+        revokeError: 'लिंक रद्द नहीं हो सका। कृपया फिर से कोशिश करें।',
+        noneSelected: 'शेयर करने के लिए कम से कम एक संदेश चुनें।',
+        tooMany: 'आप एक बार में अधिकतम {max} संदेश शेयर कर सकते हैं।',
+        tooLarge: 'एक लिंक के लिए यह बहुत ज़्यादा टेक्स्ट है। कम संदेश चुनें।',
+        pageLoading: 'शेयर की गई बातचीत लोड हो रही है...',
+        missingTitle: 'लिंक उपलब्ध नहीं है',
+        missingText: 'यह बातचीत कभी शेयर नहीं की गई, या इसके मालिक ने लिंक रद्द कर दिया है।',
+        pageError: 'यह बातचीत लोड नहीं हो सकी। अपना कनेक्शन जाँचें और फिर से कोशिश करें।',
+        readOnly: 'केवल-पढ़ने वाली प्रति',
+        sharedOn: '{date} को शेयर किया गया',
+        cta: 'MaVi GPT से अपने प्रश्न पूछें'
+    },
+    study: {
+        kinds: { quiz: 'क्विज़', flashcards: 'फ़्लैशकार्ड' },
+        grades: { again: 'फिर से', hard: 'कठिन', good: 'ठीक', easy: 'आसान' },
+        close: 'बंद करें',
+        generating: {
+            quiz: 'इस बातचीत से आपका क्विज़ लिखा जा रहा है...',
+            flashcards: 'इस बातचीत से आपके फ़्लैशकार्ड लिखे जा रहे हैं...'
+        },
+        generateError: 'अध्ययन सेट नहीं बन सका। कृपया फिर से कोशिश करें।',
+        noMessages: 'इस बातचीत में अभी कोई सहेजा गया संदेश नहीं है।',
+        tryAgain: 'फिर से कोशिश करें',
+        savedBefore: 'सहेजा गया - इसे कभी भी ',
+        savedLink: 'अध्ययन पेज',
+        savedAfter: ' पर दोहराएँ।',
+        saving: 'सहेजा जा रहा है...',
+        saveDeck: 'डेक सहेजें',
+        saveError: 'डेक सहेजा नहीं जा सका। कृपया फिर से कोशिश करें।',
+        generateAgain: 'फिर से बनाएँ',
+        questionProgress: 'प्रश्न {current} / {total}',
+        percentCorrect: '{percent}% सही',
+        correct: 'सही',
+        notQuite: 'पूरी तरह सही नहीं',
+        seeScore: 'स्कोर देखें',
+        nextQuestion: 'अगला प्रश्न',
+        cardProgress: 'कार्ड {current} / {total}',
+        cardsReviewed: { one: '{count} कार्ड दोहराया गया', other: '{count} कार्ड दोहराए गए' },
+        allKnown: 'आप सब जानते थे।',
+        seeAgainSoon: '{count} जल्द ही फिर दिखेंगे।',
+        gradePrompt: 'आप इसे कितनी अच्छी तरह जानते थे?',
+        showAnswer: 'उत्तर दिखाएँ',
+        title: 'अध्ययन',
+        intro: 'आपकी चैट से सहेजे गए क्विज़ और फ़्लैशकार्ड। आइटम एक समय-सारणी पर दोहराने के लिए लौटते हैं - गलत होने पर जल्दी, अच्छी तरह जानने पर देर से।',
+        loading: 'आपके डेक लोड हो रहे हैं...',
+        loadError: 'आपके डेक लोड नहीं हो सके। कृपया फिर से कोशिश करें।',
+        emptyBefore: 'अभी कोई डेक नहीं। ',
+        emptyLink: 'चैट',
+        emptyAfter: ' में कोई बातचीत खोलें और "📚 {study}" → "{quiz}" या "{flashcards}" चुनें।',
+        itemCount: { one: '{count} आइटम', other: '{count} आइटम' },
+        dueNow: '{count} अभी दोहराने हैं',
+        nextReview: 'अगली दोहराई {date}',
+        review: 'दोहराएँ',
+        reviewCount: '{count} दोहराएँ',
+        practiseAll: 'सभी का अभ्यास करें',
+        practiseAllTitle: 'हर आइटम से गुज़रें - यह समय-सारणी में गिना जाता है',
+        openChat: 'चैट खोलें',
+        delete: 'हटाएँ',
+        confirmDelete: '"{title}" हटाएँ? इसका दोहराई इतिहास खो जाएगा।',
+        deleteError: 'डेक हटाया नहीं जा सका। कृपया फिर से कोशिश करें।',
+        reviewSaved: 'सहेजा गया।',
+        reviewSavedNext: 'सहेजा गया। अगली दोहराई: {date}',
+        reviewSaveError: 'यह दोहराई सहेजी नहीं जा सकी। कृपया फिर से कोशिश करें।',
+        allDecks: 'सभी डेक'
+    },
+    templates: {
+        builtIn: {
+            explain: 'किसी अवधारणा को चरण-दर-चरण समझाएँ',
+            derive: 'किसी सूत्र को मूल सिद्धांतों से व्युत्पन्न करें',
+            summarize: 'किसी विषय (या इस बातचीत) के रिविज़न नोट्स',
+            practice: 'अभ्यास प्रश्न, सबसे आसान पहले',
+            debug: 'कोड में बग ढूँढें और ठीक करें'
+        },
+        title: 'प्रॉम्प्ट टेम्पलेट',
+        introType: 'चैट में ',
+        introCommands: ' टाइप करें - बिल्ट-इन कमांड ({commands}) और आपके अपने टेम्पलेट के लिए।',
+        introSend: '',
+        introExample: '/नाम मान',
+        introExpand: ' भेजने पर टेम्पलेट प्रॉम्प्ट में बदल जाता है।',
+        loading: 'आपके टेम्पलेट लोड हो रहे हैं...',
+        loadError: 'आपके टेम्पलेट लोड नहीं हो सके। कृपया फिर से कोशिश करें।',
+        edit: 'बदलें',
+        delete: 'हटाएँ',
+        confirmDelete: '/{name} टेम्पलेट हटाएँ?',
+        deleteError: 'टेम्पलेट हटाया नहीं जा सका। कृपया फिर से कोशिश करें।',
+        nameLabel: 'कमांड का नाम',
+        namePlaceholder: 'जैसे exam-question',
+        descriptionLabel: 'विवरण (वैकल्पिक)',
+        descriptionPlaceholder: 'कमांड सूची में दिखता है',
+        templateLabel: 'टेम्पलेट',
+        templatePlaceholder: '{{topic}} पर {{marks=10}} अंकों का परीक्षा-शैली का प्रश्न लिखें, अंक-योजना के साथ।',
+        syntaxHint: 'कमांड के बाद टाइप किए जाने वाले मान के लिए {{name}}, या वैकल्पिक मान के लिए {{name=default}} का उपयोग करें। मानों को | से अलग करें',
+        usage: ' - उपयोग: ',
+        cancel: 'रद्द करें',
+        saving: 'सहेजा जा रहा है...',
+        save: 'टेम्पलेट सहेजें',
+        saved: 'सहेजा गया। इसे उपयोग करने के लिए चैट में /{name} टाइप करें।',
+        saveError: 'टेम्पलेट सहेजा नहीं जा सका। कृपया फिर से कोशिश करें।',
+        new: 'नया टेम्पलेट',
+        limitHint: 'आपके पास {max} टेम्पलेट हैं - नया जोड़ने के लिए एक हटाएँ।',
+        limitReached: 'आप अधिकतम {max} टेम्पलेट रख सकते हैं - नया जोड़ने के लिए एक हटाएँ।',
+        invalidName: 'नाम में 1-30 छोटे अक्षर, अंक या हाइफ़न होने चाहिए',
+        builtInName: '/{name} एक बिल्ट-इन कमांड है - कोई दूसरा नाम चुनें',
+        duplicateName: 'आपके पास पहले से /{name} टेम्पलेट है',
+        descriptionTooLong: 'विवरण {max} अक्षरों या उससे कम का होना चाहिए',
+        templateRequired: 'टेम्पलेट का टेक्स्ट ज़रूरी है',
+        templateTooLong: 'टेम्पलेट {max} अक्षरों या उससे कम का होना चाहिए'
+    },
+    transfer: {
+        menu: 'निर्यात / आयात',
+        working: 'काम हो रहा है...',
+        formats: { md: 'Markdown (.md)', json: 'JSON (.json)', html: 'वेब पेज (.html)' },
+        importJson: 'JSON आयात करें',
+        importIntoChat: 'इस चैट में JSON आयात करें',
+        exportError: 'निर्यात विफल रहा। कृपया फिर से कोशिश करें।',
+        importError: 'आयात विफल रहा। कृपया फिर से कोशिश करें।',
+        imported: { one: '{count} संदेश आयात हुआ।', other: '{count} संदेश आयात हुए।' },
+        skipped: { one: '{count} दोहराया गया संदेश छोड़ा गया।', other: '{count} दोहराए गए संदेश छोड़े गए।' },
+        tooLarge: 'आयात के लिए फ़ाइल बहुत बड़ी है (अधिकतम {max} MB)।',
+        invalidJson: 'फ़ाइल मान्य JSON नहीं है।',
+        notExport: 'यह MaVi GPT बातचीत का निर्यात नहीं है।',
+        unsupportedVersion: 'निर्यात संस्करण {version} समर्थित नहीं है।',
+        noExchanges: 'निर्यात में संदेशों की सूची नहीं है।',
+        tooMany: 'बहुत अधिक संदेश (अधिकतम {max})।',
+        missingField: 'संदेश {number} में प्रश्न या उत्तर नहीं है।',
+        invalidTimestamp: 'संदेश {number} का समय अमान्य है।'
+    },
+    search: {
+        dialogLabel: 'चैट इतिहास खोजें',
+        search: 'खोजें',
+        placeholder: 'अपने प्रश्न और उत्तर खोजें...',
+        from: 'से',
+        to: 'तक',
+        anyTime: 'कभी भी',
+        indexing: 'आपका इतिहास इंडेक्स हो रहा है...',
+        loadError: 'आपका इतिहास लोड नहीं हो सका। कृपया फिर से कोशिश करें।',
+        noMatches: 'कोई मेल नहीं मिला।',
+        conversation: 'बातचीत',
+        hint: '↑↓ चुनने के लिए · Enter खोलने के लिए · Esc बंद करने के लिए'
+    }
+};
@@ -0,0 +1,148 @@
+/**
+ * i18n - UI languages, message lookup and locale-aware dates
+ *
+ * Messages live in one catalog per language (./en.js, ./hi.js, ...), as
+ * nested objects addressed with dotted keys: t('chat.send').
+ * English is the source catalog and the fallback for any missing key.
+ * A message that depends on a number is an object of plural forms,
+ * picked with Intl.PluralRules: { one: '{count} message', other: '{count} messages' }
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Only English is in the main bundle; other catalogs are loaded on
+ *   demand, once, when that language is picked
+ * - Date formatters are built once per language and reused
+ */
+
+import en from './en';
+
+// `label` is the language's own name, so every user can find theirs;
+// `name` is the English name, used in instructions to the model
+export const LANGUAGES = [
+    { code: 'en', label: 'English', name: 'English', dir: 'ltr' },
+    { code: 'hi', label: 'हिन्दी', name: 'Hindi', dir: 'ltr' },
+    { code: 'mr', label: 'मराठी', name: 'Marathi', dir: 'ltr' },
+    { code: 'ta', label: 'தமிழ்', name: 'Tamil', dir: 'ltr' },
+    { code: 'ur', label: 'اردو', name: 'Urdu', dir: 'rtl' }
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const CATALOG_LOADERS = {
+    hi: () => import('./hi'),
+    mr: () => import('./mr'),
+    ta: () => import('./ta'),
+    ur: () => import('./ur')
+};
+
+const catalogs = { en };
+
+/**
+ * Language entry for a code
+ *
+ * @param {string} code - Language code
+ * @returns {{code: string, label: string, name: string, dir: string}} The entry, or English
+ */
+export const getLanguage = (code) => LANGUAGES.find(language => language.code === code) || LANGUAGES[0];
+
+/**
+ * Best supported language for the browser's preferences
+ * "hi-IN" matches "hi"; anything unsupported means English
+ *
+ * @param {Array<string>} [preferred] - BCP 47 tags, most preferred first
+ * @returns {string} Language code
+ */
+export const detectLanguage = (preferred = navigator.languages || [navigator.language]) => {
+    for (const tag of preferred) {
+        const code = String(tag || '').toLowerCase().split('-')[0];
+        if (LANGUAGES.some(language => language.code === code)) return code;
+    }
+    return DEFAULT_LANGUAGE;
+};
+
+/**
+ * Load a language's catalog (cached after the first call)
+ *
+ * @param {string} code - Language code
+ * @returns {Promise<Object>} The catalog
+ */
+export const loadCatalog = async (code) => {
+    if (catalogs[code]) return catalogs[code];
+    if (!CATALOG_LOADERS[code]) return en;
+    const module = await CATALOG_LOADERS[code]();
+    catalogs[code] = module.default;
+    return catalogs[code];
+};
+
+const pluralRules = new Map();
+
+/**
+ * Look up a dotted key in a catalog
+ *
+ * @param {Object} catalog - Message catalog
+ * @param {string} key - e.g. "chat.send"
+ * @param {string} code - Catalog's language, for plural rules
+ * @param {number} [count] - Picks the plural form when the message has them
+ * @returns {string|undefined}
+ */
+const lookup = (catalog, key, code, count) => {
+    const value = key.split('.').reduce((node, part) => node?.[part], catalog);
+    if (typeof value === 'string') return value;
+    if (typeof value?.other !== 'string') return undefined;
+
+    if (!pluralRules.has(code)) pluralRules.set(code, new Intl.PluralRules(code));
+    return value[pluralRules.get(code).select(Number(count) || 0)] ?? value.other;
+};
+
+/**
+ * Translate a message key
+ * Falls back to English, then to the key itself, so a missing message
+ * is visible but never breaks rendering
+ *
+ * @param {string} code - Language code (its catalog must be loaded)
+ * @param {string} key - Dotted message key
+ * @param {Object} [vars] - Values for {placeholders}; `count` also picks the plural form
+ * @returns {string}
+ */
+export const translate = (code, key, vars = {}) => {
+    const message = lookup(catalogs[code], key, code, vars.count) ?? lookup(en, key, 'en', vars.count) ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+};
+
+const formatters = new Map();
+
+/**
+ * Format a date for a language, e.g. "5 Mar 2026, 2:30 pm" (en) or
+ * "5 मार्च 2026, 2:30 pm" (hi)
+ * Indian English is used for "en" - day-month order, as students expect
+ *
+ * @param {string} code - Language code
+ * @param {Date} date - Date to format
+ * @param {Object} [options] - Intl.DateTimeFormat options
+ * @returns {string}
+ */
+export const formatDate = (code, date, options = { dateStyle: 'medium', timeStyle: 'short' }) => {
+    const key = `${code}|${JSON.stringify(options)}`;
+    if (!formatters.has(key)) {
+        formatters.set(key, new Intl.DateTimeFormat(code === 'en' ? 'en-IN' : code, options));
+    }
+    return formatters.get(key).format(date);
+};
+
+/**
+ * An error whose message is a catalog entry
+ * Thrown by modules without access to t(); components show it with
+ * tError(error) in the user's language. `message` is the English text,
+ * for logs.
+ */
+export class MessageError extends Error {
+    /**
+     * @param {string} key - Dotted message key
+     * @param {Object} [vars] - Values for {placeholders}
+     */
+    constructor(key, vars = {}) {
+        super(translate('en', key, vars));
+        this.name = 'MessageError';
+        this.key = key;
+        this.vars = vars;
+    }
+}
@@ -0,0 +1,312 @@
+/**
+ * Marathi messages (मराठी)
+ * Missing keys fall back to English - see ./en.js
+ */
+
+export default {
+    common: {
+        home: 'मुख्यपृष्ठ',
+        email: 'ईमेल',
+        password: 'पासवर्ड',
+        emailPlaceholder: 'तुमचा ईमेल टाका',
+        or: 'किंवा',
+        login: 'लॉग इन',
+        register: 'नोंदणी करा',
+        language: 'भाषा',
+        fillAllFields: 'कृपया सर्व माहिती भरा'
+    },
+    nav: {
+        subtitle: 'अभियांत्रिकी विद्यार्थ्यांसाठी AI',
+        switchToLight: 'लाइट मोडवर जा',
+        switchToDark: 'डार्क मोडवर जा',
+        study: 'अभ्यास',
+        studyTitle: 'तुमच्या जतन केलेल्या क्विझ आणि फ्लॅशकार्डची उजळणी करा',
+        usage: 'वापर',
+        usageTitle: 'तुमचे टोकन आणि कार्बन फूटप्रिंट',
+        settings: 'सेटिंग्ज',
+        settingsTitle: 'खाते सेटिंग्ज',
+        logout: 'लॉग आउट'
+    },
+    login: {
+        passwordPlaceholder: 'तुमचा पासवर्ड टाका',
+        forgotPassword: 'पासवर्ड विसरलात?',
+        submitting: 'लॉग इन होत आहे...',
+        failed: 'लॉग इन करता आले नाही',
+        noAccount: 'खाते नाही?'
+    },
+    register: {
+        passwordPlaceholder: 'तुमचा पासवर्ड टाका (किमान 6 अक्षरे)',
+        confirmPassword: 'पासवर्डची खात्री करा',
+        confirmPlaceholder: 'पासवर्ड पुन्हा टाका',
+        passwordsMismatch: 'पासवर्ड जुळत नाहीत',
+        passwordTooShort: 'पासवर्ड किमान 6 अक्षरांचा असावा',
+        submitting: 'खाते तयार होत आहे...',
+        failed: 'नोंदणी करता आली नाही',
+        haveAccount: 'आधीच खाते आहे?'
+    },
+    landing: {
+        toggleTheme: 'थीम बदला',
+        getStarted: 'सुरू करा',
+        badge: 'Google Gemini AI द्वारे चालवलेले',
+        heroTitle: 'तुमचा हुशार',
+        heroHighlight: ' AI सोबती',
+        heroDescription: 'MaVi GPT सोबत संवादाच्या भविष्याचा अनुभव घ्या. स्मार्ट, सोपे आणि सुंदर - कृत्रिम बुद्धिमत्तेच्या मदतीने तुम्हाला अधिक साध्य करता यावे म्हणून बनवलेले.',
+        startChatting: 'मोफत चॅट सुरू करा',
+        signIn: 'साइन इन',
+        statFree: 'वापर मोफत',
+        statAvailable: 'उपलब्ध',
+        statPossibilities: 'शक्यता',
+        previewUser1: 'नमस्कार! आज काहीतरी नवीन शिकायला मदत कराल का?',
+        previewAi: 'नक्कीच! नवीन कल्पना समजून घ्यायला मदत करायला मला आवडेल. तुम्हाला कोणता विषय आवडतो? 🌟',
+        previewUser2: 'मला AI च्या भविष्याबद्दल सांगा!',
+        whyBefore: '',
+        whyAfter: ' का निवडावे?',
+        whySubtitle: 'MaVi GPT ला तुमचा सर्वोत्तम AI सोबती बनवणारी वैशिष्ट्ये जाणून घ्या',
+        features: {
+            fast: {
+                title: 'विजेसारखे वेगवान',
+                description: 'Google Gemini AI कडून अगदी कमी विलंबात त्वरित उत्तरे'
+            },
+            design: {
+                title: 'सुंदर रचना',
+                description: 'डार्क आणि लाइट थीमसह आकर्षक ग्लासमॉर्फिक इंटरफेस'
+            },
+            secure: {
+                title: 'सुरक्षित आणि खाजगी',
+                description: 'तुमचे संभाषण Firebase प्रमाणीकरणाने सुरक्षित आहे'
+            },
+            green: {
+                title: 'ग्रीन कोडिंग',
+                description: 'कमीत कमी कार्बन फूटप्रिंटसाठी पर्यावरणपूरक तत्त्वांवर बनवलेले'
+            },
+            natural: {
+                title: 'नैसर्गिक संवाद',
+                description: 'खऱ्या सहाय्यकाशी बोलल्यासारखे सहज चॅट करा'
+            },
+            available: {
+                title: 'नेहमी उपलब्ध',
+                description: '24/7 उपलब्ध - तुमचा AI सोबती कधीच झोपत नाही'
+            }
+        },
+        howBefore: 'हे कसे ',
+        howHighlight: 'काम करते',
+        howSubtitle: 'फक्त तीन सोप्या टप्प्यांत सुरुवात करा',
+        step1Title: 'खाते तयार करा',
+        step1Text: 'तुमच्या ईमेलने काही सेकंदांत मोफत नोंदणी करा',
+        step2Title: 'चॅट सुरू करा',
+        step2Text: 'MaVi GPT सोबत लगेच संवाद सुरू करा',
+        step3Title: 'AI च्या शक्तीचा आनंद घ्या',
+        step3Text: 'तुमच्या सर्व प्रश्नांची हुशार उत्तरे मिळवा',
+        ctaTitle: 'भविष्याचा अनुभव घ्यायला तयार आहात?',
+        ctaText: 'आधीपासून MaVi GPT सोबत चॅट करणाऱ्या हजारो वापरकर्त्यांमध्ये सामील व्हा',
+        ctaButton: 'मोफत सुरू करा',
+        footerText: 'ग्रीन कोडिंग तत्त्वांसह 💜 ने बनवलेले',
+        copyright: '© 2026 MaVi GPT. सर्व हक्क राखीव.'
+    },
+    chat: {
+        title: 'MaVi GPT सोबत चॅट करा',
+        subtitle: 'अभियांत्रिकी विद्यार्थ्यांसाठी AI सहाय्यक 🎓',
+        loadingOlder: 'जुने संदेश लोड होत आहेत...',
+        welcomeTitle: 'MaVi GPT मध्ये तुमचे स्वागत आहे! 👋',
+        welcomeText: 'तुमच्या अभियांत्रिकी अभ्यासाबद्दल काहीही विचारा.',
+        greenInfo: 'ऊर्जा-कार्यक्षम AI द्वारे चालवलेले -',
+        seeFootprint: 'तुमचा फूटप्रिंट पाहा',
+        thinking: 'विचार करत आहे...',
+        retry: 'पुन्हा प्रयत्न करा',
+        regenerate: 'पुन्हा तयार करा',
+        regenerateTitle: 'कॅश वगळून मॉडेलला पुन्हा विचारा',
+        cachedAnswer: 'कॅश केलेले उत्तर',
+        cachedShared: ' (सामायिक)',
+        cachedSaved: ' · ~{tokens} टोकन वाचले',
+        usageLine: '{tokens} टोकन · ≈{energy} · ≈{co2} CO₂',
+        usageDetail: '{prompt} इनपुट + {response} आउटपुट',
+        usageEstimated: ' (अंदाजे)',
+        editAttachmentsNote: 'बदललेल्या प्रश्नासोबत संलग्नक पुन्हा पाठवले जात नाहीत.',
+        cancel: 'रद्द करा',
+        sendAsBranch: 'नवीन शाखा म्हणून पाठवा',
+        confirmDelete: 'हा प्रश्न आणि त्याचे उत्तर हटवायचे?',
+        queued: '⏳ रांगेत - ऑनलाइन आल्यावर पाठवले जाईल',
+        sending: '↻ पाठवत आहे...',
+        sent: '✓ पाठवले',
+        offlineBanner: '📴 तुम्ही ऑफलाइन आहात. जतन केलेला इतिहास अजूनही उपलब्ध आहे, आणि नवीन संदेश रांगेत ठेवून कनेक्शन परत आल्यावर पाठवले जातील.',
+        attach: 'प्रतिमा किंवा PDF जोडा',
+        removeAttachment: '{name} काढा',
+        placeholder: 'तुमचा संदेश लिहा, किंवा कमांडसाठी / ...',
+        placeholderOffline: 'ऑफलाइन - तुमचा संदेश रांगेत ठेवला जाईल...',
+        send: 'पाठवा',
+        stop: 'थांबवा',
+        fileReadError: 'फाइल वाचता आली नाही. कृपया पुन्हा प्रयत्न करा.',
+        offlineAttachments: 'ऑफलाइन असताना संलग्नक रांगेत ठेवता येत नाहीत. ते काढा, किंवा ऑनलाइन आल्यावर पाठवा.',
+        newConversationError: 'नवीन संभाषण सुरू करता आले नाही. कृपया पुन्हा प्रयत्न करा.',
+        emptyResponse: 'AI ने रिकामे उत्तर दिले. कृपया पुन्हा प्रयत्न करा.',
+        genericError: 'माफ करा, काहीतरी चूक झाली. कृपया पुन्हा प्रयत्न करा.',
+        share: 'शेअर करा',
+        shareTitle: 'निवडलेले संदेश फक्त-वाचन लिंक म्हणून प्रकाशित करा',
+        study: 'अभ्यास',
+        studyTitle: 'या संभाषणातून क्विझ किंवा फ्लॅशकार्ड तयार करा',
+        makeQuiz: 'क्विझ तयार करा',
+        makeFlashcards: 'फ्लॅशकार्ड तयार करा',
+        commands: 'स्लॅश कमांड',
+        manageTemplates: 'तुमचे टेम्पलेट व्यवस्थापित करा',
+        commandMissing: 'यांची मूल्ये द्या: {names} (मूल्ये | ने वेगळी करा)'
+    },
+    share: {
+        dialogLabel: 'संभाषण शेअर करा',
+        heading: '“{title}” शेअर करा',
+        close: 'बंद करा',
+        note: 'लिंक असलेली कोणतीही व्यक्ती साइन इन न करता निवडलेले संदेश वाचू शकते. अटॅचमेंट समाविष्ट नसतात, आणि या चॅटमध्ये नंतर केलेले बदल दिसत नाहीत.',
+        loading: 'लोड होत आहे...',
+        loadError: 'हे संभाषण लोड होऊ शकले नाही. कृपया पुन्हा प्रयत्न करा.',
+        selected: '{total} पैकी {selected} निवडले (कमाल {max})',
+        selectAll: 'सर्व निवडा',
+        selectNone: 'काहीही नाही',
+        working: 'काम सुरू आहे...',
+        create: 'सार्वजनिक लिंक तयार करा',
+        links: 'या चॅटच्या लिंक',
+        messageCount: { one: '{count} संदेश', other: '{count} संदेश' },
+        copied: 'कॉपी झाले',
+        copyLink: 'लिंक कॉपी करा',
+        revoke: 'रद्द करा',
+        confirmRevoke: 'ही लिंक रद्द करायची? ज्यांच्याकडे ती आहे त्यांना ती यापुढे उघडता येणार नाही.',
+        createError: 'लिंक तयार होऊ शकली नाही. कृपया पुन्हा प्रयत्न करा.',
+        revokeError: 'लिंक रद्द होऊ शकली नाही. कृपया पुन्हा प्रयत्न करा.',
+        noneSelected: 'शेअर करण्यासाठी किमान एक संदेश निवडा.',
+        tooMany: 'तुम्ही एका वेळी जास्तीत जास्त {max} संदेश शेअर करू शकता.',
+        tooLarge: 'एका लिंकसाठी हा मजकूर खूप जास्त आहे. कमी संदेश निवडा.',
+        pageLoading: 'शेअर केलेले संभाषण लोड होत आहे...',
+        missingTitle: 'लिंक उपलब्ध नाही',
+        missingText: 'हे संभाषण कधीही शेअर केले गेले नाही, किंवा त्याच्या मालकाने लिंक रद्द केली आहे.',
+        pageError: 'हे संभाषण लोड होऊ शकले नाही. तुमचे कनेक्शन तपासा आणि पुन्हा प्रयत्न करा.',
+        readOnly: 'फक्त वाचनीय प्रत',
+        sharedOn: '{date} रोजी शेअर केले',
+        cta: 'MaVi GPT ला तुमचे स्वतःचे प्रश्न विचारा'
+    },
+    study: {
+        kinds: { quiz: 'क्विझ', flashcards: 'फ्लॅशकार्ड' },
+        grades: { again: 'पुन्हा', hard: 'कठीण', good: 'ठीक', easy: 'सोपे' },
+        close: 'बंद करा',
+        generating: {
+            quiz: 'या संभाषणातून तुमची क्विझ लिहिली जात आहे...',
+            flashcards: 'या संभाषणातून तुमचे फ्लॅशकार्ड लिहिले जात आहेत...'
+        },
+        generateError: 'अभ्यास संच तयार होऊ शकला नाही. कृपया पुन्हा प्रयत्न करा.',
+        noMessages: 'या संभाषणात अद्याप कोणतेही जतन केलेले संदेश नाहीत.',
+        tryAgain: 'पुन्हा प्रयत्न करा',
+        savedBefore: 'जतन केले - कधीही ',
+        savedLink: 'अभ्यास पानावर',
+        savedAfter: ' उजळणी करा.',
+        saving: 'जतन होत आहे...',
+        saveDeck: 'डेक जतन करा',
+        saveError: 'डेक जतन होऊ शकला नाही. कृपया पुन्हा प्रयत्न करा.',
+        generateAgain: 'पुन्हा तयार करा',
+        questionProgress: 'प्रश्न {current} / {total}',
+        percentCorrect: '{percent}% बरोबर',
+        correct: 'बरोबर',
+        notQuite: 'पूर्णपणे बरोबर नाही',
+        seeScore: 'गुण पाहा',
+        nextQuestion: 'पुढील प्रश्न',
+        cardProgress: 'कार्ड {current} / {total}',
+        cardsReviewed: { one: '{count} कार्डची उजळणी झाली', other: '{count} कार्डांची उजळणी झाली' },
+        allKnown: 'तुम्हाला सर्व माहीत होते.',
+        seeAgainSoon: '{count} लवकरच पुन्हा दिसतील.',
+        gradePrompt: 'तुम्हाला हे किती चांगले माहीत होते?',
+        showAnswer: 'उत्तर दाखवा',
+        title: 'अभ्यास',
+        intro: 'तुमच्या चॅटमधून जतन केलेल्या क्विझ आणि फ्लॅशकार्ड. आयटम वेळापत्रकानुसार उजळणीसाठी परत येतात - चुकल्यास लवकर, चांगले माहीत असल्यास उशिरा.',
+        loading: 'तुमचे डेक लोड होत आहेत...',
+        loadError: 'तुमचे डेक लोड होऊ शकले नाहीत. कृपया पुन्हा प्रयत्न करा.',
+        emptyBefore: 'अद्याप कोणतेही डेक नाहीत. ',
+        emptyLink: 'चॅट',
+        emptyAfter: ' मध्ये एखादे संभाषण उघडा आणि "📚 {study}" → "{quiz}" किंवा "{flashcards}" निवडा.',
+        itemCount: { one: '{count} आयटम', other: '{count} आयटम' },
+        dueNow: '{count} आता उजळणीसाठी',
+        nextReview: 'पुढील उजळणी {date}',
+        review: 'उजळणी करा',
+        reviewCount: '{count} ची उजळणी करा',
+        practiseAll: 'सर्वांचा सराव करा',
+        practiseAllTitle: 'प्रत्येक आयटम पाहा - हे वेळापत्रकात मोजले जाते',
+        openChat: 'चॅट उघडा',
+        delete: 'हटवा',
+        confirmDelete: '"{title}" हटवायचे? त्याचा उजळणी इतिहास नष्ट होईल.',
+        deleteError: 'डेक हटवता आला नाही. कृपया पुन्हा प्रयत्न करा.',
+        reviewSaved: 'जतन केले.',
+        reviewSavedNext: 'जतन केले. पुढील उजळणी: {date}',
+        reviewSaveError: 'ही उजळणी जतन होऊ शकली नाही. कृपया पुन्हा प्रयत्न करा.',
+        allDecks: 'सर्व डेक'
+    },
+    templates: {
+        builtIn: {
+            explain: 'एखादी संकल्पना टप्प्याटप्प्याने समजावून सांगा',
+            derive: 'एखादे सूत्र मूलभूत तत्त्वांपासून सिद्ध करा',
+            summarize: 'एखाद्या विषयाच्या (किंवा या संभाषणाच्या) उजळणी नोट्स',
+            practice: 'सरावाचे प्रश्न, सर्वात सोपे आधी',
+            debug: 'कोडमधील बग शोधा आणि दुरुस्त करा'
+        },
+        title: 'प्रॉम्प्ट टेम्पलेट',
+        introType: 'चॅटमध्ये ',
+        introCommands: ' टाइप करा - अंगभूत कमांड ({commands}) आणि तुमच्या स्वतःच्या टेम्पलेटसाठी.',
+        introSend: '',
+        introExample: '/नाव मूल्ये',
+        introExpand: ' पाठवल्यावर टेम्पलेट प्रॉम्प्टमध्ये बदलतो.',
+        loading: 'तुमचे टेम्पलेट लोड होत आहेत...',
+        loadError: 'तुमचे टेम्पलेट लोड होऊ शकले नाहीत. कृपया पुन्हा प्रयत्न करा.',
+        edit: 'संपादित करा',
+        delete: 'हटवा',
+        confirmDelete: '/{name} टेम्पलेट हटवायचा?',
+        deleteError: 'टेम्पलेट हटवता आला नाही. कृपया पुन्हा प्रयत्न करा.',
+        nameLabel: 'कमांडचे नाव',
+        namePlaceholder: 'उदा. exam-question',
+        descriptionLabel: 'वर्णन (ऐच्छिक)',
+        descriptionPlaceholder: 'कमांड यादीत दिसते',
+        templateLabel: 'टेम्पलेट',
+        templatePlaceholder: '{{topic}} वर {{marks=10}} गुणांचा परीक्षा-पद्धतीचा प्रश्न लिहा, गुणदान योजनेसह.',
+        syntaxHint: 'कमांडनंतर टाइप करायच्या मूल्यासाठी {{name}}, किंवा ऐच्छिक मूल्यासाठी {{name=default}} वापरा. मूल्ये | ने वेगळी करा',
+        usage: ' - वापर: ',
+        cancel: 'रद्द करा',
+        saving: 'जतन होत आहे...',
+        save: 'टेम्पलेट जतन करा',
+        saved: 'जतन केले. वापरण्यासाठी चॅटमध्ये /{name} टाइप करा.',
+        saveError: 'टेम्पलेट जतन होऊ शकला नाही. कृपया पुन्हा प्रयत्न करा.',
+        new: 'नवीन टेम्पलेट',
+        limitHint: 'तुमच्याकडे {max} टेम्पलेट आहेत - नवीन जोडण्यासाठी एक हटवा.',
+        limitReached: 'तुम्ही जास्तीत जास्त {max} टेम्पलेट ठेवू शकता - नवीन जोडण्यासाठी एक हटवा.',
+        invalidName: 'नावात 1-30 लहान अक्षरे, अंक किंवा हायफन असावेत',
+        builtInName: '/{name} ही अंगभूत कमांड आहे - दुसरे नाव निवडा',
+        duplicateName: 'तुमच्याकडे आधीच /{name} टेम्पलेट आहे',
+        descriptionTooLong: 'वर्णन {max} अक्षरे किंवा त्याहून कमी असावे',
+        templateRequired: 'टेम्पलेटचा मजकूर आवश्यक आहे',
+        templateTooLong: 'टेम्पलेट {max} अक्षरे किंवा त्याहून कमी असावा'
+    },
+    transfer: {
+        menu: 'निर्यात / आयात',
+        working: 'काम सुरू आहे...',
+        formats: { md: 'Markdown (.md)', json: 'JSON (.json)', html: 'वेब पान (.html)' },
+        importJson: 'JSON आयात करा',
+        importIntoChat: 'या चॅटमध्ये JSON आयात करा',
+        exportError: 'निर्यात अयशस्वी झाली. कृपया पुन्हा प्रयत्न करा.',
+        importError: 'आयात अयशस्वी झाली. कृपया पुन्हा प्रयत्न करा.',
+        imported: { one: '{count} संदेश आयात झाला.', other: '{count} संदेश आयात झाले.' },
+        skipped: { one: '{count} पुनरावृत्त संदेश वगळला.', other: '{count} पुनरावृत्त संदेश वगळले.' },
+        tooLarge: 'आयातासाठी फाइल खूप मोठी आहे (कमाल {max} MB).',
+        invalidJson: 'फाइल वैध JSON नाही.',
+        notExport: 'हे MaVi GPT संभाषणाचे निर्यात नाही.',
+        unsupportedVersion: 'निर्यात आवृत्ती {version} समर्थित नाही.',
+        noExchanges: 'निर्यातात संदेशांची यादी नाही.',
+        tooMany: 'खूप जास्त संदेश (कमाल {max}).',
+        missingField: 'संदेश {number} मध्ये प्रश्न किंवा उत्तर नाही.',
+        invalidTimestamp: 'संदेश {number} ची वेळ अवैध आहे.'
+    },
+    search: {
+        dialogLabel: 'चॅट इतिहास शोधा',
+        search: 'शोधा',
+        placeholder: 'तुमचे प्रश्न आणि उत्तरे शोधा...',
+        from: 'पासून',
+        to: 'पर्यंत',
+        anyTime: 'कधीही',
+        indexing: 'तुमचा इतिहास अनुक्रमित होत आहे...',
+        loadError: 'तुमचा इतिहास लोड होऊ शकला नाही. कृपया पुन्हा प्रयत्न करा.',
+        noMatches: 'काहीही जुळले नाही.',
+        conversation: 'संभाषण',
+        hint: '↑↓ निवडण्यासाठी · Enter उघडण्यासाठी · Esc बंद करण्यासाठी'
+    }
+};
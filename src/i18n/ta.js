@@ -0,0 +1,312 @@
+/**
+ * Tamil messages (தமிழ்)
+ * Missing keys fall back to English - see ./en.js
+ */
+
+export default {
+    common: {
+        home: 'முகப்பு',
+        email: 'மின்னஞ்சல்',
+        password: 'கடவுச்சொல்',
+        emailPlaceholder: 'உங்கள் மின்னஞ்சலை உள்ளிடவும்',
+        or: 'அல்லது',
+        login: 'உள்நுழை',
+        register: 'பதிவு செய்',
+        language: 'மொழி',
+        fillAllFields: 'அனைத்து புலங்களையும் நிரப்பவும்'
+    },
+    nav: {
+        subtitle: 'பொறியியல் மாணவர்களுக்கான AI',
+        switchToLight: 'ஒளி பயன்முறைக்கு மாறு',
+        switchToDark: 'இருள் பயன்முறைக்கு மாறு',
+        study: 'படிப்பு',
+        studyTitle: 'சேமித்த வினாடி வினாக்களையும் ஃபிளாஷ் கார்டுகளையும் மீள்பார்வை செய்யுங்கள்',
+        usage: 'பயன்பாடு',
+        usageTitle: 'உங்கள் டோக்கன் மற்றும் கார்பன் தடம்',
+        settings: 'அமைப்புகள்',
+        settingsTitle: 'கணக்கு அமைப்புகள்',
+        logout: 'வெளியேறு'
+    },
+    login: {
+        passwordPlaceholder: 'உங்கள் கடவுச்சொல்லை உள்ளிடவும்',
+        forgotPassword: 'கடவுச்சொல் மறந்துவிட்டதா?',
+        submitting: 'உள்நுழைகிறது...',
+        failed: 'உள்நுழைய முடியவில்லை',
+        noAccount: 'கணக்கு இல்லையா?'
+    },
+    register: {
+        passwordPlaceholder: 'கடவுச்சொல்லை உள்ளிடவும் (குறைந்தது 6 எழுத்துகள்)',
+        confirmPassword: 'கடவுச்சொல்லை உறுதிப்படுத்து',
+        confirmPlaceholder: 'கடவுச்சொல்லை மீண்டும் உள்ளிடவும்',
+        passwordsMismatch: 'கடவுச்சொற்கள் பொருந்தவில்லை',
+        passwordTooShort: 'கடவுச்சொல் குறைந்தது 6 எழுத்துகள் இருக்க வேண்டும்',
+        submitting: 'கணக்கு உருவாக்கப்படுகிறது...',
+        failed: 'பதிவு செய்ய முடியவில்லை',
+        haveAccount: 'ஏற்கனவே கணக்கு உள்ளதா?'
+    },
+    landing: {
+        toggleTheme: 'தீமை மாற்று',
+        getStarted: 'தொடங்குங்கள்',
+        badge: 'Google Gemini AI மூலம் இயங்குகிறது',
+        heroTitle: 'உங்கள் அறிவார்ந்த',
+        heroHighlight: ' AI துணை',
+        heroDescription: 'MaVi GPT உடன் உரையாடலின் எதிர்காலத்தை அனுபவியுங்கள். புத்திசாலித்தனமான, எளிமையான, அழகாக வடிவமைக்கப்பட்ட - செயற்கை நுண்ணறிவின் சக்தியுடன் நீங்கள் அதிகம் சாதிக்க உதவும்.',
+        startChatting: 'இலவசமாக அரட்டையைத் தொடங்குங்கள்',
+        signIn: 'உள்நுழை',
+        statFree: 'இலவச பயன்பாடு',
+        statAvailable: 'எப்போதும் கிடைக்கும்',
+        statPossibilities: 'சாத்தியங்கள்',
+        previewUser1: 'வணக்கம்! இன்று புதிதாக ஏதாவது கற்றுக்கொள்ள உதவ முடியுமா?',
+        previewAi: 'நிச்சயமாக! புதிய கருத்துகளை ஆராய உதவுவதில் மகிழ்ச்சி. உங்களுக்கு எந்தத் தலைப்பு பிடிக்கும்? 🌟',
+        previewUser2: 'AI இன் எதிர்காலம் பற்றி சொல்லுங்கள்!',
+        whyBefore: 'ஏன் ',
+        whyAfter: ' ஐத் தேர்ந்தெடுக்க வேண்டும்?',
+        whySubtitle: 'MaVi GPT ஐ உங்கள் சிறந்த AI துணையாக்கும் அம்சங்களைக் கண்டறியுங்கள்',
+        features: {
+            fast: {
+                title: 'மின்னல் வேகம்',
+                description: 'Google Gemini AI மூலம் மிகக் குறைந்த தாமதத்தில் உடனடி பதில்கள்'
+            },
+            design: {
+                title: 'அழகான வடிவமைப்பு',
+                description: 'இருள் மற்றும் ஒளி தீம்களுடன் கண்கவர் கண்ணாடி போன்ற இடைமுகம்'
+            },
+            secure: {
+                title: 'பாதுகாப்பானது & தனிப்பட்டது',
+                description: 'உங்கள் உரையாடல்கள் Firebase அங்கீகாரத்தால் பாதுகாக்கப்படுகின்றன'
+            },
+            green: {
+                title: 'பசுமைக் குறியீட்டு முறை',
+                description: 'குறைந்த கார்பன் தடத்திற்காக சுற்றுச்சூழலுக்கு உகந்த கொள்கைகளுடன் உருவாக்கப்பட்டது'
+            },
+            natural: {
+                title: 'இயல்பான உரையாடல்கள்',
+                description: 'உண்மையான உதவியாளரிடம் பேசுவது போல இயல்பாக அரட்டையடியுங்கள்'
+            },
+            available: {
+                title: 'எப்போதும் கிடைக்கும்',
+                description: '24/7 கிடைக்கும் - உங்கள் AI துணை ஒருபோதும் தூங்காது'
+            }
+        },
+        howBefore: 'இது எப்படி ',
+        howHighlight: 'செயல்படுகிறது',
+        howSubtitle: 'மூன்று எளிய படிகளில் தொடங்குங்கள்',
+        step1Title: 'கணக்கை உருவாக்குங்கள்',
+        step1Text: 'உங்கள் மின்னஞ்சலுடன் சில நொடிகளில் இலவசமாகப் பதிவு செய்யுங்கள்',
+        step2Title: 'அரட்டையைத் தொடங்குங்கள்',
+        step2Text: 'MaVi GPT உடன் உடனே உரையாடலைத் தொடங்குங்கள்',
+        step3Title: 'AI சக்தியை அனுபவியுங்கள்',
+        step3Text: 'உங்கள் எல்லா கேள்விகளுக்கும் அறிவார்ந்த பதில்களைப் பெறுங்கள்',
+        ctaTitle: 'எதிர்காலத்தை அனுபவிக்கத் தயாரா?',
+        ctaText: 'ஏற்கனவே MaVi GPT உடன் அரட்டையடிக்கும் ஆயிரக்கணக்கான பயனர்களுடன் இணையுங்கள்',
+        ctaButton: 'இலவசமாகத் தொடங்குங்கள்',
+        footerText: 'பசுமைக் குறியீட்டுக் கொள்கைகளுடன் 💜 உடன் உருவாக்கப்பட்டது',
+        copyright: '© 2026 MaVi GPT. அனைத்து உரிமைகளும் பாதுகாக்கப்பட்டவை.'
+    },
+    chat: {
+        title: 'MaVi GPT உடன் அரட்டை',
+        subtitle: 'பொறியியல் மாணவர்களுக்கான AI உதவியாளர் 🎓',
+        loadingOlder: 'முந்தைய செய்திகள் ஏற்றப்படுகின்றன...',
+        welcomeTitle: 'MaVi GPT க்கு வரவேற்கிறோம்! 👋',
+        welcomeText: 'உங்கள் பொறியியல் படிப்பு பற்றி எதையும் கேளுங்கள்.',
+        greenInfo: 'ஆற்றல்-திறன் மிக்க AI மூலம் இயங்குகிறது -',
+        seeFootprint: 'உங்கள் தடத்தைப் பாருங்கள்',
+        thinking: 'யோசிக்கிறது...',
+        retry: 'மீண்டும் முயற்சி',
+        regenerate: 'மீண்டும் உருவாக்கு',
+        regenerateTitle: 'கேஷைத் தவிர்த்து மாடலிடம் மீண்டும் கேள்',
+        cachedAnswer: 'கேஷ் செய்யப்பட்ட பதில்',
+        cachedShared: ' (பகிரப்பட்டது)',
+        cachedSaved: ' · ~{tokens} டோக்கன்கள் சேமிக்கப்பட்டன',
+        usageLine: '{tokens} டோக்கன்கள் · ≈{energy} · ≈{co2} CO₂',
+        usageDetail: '{prompt} உள்ளீடு + {response} வெளியீடு',
+        usageEstimated: ' (மதிப்பீடு)',
+        editAttachmentsNote: 'திருத்தப்பட்ட கேள்வியுடன் இணைப்புகள் மீண்டும் அனுப்பப்படாது.',
+        cancel: 'ரத்து செய்',
+        sendAsBranch: 'புதிய கிளையாக அனுப்பு',
+        confirmDelete: 'இந்தக் கேள்வியையும் அதன் பதிலையும் நீக்கவா?',
+        queued: '⏳ வரிசையில் - இணைப்பு வந்ததும் அனுப்பப்படும்',
+        sending: '↻ அனுப்பப்படுகிறது...',
+        sent: '✓ அனுப்பப்பட்டது',
+        offlineBanner: '📴 நீங்கள் ஆஃப்லைனில் உள்ளீர்கள். சேமித்த வரலாறு இன்னும் கிடைக்கும்; புதிய செய்திகள் வரிசையில் வைக்கப்பட்டு இணைப்பு திரும்பியதும் அனுப்பப்படும்.',
+        attach: 'படம் அல்லது PDF இணை',
+        removeAttachment: '{name} ஐ நீக்கு',
+        placeholder: 'உங்கள் செய்தியைத் தட்டச்சு செய்யுங்கள், அல்லது கட்டளைகளுக்கு / ...',
+        placeholderOffline: 'ஆஃப்லைன் - உங்கள் செய்தி வரிசையில் வைக்கப்படும்...',
+        send: 'அனுப்பு',
+        stop: 'நிறுத்து',
+        fileReadError: 'கோப்பைப் படிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+        offlineAttachments: 'ஆஃப்லைனில் இணைப்புகளை வரிசையில் வைக்க முடியாது. அவற்றை நீக்குங்கள், அல்லது இணைப்பு வந்ததும் அனுப்புங்கள்.',
+        newConversationError: 'புதிய உரையாடலைத் தொடங்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+        emptyResponse: 'AI வெற்றுப் பதிலை அளித்தது. மீண்டும் முயற்சிக்கவும்.',
+        genericError: 'மன்னிக்கவும், ஒரு பிழை ஏற்பட்டது. மீண்டும் முயற்சிக்கவும்.',
+        share: 'பகிர்',
+        shareTitle: 'தேர்ந்தெடுத்த செய்திகளைப் படிக்க மட்டுமான இணைப்பாக வெளியிடு',
+        study: 'படிப்பு',
+        studyTitle: 'இந்த உரையாடலிலிருந்து வினாடி வினா அல்லது ஃபிளாஷ் கார்டுகளை உருவாக்கு',
+        makeQuiz: 'வினாடி வினா உருவாக்கு',
+        makeFlashcards: 'ஃபிளாஷ் கார்டுகள் உருவாக்கு',
+        commands: 'ஸ்லாஷ் கட்டளைகள்',
+        manageTemplates: 'உங்கள் வார்ப்புருக்களை நிர்வகி',
+        commandMissing: 'இவற்றுக்கு மதிப்பு சேர்க்கவும்: {names} (மதிப்புகளை | கொண்டு பிரிக்கவும்)'
+    },
+    share: {
+        dialogLabel: 'உரையாடலைப் பகிர்',
+        heading: '“{title}” பகிர்',
+        close: 'மூடு',
+        note: 'இணைப்பு உள்ள எவரும் உள்நுழையாமலேயே தேர்ந்தெடுத்த செய்திகளைப் படிக்கலாம். இணைப்புக் கோப்புகள் சேர்க்கப்படாது, இந்த அரட்டையில் பின்னர் செய்யும் மாற்றங்கள் காட்டப்படாது.',
+        loading: 'ஏற்றுகிறது...',
+        loadError: 'இந்த உரையாடலை ஏற்ற முடியவில்லை. மீண்டும் முயலவும்.',
+        selected: '{total} இல் {selected} தேர்ந்தெடுக்கப்பட்டன (அதிகபட்சம் {max})',
+        selectAll: 'அனைத்தையும் தேர்ந்தெடு',
+        selectNone: 'எதுவுமில்லை',
+        working: 'செயல்படுகிறது...',
+        create: 'பொது இணைப்பை உருவாக்கு',
+        links: 'இந்த அரட்டையின் இணைப்புகள்',
+        messageCount: { one: '{count} செய்தி', other: '{count} செய்திகள்' },
+        copied: 'நகலெடுக்கப்பட்டது',
+        copyLink: 'இணைப்பை நகலெடு',
+        revoke: 'திரும்பப் பெறு',
+        confirmRevoke: 'இந்த இணைப்பைத் திரும்பப் பெறவா? இது உள்ளவர்களால் இனி இதைத் திறக்க முடியாது.',
+        createError: 'இணைப்பை உருவாக்க முடியவில்லை. மீண்டும் முயலவும்.',
+        revokeError: 'இணைப்பைத் திரும்பப் பெற முடியவில்லை. மீண்டும் முயலவும்.',
+        noneSelected: 'பகிர குறைந்தது ஒரு செய்தியைத் தேர்ந்தெடுக்கவும்.',
+        tooMany: 'ஒரே நேரத்தில் அதிகபட்சம் {max} செய்திகளைப் பகிரலாம்.',
+        tooLarge: 'ஒரு இணைப்புக்கு இது அதிக உரை. குறைவான செய்திகளைத் தேர்ந்தெடுக்கவும்.',
+        pageLoading: 'பகிரப்பட்ட உரையாடலை ஏற்றுகிறது...',
+        missingTitle: 'இணைப்பு கிடைக்கவில்லை',
+        missingText: 'இந்த உரையாடல் பகிரப்படவே இல்லை, அல்லது அதன் உரிமையாளர் இணைப்பைத் திரும்பப் பெற்றுவிட்டார்.',
+        pageError: 'இந்த உரையாடலை ஏற்ற முடியவில்லை. இணைப்பைச் சரிபார்த்து மீண்டும் முயலவும்.',
+        readOnly: 'படிக்க மட்டுமான நகல்',
+        sharedOn: '{date} அன்று பகிரப்பட்டது',
+        cta: 'MaVi GPT இடம் உங்கள் சொந்தக் கேள்விகளைக் கேளுங்கள்'
+    },
+    study: {
+        kinds: { quiz: 'வினாடி வினா', flashcards: 'ஃபிளாஷ் கார்டுகள்' },
+        grades: { again: 'மீண்டும்', hard: 'கடினம்', good: 'நன்று', easy: 'எளிது' },
+        close: 'மூடு',
+        generating: {
+            quiz: 'இந்த உரையாடலிலிருந்து உங்கள் வினாடி வினா எழுதப்படுகிறது...',
+            flashcards: 'இந்த உரையாடலிலிருந்து உங்கள் ஃபிளாஷ் கார்டுகள் எழுதப்படுகின்றன...'
+        },
+        generateError: 'படிப்புத் தொகுப்பை உருவாக்க முடியவில்லை. மீண்டும் முயலவும்.',
+        noMessages: 'இந்த உரையாடலில் இன்னும் சேமிக்கப்பட்ட செய்திகள் இல்லை.',
+        tryAgain: 'மீண்டும் முயல்க',
+        savedBefore: 'சேமிக்கப்பட்டது - எப்போது வேண்டுமானாலும் ',
+        savedLink: 'படிப்புப் பக்கத்தில்',
+        savedAfter: ' மீள்பார்வை செய்யலாம்.',
+        saving: 'சேமிக்கிறது...',
+        saveDeck: 'தொகுப்பைச் சேமி',
+        saveError: 'தொகுப்பைச் சேமிக்க முடியவில்லை. மீண்டும் முயலவும்.',
+        generateAgain: 'மீண்டும் உருவாக்கு',
+        questionProgress: 'கேள்வி {current} / {total}',
+        percentCorrect: '{percent}% சரி',
+        correct: 'சரி',
+        notQuite: 'சரியில்லை',
+        seeScore: 'மதிப்பெண்ணைப் பார்',
+        nextQuestion: 'அடுத்த கேள்வி',
+        cardProgress: 'கார்டு {current} / {total}',
+        cardsReviewed: { one: '{count} கார்டு மீள்பார்வை செய்யப்பட்டது', other: '{count} கார்டுகள் மீள்பார்வை செய்யப்பட்டன' },
+        allKnown: 'உங்களுக்கு எல்லாம் தெரிந்திருந்தது.',
+        seeAgainSoon: '{count} விரைவில் மீண்டும் வரும்.',
+        gradePrompt: 'இது உங்களுக்கு எவ்வளவு நன்றாகத் தெரிந்தது?',
+        showAnswer: 'விடையைக் காட்டு',
+        title: 'படிப்பு',
+        intro: 'உங்கள் அரட்டைகளிலிருந்து சேமித்த வினாடி வினாக்களும் ஃபிளாஷ் கார்டுகளும். உருப்படிகள் ஓர் அட்டவணைப்படி மீள்பார்வைக்குத் திரும்பும் - தவறினால் விரைவில், நன்றாகத் தெரிந்தால் தாமதமாக.',
+        loading: 'உங்கள் தொகுப்புகளை ஏற்றுகிறது...',
+        loadError: 'உங்கள் தொகுப்புகளை ஏற்ற முடியவில்லை. மீண்டும் முயலவும்.',
+        emptyBefore: 'இன்னும் தொகுப்புகள் இல்லை. ',
+        emptyLink: 'அரட்டையில்',
+        emptyAfter: ' ஓர் உரையாடலைத் திறந்து "📚 {study}" → "{quiz}" அல்லது "{flashcards}" என்பதைத் தேர்ந்தெடுக்கவும்.',
+        itemCount: { one: '{count} உருப்படி', other: '{count} உருப்படிகள்' },
+        dueNow: '{count} இப்போது மீள்பார்வைக்கு',
+        nextReview: 'அடுத்த மீள்பார்வை {date}',
+        review: 'மீள்பார்வை',
+        reviewCount: '{count} மீள்பார்வை',
+        practiseAll: 'அனைத்தையும் பயிற்சி செய்',
+        practiseAllTitle: 'ஒவ்வொரு உருப்படியையும் பாருங்கள் - இது அட்டவணையில் கணக்கிடப்படும்',
+        openChat: 'அரட்டையைத் திற',
+        delete: 'நீக்கு',
+        confirmDelete: '"{title}" ஐ நீக்கவா? அதன் மீள்பார்வை வரலாறு இழக்கப்படும்.',
+        deleteError: 'தொகுப்பை நீக்க முடியவில்லை. மீண்டும் முயலவும்.',
+        reviewSaved: 'சேமிக்கப்பட்டது.',
+        reviewSavedNext: 'சேமிக்கப்பட்டது. அடுத்த மீள்பார்வை: {date}',
+        reviewSaveError: 'இந்த மீள்பார்வையைச் சேமிக்க முடியவில்லை. மீண்டும் முயலவும்.',
+        allDecks: 'அனைத்துத் தொகுப்புகளும்'
+    },
+    templates: {
+        builtIn: {
+            explain: 'ஒரு கருத்தைப் படிப்படியாக விளக்கு',
+            derive: 'ஒரு சூத்திரத்தை அடிப்படைக் கொள்கைகளிலிருந்து வருவி',
+            summarize: 'ஒரு தலைப்பின் (அல்லது இந்த உரையாடலின்) மீள்பார்வைக் குறிப்புகள்',
+            practice: 'பயிற்சிக் கணக்குகள், எளியது முதலில்',
+            debug: 'குறியீட்டில் உள்ள பிழையைக் கண்டுபிடித்துச் சரிசெய்'
+        },
+        title: 'ப்ராம்ப்ட் வார்ப்புருக்கள்',
+        introType: 'அரட்டையில் ',
+        introCommands: ' என்று தட்டச்சு செய்யவும் - உள்ளமைந்த கட்டளைகளுக்கும் ({commands}) உங்கள் வார்ப்புருக்களுக்கும்.',
+        introSend: '',
+        introExample: '/பெயர் மதிப்புகள்',
+        introExpand: ' என அனுப்பினால் வார்ப்புரு ப்ராம்ப்டாக விரிவடையும்.',
+        loading: 'உங்கள் வார்ப்புருக்களை ஏற்றுகிறது...',
+        loadError: 'உங்கள் வார்ப்புருக்களை ஏற்ற முடியவில்லை. மீண்டும் முயலவும்.',
+        edit: 'திருத்து',
+        delete: 'நீக்கு',
+        confirmDelete: '/{name} வார்ப்புருவை நீக்கவா?',
+        deleteError: 'வார்ப்புருவை நீக்க முடியவில்லை. மீண்டும் முயலவும்.',
+        nameLabel: 'கட்டளையின் பெயர்',
+        namePlaceholder: 'எ.கா. exam-question',
+        descriptionLabel: 'விளக்கம் (விருப்பத்தேர்வு)',
+        descriptionPlaceholder: 'கட்டளைப் பட்டியலில் காட்டப்படும்',
+        templateLabel: 'வார்ப்புரு',
+        templatePlaceholder: '{{topic}} பற்றி {{marks=10}} மதிப்பெண் கொண்ட தேர்வு பாணிக் கேள்வியை மதிப்பெண் திட்டத்துடன் எழுது.',
+        syntaxHint: 'கட்டளைக்குப் பிறகு தட்டச்சு செய்யும் மதிப்புக்கு {{name}}, விருப்ப மதிப்புக்கு {{name=default}} பயன்படுத்தவும். மதிப்புகளை | கொண்டு பிரிக்கவும்',
+        usage: ' - பயன்பாடு: ',
+        cancel: 'ரத்துசெய்',
+        saving: 'சேமிக்கிறது...',
+        save: 'வார்ப்புருவைச் சேமி',
+        saved: 'சேமிக்கப்பட்டது. பயன்படுத்த அரட்டையில் /{name} என்று தட்டச்சு செய்யவும்.',
+        saveError: 'வார்ப்புருவைச் சேமிக்க முடியவில்லை. மீண்டும் முயலவும்.',
+        new: 'புதிய வார்ப்புரு',
+        limitHint: 'உங்களிடம் {max} வார்ப்புருக்கள் உள்ளன - புதியதைச் சேர்க்க ஒன்றை நீக்கவும்.',
+        limitReached: 'அதிகபட்சம் {max} வார்ப்புருக்கள் வைத்திருக்கலாம் - புதியதைச் சேர்க்க ஒன்றை நீக்கவும்.',
+        invalidName: 'பெயர் 1-30 சிறிய எழுத்துகள், எண்கள் அல்லது இணைப்புக்கோடுகளாக இருக்க வேண்டும்',
+        builtInName: '/{name} ஓர் உள்ளமைந்த கட்டளை - வேறு பெயரைத் தேர்ந்தெடுக்கவும்',
+        duplicateName: 'உங்களிடம் ஏற்கெனவே /{name} வார்ப்புரு உள்ளது',
+        descriptionTooLong: 'விளக்கம் {max} எழுத்துகள் அல்லது அதற்குக் குறைவாக இருக்க வேண்டும்',
+        templateRequired: 'வார்ப்புரு உரை தேவை',
+        templateTooLong: 'வார்ப்புரு {max} எழுத்துகள் அல்லது அதற்குக் குறைவாக இருக்க வேண்டும்'
+    },
+    transfer: {
+        menu: 'ஏற்றுமதி / இறக்குமதி',
+        working: 'செயல்படுகிறது...',
+        formats: { md: 'Markdown (.md)', json: 'JSON (.json)', html: 'வலைப்பக்கம் (.html)' },
+        importJson: 'JSON இறக்குமதி',
+        importIntoChat: 'இந்த அரட்டையில் JSON இறக்குமதி',
+        exportError: 'ஏற்றுமதி தோல்வியடைந்தது. மீண்டும் முயலவும்.',
+        importError: 'இறக்குமதி தோல்வியடைந்தது. மீண்டும் முயலவும்.',
+        imported: { one: '{count} செய்தி இறக்குமதி செய்யப்பட்டது.', other: '{count} செய்திகள் இறக்குமதி செய்யப்பட்டன.' },
+        skipped: { one: '{count} நகல் தவிர்க்கப்பட்டது.', other: '{count} நகல்கள் தவிர்க்கப்பட்டன.' },
+        tooLarge: 'இறக்குமதிக்குக் கோப்பு மிகப் பெரியது (அதிகபட்சம் {max} MB).',
+        invalidJson: 'கோப்பு சரியான JSON அல்ல.',
+        notExport: 'இது MaVi GPT உரையாடல் ஏற்றுமதி அல்ல.',
+        unsupportedVersion: 'ஏற்றுமதிப் பதிப்பு {version} ஆதரிக்கப்படவில்லை.',
+        noExchanges: 'ஏற்றுமதியில் செய்திப் பட்டியல் இல்லை.',
+        tooMany: 'மிக அதிகமான செய்திகள் (அதிகபட்சம் {max}).',
+        missingField: 'செய்தி {number} இல் கேள்வி அல்லது பதில் இல்லை.',
+        invalidTimestamp: 'செய்தி {number} இன் நேரம் தவறானது.'
+    },
+    search: {
+        dialogLabel: 'அரட்டை வரலாற்றில் தேடு',
+        search: 'தேடு',
+        placeholder: 'உங்கள் கேள்விகளையும் பதில்களையும் தேடுங்கள்...',
+        from: 'இருந்து',
+        to: 'வரை',
+        anyTime: 'எப்போதும்',
+        indexing: 'உங்கள் வரலாற்றை அட்டவணைப்படுத்துகிறது...',
+        loadError: 'உங்கள் வரலாற்றை ஏற்ற முடியவில்லை. மீண்டும் முயலவும்.',
+        noMatches: 'பொருத்தம் இல்லை.',
+        conversation: 'உரையாடல்',
+        hint: '↑↓ தேர்ந்தெடுக்க · Enter திறக்க · Esc மூட'
+    }
+};
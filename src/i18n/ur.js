@@ -0,0 +1,312 @@
+/**
+ * Urdu messages (اردو) - right-to-left
+ * Missing keys fall back to English - see ./en.js
+ */
+
+export default {
+    common: {
+        home: 'ہوم',
+        email: 'ای میل',
+        password: 'پاس ورڈ',
+        emailPlaceholder: 'اپنا ای میل درج کریں',
+        or: 'یا',
+        login: 'لاگ اِن',
+        register: 'رجسٹر کریں',
+        language: 'زبان',
+        fillAllFields: 'براہ کرم تمام خانے پُر کریں'
+    },
+    nav: {
+        subtitle: 'انجینئرنگ طلبہ کے لیے AI',
+        switchToLight: 'لائٹ موڈ پر جائیں',
+        switchToDark: 'ڈارک موڈ پر جائیں',
+        study: 'مطالعہ',
+        studyTitle: 'اپنے محفوظ کوئز اور فلیش کارڈز دہرائیں',
+        usage: 'استعمال',
+        usageTitle: 'آپ کے ٹوکن اور کاربن فٹ پرنٹ',
+        settings: 'ترتیبات',
+        settingsTitle: 'اکاؤنٹ کی ترتیبات',
+        logout: 'لاگ آؤٹ'
+    },
+    login: {
+        passwordPlaceholder: 'اپنا پاس ورڈ درج کریں',
+        forgotPassword: 'پاس ورڈ بھول گئے؟',
+        submitting: 'لاگ اِن ہو رہا ہے...',
+        failed: 'لاگ اِن نہیں ہو سکا',
+        noAccount: 'اکاؤنٹ نہیں ہے؟'
+    },
+    register: {
+        passwordPlaceholder: 'اپنا پاس ورڈ درج کریں (کم از کم 6 حروف)',
+        confirmPassword: 'پاس ورڈ کی تصدیق کریں',
+        confirmPlaceholder: 'پاس ورڈ دوبارہ درج کریں',
+        passwordsMismatch: 'پاس ورڈ آپس میں نہیں ملتے',
+        passwordTooShort: 'پاس ورڈ کم از کم 6 حروف کا ہونا چاہیے',
+        submitting: 'اکاؤنٹ بنایا جا رہا ہے...',
+        failed: 'رجسٹر نہیں ہو سکا',
+        haveAccount: 'پہلے سے اکاؤنٹ ہے؟'
+    },
+    landing: {
+        toggleTheme: 'تھیم بدلیں',
+        getStarted: 'شروع کریں',
+        badge: 'Google Gemini AI کے ذریعے',
+        heroTitle: 'آپ کا ذہین',
+        heroHighlight: ' AI ساتھی',
+        heroDescription: 'MaVi GPT کے ساتھ گفتگو کے مستقبل کا تجربہ کریں۔ ذہین، آسان اور خوبصورت - مصنوعی ذہانت کی طاقت سے آپ کو زیادہ حاصل کرنے میں مدد کے لیے بنایا گیا۔',
+        startChatting: 'مفت چیٹ شروع کریں',
+        signIn: 'سائن اِن',
+        statFree: 'مفت استعمال',
+        statAvailable: 'دستیاب',
+        statPossibilities: 'امکانات',
+        previewUser1: 'السلام علیکم! کیا آپ آج کچھ نیا سیکھنے میں میری مدد کر سکتے ہیں؟',
+        previewAi: 'ضرور! نئے خیالات سمجھنے میں آپ کی مدد کر کے مجھے خوشی ہوگی۔ آپ کو کون سا موضوع پسند ہے؟ 🌟',
+        previewUser2: 'مجھے AI کے مستقبل کے بارے میں بتائیں!',
+        whyBefore: '',
+        whyAfter: ' ہی کیوں چنیں؟',
+        whySubtitle: 'جانیے کون سی خصوصیات MaVi GPT کو آپ کا بہترین AI ساتھی بناتی ہیں',
+        features: {
+            fast: {
+                title: 'بجلی جیسی رفتار',
+                description: 'Google Gemini AI سے بہت کم انتظار کے ساتھ فوری جوابات'
+            },
+            design: {
+                title: 'خوبصورت ڈیزائن',
+                description: 'ڈارک اور لائٹ تھیم کے ساتھ دلکش شیشے جیسا انٹرفیس'
+            },
+            secure: {
+                title: 'محفوظ اور نجی',
+                description: 'آپ کی گفتگو Firebase تصدیق سے محفوظ ہے'
+            },
+            green: {
+                title: 'گرین کوڈنگ',
+                description: 'کم سے کم کاربن فٹ پرنٹ کے لیے ماحول دوست اصولوں پر بنایا گیا'
+            },
+            natural: {
+                title: 'فطری گفتگو',
+                description: 'ایسے چیٹ کریں جیسے کسی حقیقی مددگار سے بات کر رہے ہوں'
+            },
+            available: {
+                title: 'ہمیشہ دستیاب',
+                description: '24/7 دستیاب - آپ کا AI ساتھی کبھی نہیں سوتا'
+            }
+        },
+        howBefore: 'یہ کیسے ',
+        howHighlight: 'کام کرتا ہے',
+        howSubtitle: 'صرف تین آسان مراحل میں شروع کریں',
+        step1Title: 'اکاؤنٹ بنائیں',
+        step1Text: 'اپنے ای میل سے چند سیکنڈ میں مفت سائن اپ کریں',
+        step2Title: 'چیٹ شروع کریں',
+        step2Text: 'MaVi GPT سے فوراً گفتگو شروع کریں',
+        step3Title: 'AI کی طاقت سے لطف اٹھائیں',
+        step3Text: 'اپنے تمام سوالات کے ذہین جوابات پائیں',
+        ctaTitle: 'مستقبل کا تجربہ کرنے کے لیے تیار ہیں؟',
+        ctaText: 'ان ہزاروں صارفین میں شامل ہوں جو پہلے سے MaVi GPT سے چیٹ کر رہے ہیں',
+        ctaButton: 'مفت شروع کریں',
+        footerText: 'گرین کوڈنگ کے اصولوں کے ساتھ 💜 سے بنایا گیا',
+        copyright: '© 2026 MaVi GPT. جملہ حقوق محفوظ ہیں۔'
+    },
+    chat: {
+        title: 'MaVi GPT سے چیٹ کریں',
+        subtitle: 'انجینئرنگ طلبہ کے لیے AI مددگار 🎓',
+        loadingOlder: 'پرانے پیغامات لوڈ ہو رہے ہیں...',
+        welcomeTitle: 'MaVi GPT میں خوش آمدید! 👋',
+        welcomeText: 'اپنی انجینئرنگ کی پڑھائی کے بارے میں کچھ بھی پوچھیں۔',
+        greenInfo: 'توانائی بچانے والے AI کے ذریعے -',
+        seeFootprint: 'اپنا فٹ پرنٹ دیکھیں',
+        thinking: 'سوچ رہا ہے...',
+        retry: 'دوبارہ کوشش کریں',
+        regenerate: 'دوبارہ بنائیں',
+        regenerateTitle: 'کیش چھوڑ کر ماڈل سے دوبارہ پوچھیں',
+        cachedAnswer: 'کیش شدہ جواب',
+        cachedShared: ' (مشترکہ)',
+        cachedSaved: ' · ~{tokens} ٹوکن بچے',
+        usageLine: '{tokens} ٹوکن · ≈{energy} · ≈{co2} CO₂',
+        usageDetail: '{prompt} ان پٹ + {response} آؤٹ پٹ',
+        usageEstimated: ' (اندازاً)',
+        editAttachmentsNote: 'ترمیم شدہ سوال کے ساتھ منسلکات دوبارہ نہیں بھیجے جاتے۔',
+        cancel: 'منسوخ کریں',
+        sendAsBranch: 'نئی شاخ کے طور پر بھیجیں',
+        confirmDelete: 'یہ سوال اور اس کا جواب حذف کریں؟',
+        queued: '⏳ قطار میں - آن لائن ہونے پر بھیجا جائے گا',
+        sending: '↻ بھیجا جا رہا ہے...',
+        sent: '✓ بھیج دیا گیا',
+        offlineBanner: '📴 آپ آف لائن ہیں۔ محفوظ شدہ تاریخ اب بھی دستیاب ہے، اور نئے پیغامات قطار میں رکھ کر کنکشن واپس آنے پر بھیجے جائیں گے۔',
+        attach: 'تصویر یا PDF منسلک کریں',
+        removeAttachment: '{name} ہٹائیں',
+        placeholder: 'اپنا پیغام لکھیں، یا کمانڈز کے لیے / ...',
+        placeholderOffline: 'آف لائن - آپ کا پیغام قطار میں رکھا جائے گا...',
+        send: 'بھیجیں',
+        stop: 'روکیں',
+        fileReadError: 'فائل پڑھی نہیں جا سکی۔ براہ کرم دوبارہ کوشش کریں۔',
+        offlineAttachments: 'آف لائن ہوتے ہوئے منسلکات قطار میں نہیں رکھے جا سکتے۔ انہیں ہٹائیں، یا آن لائن ہونے پر بھیجیں۔',
+        newConversationError: 'نئی گفتگو شروع نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔',
+        emptyResponse: 'AI نے خالی جواب دیا۔ براہ کرم دوبارہ کوشش کریں۔',
+        genericError: 'معاف کیجیے، کوئی خرابی پیش آئی۔ براہ کرم دوبارہ کوشش کریں۔',
+        share: 'شیئر کریں',
+        shareTitle: 'منتخب پیغامات کو صرف پڑھنے والے لنک کے طور پر شائع کریں',
+        study: 'مطالعہ',
+        studyTitle: 'اس گفتگو سے کوئز یا فلیش کارڈز بنائیں',
+        makeQuiz: 'کوئز بنائیں',
+        makeFlashcards: 'فلیش کارڈز بنائیں',
+        commands: 'سلیش کمانڈز',
+        manageTemplates: 'اپنے ٹیمپلیٹس کا انتظام کریں',
+        commandMissing: 'ان کی قدر شامل کریں: {names} (قدروں کو | سے الگ کریں)'
+    },
+    share: {
+        dialogLabel: 'گفتگو شیئر کریں',
+        heading: '“{title}” شیئر کریں',
+        close: 'بند کریں',
+        note: 'لنک رکھنے والا کوئی بھی شخص سائن ان کیے بغیر منتخب پیغامات پڑھ سکتا ہے۔ منسلکات شامل نہیں ہوتے، اور اس چیٹ میں بعد کی تبدیلیاں نہیں دکھائی جاتیں۔',
+        loading: 'لوڈ ہو رہا ہے...',
+        loadError: 'یہ گفتگو لوڈ نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔',
+        selected: '{total} میں سے {selected} منتخب (زیادہ سے زیادہ {max})',
+        selectAll: 'سب منتخب کریں',
+        selectNone: 'کوئی نہیں',
+        working: 'کام جاری ہے...',
+        create: 'عوامی لنک بنائیں',
+        links: 'اس چیٹ کے لنکس',
+        messageCount: { one: '{count} پیغام', other: '{count} پیغامات' },
+        copied: 'کاپی ہو گیا',
+        copyLink: 'لنک کاپی کریں',
+        revoke: 'منسوخ کریں',
+        confirmRevoke: 'یہ لنک منسوخ کریں؟ جن کے پاس یہ ہے وہ اسے مزید نہیں کھول سکیں گے۔',
+        createError: 'لنک نہیں بن سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+        revokeError: 'لنک منسوخ نہیں ہو سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+        noneSelected: 'شیئر کرنے کے لیے کم از کم ایک پیغام منتخب کریں۔',
+        tooMany: 'آپ ایک وقت میں زیادہ سے زیادہ {max} پیغامات شیئر کر سکتے ہیں۔',
+        tooLarge: 'ایک لنک کے لیے یہ بہت زیادہ متن ہے۔ کم پیغامات منتخب کریں۔',
+        pageLoading: 'شیئر کی گئی گفتگو لوڈ ہو رہی ہے...',
+        missingTitle: 'لنک دستیاب نہیں',
+        missingText: 'یہ گفتگو کبھی شیئر نہیں کی گئی، یا اس کے مالک نے لنک منسوخ کر دیا ہے۔',
+        pageError: 'یہ گفتگو لوڈ نہیں ہو سکی۔ اپنا کنکشن چیک کریں اور دوبارہ کوشش کریں۔',
+        readOnly: 'صرف پڑھنے والی نقل',
+        sharedOn: '{date} کو شیئر کیا گیا',
+        cta: 'MaVi GPT سے اپنے سوال پوچھیں'
+    },
+    study: {
+        kinds: { quiz: 'کوئز', flashcards: 'فلیش کارڈز' },
+        grades: { again: 'دوبارہ', hard: 'مشکل', good: 'ٹھیک', easy: 'آسان' },
+        close: 'بند کریں',
+        generating: {
+            quiz: 'اس گفتگو سے آپ کا کوئز لکھا جا رہا ہے...',
+            flashcards: 'اس گفتگو سے آپ کے فلیش کارڈز لکھے جا رہے ہیں...'
+        },
+        generateError: 'مطالعہ سیٹ نہیں بن سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+        noMessages: 'اس گفتگو میں ابھی کوئی محفوظ پیغام نہیں ہے۔',
+        tryAgain: 'دوبارہ کوشش کریں',
+        savedBefore: 'محفوظ ہو گیا - اسے کسی بھی وقت ',
+        savedLink: 'مطالعہ صفحے',
+        savedAfter: ' پر دہرائیں۔',
+        saving: 'محفوظ ہو رہا ہے...',
+        saveDeck: 'ڈیک محفوظ کریں',
+        saveError: 'ڈیک محفوظ نہیں ہو سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+        generateAgain: 'دوبارہ بنائیں',
+        questionProgress: 'سوال {current} / {total}',
+        percentCorrect: '{percent}% درست',
+        correct: 'درست',
+        notQuite: 'پوری طرح درست نہیں',
+        seeScore: 'اسکور دیکھیں',
+        nextQuestion: 'اگلا سوال',
+        cardProgress: 'کارڈ {current} / {total}',
+        cardsReviewed: { one: '{count} کارڈ دہرایا گیا', other: '{count} کارڈز دہرائے گئے' },
+        allKnown: 'آپ سب جانتے تھے۔',
+        seeAgainSoon: '{count} جلد دوبارہ دکھائی دیں گے۔',
+        gradePrompt: 'آپ اسے کتنی اچھی طرح جانتے تھے؟',
+        showAnswer: 'جواب دکھائیں',
+        title: 'مطالعہ',
+        intro: 'آپ کی چیٹس سے محفوظ کیے گئے کوئز اور فلیش کارڈز۔ آئٹمز ایک شیڈول پر دہرائی کے لیے واپس آتے ہیں - غلط ہونے پر جلد، اچھی طرح جاننے پر دیر سے۔',
+        loading: 'آپ کے ڈیک لوڈ ہو رہے ہیں...',
+        loadError: 'آپ کے ڈیک لوڈ نہیں ہو سکے۔ براہ کرم دوبارہ کوشش کریں۔',
+        emptyBefore: 'ابھی کوئی ڈیک نہیں۔ ',
+        emptyLink: 'چیٹ',
+        emptyAfter: ' میں کوئی گفتگو کھولیں اور "📚 {study}" ← "{quiz}" یا "{flashcards}" منتخب کریں۔',
+        itemCount: { one: '{count} آئٹم', other: '{count} آئٹمز' },
+        dueNow: '{count} ابھی دہرانے ہیں',
+        nextReview: 'اگلی دہرائی {date}',
+        review: 'دہرائیں',
+        reviewCount: '{count} دہرائیں',
+        practiseAll: 'سب کی مشق کریں',
+        practiseAllTitle: 'ہر آئٹم سے گزریں - یہ شیڈول میں شمار ہوتا ہے',
+        openChat: 'چیٹ کھولیں',
+        delete: 'حذف کریں',
+        confirmDelete: '"{title}" حذف کریں؟ اس کی دہرائی کی تاریخ ختم ہو جائے گی۔',
+        deleteError: 'ڈیک حذف نہیں ہو سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+        reviewSaved: 'محفوظ ہو گیا۔',
+        reviewSavedNext: 'محفوظ ہو گیا۔ اگلی دہرائی: {date}',
+        reviewSaveError: 'یہ دہرائی محفوظ نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔',
+        allDecks: 'تمام ڈیک'
+    },
+    templates: {
+        builtIn: {
+            explain: 'کسی تصور کو قدم بہ قدم سمجھائیں',
+            derive: 'کسی فارمولے کو بنیادی اصولوں سے اخذ کریں',
+            summarize: 'کسی موضوع (یا اس گفتگو) کے دہرائی نوٹس',
+            practice: 'مشق کے سوالات، آسان ترین پہلے',
+            debug: 'کوڈ میں بگ تلاش کر کے ٹھیک کریں'
+        },
+        title: 'پرامپٹ ٹیمپلیٹس',
+        introType: 'چیٹ میں ',
+        introCommands: ' ٹائپ کریں - بلٹ اِن کمانڈز ({commands}) اور اپنے ٹیمپلیٹس کے لیے۔',
+        introSend: '',
+        introExample: '/نام قدریں',
+        introExpand: ' بھیجنے پر ٹیمپلیٹ پرامپٹ میں بدل جاتا ہے۔',
+        loading: 'آپ کے ٹیمپلیٹس لوڈ ہو رہے ہیں...',
+        loadError: 'آپ کے ٹیمپلیٹس لوڈ نہیں ہو سکے۔ براہ کرم دوبارہ کوشش کریں۔',
+        edit: 'ترمیم کریں',
+        delete: 'حذف کریں',
+        confirmDelete: '/{name} ٹیمپلیٹ حذف کریں؟',
+        deleteError: 'ٹیمپلیٹ حذف نہیں ہو سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+        nameLabel: 'کمانڈ کا نام',
+        namePlaceholder: 'مثلاً exam-question',
+        descriptionLabel: 'تفصیل (اختیاری)',
+        descriptionPlaceholder: 'کمانڈ کی فہرست میں دکھائی دیتی ہے',
+        templateLabel: 'ٹیمپلیٹ',
+        templatePlaceholder: '{{topic}} پر {{marks=10}} نمبروں کا امتحانی طرز کا سوال لکھیں، مارکنگ اسکیم کے ساتھ۔',
+        syntaxHint: 'کمانڈ کے بعد ٹائپ کی جانے والی قدر کے لیے {{name}}، یا اختیاری قدر کے لیے {{name=default}} استعمال کریں۔ قدروں کو | سے الگ کریں',
+        usage: ' - استعمال: ',
+        cancel: 'منسوخ کریں',
+        saving: 'محفوظ ہو رہا ہے...',
+        save: 'ٹیمپلیٹ محفوظ کریں',
+        saved: 'محفوظ ہو گیا۔ استعمال کے لیے چیٹ میں /{name} ٹائپ کریں۔',
+        saveError: 'ٹیمپلیٹ محفوظ نہیں ہو سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+        new: 'نیا ٹیمپلیٹ',
+        limitHint: 'آپ کے پاس {max} ٹیمپلیٹس ہیں - نیا شامل کرنے کے لیے ایک حذف کریں۔',
+        limitReached: 'آپ زیادہ سے زیادہ {max} ٹیمپلیٹس رکھ سکتے ہیں - نیا شامل کرنے کے لیے ایک حذف کریں۔',
+        invalidName: 'نام 1-30 چھوٹے حروف، ہندسوں یا ہائفن پر مشتمل ہونا چاہیے',
+        builtInName: '/{name} ایک بلٹ اِن کمانڈ ہے - کوئی اور نام چنیں',
+        duplicateName: 'آپ کے پاس پہلے سے /{name} ٹیمپلیٹ ہے',
+        descriptionTooLong: 'تفصیل {max} حروف یا اس سے کم ہونی چاہیے',
+        templateRequired: 'ٹیمپلیٹ کا متن ضروری ہے',
+        templateTooLong: 'ٹیمپلیٹ {max} حروف یا اس سے کم ہونا چاہیے'
+    },
+    transfer: {
+        menu: 'برآمد / درآمد',
+        working: 'کام جاری ہے...',
+        formats: { md: 'Markdown (.md)', json: 'JSON (.json)', html: 'ویب صفحہ (.html)' },
+        importJson: 'JSON درآمد کریں',
+        importIntoChat: 'اس چیٹ میں JSON درآمد کریں',
+        exportError: 'برآمد ناکام رہی۔ براہ کرم دوبارہ کوشش کریں۔',
+        importError: 'درآمد ناکام رہی۔ براہ کرم دوبارہ کوشش کریں۔',
+        imported: { one: '{count} پیغام درآمد ہوا۔', other: '{count} پیغامات درآمد ہوئے۔' },
+        skipped: { one: '{count} دہرایا گیا پیغام چھوڑ دیا گیا۔', other: '{count} دہرائے گئے پیغامات چھوڑ دیے گئے۔' },
+        tooLarge: 'درآمد کے لیے فائل بہت بڑی ہے (زیادہ سے زیادہ {max} MB)۔',
+        invalidJson: 'فائل درست JSON نہیں ہے۔',
+        notExport: 'یہ MaVi GPT گفتگو کی برآمد نہیں ہے۔',
+        unsupportedVersion: 'برآمد کا ورژن {version} معاون نہیں ہے۔',
+        noExchanges: 'برآمد میں پیغامات کی فہرست نہیں ہے۔',
+        tooMany: 'بہت زیادہ پیغامات (زیادہ سے زیادہ {max})۔',
+        missingField: 'پیغام {number} میں سوال یا جواب موجود نہیں۔',
+        invalidTimestamp: 'پیغام {number} کا وقت درست نہیں۔'
+    },
+    search: {
+        dialogLabel: 'چیٹ کی تاریخ میں تلاش کریں',
+        search: 'تلاش کریں',
+        placeholder: 'اپنے سوالات اور جوابات تلاش کریں...',
+        from: 'سے',
+        to: 'تک',
+        anyTime: 'کسی بھی وقت',
+        indexing: 'آپ کی تاریخ کی فہرست بن رہی ہے...',
+        loadError: 'آپ کی تاریخ لوڈ نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔',
+        noMatches: 'کوئی نتیجہ نہیں ملا۔',
+        conversation: 'گفتگو',
+        hint: '↑↓ منتخب کرنے کے لیے · Enter کھولنے کے لیے · Esc بند کرنے کے لیے'
+    }
+};
@@ -2,6 +2,7 @@
  * Main Entry Point
  * 
  * GREEN CODING: Minimal setup, React strict mode for development efficiency
+ * The service worker (public/sw.js) caches the app shell for offline use
  */
 
 import React, { StrictMode } from 'react';
@@ -14,3 +15,15 @@ createRoot(document.getElementById('root')).render(
         <App />
     </StrictMode>
 );
+
+/**
+ * Register the service worker in production builds only - in development
+ * it would serve stale modules over Vite's hot reload
+ */
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    });
+}
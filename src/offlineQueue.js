@@ -0,0 +1,88 @@
+/**
+ * Offline Queue - prompts typed without a connection
+ *
+ * Queued prompts are kept in localStorage (per user) so they survive a
+ * reload, and are sent to the model in order once the browser is back
+ * online. Only the text is queued - attachments need a connection.
+ *
+ * Entry: { id, conversationId, prompt, queuedAt }
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Nothing is retried in a loop while offline; the queue is flushed
+ *   once, on the browser's `online` event
+ */
+
+const storageKey = (userId) => `mavi-offline-queue:${userId}`;
+
+/**
+ * @param {string} userId - Owner's uid
+ * @returns {Array<{id: string, conversationId: string, prompt: string, queuedAt: number}>} Oldest first
+ */
+export const loadQueue = (userId) => {
+    try {
+        const entries = JSON.parse(localStorage.getItem(storageKey(userId)) || '[]');
+        return Array.isArray(entries) ? entries : [];
+    } catch {
+        return [];
+    }
+};
+
+const saveQueue = (userId, entries) => {
+    if (entries.length === 0) {
+        localStorage.removeItem(storageKey(userId));
+    } else {
+        localStorage.setItem(storageKey(userId), JSON.stringify(entries));
+    }
+};
+
+/**
+ * Queue a prompt for a conversation
+ *
+ * @param {string} userId - Owner's uid
+ * @param {string} conversationId - Conversation the prompt belongs to
+ * @param {string} prompt - Prompt text
+ * @returns {{id: string, conversationId: string, prompt: string, queuedAt: number}} The new entry
+ */
+export const enqueuePrompt = (userId, conversationId, prompt) => {
+    const entry = { id: crypto.randomUUID(), conversationId, prompt, queuedAt: Date.now() };
+    saveQueue(userId, [...loadQueue(userId), entry]);
+    return entry;
+};
+
+/**
+ * @param {string} userId - Owner's uid
+ * @param {string} id - Entry to remove (sent, or failed for good)
+ */
+export const removeQueued = (userId, id) => {
+    saveQueue(userId, loadQueue(userId).filter(entry => entry.id !== id));
+};
+
+/**
+ * Drop the user's whole queue (account deleted)
+ *
+ * @param {string} userId - Owner's uid
+ */
+export const clearQueue = (userId) => {
+    localStorage.removeItem(storageKey(userId));
+};
+
+/**
+ * Drop every prompt queued for a conversation (it was deleted)
+ *
+ * @param {string} userId - Owner's uid
+ * @param {string} conversationId - Deleted conversation
+ */
+export const dropQueuedFor = (userId, conversationId) => {
+    saveQueue(userId, loadQueue(userId).filter(entry => entry.conversationId !== conversationId));
+};
+
+/**
+ * Queued prompts for one conversation, as user chat bubbles
+ *
+ * @param {string} userId - Owner's uid
+ * @param {string} conversationId - Conversation on screen
+ * @returns {Array<{text: string, sender: 'user', queueId: string, queueStatus: 'queued'}>}
+ */
+export const queuedMessages = (userId, conversationId) => loadQueue(userId)
+    .filter(entry => entry.conversationId === conversationId)
+    .map(entry => ({ text: entry.prompt, sender: 'user', queueId: entry.id, queueStatus: 'queued' }));
@@ -0,0 +1,273 @@
+/**
+ * Prompt Templates - slash commands for the chat input
+ *
+ * Typing "/" in the chat input opens a palette of commands: the built-in
+ * ones below plus the user's own templates. Sending "/name values" expands
+ * the command's template into the prompt that is actually sent and saved.
+ *
+ * Template syntax:
+ *   {{topic}}       a variable - a value must be given
+ *   {{count=5}}     an optional variable with a default
+ * Values follow the command, separated by "|", and fill the required
+ * variables first, then the optional ones (each in order of appearance):
+ *   /practice Laplace transforms | 3
+ * The last variable takes the rest of the text, so a single-variable
+ * template (like /debug) can be given code containing "|".
+ *
+ * Data model:
+ *   templates/{templateId} → { userId, name, description, template, createdAt, updatedAt }
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Expansion is local string work - no extra model call
+ * - A user's templates are read once, the first time a command is typed
+ */
+
+import {
+    addDoc,
+    collection,
+    deleteDoc,
+    doc,
+    getCountFromServer,
+    getDocs,
+    query,
+    updateDoc,
+    where
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { toDate } from './chatTransfer';
+import { MessageError } from './i18n';
+
+export const MAX_TEMPLATES = 50;
+export const MAX_TEMPLATE_CHARS = 2000;
+export const MAX_DESCRIPTION_CHARS = 100;
+const MAX_SUGGESTIONS = 8;
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,29}$/;
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*(?:=([^}]*))?\}\}/g;
+const COMMAND_PATTERN = /^\/([a-z0-9-]+)(?:\s+([\s\S]*))?$/i;
+
+// Descriptions are in the i18n catalogs, under templates.builtIn.{id}
+export const BUILT_IN_COMMANDS = [
+    {
+        id: 'explain',
+        name: 'explain',
+        icon: '💡',
+        template:
+            'Explain {{topic}} step by step. Start from the underlying idea, build it up one step at a time, ' +
+            'and finish with a short worked example and a one-line summary.'
+    },
+    {
+        id: 'derive',
+        name: 'derive',
+        icon: '∂',
+        template:
+            'Derive {{result}} from first principles. State the assumptions, justify every step, ' +
+            'name the laws or theorems used, and check the units of the final expression.'
+    },
+    {
+        id: 'summarize',
+        name: 'summarize',
+        icon: '📋',
+        template:
+            'Summarise {{topic=our conversation so far}} as concise revision notes: the key ideas as bullet points, ' +
+            'the important equations with every symbol defined, and common mistakes to avoid.'
+    },
+    {
+        id: 'practice',
+        name: 'practice',
+        icon: '✏️',
+        template:
+            'Give me {{count=5}} practice problems on {{topic}}, ordered from easiest to hardest. ' +
+            "Don't show the solutions - list only the final answers at the end so I can check my work."
+    },
+    {
+        id: 'debug',
+        name: 'debug',
+        icon: '🐞',
+        template:
+            'Help me debug the code below. Explain what causes the error or wrong output and how to fix it, ' +
+            'then show the corrected code.\n\n{{code}}'
+    }
+].map(command => ({ ...command, builtIn: true }));
+
+/**
+ * Variables in a template, required ones first
+ *
+ * @param {string} template - Template text
+ * @returns {Array<{name: string, defaultValue: string|null}>}
+ */
+export const parseVariables = (template) => {
+    const variables = [];
+    for (const [, name, defaultValue] of String(template).matchAll(VARIABLE_PATTERN)) {
+        if (!variables.some(v => v.name === name)) {
+            variables.push({ name, defaultValue: defaultValue === undefined ? null : defaultValue.trim() });
+        }
+    }
+    return [
+        ...variables.filter(v => v.defaultValue === null),
+        ...variables.filter(v => v.defaultValue !== null)
+    ];
+};
+
+/**
+ * How to call a command, e.g. "/practice topic | count=5"
+ *
+ * @param {{name: string, template: string}} command
+ * @returns {string}
+ */
+export const usageOf = (command) => {
+    const variables = parseVariables(command.template)
+        .map(v => (v.defaultValue === null ? v.name : `${v.name}=${v.defaultValue}`));
+    return [`/${command.name}`, variables.join(' | ')].filter(Boolean).join(' ');
+};
+
+/**
+ * Split typed input into a command name and its values
+ *
+ * @param {string} text - Chat input
+ * @returns {{name: string, args: string}|null} null when the input isn't a command
+ */
+export const parseCommand = (text) => {
+    const match = COMMAND_PATTERN.exec(String(text).trim());
+    return match ? { name: match[1].toLowerCase(), args: (match[2] || '').trim() } : null;
+};
+
+/**
+ * @param {Array<Object>} commands - Built-in commands and user templates
+ * @param {string} name - Command name without the slash
+ * @returns {Object|undefined}
+ */
+export const findCommand = (commands, name) => commands.find(command => command.name === name);
+
+/**
+ * Commands to suggest while the user is still typing a command name
+ *
+ * @param {Array<Object>} commands - Built-in commands and user templates
+ * @param {string} input - Chat input
+ * @returns {Array<Object>} Empty once a space follows the name
+ */
+export const matchCommands = (commands, input) => {
+    const match = /^\/([a-z0-9-]*)$/i.exec(input);
+    if (!match) return [];
+    const typed = match[1].toLowerCase();
+    return commands.filter(command => command.name.startsWith(typed)).slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Fill a template's variables from the text typed after the command
+ *
+ * @param {string} template - Template text
+ * @param {string} args - Values separated by "|"
+ * @returns {{prompt: string, missing: Array<string>}} missing lists variables with no value
+ */
+export const expandTemplate = (template, args) => {
+    const variables = parseVariables(template);
+    const parts = args ? args.split('|') : [];
+    // The last variable keeps any further "|" as part of its value
+    const values = variables.map((v, i) => (
+        i === variables.length - 1 ? parts.slice(i).join('|') : parts[i] || ''
+    ).trim());
+
+    const filled = {};
+    const missing = [];
+    variables.forEach((v, i) => {
+        filled[v.name] = values[i] || v.defaultValue || '';
+        if (!filled[v.name]) missing.push(v.name);
+    });
+
+    const prompt = String(template).replace(VARIABLE_PATTERN, (whole, name) => filled[name]).trim();
+    return { prompt, missing };
+};
+
+/**
+ * Check a template before saving
+ *
+ * @param {{name: string, description: string, template: string}} fields - Form values
+ * @param {Array<Object>} existing - The user's other templates
+ * @returns {{name: string, description: string, template: string}} Trimmed fields
+ * @throws {MessageError} With a message for the form
+ */
+export const validateTemplate = ({ name, description, template }, existing) => {
+    const cleaned = {
+        name: String(name).trim().replace(/^\//, '').toLowerCase(),
+        description: String(description).trim(),
+        template: String(template).trim()
+    };
+
+    if (!NAME_PATTERN.test(cleaned.name)) {
+        throw new MessageError('templates.invalidName');
+    }
+    if (findCommand(BUILT_IN_COMMANDS, cleaned.name)) {
+        throw new MessageError('templates.builtInName', { name: cleaned.name });
+    }
+    if (findCommand(existing, cleaned.name)) {
+        throw new MessageError('templates.duplicateName', { name: cleaned.name });
+    }
+    if (cleaned.description.length > MAX_DESCRIPTION_CHARS) {
+        throw new MessageError('templates.descriptionTooLong', { max: MAX_DESCRIPTION_CHARS });
+    }
+    if (!cleaned.template) throw new MessageError('templates.templateRequired');
+    if (cleaned.template.length > MAX_TEMPLATE_CHARS) {
+        throw new MessageError('templates.templateTooLong', { max: MAX_TEMPLATE_CHARS });
+    }
+    return cleaned;
+};
+
+/**
+ * A user's templates, alphabetically
+ *
+ * @param {string} userId - Owner's uid
+ * @returns {Promise<Array<Object>>}
+ */
+export const listTemplates = async (userId) => {
+    // Single equality filter - no composite index needed
+    const snapshot = await getDocs(query(collection(db, 'templates'), where('userId', '==', userId)));
+
+    return snapshot.docs
+        .map(d => ({
+            id: d.id,
+            ...d.data(),
+            icon: '⭐',
+            createdAt: toDate(d.data().createdAt),
+            updatedAt: toDate(d.data().updatedAt)
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Create a template, or update one when templateId is given
+ * A create first counts the user's templates on the server, so another
+ * tab or a stale list can't take them past MAX_TEMPLATES.
+ *
+ * @param {string} userId - Owner's uid
+ * @param {{name: string, description: string, template: string}} fields - From validateTemplate
+ * @param {string} [templateId] - Template to update
+ * @returns {Promise<Object>} The saved template
+ * @throws {MessageError} When a create would go over MAX_TEMPLATES
+ */
+export const saveTemplate = async (userId, fields, templateId) => {
+    const now = new Date();
+    if (templateId) {
+        await updateDoc(doc(db, 'templates', templateId), { ...fields, updatedAt: now });
+        return { id: templateId, userId, ...fields, icon: '⭐', updatedAt: now };
+    }
+
+    // An aggregation query - billed as one read, however many templates there are
+    const count = await getCountFromServer(query(collection(db, 'templates'), where('userId', '==', userId)));
+    if (count.data().count >= MAX_TEMPLATES) {
+        throw new MessageError('templates.limitReached', { max: MAX_TEMPLATES });
+    }
+
+    const template = { userId, ...fields, createdAt: now, updatedAt: now };
+    const ref = await addDoc(collection(db, 'templates'), template);
+    return { id: ref.id, ...template, icon: '⭐' };
+};
+
+/**
+ * Delete a template
+ *
+ * @param {string} templateId - Template document ID
+ */
+export const deleteTemplate = async (templateId) => {
+    await deleteDoc(doc(db, 'templates', templateId));
+};
@@ -0,0 +1,91 @@
+/**
+ * Google Gemini Provider (via the /api/generate proxy)
+ *
+ * The Gemini API key lives only on the server. The browser sends the
+ * signed-in user's Firebase ID token; the proxy verifies it, applies
+ * per-user rate limits and forwards the request to Gemini.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Model comes from the user's settings, checked against the server's allow-list
+ *   (gemini-2.5-flash by default)
+ * - Streamed NDJSON is parsed incrementally as it arrives
+ * - Token counts come from the API, not a second generation call
+ */
+
+import { auth } from '../firebase';
+import { assertOk, readLines } from './utils';
+
+// Only the fields Gemini needs - names and thumbnails stay in the browser
+const toInlineData = (attachments) => attachments.map(({ mimeType, data }) => ({ mimeType, data }));
+
+/**
+ * Create the Gemini proxy provider
+ *
+ * @param {Object} [config]
+ * @param {string} [config.endpoint] - Proxy URL, default same-origin /api/generate
+ * @returns {Object} Provider implementing generate, stream and countTokens
+ */
+export const createGeminiProvider = ({ endpoint = '/api/generate' } = {}) => {
+    const request = async (body, signal) => {
+        const user = auth.currentUser;
+        if (!user) {
+            const error = new Error('You must be signed in to chat.');
+            error.status = 401;
+            throw error;
+        }
+
+        // Cached by the SDK and refreshed only when close to expiry
+        const idToken = await user.getIdToken();
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${idToken}`
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+        await assertOk(response, 'Gemini proxy');
+        return response;
+    };
+
+    return {
+        name: 'gemini',
+        model: 'server-configured',
+
+        async generate({ prompt, history = [], attachments = [], systemInstruction, generation, responseSchema, signal }) {
+            const response = await request({
+                action: 'generate', prompt, history, attachments: toInlineData(attachments), systemInstruction, generation,
+                ...(responseSchema && { responseSchema })
+            }, signal);
+            const data = await response.json();
+            return { text: data.text || '', usage: data.usage || null };
+        },
+
+        async *stream({ prompt, history = [], attachments = [], systemInstruction, generation, signal }) {
+            const response = await request({
+                action: 'stream', prompt, history, attachments: toInlineData(attachments), systemInstruction, generation
+            }, signal);
+
+            for await (const line of readLines(response)) {
+                const data = JSON.parse(line);
+                if (data.error) {
+                    const error = new Error(`Gemini proxy stream failed: [${data.error.status}] ${data.error.message}`);
+                    error.status = data.error.status;
+                    error.code = data.error.code;
+                    throw error;
+                }
+                if (data.text) yield data.text;
+                if (data.done) return { usage: data.usage || null };
+            }
+            return { usage: null };
+        },
+
+        async countTokens({ prompt, history = [] }) {
+            const response = await request({ action: 'countTokens', prompt, history });
+            const data = await response.json();
+            return data.totalTokens;
+        }
+    };
+};
@@ -0,0 +1,87 @@
+/**
+ * LLM Provider Registry
+ *
+ * Every provider implements the same interface:
+ *
+ *   name, model
+ *   generate({ prompt, history, attachments, systemInstruction, generation, responseSchema, signal })
+ *                                                                                     → Promise<{ text, usage }>
+ *   stream({ prompt, history, attachments, systemInstruction, generation, signal })   → AsyncGenerator yielding
+ *                                                                           text deltas, returning { usage }
+ *   countTokens({ prompt, history })                                                   → Promise<number>
+ *
+ * `usage` is { promptTokens, responseTokens, totalTokens, model } as reported
+ * by the backend, or null when it reports nothing.
+ *
+ * `history` is provider-neutral: [{ role: 'user' | 'assistant', text }].
+ * `attachments` belong to the new prompt only: [{ mimeType, data (base64) }].
+ * `systemInstruction` is the conversation's tutor mode (see ../tutorModes).
+ * `generation` is { model, temperature, maxOutputTokens, safetySettings } from the
+ * user's settings (see ../userSettings); model and safetySettings are Gemini-only.
+ * `responseSchema` (generate only) asks for JSON matching a schema - see ../studySets.
+ * It uses the subset Gemini and JSON Schema share: type, properties, required, items, description.
+ *
+ * Selected by env config in .env.local:
+ *   VITE_LLM_PROVIDER=gemini | openai | ollama | mock   (default: gemini)
+ *   VITE_LLM_MODEL=<model name>                        (provider default if unset)
+ *   VITE_LLM_BASE_URL=<server root>                    (openai, ollama)
+ *   VITE_LLM_API_KEY=<bearer token>                    (openai)
+ *   VITE_API_BASE_URL=<origin of /api/generate>        (gemini, default same origin)
+ *
+ * GREEN CODING: The provider is created ONCE and reused for every request
+ */
+
+import { createGeminiProvider } from './gemini';
+import { createOpenAIProvider } from './openai';
+import { createOllamaProvider } from './ollama';
+import { createMockProvider } from './mock';
+
+const env = import.meta.env;
+
+const factories = {
+    // Key stays server-side: the browser only talks to the proxy
+    gemini: () => createGeminiProvider({
+        endpoint: `${env.VITE_API_BASE_URL || ''}/api/generate`
+    }),
+    openai: () => createOpenAIProvider({
+        baseUrl: env.VITE_LLM_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: env.VITE_LLM_API_KEY,
+        model: env.VITE_LLM_MODEL || 'gpt-4o-mini'
+    }),
+    ollama: () => createOllamaProvider({
+        baseUrl: env.VITE_LLM_BASE_URL,
+        model: env.VITE_LLM_MODEL || 'llama3.2'
+    }),
+    mock: () => createMockProvider()
+};
+
+export const PROVIDER_NAMES = Object.keys(factories);
+
+let activeProvider = null;
+
+/**
+ * Get the configured provider (created on first use)
+ *
+ * @returns {Object} Active LLM provider
+ */
+export const getProvider = () => {
+    if (activeProvider) return activeProvider;
+
+    const name = (env.VITE_LLM_PROVIDER || 'gemini').toLowerCase();
+    const factory = factories[name];
+    if (!factory) {
+        throw new Error(`Unknown VITE_LLM_PROVIDER "${name}". Use one of: ${PROVIDER_NAMES.join(', ')}`);
+    }
+
+    activeProvider = factory();
+    return activeProvider;
+};
+
+/**
+ * Replace the active provider - for tests and offline demos
+ *
+ * @param {Object|null} provider - Provider object, or null to re-read env config
+ */
+export const setProvider = (provider) => {
+    activeProvider = provider;
+};
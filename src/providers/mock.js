@@ -0,0 +1,112 @@
+/**
+ * Mock Provider - deterministic, offline responses
+ *
+ * For tests and offline demos: the same prompt and history always
+ * produce the same answer, and no network request is ever made.
+ * The system instruction (tutor mode) and generation settings are accepted and ignored.
+ * A response schema is answered with placeholder JSON of the right shape.
+ */
+
+import { estimateTokens, toUsage } from './utils';
+
+/**
+ * Wait, rejecting early if the request is aborted
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ */
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new DOMException('Aborted', 'AbortError'));
+        return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+});
+
+/**
+ * Build the canned answer for a prompt
+ *
+ * @param {string} prompt - User message
+ * @param {Array} history - Prior turns
+ * @param {Array} [attachments] - Inline files
+ * @returns {string} Deterministic markdown response
+ */
+const answerFor = (prompt, history, attachments = []) => {
+    const turn = Math.floor(history.length / 2) + 1;
+    const files = attachments.length > 0 ? ` with ${attachments.length} attachment(s)` : '';
+    return `**Mock response** (turn ${turn})\n\nYou asked${files}: "${prompt}"`;
+};
+
+/**
+ * Placeholder value matching a schema - three items per array, zero for numbers
+ *
+ * @param {Object} schema - Response schema (type, properties, items)
+ * @param {string} [name] - Property the value is for, used in placeholder strings
+ * @returns {*} JSON value
+ */
+const sampleFor = (schema, name = 'value') => {
+    switch (schema?.type) {
+        case 'object':
+            return Object.fromEntries(
+                Object.entries(schema.properties || {}).map(([key, child]) => [key, sampleFor(child, key)])
+            );
+        case 'array':
+            return [1, 2, 3].map(n => {
+                const item = sampleFor(schema.items, name);
+                return typeof item === 'string' ? `${item} ${n}` : item;
+            });
+        case 'integer':
+        case 'number':
+            return 0;
+        case 'boolean':
+            return true;
+        default:
+            return `Mock ${name}`;
+    }
+};
+
+/**
+ * Token counts for a canned answer - estimated, like a real provider's would be reported
+ */
+const usageFor = (prompt, history, answer) => toUsage(
+    [...history.map(turn => turn.text), prompt].reduce((sum, text) => sum + estimateTokens(text), 0),
+    estimateTokens(answer),
+    { model: 'mock' }
+);
+
+/**
+ * Create the mock provider
+ *
+ * @param {Object} [config]
+ * @param {number} [config.chunkDelayMs] - Pause between streamed words, 0 in tests
+ * @returns {Object} Provider implementing generate, stream and countTokens
+ */
+export const createMockProvider = ({ chunkDelayMs = 30 } = {}) => ({
+    name: 'mock',
+    model: 'mock',
+
+    async generate({ prompt, history = [], attachments = [], responseSchema, signal }) {
+        await delay(0, signal);
+        const text = responseSchema
+            ? JSON.stringify(sampleFor(responseSchema))
+            : answerFor(prompt, history, attachments);
+        return { text, usage: usageFor(prompt, history, text) };
+    },
+
+    async *stream({ prompt, history = [], attachments = [], signal }) {
+        const answer = answerFor(prompt, history, attachments);
+        for (const word of answer.split(/(?<=\s)/)) {
+            await delay(chunkDelayMs, signal);
+            yield word;
+        }
+        return { usage: usageFor(prompt, history, answer) };
+    },
+
+    async countTokens({ prompt, history = [] }) {
+        return [...history.map(turn => turn.text), prompt].reduce((sum, text) => sum + estimateTokens(text), 0);
+    }
+});
@@ -0,0 +1,114 @@
+/**
+ * Ollama Provider
+ *
+ * Talks to a self-hosted Ollama server through its native /api/chat
+ * endpoint, which streams newline-delimited JSON.
+ *
+ * GREEN CODING: Local inference - no data leaves the lab network
+ */
+
+import { assertOk, estimateTokens, readLines, toUsage } from './utils';
+
+/**
+ * Convert provider-neutral turns into Ollama chat messages
+ * Images go in the message's `images` array (vision models only); Ollama
+ * has no PDF input, so PDFs are refused
+ *
+ * @param {Array<{role: string, text: string}>} history - Prior turns
+ * @param {string} prompt - New user message
+ * @param {Array<{mimeType: string, data: string}>} [attachments] - Inline files
+ * @param {string} [systemInstruction] - Sent first, as the system message
+ * @returns {Array<{role: string, content: string, images?: Array<string>}>}
+ */
+const toMessages = (history, prompt, attachments = [], systemInstruction = '') => {
+    if (attachments.some(a => !a.mimeType.startsWith('image/'))) {
+        throw new Error('Ollama only accepts image attachments, not PDFs.');
+    }
+
+    return [
+        ...(systemInstruction ? [{ role: 'system', content: systemInstruction }] : []),
+        ...history.map(turn => ({ role: turn.role, content: turn.text })),
+        {
+            role: 'user',
+            content: prompt,
+            ...(attachments.length > 0 && { images: attachments.map(a => a.data) })
+        }
+    ];
+};
+
+/**
+ * Sampling options from the user's settings (the model is fixed by env config)
+ *
+ * @param {{temperature?: number, maxOutputTokens?: number}} [generation]
+ * @returns {{options?: Object}} Ollama request fields
+ */
+const toOptions = ({ temperature, maxOutputTokens } = {}) => {
+    const options = {
+        ...(temperature !== undefined && { temperature }),
+        ...(maxOutputTokens !== undefined && { num_predict: maxOutputTokens })
+    };
+    return Object.keys(options).length > 0 ? { options } : {};
+};
+
+/**
+ * Create the Ollama provider
+ *
+ * @param {Object} config
+ * @param {string} [config.baseUrl] - Server root, default http://localhost:11434
+ * @param {string} config.model - Pulled model name, e.g. llama3.2
+ * @returns {Object} Provider implementing generate, stream and countTokens
+ */
+export const createOllamaProvider = ({ baseUrl = 'http://localhost:11434', model }) => {
+    const url = `${baseUrl.replace(/\/$/, '')}/api/chat`;
+
+    const request = (body, signal) => fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, ...body }),
+        signal
+    });
+
+    return {
+        name: 'ollama',
+        model,
+
+        async generate({ prompt, history = [], attachments = [], systemInstruction, generation, responseSchema, signal }) {
+            const response = await request({
+                messages: toMessages(history, prompt, attachments, systemInstruction),
+                ...toOptions(generation),
+                // Ollama 0.5+ constrains the output to a JSON schema given as `format`
+                ...(responseSchema && { format: responseSchema }),
+                stream: false
+            }, signal);
+            await assertOk(response, 'Ollama');
+            const data = await response.json();
+            return {
+                text: data.message?.content || '',
+                usage: toUsage(data.prompt_eval_count, data.eval_count, { model })
+            };
+        },
+
+        async *stream({ prompt, history = [], attachments = [], systemInstruction, generation, signal }) {
+            const response = await request({
+                messages: toMessages(history, prompt, attachments, systemInstruction),
+                ...toOptions(generation),
+                stream: true
+            }, signal);
+            await assertOk(response, 'Ollama');
+
+            for await (const line of readLines(response)) {
+                const data = JSON.parse(line);
+                if (data.error) throw new Error(`Ollama error: ${data.error}`);
+                if (data.message?.content) yield data.message.content;
+                // The final line carries the token counts
+                if (data.done) return { usage: toUsage(data.prompt_eval_count, data.eval_count, { model }) };
+            }
+            return { usage: null };
+        },
+
+        // Ollama has no token-count endpoint - estimate locally
+        async countTokens({ prompt, history = [] }) {
+            return toMessages(history, prompt).reduce((sum, m) => sum + estimateTokens(m.content), 0);
+        }
+    };
+};
@@ -0,0 +1,145 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Works with any server exposing POST {baseUrl}/chat/completions:
+ * OpenAI, Azure-style gateways, vLLM, LM Studio and llama.cpp's server.
+ *
+ * GREEN CODING: Server-sent events are parsed incrementally as they arrive
+ */
+
+import { assertOk, estimateTokens, readLines, toUsage } from './utils';
+
+/**
+ * Build the new user message, with images as data-URL content parts
+ * The chat-completions format has no standard PDF part, so PDFs are refused
+ *
+ * @param {string} prompt - New user message
+ * @param {Array<{mimeType: string, data: string}>} attachments - Inline files
+ * @returns {{role: string, content: string|Array}}
+ */
+const toUserMessage = (prompt, attachments) => {
+    if (attachments.length === 0) return { role: 'user', content: prompt };
+
+    if (attachments.some(a => !a.mimeType.startsWith('image/'))) {
+        throw new Error('This AI provider only accepts image attachments, not PDFs.');
+    }
+
+    return {
+        role: 'user',
+        content: [
+            { type: 'text', text: prompt },
+            ...attachments.map(a => ({ type: 'image_url', image_url: { url: `data:${a.mimeType};base64,${a.data}` } }))
+        ]
+    };
+};
+
+/**
+ * Convert provider-neutral turns into chat-completions messages
+ *
+ * @param {Array<{role: string, text: string}>} history - Prior turns
+ * @param {string} prompt - New user message
+ * @param {Array} [attachments] - Inline files for the new message
+ * @param {string} [systemInstruction] - Sent first, as the system message
+ * @returns {Array<{role: string, content: string|Array}>}
+ */
+const toMessages = (history, prompt, attachments = [], systemInstruction = '') => [
+    ...(systemInstruction ? [{ role: 'system', content: systemInstruction }] : []),
+    ...history.map(turn => ({ role: turn.role, content: turn.text })),
+    toUserMessage(prompt, attachments)
+];
+
+/**
+ * Sampling options from the user's settings (the model is fixed by env config)
+ *
+ * @param {{temperature?: number, maxOutputTokens?: number}} [generation]
+ * @returns {Object} chat-completions fields
+ */
+const toSampling = ({ temperature, maxOutputTokens } = {}) => ({
+    ...(temperature !== undefined && { temperature }),
+    ...(maxOutputTokens !== undefined && { max_tokens: maxOutputTokens })
+});
+
+/**
+ * Ask for JSON matching a schema (servers without structured output ignore it)
+ *
+ * @param {Object} [responseSchema] - Schema from ../studySets
+ * @returns {Object} chat-completions fields
+ */
+const toResponseFormat = (responseSchema) => (
+    responseSchema
+        ? { response_format: { type: 'json_schema', json_schema: { name: 'response', schema: responseSchema } } }
+        : {}
+);
+
+/**
+ * Create an OpenAI-compatible provider
+ *
+ * @param {Object} config
+ * @param {string} config.baseUrl - API root, e.g. https://api.openai.com/v1
+ * @param {string} [config.apiKey] - Bearer token (optional for local servers)
+ * @param {string} config.model - Model name
+ * @returns {Object} Provider implementing generate, stream and countTokens
+ */
+export const createOpenAIProvider = ({ baseUrl, apiKey, model }) => {
+    const url = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+
+    const request = (body, signal) => fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+        },
+        body: JSON.stringify({ model, ...body }),
+        signal
+    });
+
+    return {
+        name: 'openai',
+        model,
+
+        async generate({ prompt, history = [], attachments = [], systemInstruction, generation, responseSchema, signal }) {
+            const response = await request({
+                messages: toMessages(history, prompt, attachments, systemInstruction),
+                ...toSampling(generation),
+                ...toResponseFormat(responseSchema)
+            }, signal);
+            await assertOk(response, 'OpenAI-compatible');
+            const data = await response.json();
+            return {
+                text: data.choices?.[0]?.message?.content || '',
+                usage: toUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens, { model })
+            };
+        },
+
+        async *stream({ prompt, history = [], attachments = [], systemInstruction, generation, signal }) {
+            const response = await request({
+                messages: toMessages(history, prompt, attachments, systemInstruction),
+                ...toSampling(generation),
+                stream: true,
+                // Final chunk carries token counts (ignored by servers without support)
+                stream_options: { include_usage: true }
+            }, signal);
+            await assertOk(response, 'OpenAI-compatible');
+
+            let usage = null;
+            for await (const line of readLines(response)) {
+                if (!line.startsWith('data:')) continue;
+
+                const payload = line.slice(5).trim();
+                if (payload === '[DONE]') break;
+
+                const data = JSON.parse(payload);
+                if (data.usage) usage = toUsage(data.usage.prompt_tokens, data.usage.completion_tokens, { model });
+
+                const delta = data.choices?.[0]?.delta?.content;
+                if (delta) yield delta;
+            }
+            return { usage };
+        },
+
+        // No standard token-count endpoint - estimate locally, no network call
+        async countTokens({ prompt, history = [] }) {
+            return [...history.map(turn => turn.text), prompt].reduce((sum, text) => sum + estimateTokens(text), 0);
+        }
+    };
+};
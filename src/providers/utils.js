@@ -0,0 +1,94 @@
+/**
+ * Provider Utilities - shared helpers for HTTP-based LLM providers
+ */
+
+/**
+ * Rough token estimate for providers without a token-count endpoint
+ * ~4 characters per token is the usual rule of thumb for English text
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Normalize token counts reported by a provider
+ *
+ * @param {number} promptTokens - Input tokens (prompt + history + attachments)
+ * @param {number} responseTokens - Generated tokens
+ * @param {Object} [extra] - e.g. { model, estimated: true }
+ * @returns {{promptTokens: number, responseTokens: number, totalTokens: number}|null}
+ *          null when the provider reported nothing usable
+ */
+export const toUsage = (promptTokens, responseTokens, extra = {}) => {
+    if (!Number.isFinite(promptTokens) && !Number.isFinite(responseTokens)) return null;
+    const input = Number.isFinite(promptTokens) ? promptTokens : 0;
+    const output = Number.isFinite(responseTokens) ? responseTokens : 0;
+    return { promptTokens: input, responseTokens: output, totalTokens: input + output, ...extra };
+};
+
+/**
+ * Throw a descriptive error for a failed HTTP response
+ * Status code is kept in the message and on `status`, plus `retryAfter`
+ * (seconds) and any JSON `error.code`, for classifyError in ../errors
+ *
+ * @param {Response} response - fetch() response
+ * @param {string} providerName - For the error message
+ */
+export const assertOk = async (response, providerName) => {
+    if (response.ok) return;
+
+    let detail = '';
+    try {
+        detail = await response.text();
+    } catch {
+        // Body unreadable - status line is enough
+    }
+
+    const error = new Error(`${providerName} request failed: [${response.status} ${response.statusText}] ${detail}`.trim());
+    error.status = response.status;
+
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+    if (Number.isFinite(retryAfter)) error.retryAfter = retryAfter;
+
+    try {
+        error.code = JSON.parse(detail)?.error?.code;
+    } catch {
+        // Not JSON - message and status are enough
+    }
+
+    throw error;
+};
+
+/**
+ * Read a streamed fetch() body line by line
+ * GREEN CODING: Decodes incrementally - the full body is never buffered
+ *
+ * @param {Response} response - fetch() response with a readable body
+ * @returns {AsyncGenerator<string>} Non-empty lines
+ */
+export async function* readLines(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                if (line.trim()) yield line.trim();
+            }
+        }
+
+        buffer += decoder.decode();
+        if (buffer.trim()) yield buffer.trim();
+    } finally {
+        reader.releaseLock();
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * Response Cache - answers to repeated prompts without calling the model
+ *
+ * Key: SHA-256 of the normalized prompt, the history sent with it and the
+ * provider/model config. A follow-up like "now part (b)" only hits when
+ * the whole context matches, so a cached answer is never out of context.
+ *
+ * Tiers, checked in order:
+ * 1. Local - IndexedDB in this browser (always on)
+ * 2. Shared - Firestore `responseCache/{key}`, shared by all signed-in
+ *    users (opt-in: VITE_SHARED_CACHE=true, Gemini provider only). Stores
+ *    only the hash and the answer, never the prompt. Read-only here:
+ *    /api/generate writes the answers it gets from Gemini, under a key it
+ *    computes itself (api/_lib/responseCache.js mirrors cacheKeyFor).
+ *
+ * Entries expire after VITE_CACHE_TTL_HOURS (default 168 = 7 days; 0 turns
+ * the cache off). Prompts with attachments, stopped answers and explicit
+ * regenerations are never served from or written to the cache.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - A hit costs zero model tokens - the most efficient request is none
+ * - Local tier first: no network at all for questions asked before
+ */
+
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from './firebase';
+
+const parseHours = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+export const CACHE_CONFIG = {
+    ttlMs: parseHours(import.meta.env.VITE_CACHE_TTL_HOURS, 168) * 60 * 60 * 1000,
+    shared: import.meta.env.VITE_SHARED_CACHE === 'true'
+};
+
+// Bump when the key inputs change, so old entries are never matched
+// (2: shared entries are written by the server only - client-written ones are ignored)
+const KEY_VERSION = 2;
+
+const DB_NAME = 'mavi-response-cache';
+const STORE = 'responses';
+
+/**
+ * Normalize a prompt so trivially different spellings share an entry
+ * (case, surrounding/repeated whitespace, Unicode compatibility forms)
+ *
+ * @param {string} text - Prompt or history text
+ * @returns {string}
+ */
+export const normalizePrompt = (text) => (text || '').normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Cache key for a request
+ *
+ * @param {string} prompt - New prompt
+ * @param {Array<{role: string, text: string}>} turns - Windowed history sent with it
+ * @param {Object} config - Everything else that changes the answer (provider, model, ...)
+ * @returns {Promise<string>} Hex SHA-256
+ */
+export const cacheKeyFor = async (prompt, turns, config) => {
+    const material = JSON.stringify({
+        v: KEY_VERSION,
+        config,
+        history: turns.map(turn => [turn.role, normalizePrompt(turn.text)]),
+        prompt: normalizePrompt(prompt)
+    });
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(material));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// ============================================
+// LOCAL TIER (IndexedDB)
+// ============================================
+
+let dbPromise = null;
+
+// How long a delete waits for other tabs to close the database before giving up
+const BLOCKED_DELETE_WAIT_MS = 2000;
+
+const openCache = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'key' }).createIndex('expiresAt', 'expiresAt');
+            };
+            request.onsuccess = () => {
+                const idb = request.result;
+                // Let another tab delete the database (account deleted) - reopened on next use
+                idb.onversionchange = () => {
+                    idb.close();
+                    dbPromise = null;
+                };
+                resolve(idb);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Run one request against the object store
+ *
+ * @param {'readonly'|'readwrite'} mode - Transaction mode
+ * @param {(store: IDBObjectStore) => IDBRequest} action - Request to run
+ * @returns {Promise<*>} Request result
+ */
+const withStore = async (mode, action) => {
+    const idb = await openCache();
+    return new Promise((resolve, reject) => {
+        const request = action(idb.transaction(STORE, mode).objectStore(STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+let pruned = false;
+
+/**
+ * Delete expired local entries - once per session, on first write
+ */
+const pruneLocal = async () => {
+    if (pruned) return;
+    pruned = true;
+    const expired = await withStore('readonly', store => store.index('expiresAt').getAllKeys(IDBKeyRange.upperBound(Date.now())));
+    await Promise.all(expired.map(key => withStore('readwrite', store => store.delete(key))));
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Delete the local tier - every answer cached in this browser (account deleted)
+ * Never hangs: if a tab with an older connection keeps the database open,
+ * the delete stays queued and this settles after a short wait.
+ */
+export const clearResponseCache = async () => {
+    if (dbPromise) {
+        const idb = await dbPromise.catch(() => null);
+        idb?.close();
+        dbPromise = null;
+    }
+    pruned = false;
+    await new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(DB_NAME);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => {
+            console.warn('Response cache is open in another tab - it will be deleted once that tab closes it');
+            setTimeout(resolve, BLOCKED_DELETE_WAIT_MS);
+        };
+    });
+};
+
+/**
+ * Look a request up in the local, then the shared tier
+ *
+ * @param {string} key - From cacheKeyFor
+ * @param {Object} [options]
+ * @param {boolean} [options.shared] - Also check the shared tier (only the Gemini proxy fills it)
+ * @returns {Promise<{text: string, usage: Object|null, source: 'local'|'shared'}|null>}
+ */
+export const getCachedResponse = async (key, { shared: useShared = CACHE_CONFIG.shared } = {}) => {
+    if (CACHE_CONFIG.ttlMs === 0) return null;
+    const now = Date.now();
+
+    try {
+        const local = await withStore('readonly', store => store.get(key));
+        if (local && local.expiresAt > now) {
+            return { text: local.text, usage: local.usage, source: 'local' };
+        }
+    } catch (error) {
+        console.error('Local response cache unavailable:', error);
+    }
+
+    if (!useShared) return null;
+
+    try {
+        const snapshot = await getDoc(doc(db, 'responseCache', key));
+        const shared = snapshot.exists() ? snapshot.data() : null;
+        if (shared && shared.expiresAt.toMillis() > now) {
+            // Keep a local copy so the next hit needs no network
+            saveLocal(key, shared.text, shared.usage, shared.expiresAt.toMillis());
+            return { text: shared.text, usage: shared.usage || null, source: 'shared' };
+        }
+    } catch (error) {
+        console.error('Shared response cache unavailable:', error);
+    }
+
+    return null;
+};
+
+const saveLocal = (key, text, usage, expiresAt) => withStore('readwrite', store => store.put({ key, text, usage, expiresAt }))
+    .catch(error => console.error('Error writing local response cache:', error));
+
+/**
+ * Store a fresh answer in the local tier (background - never blocks the chat)
+ * The shared tier is written by /api/generate, never by the browser
+ *
+ * @param {string} key - From cacheKeyFor
+ * @param {string} text - Complete answer
+ * @param {Object|null} usage - Tokens the answer cost (shown as "saved" on later hits)
+ */
+export const cacheResponse = async (key, text, usage) => {
+    if (CACHE_CONFIG.ttlMs === 0 || !text) return;
+    const expiresAt = Date.now() + CACHE_CONFIG.ttlMs;
+
+    await saveLocal(key, text, usage, expiresAt);
+    pruneLocal().catch(error => console.error('Error pruning response cache:', error));
+};
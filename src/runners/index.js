@@ -0,0 +1,219 @@
+/**
+ * Code Runners - run JavaScript and Python from AI answers in the browser
+ *
+ *   runCode(language, code, { signal, onStatus }) → Promise<{ output, truncated, status, error, durationMs }>
+ *   output: [{ stream: 'stdout' | 'stderr', text }]
+ *   status: 'ok' | 'error' | 'timeout' | 'stopped'
+ *
+ * JavaScript runs in a fresh module worker per run (./jsWorker), with no
+ * storage or network (the deployed worker script is also served with a
+ * CSP that blocks import(), see vercel.json). Python runs in Pyodide -
+ * CPython compiled to WebAssembly - in a worker started on the first
+ * Python run (./pythonWorker), with no storage. Neither worker can touch
+ * the page, the sign-in session or Firestore (see ./lockdown), and their
+ * output is only rendered as text.
+ *
+ * Limits (RUN_LIMITS): wall-clock time, output size and memory. Python's
+ * WebAssembly heap is capped as it grows; JavaScript can only have single
+ * large allocations refused (see ./limits for what that does and doesn't
+ * cover). A worker over the time or output limit is terminated, which
+ * also frees its memory; JavaScript workers are terminated after every
+ * run anyway.
+ *
+ * Override in .env.local:
+ *   VITE_PYODIDE_URL=<pyodide.mjs URL>   (self-host Pyodide instead of the jsDelivr CDN)
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Nothing runs until the user presses Run
+ * - Pyodide (~10 MB) is downloaded on the first Python run only, then reused
+ * - Stuck code is stopped at the time limit instead of spinning a core
+ */
+
+const PYODIDE_URL = import.meta.env.VITE_PYODIDE_URL || 'https://cdn.jsdelivr.net/pyodide/v0.27.7/full/pyodide.mjs';
+
+export const RUN_LIMITS = {
+    jsTimeoutMs: 5000,
+    pythonTimeoutMs: 10000,
+    pythonLoadTimeoutMs: 60000,
+    maxOutputChars: 20000,
+    maxJsAllocationBytes: 256 * 1024 * 1024,
+    maxPythonHeapBytes: 512 * 1024 * 1024
+};
+
+const LANGUAGE_ALIASES = {
+    javascript: 'javascript',
+    js: 'javascript',
+    mjs: 'javascript',
+    python: 'python',
+    py: 'python',
+    python3: 'python'
+};
+
+/**
+ * Runnable language of a code block
+ *
+ * @param {Array<string>|string} [className] - Classes on the <code> element, e.g. "hljs language-python"
+ * @returns {'javascript'|'python'|null}
+ */
+export const runnableLanguage = (className) => {
+    const classes = Array.isArray(className) ? className : String(className || '').split(/\s+/);
+    const language = classes.find(name => name.startsWith('language-'))?.slice('language-'.length).toLowerCase();
+    return LANGUAGE_ALIASES[language] || null;
+};
+
+/**
+ * Collect a worker's output until it finishes or hits a limit
+ * The caller decides what to do with the worker afterwards
+ *
+ * @param {Worker} worker - Worker that has been sent its code
+ * @param {{timeoutMs: number, signal?: AbortSignal}} options
+ * @returns {Promise<{output: Array, truncated: boolean, status: string, error: string|null, durationMs: number}>}
+ */
+const collect = (worker, { timeoutMs, signal }) => new Promise(resolve => {
+    const output = [];
+    const started = performance.now();
+    let chars = 0;
+    let truncated = false;
+    let settled = false;
+    let timer = null;
+
+    const finish = (status, error = null) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        worker.onmessage = null;
+        worker.onerror = null;
+        resolve({ output, truncated, status, error, durationMs: Math.round(performance.now() - started) });
+    };
+    const onAbort = () => finish('stopped');
+
+    timer = setTimeout(() => {
+        finish('timeout', `Stopped after ${timeoutMs / 1000} s - an infinite loop, or too much work for the browser?`);
+    }, timeoutMs);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    worker.onmessage = ({ data }) => {
+        if (data.type === 'output') {
+            const room = RUN_LIMITS.maxOutputChars - chars;
+            const text = String(data.text).slice(0, room);
+            chars += text.length;
+
+            const last = output[output.length - 1];
+            if (last && last.stream === data.stream) last.text += text;
+            else if (text) output.push({ stream: data.stream === 'stderr' ? 'stderr' : 'stdout', text });
+
+            if (String(data.text).length > room) {
+                truncated = true;
+                finish('error', `Output stopped at ${RUN_LIMITS.maxOutputChars.toLocaleString()} characters.`);
+            }
+        } else if (data.type === 'done') {
+            finish(data.error ? 'error' : 'ok', data.error || null);
+        }
+    };
+    worker.onerror = (event) => {
+        event.preventDefault();
+        finish('error', event.message || 'The runner stopped unexpectedly - it may have run out of memory.');
+    };
+});
+
+const runJavaScript = async (code, { signal }) => {
+    const worker = new Worker(new URL('./jsWorker.js', import.meta.url), { type: 'module' });
+    worker.postMessage({ code, maxAllocationBytes: RUN_LIMITS.maxJsAllocationBytes });
+    try {
+        return await collect(worker, { timeoutMs: RUN_LIMITS.jsTimeoutMs, signal });
+    } finally {
+        worker.terminate();
+    }
+};
+
+// { worker, ready: Promise<Worker> } once Python has been started
+let python = null;
+// Python runs one block at a time - the interpreter is shared
+let pythonQueue = Promise.resolve();
+
+/**
+ * Discard the Python worker - the next run loads a fresh interpreter
+ * (Pyodide can't be interrupted mid-run without SharedArrayBuffer)
+ */
+const stopPython = () => {
+    python?.worker.terminate();
+    python = null;
+};
+
+const startPython = () => {
+    if (python) return python.ready;
+
+    const worker = new Worker(new URL('./pythonWorker.js', import.meta.url), { type: 'module' });
+    const ready = new Promise((resolve, reject) => {
+        const fail = (message) => {
+            clearTimeout(timer);
+            stopPython();
+            reject(new Error(message));
+        };
+        const timer = setTimeout(() => fail('Python took too long to load. Check your connection and try again.'),
+            RUN_LIMITS.pythonLoadTimeoutMs);
+
+        worker.onmessage = ({ data }) => {
+            if (data.type === 'ready') {
+                clearTimeout(timer);
+                resolve(worker);
+            } else if (data.type === 'load-error') {
+                fail(`Python could not be loaded: ${data.message}`);
+            }
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            fail('Python could not be loaded.');
+        };
+    });
+
+    python = { worker, ready };
+    worker.postMessage({ type: 'load', url: PYODIDE_URL, maxHeapBytes: RUN_LIMITS.maxPythonHeapBytes });
+    return ready;
+};
+
+const runPythonNow = async (code, { signal, onStatus }) => {
+    if (!python) onStatus?.('loading');
+    let worker;
+    try {
+        worker = await startPython();
+    } catch (error) {
+        return { output: [], truncated: false, status: 'error', error: error.message, durationMs: 0 };
+    }
+    if (signal?.aborted) return { output: [], truncated: false, status: 'stopped', error: null, durationMs: 0 };
+
+    onStatus?.('running');
+    worker.postMessage({ type: 'run', code });
+    const result = await collect(worker, { timeoutMs: RUN_LIMITS.pythonTimeoutMs, signal });
+
+    // Still running (time limit, Stop, too much output) - start over next time
+    if (result.status === 'timeout' || result.status === 'stopped' || result.truncated) stopPython();
+    return result;
+};
+
+const runPython = (code, options) => {
+    const run = pythonQueue.then(() => runPythonNow(code, options));
+    pythonQueue = run.catch(() => {});
+    return run;
+};
+
+/**
+ * Run a code block
+ *
+ * @param {'javascript'|'python'} language - From runnableLanguage
+ * @param {string} code - Source text
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stop button
+ * @param {(status: 'loading'|'running') => void} [options.onStatus] - 'loading' while Python downloads
+ * @returns {Promise<{output: Array<{stream: string, text: string}>, truncated: boolean, status: string,
+ *          error: string|null, durationMs: number}>}
+ */
+export const runCode = (language, code, { signal, onStatus } = {}) => {
+    if (language === 'python') return runPython(code, { signal, onStatus });
+    if (language === 'javascript') {
+        onStatus?.('running');
+        return runJavaScript(code, { signal });
+    }
+    return Promise.reject(new Error(`Can't run ${language} code.`));
+};
@@ -0,0 +1,67 @@
+/**
+ * JavaScript Runner Worker - one worker per run, terminated afterwards
+ *
+ * Messages:
+ *   in:  { code, maxAllocationBytes }
+ *   out: { type: 'output', stream: 'stdout' | 'stderr', text }, then { type: 'done', error? }
+ *
+ * The code runs as the body of an async function, so top-level await
+ * works. `console` is passed in as a parameter and shadows the real one.
+ * The deleted network APIs don't cover import() - that is blocked by the
+ * Content-Security-Policy the worker script is served with (vercel.json).
+ */
+
+import { lockdown, NETWORK_APIS, STORAGE_APIS } from './lockdown';
+import { capAllocations } from './limits';
+
+// Kept privately - user code can't post fake messages to the page
+const post = self.postMessage.bind(self);
+
+lockdown([...STORAGE_APIS, ...NETWORK_APIS, 'postMessage']);
+
+/**
+ * Printable form of a logged value, close to what DevTools shows
+ *
+ * @param {*} value - Any value
+ * @returns {string}
+ */
+const format = (value) => {
+    if (typeof value === 'string') return value;
+    if (typeof value === 'function') return `[Function ${value.name || '(anonymous)'}]`;
+    if (typeof value === 'bigint') return `${value}n`;
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+    if (value instanceof Map) return `Map(${value.size}) ${format(Object.fromEntries(value))}`;
+    if (value instanceof Set) return `Set(${value.size}) ${format([...value])}`;
+    if (value === undefined || typeof value === 'symbol' || typeof value === 'number') return String(value);
+    try {
+        return JSON.stringify(value, (key, inner) => (typeof inner === 'bigint' ? `${inner}n` : inner)) ?? String(value);
+    } catch {
+        // Circular structures
+        return String(value);
+    }
+};
+
+const print = (stream) => (...values) => {
+    post({ type: 'output', stream, text: `${values.map(format).join(' ')}\n` });
+};
+
+const sandboxConsole = {
+    log: print('stdout'),
+    info: print('stdout'),
+    debug: print('stdout'),
+    table: print('stdout'),
+    warn: print('stderr'),
+    error: print('stderr')
+};
+
+const AsyncFunction = (async () => {}).constructor;
+
+self.onmessage = async ({ data }) => {
+    capAllocations(data.maxAllocationBytes);
+    try {
+        await new AsyncFunction('console', data.code)(sandboxConsole);
+        post({ type: 'done' });
+    } catch (error) {
+        post({ type: 'done', error: error instanceof Error ? `${error.name}: ${error.message}` : `Uncaught ${format(error)}` });
+    }
+};
@@ -0,0 +1,129 @@
+/**
+ * Memory Limits - shared by the code-runner workers
+ *
+ * A worker's memory can't be watched from the page: performance.memory
+ * only covers the page's own heap, and measureUserAgentSpecificMemory()
+ * needs cross-origin isolation, which the Pyodide CDN rules out. So each
+ * worker limits itself, before any user code runs:
+ *
+ * - Python (capWasmMemory): Pyodide grows its WebAssembly heap through
+ *   WebAssembly.Memory.prototype.grow. Refusing to grow past the cap makes
+ *   malloc fail and Python raise MemoryError - a hard limit on everything
+ *   the code allocates, numpy arrays included.
+ * - JavaScript (capAllocations): an allocation with an explicit size -
+ *   ArrayBuffer and typed arrays, new Array(n), Array.from / fill on a huge
+ *   array, string repeat / padStart / padEnd - is refused past the cap.
+ *   Memory built up piece by piece (a loop pushing to an array) can't be
+ *   capped from JavaScript: it is bounded by the time limit, and a worker
+ *   that runs out of memory is stopped by the browser and reported as an
+ *   error, without taking the page down.
+ */
+
+const WASM_PAGE_BYTES = 64 * 1024;
+// A dense array element (number or pointer) takes at least 8 bytes
+const ELEMENT_BYTES = 8;
+
+const TYPED_ARRAYS = [
+    'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array',
+    'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array', 'Float16Array'
+];
+
+const formatMB = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+/**
+ * Refuse WebAssembly heap growth past maxBytes
+ *
+ * @param {number} maxBytes - Largest heap allowed
+ */
+export const capWasmMemory = (maxBytes) => {
+    const grow = WebAssembly.Memory.prototype.grow;
+    WebAssembly.Memory.prototype.grow = function (pages) {
+        if (this.buffer.byteLength + pages * WASM_PAGE_BYTES > maxBytes) {
+            throw new RangeError(`Memory limit of ${formatMB(maxBytes)} reached`);
+        }
+        return grow.call(this, pages);
+    };
+};
+
+/**
+ * Refuse single allocations larger than maxBytes
+ *
+ * @param {number} maxBytes - Largest allocation allowed
+ */
+export const capAllocations = (maxBytes) => {
+    const maxElements = Math.floor(maxBytes / ELEMENT_BYTES);
+    const check = (size, limit) => {
+        if (Number(size) > limit) {
+            throw new RangeError(`Allocation is over the code runner's ${formatMB(maxBytes)} limit`);
+        }
+    };
+
+    /**
+     * Check a constructor's arguments on `new X(...)` and `X(...)`
+     * Statics and the prototype stay the same, and `value.constructor` leads back to the guarded one
+     */
+    const guard = (name, checkArgs) => {
+        const original = self[name];
+        if (!original) return;
+        const guarded = new Proxy(original, {
+            construct(target, args, newTarget) {
+                checkArgs(args);
+                return Reflect.construct(target, args, newTarget);
+            },
+            apply(target, thisArg, args) {
+                checkArgs(args);
+                return Reflect.apply(target, thisArg, args);
+            }
+        });
+        original.prototype.constructor = guarded;
+        self[name] = guarded;
+    };
+
+    const checkBuffer = ([length, options]) => {
+        check(length, maxBytes);
+        check(options?.maxByteLength, maxBytes);
+    };
+    guard('ArrayBuffer', checkBuffer);
+    guard('SharedArrayBuffer', checkBuffer);
+
+    TYPED_ARRAYS.forEach(name => {
+        const bytesPerElement = self[name]?.BYTES_PER_ELEMENT;
+        guard(name, ([source]) => {
+            // A length, or an array-like claiming one - an existing buffer is already within the cap
+            const length = typeof source === 'object' && source !== null && !ArrayBuffer.isView(source) ? source.length : source;
+            if (typeof length === 'number') check(length * bytesPerElement, maxBytes);
+        });
+    });
+
+    guard('Array', (args) => {
+        if (args.length === 1 && typeof args[0] === 'number') check(args[0], maxElements);
+    });
+
+    const { from } = Array;
+    Array.from = function (items, ...rest) {
+        check(items?.length, maxElements);
+        return from.call(this, items, ...rest);
+    };
+
+    const { fill } = Array.prototype;
+    Array.prototype.fill = function (...args) {
+        check(this.length, maxElements);
+        return fill.apply(this, args);
+    };
+
+    // Strings are UTF-16 - two bytes per character
+    const maxChars = Math.floor(maxBytes / 2);
+    const { repeat, padStart, padEnd } = String.prototype;
+    String.prototype.repeat = function (count) {
+        check(String(this).length * count, maxChars);
+        return repeat.call(this, count);
+    };
+    String.prototype.padStart = function (length, ...rest) {
+        check(length, maxChars);
+        return padStart.call(this, length, ...rest);
+    };
+    String.prototype.padEnd = function (length, ...rest) {
+        check(length, maxChars);
+        return padEnd.call(this, length, ...rest);
+    };
+};
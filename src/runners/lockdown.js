@@ -0,0 +1,39 @@
+/**
+ * Sandbox Lockdown - shared by the code-runner workers
+ *
+ * Workers have no DOM, but they share the app's origin: IndexedDB holds
+ * the Firebase sign-in session and Firestore's offline cache. Before any
+ * user code runs, each worker deletes the APIs it must not reach - from
+ * the global object AND every prototype above it, so they can't be
+ * recovered through WorkerGlobalScope.prototype.
+ */
+
+// Storage shared with the app, and ways to start a fresh, unlocked global scope
+export const STORAGE_APIS = ['indexedDB', 'caches', 'Worker', 'SharedWorker', 'BroadcastChannel', 'importScripts'];
+
+export const NETWORK_APIS = ['fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource'];
+
+/**
+ * Delete properties from an object and its prototype chain
+ *
+ * @param {Object} target - Object to strip
+ * @param {Array<string>} names - Property names
+ */
+const strip = (target, names) => {
+    for (let object = target; object; object = Object.getPrototypeOf(object)) {
+        names.forEach(name => {
+            if (Object.prototype.hasOwnProperty.call(object, name)) delete object[name];
+        });
+    }
+};
+
+/**
+ * Remove APIs from the worker's global scope
+ * navigator.storage (origin-private files) and navigator.locks go with storage
+ *
+ * @param {Array<string>} names - Global names to delete
+ */
+export const lockdown = (names) => {
+    if (names.includes('indexedDB') && self.navigator) strip(self.navigator, ['storage', 'locks']);
+    strip(self, names);
+};
@@ -0,0 +1,66 @@
+/**
+ * Python Runner Worker - Pyodide (CPython on WebAssembly), kept warm between runs
+ *
+ * Messages:
+ *   in:  { type: 'load', url, maxHeapBytes } once, then { type: 'run', code }
+ *   out: { type: 'ready' } or { type: 'load-error', message };
+ *        per run { type: 'output', stream, text }, then { type: 'done', error? }
+ *
+ * Each run gets a fresh globals dict, so variables don't leak between
+ * blocks. Network access stays: Pyodide fetches bundled packages
+ * (numpy, sympy, ...) the first time a block imports them. The heap is
+ * capped before Pyodide loads, so a run over it gets a MemoryError.
+ */
+
+import { lockdown, STORAGE_APIS } from './lockdown';
+import { capWasmMemory } from './limits';
+
+// Kept privately - user code (via `import js`) can't post fake messages to the page
+const post = self.postMessage.bind(self);
+
+let pyodide = null;
+
+const load = async (url, maxHeapBytes) => {
+    capWasmMemory(maxHeapBytes);
+    try {
+        const { loadPyodide } = await import(/* @vite-ignore */ url);
+        pyodide = await loadPyodide();
+        pyodide.setStdout({ batched: text => post({ type: 'output', stream: 'stdout', text: `${text}\n` }) });
+        pyodide.setStderr({ batched: text => post({ type: 'output', stream: 'stderr', text: `${text}\n` }) });
+        lockdown([...STORAGE_APIS, 'postMessage']);
+        post({ type: 'ready' });
+    } catch (error) {
+        post({ type: 'load-error', message: error.message || 'Python could not be loaded.' });
+    }
+};
+
+/**
+ * Drop Pyodide's own frames from a traceback - they start before the first "<exec>" line
+ *
+ * @param {string} message - PythonError message
+ * @returns {string}
+ */
+const traceback = (message) => {
+    const lines = message.trim().split('\n');
+    const start = lines.findIndex(line => line.includes('File "<exec>"'));
+    return start > 0 ? ['Traceback (most recent call last):', ...lines.slice(start)].join('\n') : message.trim();
+};
+
+const run = async (code) => {
+    const globals = pyodide.globals.get('dict')();
+    let error;
+    try {
+        await pyodide.loadPackagesFromImports(code, { messageCallback: () => {} });
+        await pyodide.runPythonAsync(code, { globals });
+    } catch (err) {
+        error = traceback(err.message || String(err));
+    } finally {
+        globals.destroy();
+    }
+    post({ type: 'done', error });
+};
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'load') load(data.url, data.maxHeapBytes);
+    else if (data.type === 'run' && pyodide) run(data.code);
+};
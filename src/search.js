@@ -0,0 +1,229 @@
+/**
+ * Search - client-side full-text search over the user's chat history
+ *
+ * The user's `chats` are read once and turned into an inverted index
+ * (term → exchanges containing it). Queries are ranked with BM25, with
+ * prompt matches weighted above answer matches, and the last query word
+ * also matches as a prefix so results appear while typing.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - History is read ONCE per session (one query), and again only after
+ *   it changes - typing a query never touches the network
+ * - Index is plain Maps in memory, built in a single pass
+ * - Snippets are computed only for the results that are shown
+ */
+
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import { db } from './firebase';
+import { toDate } from './chatTransfer';
+
+export const MAX_RESULTS = 30;
+
+// BM25 parameters (standard values) and field weights
+const K1 = 1.2;
+const B = 0.75;
+const PROMPT_WEIGHT = 2;
+const SNIPPET_CHARS = 180;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+    'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the',
+    'this', 'to', 'was', 'we', 'what', 'when', 'which', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Letters and digits; everything else separates words
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Normalize one word: lower case, no accents, plural endings removed
+ * ("Transforms" → "transform", "capacitances" → "capacitance")
+ *
+ * @param {string} word - Raw word
+ * @returns {string} Index term
+ */
+export const normalizeTerm = (word) => {
+    const term = word.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    if (term.length <= 3 || term.endsWith('ss')) return term;
+    if (term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+    if (/(ches|shes|xes|sses)$/.test(term)) return term.slice(0, -2);
+    if (term.endsWith('s') && !term.endsWith('us') && !term.endsWith('is')) return term.slice(0, -1);
+    return term;
+};
+
+/**
+ * Split text into index terms
+ *
+ * @param {string} text - Any text
+ * @returns {Array<string>} Terms, in order, stopwords removed
+ */
+export const tokenize = (text) => (String(text || '').match(WORD_PATTERN) || [])
+    .map(normalizeTerm)
+    .filter(term => term.length > 1 && !STOPWORDS.has(term));
+
+/**
+ * Build the inverted index
+ *
+ * @param {Array<{id: string, conversationId: string, userPrompt: string, aiResponse: string, timestamp: Date|null}>} chats
+ * @returns {{docs: Array, postings: Map<string, Map<number, number>>, avgLength: number}}
+ */
+export const buildIndex = (chats) => {
+    const docs = [];
+    const postings = new Map();
+    let totalLength = 0;
+
+    chats.forEach(chat => {
+        const docIndex = docs.length;
+        const counts = new Map();
+        const add = (terms, weight) => terms.forEach(term => counts.set(term, (counts.get(term) || 0) + weight));
+
+        const promptTerms = tokenize(chat.userPrompt);
+        const answerTerms = tokenize(chat.aiResponse);
+        add(promptTerms, PROMPT_WEIGHT);
+        add(answerTerms, 1);
+
+        const length = promptTerms.length * PROMPT_WEIGHT + answerTerms.length;
+        totalLength += length;
+        docs.push({ ...chat, length });
+
+        counts.forEach((count, term) => {
+            if (!postings.has(term)) postings.set(term, new Map());
+            postings.get(term).set(docIndex, count);
+        });
+    });
+
+    return { docs, postings, avgLength: docs.length ? totalLength / docs.length : 0 };
+};
+
+/**
+ * Index terms a query term matches - exact, or by prefix for the word being typed
+ *
+ * @param {Map} postings - Index postings
+ * @param {string} term - Query term
+ * @param {boolean} prefix - Also match longer terms starting with it
+ * @returns {Array<string>}
+ */
+const expandTerm = (postings, term, prefix) => {
+    if (!prefix) return postings.has(term) ? [term] : [];
+    return [...postings.keys()].filter(candidate => candidate.startsWith(term));
+};
+
+/**
+ * Search the index
+ *
+ * Every query word must match (AND); results are ranked by BM25 score,
+ * newest first on ties.
+ *
+ * @param {Object} index - From buildIndex
+ * @param {string} text - Query as typed
+ * @param {{from?: Date|null, to?: Date|null}} [filters] - Inclusive date range
+ * @returns {Array<{chat: Object, score: number, terms: Array<string>}>} Best first, at most MAX_RESULTS
+ */
+export const searchIndex = (index, text, { from = null, to = null } = {}) => {
+    const words = tokenize(text);
+    if (!index || words.length === 0) return [];
+
+    // Only the last word is still being typed
+    const endsMidWord = /[\p{L}\p{N}]$/u.test(text);
+    const { docs, postings, avgLength } = index;
+    const scores = new Map();
+    const matchedWords = new Map();
+    const allTerms = [];
+
+    words.forEach((word, i) => {
+        const terms = expandTerm(postings, word, endsMidWord && i === words.length - 1);
+        allTerms.push(...terms);
+
+        terms.forEach(term => {
+            const docsWithTerm = postings.get(term);
+            const idf = Math.log(1 + (docs.length - docsWithTerm.size + 0.5) / (docsWithTerm.size + 0.5));
+
+            docsWithTerm.forEach((tf, docIndex) => {
+                const norm = tf + K1 * (1 - B + B * docs[docIndex].length / (avgLength || 1));
+                scores.set(docIndex, (scores.get(docIndex) || 0) + idf * (tf * (K1 + 1)) / norm);
+                if (!matchedWords.has(docIndex)) matchedWords.set(docIndex, new Set());
+                matchedWords.get(docIndex).add(i);
+            });
+        });
+    });
+
+    const inRange = (date) => (!from || (date && date >= from)) && (!to || (date && date <= to));
+
+    return [...scores.entries()]
+        .filter(([docIndex]) => matchedWords.get(docIndex).size === words.length && inRange(docs[docIndex].timestamp))
+        .map(([docIndex, score]) => ({ chat: docs[docIndex], score, terms: allTerms }))
+        .sort((a, b) => b.score - a.score || (b.chat.timestamp?.getTime() || 0) - (a.chat.timestamp?.getTime() || 0))
+        .slice(0, MAX_RESULTS);
+};
+
+/**
+ * Short excerpt around the first match, split into highlighted parts
+ *
+ * Markdown and LaTeX markers are flattened so the excerpt reads as text.
+ * Returned as segments (not HTML) so it renders without innerHTML.
+ *
+ * @param {string} text - Field to excerpt
+ * @param {Array<string>} terms - Matched index terms
+ * @returns {Array<{text: string, match: boolean}>|null} Segments, or null if nothing matches
+ */
+export const makeSnippet = (text, terms) => {
+    const plain = String(text || '').replace(/[`*_#>$\\|]+/g, ' ').replace(/\s+/g, ' ').trim();
+    const termSet = new Set(terms);
+    const matches = [...plain.matchAll(WORD_PATTERN)].filter(m => termSet.has(normalizeTerm(m[0])));
+    if (matches.length === 0) return null;
+
+    // Start on a word boundary a little before the first match
+    const start = Math.max(0, plain.lastIndexOf(' ', Math.max(0, matches[0].index - SNIPPET_CHARS / 3)));
+    const end = Math.min(plain.length, start + SNIPPET_CHARS);
+    const segments = [];
+    let cursor = start;
+
+    matches.filter(m => m.index >= start && m.index + m[0].length <= end).forEach(m => {
+        if (m.index > cursor) segments.push({ text: plain.slice(cursor, m.index), match: false });
+        segments.push({ text: m[0], match: true });
+        cursor = m.index + m[0].length;
+    });
+    if (cursor < end) segments.push({ text: plain.slice(cursor, end), match: false });
+
+    if (start > 0) segments[0] = { ...segments[0], text: `…${segments[0].text.trimStart()}` };
+    if (end < plain.length) segments.push({ text: '…', match: false });
+    return segments;
+};
+
+// Session cache: the index for the signed-in user, dropped when history changes
+let cached = { userId: null, index: null, stale: true };
+
+/**
+ * Mark the cached index out of date
+ * Called after chats are saved, edited or deleted; the next search rebuilds it
+ */
+export const markSearchIndexStale = () => {
+    cached.stale = true;
+};
+
+/**
+ * The search index for a user, reading their history only when needed
+ *
+ * @param {string} userId - Owner's uid
+ * @returns {Promise<Object>} Index from buildIndex
+ */
+export const loadSearchIndex = async (userId) => {
+    if (cached.userId === userId && !cached.stale) return cached.index;
+
+    // Single-field filter - no composite index needed; order doesn't matter here
+    const snapshot = await getDocs(query(collection(db, 'chats'), where('userId', '==', userId)));
+    const chats = snapshot.docs
+        .map(d => {
+            const data = d.data();
+            return {
+                id: d.id,
+                conversationId: data.conversationId || null,
+                userPrompt: data.userPrompt || '',
+                aiResponse: data.aiResponse || '',
+                timestamp: toDate(data.timestamp)
+            };
+        })
+        .filter(chat => chat.conversationId);
+
+    cached = { userId, index: buildIndex(chats), stale: false };
+    return cached.index;
+};
@@ -0,0 +1,140 @@
+/**
+ * Shares - public, read-only snapshots of selected exchanges
+ *
+ * Data model:
+ *   shares/{shareId} → { userId, conversationId, title, exchanges, createdAt }
+ *   exchanges: [{ userPrompt, aiResponse, timestamp }] - copies, not references
+ *
+ * Anyone with the link (/share/{shareId}) can read the snapshot without
+ * signing in; the auto-generated ID is the only secret, and the rules
+ * allow fetching a share by ID but not listing other people's shares.
+ * Later edits to the conversation don't change a snapshot. Revoking
+ * deletes it.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - One document per share - opening a link is a single read
+ * - Attachments are never copied (they stay private and keep shares small)
+ */
+
+import {
+    addDoc,
+    collection,
+    deleteDoc,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    where
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { toDate } from './chatTransfer';
+import { MessageError } from './i18n';
+
+export const MAX_SHARED_EXCHANGES = 50;
+
+// Firestore's limit is 1 MiB per document, counted in UTF-8 bytes - leave room for the other fields
+// (Hindi, Marathi, Tamil and Urdu text takes about 3 bytes per character)
+const MAX_SHARE_BYTES = 900000;
+
+/**
+ * Public URL of a share
+ *
+ * @param {string} shareId - Share document ID
+ * @returns {string}
+ */
+export const shareUrl = (shareId) => `${window.location.origin}/share/${shareId}`;
+
+/**
+ * Publish a snapshot of exchanges
+ *
+ * @param {string} userId - Owner's uid
+ * @param {{id: string, title: string}} conversation - Conversation they come from
+ * @param {Array<{userPrompt: string, aiResponse: string, timestamp: Date|null}>} chats - Selected exchanges, oldest first
+ * @returns {Promise<{id: string, title: string, count: number, createdAt: Date}>} The new share
+ * @throws {MessageError} When the selection is empty or too large
+ */
+export const createShare = async (userId, conversation, chats) => {
+    if (chats.length === 0) throw new MessageError('share.noneSelected');
+    if (chats.length > MAX_SHARED_EXCHANGES) {
+        throw new MessageError('share.tooMany', { max: MAX_SHARED_EXCHANGES });
+    }
+
+    const exchanges = chats.map(chat => ({
+        userPrompt: chat.userPrompt,
+        aiResponse: chat.aiResponse,
+        timestamp: chat.timestamp || null
+    }));
+    const encoder = new TextEncoder();
+    const size = [conversation.title, ...exchanges.flatMap(e => [e.userPrompt, e.aiResponse])]
+        .reduce((sum, text) => sum + encoder.encode(text || '').length, 0);
+    if (size > MAX_SHARE_BYTES) throw new MessageError('share.tooLarge');
+
+    const createdAt = new Date();
+    const ref = await addDoc(collection(db, 'shares'), {
+        userId,
+        conversationId: conversation.id,
+        title: conversation.title,
+        exchanges,
+        createdAt
+    });
+    return { id: ref.id, title: conversation.title, count: exchanges.length, createdAt };
+};
+
+/**
+ * A user's shares of one conversation, newest first
+ *
+ * @param {string} userId - Owner's uid
+ * @param {string} conversationId - Conversation
+ * @returns {Promise<Array<{id: string, title: string, count: number, createdAt: Date|null}>>}
+ */
+export const listShares = async (userId, conversationId) => {
+    // Equality filters only - no composite index needed
+    const snapshot = await getDocs(query(
+        collection(db, 'shares'),
+        where('userId', '==', userId),
+        where('conversationId', '==', conversationId)
+    ));
+
+    return snapshot.docs
+        .map(d => {
+            const data = d.data();
+            return {
+                id: d.id,
+                title: data.title,
+                count: data.exchanges?.length || 0,
+                createdAt: toDate(data.createdAt)
+            };
+        })
+        .sort((a, b) => (b.createdAt?.getTime() || 0) - (a.createdAt?.getTime() || 0));
+};
+
+/**
+ * Revoke a share - the link stops working immediately
+ *
+ * @param {string} shareId - Share document ID
+ */
+export const revokeShare = async (shareId) => {
+    await deleteDoc(doc(db, 'shares', shareId));
+};
+
+/**
+ * Read a share for the public page
+ *
+ * @param {string} shareId - Share document ID
+ * @returns {Promise<{title: string, exchanges: Array, createdAt: Date|null}|null>} null if missing or revoked
+ */
+export const loadShare = async (shareId) => {
+    const snapshot = await getDoc(doc(db, 'shares', shareId));
+    if (!snapshot.exists()) return null;
+
+    const data = snapshot.data();
+    return {
+        title: data.title || 'Shared conversation',
+        createdAt: toDate(data.createdAt),
+        exchanges: (data.exchanges || []).map(exchange => ({
+            userPrompt: exchange.userPrompt || '',
+            aiResponse: exchange.aiResponse || '',
+            timestamp: toDate(exchange.timestamp)
+        }))
+    };
+};
@@ -0,0 +1,192 @@
+/**
+ * Study Sets - quizzes and flashcards generated from a conversation
+ *
+ * The model is asked for JSON matching a response schema, and the result
+ * is checked again here: items with missing fields or an out-of-range
+ * answer are dropped, text is trimmed and capped. A set with no usable
+ * items is an InvalidOutputError, like an answer that isn't JSON at all.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - One model call per set, and only when the user asks for one
+ * - Only the newest exchanges that fit a character budget are sent
+ * - Saved sets are reviewed from Firestore without another call (see ./decks)
+ */
+
+import { generateStructured } from './gemini';
+import { InvalidOutputError } from './errors';
+import { MessageError } from './i18n';
+
+// Labels are in the i18n catalogs, under study.kinds.{id}
+export const STUDY_KINDS = [
+    { id: 'quiz', icon: '📝' },
+    { id: 'flashcards', icon: '🃏' }
+];
+
+export const MAX_STUDY_ITEMS = 15;
+const DEFAULT_STUDY_ITEMS = 8;
+
+// Same budget as the chat history window in ./gemini
+const MAX_SOURCE_CHARS = 24000;
+const MAX_TITLE_CHARS = 120;
+const MAX_TEXT_CHARS = 1000;
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+
+// A full set of questions with explanations does not fit in a short answer limit
+const MIN_OUTPUT_TOKENS = 4096;
+
+/**
+ * Response schemas - only the keywords Gemini and JSON Schema share
+ */
+const SCHEMAS = {
+    quiz: {
+        type: 'object',
+        properties: {
+            title: { type: 'string', description: 'Short title naming the topic' },
+            questions: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        question: { type: 'string' },
+                        options: { type: 'array', items: { type: 'string' }, description: 'Four answer choices' },
+                        answerIndex: { type: 'integer', description: 'Zero-based index of the correct option' },
+                        explanation: { type: 'string', description: 'Why that option is correct, in one or two sentences' }
+                    },
+                    required: ['question', 'options', 'answerIndex', 'explanation']
+                }
+            }
+        },
+        required: ['title', 'questions']
+    },
+    flashcards: {
+        type: 'object',
+        properties: {
+            title: { type: 'string', description: 'Short title naming the topic' },
+            cards: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        front: { type: 'string', description: 'A term, question or formula to recall' },
+                        back: { type: 'string', description: 'The answer, kept short' }
+                    },
+                    required: ['front', 'back']
+                }
+            }
+        },
+        required: ['title', 'cards']
+    }
+};
+
+const INSTRUCTIONS = {
+    quiz: (count) => `Write a multiple-choice quiz of ${count} questions that tests understanding of the study `
+        + 'conversation below. Each question has four options and exactly one correct answer. Prefer concepts, '
+        + 'derivations and worked numbers over trivia. Use Markdown and LaTeX ($...$) where it helps.',
+    flashcards: (count) => `Write ${count} flashcards for revising the study conversation below. Each card has one `
+        + 'fact, definition, formula or step on the front and a short answer on the back. '
+        + 'Use Markdown and LaTeX ($...$) where it helps.'
+};
+
+/**
+ * Study kind by ID
+ *
+ * @param {string} id - 'quiz' or 'flashcards'
+ * @returns {Object} Kind definition (quiz when unknown)
+ */
+export const getStudyKind = (id) => STUDY_KINDS.find(kind => kind.id === id) || STUDY_KINDS[0];
+
+/**
+ * The conversation as plain text, newest exchanges that fit the budget
+ *
+ * @param {Array<{userPrompt: string, aiResponse: string}>} chats - Oldest first
+ * @returns {string}
+ */
+const sourceText = (chats) => {
+    const parts = [];
+    let chars = 0;
+    for (let i = chats.length - 1; i >= 0; i--) {
+        const part = `Student: ${chats[i].userPrompt}\n\nTutor: ${chats[i].aiResponse}`;
+        if (parts.length > 0 && chars + part.length > MAX_SOURCE_CHARS) break;
+        chars += part.length;
+        parts.unshift(part.slice(0, MAX_SOURCE_CHARS));
+    }
+    return parts.join('\n\n---\n\n');
+};
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_CHARS) : '');
+
+/**
+ * Keep a quiz question only if it is complete and its answer points at an option
+ *
+ * @param {Object} raw - Question from the model
+ * @returns {{question: string, options: Array<string>, answerIndex: number, explanation: string}|null}
+ */
+const toQuestion = (raw) => {
+    const question = cleanText(raw?.question);
+    const options = Array.isArray(raw?.options) ? raw.options.map(cleanText) : [];
+    const { answerIndex } = raw || {};
+    if (!question || options.length < MIN_OPTIONS || options.length > MAX_OPTIONS || options.some(option => !option)) {
+        return null;
+    }
+    if (!Number.isInteger(answerIndex) || answerIndex < 0 || answerIndex >= options.length) return null;
+    return { question, options, answerIndex, explanation: cleanText(raw.explanation) };
+};
+
+/**
+ * Keep a flashcard only if both sides have text
+ *
+ * @param {Object} raw - Card from the model
+ * @returns {{front: string, back: string}|null}
+ */
+const toCard = (raw) => {
+    const front = cleanText(raw?.front);
+    const back = cleanText(raw?.back);
+    return front && back ? { front, back } : null;
+};
+
+/**
+ * Validate a study set from the model (or a saved deck)
+ *
+ * @param {string} kind - 'quiz' or 'flashcards'
+ * @param {Object} data - Parsed JSON
+ * @returns {{title: string, items: Array<Object>}} Usable items, at most MAX_STUDY_ITEMS
+ * @throws {InvalidOutputError} When no item is usable
+ */
+export const validateStudySet = (kind, data) => {
+    const raw = kind === 'quiz' ? data?.questions : data?.cards;
+    const items = (Array.isArray(raw) ? raw : [])
+        .map(kind === 'quiz' ? toQuestion : toCard)
+        .filter(Boolean)
+        .slice(0, MAX_STUDY_ITEMS);
+    if (items.length === 0) throw new InvalidOutputError();
+
+    return { title: cleanText(data.title).slice(0, MAX_TITLE_CHARS), items };
+};
+
+/**
+ * Generate a quiz or flashcards from a conversation
+ *
+ * @param {string} kind - 'quiz' or 'flashcards'
+ * @param {{title: string}} conversation - Falls back to its title when the model gives none
+ * @param {Array<{userPrompt: string, aiResponse: string}>} chats - Exchanges, oldest first
+ * @param {{count?: number}} [options]
+ * @returns {Promise<{kind: string, title: string, items: Array<Object>, usage: Object}>}
+ * @throws {AIError} Typed failure; InvalidOutputError (with `usage`) for an unusable set
+ * @throws {MessageError} When the conversation has no exchanges
+ */
+export const generateStudySet = async (kind, conversation, chats, { count = DEFAULT_STUDY_ITEMS } = {}) => {
+    if (chats.length === 0) throw new MessageError('study.noMessages');
+
+    const items = Math.min(Math.max(1, count), MAX_STUDY_ITEMS);
+    const prompt = `${INSTRUCTIONS[kind](items)}\n\n===\n\n${sourceText(chats)}`;
+    const { data, usage } = await generateStructured(prompt, SCHEMAS[kind], { minOutputTokens: MIN_OUTPUT_TOKENS });
+
+    try {
+        const set = validateStudySet(kind, data);
+        return { kind, title: set.title || conversation.title, items: set.items, usage };
+    } catch (error) {
+        error.usage = usage;
+        throw error;
+    }
+};
@@ -0,0 +1,125 @@
+/**
+ * Tutor Modes - subject-specific system instructions
+ *
+ * Each conversation has a tutor mode (what the model is an expert in)
+ * and an answer style (how much it gives away). Both become the system
+ * instruction sent with every request in that conversation, and are
+ * saved with each exchange so history shows how an answer was produced.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Instructions are short: they are re-sent with every request
+ * - Plain data - adding a mode is one entry here, no new code paths
+ */
+
+const BASE_INSTRUCTION =
+    'You are MaVi GPT, an AI tutor for university engineering students. ' +
+    'Use Markdown, and LaTeX ($...$ inline, $$...$$ display) for mathematics. ' +
+    'Use SI units. If a question is ambiguous, state your assumptions.';
+
+export const TUTOR_MODES = [
+    {
+        id: 'general',
+        label: 'General Engineering',
+        icon: '🎓',
+        defaultStyle: 'worked',
+        instruction: 'Help with any engineering topic, connecting theory to practical applications.'
+    },
+    {
+        id: 'mathematics',
+        label: 'Mathematics',
+        icon: '∑',
+        defaultStyle: 'worked',
+        instruction:
+            'Specialise in engineering mathematics: calculus, linear algebra, differential equations, ' +
+            'transforms, probability and numerical methods. Justify each step and name the theorem or rule used.'
+    },
+    {
+        id: 'circuits',
+        label: 'Circuits & Electronics',
+        icon: '⚡',
+        defaultStyle: 'worked',
+        instruction:
+            'Specialise in circuit analysis and electronics: KVL/KCL, nodal and mesh analysis, Thevenin/Norton, ' +
+            'AC phasors, op-amps, semiconductors and digital logic. Define every node, current direction and sign ' +
+            'convention before calculating, and sanity-check results against expected magnitudes.'
+    },
+    {
+        id: 'programming',
+        label: 'Programming',
+        icon: '💻',
+        defaultStyle: 'socratic',
+        instruction:
+            'Specialise in programming for engineers (Python, C/C++, MATLAB, JavaScript). Explain why code works, ' +
+            'not just what to type. Put code in fenced blocks with a language tag, keep examples minimal and runnable, ' +
+            'and point out edge cases and complexity.'
+    },
+    {
+        id: 'mechanics',
+        label: 'Mechanics',
+        icon: '⚙️',
+        defaultStyle: 'worked',
+        instruction:
+            'Specialise in statics, dynamics, strength of materials and fluid mechanics. Start from a free-body ' +
+            'diagram described in words, state the governing equations, then solve. Check units at the end.'
+    },
+    {
+        id: 'revision',
+        label: 'Exam Revision',
+        icon: '📝',
+        defaultStyle: 'concise',
+        instruction:
+            'Help the student revise for exams: summarise key formulas and concepts, highlight common mistakes, ' +
+            'and finish with one short practice question (answer hidden until they ask).'
+    }
+];
+
+export const ANSWER_STYLES = [
+    {
+        id: 'worked',
+        label: 'Full worked solutions',
+        instruction: 'Give complete, step-by-step worked solutions, ending with the final answer clearly stated.'
+    },
+    {
+        id: 'socratic',
+        label: 'Socratic hints',
+        instruction:
+            'Teach Socratically: do not give the final answer straight away. Ask a guiding question or give the ' +
+            'next hint, and let the student attempt each step. Give the full solution only if they explicitly ask.'
+    },
+    {
+        id: 'concise',
+        label: 'Concise answers',
+        instruction: 'Be brief: the key result, formula or fact first, then at most a few lines of explanation.'
+    }
+];
+
+export const DEFAULT_MODE = 'general';
+
+/**
+ * @param {string} [id] - Stored tutor mode ID
+ * @returns {Object} The mode, or General for unknown/missing IDs
+ */
+export const getTutorMode = (id) => TUTOR_MODES.find(mode => mode.id === id) || TUTOR_MODES[0];
+
+/**
+ * @param {string} [id] - Stored answer style ID
+ * @param {string} [modeId] - Falls back to this mode's default style
+ * @returns {Object} The answer style
+ */
+export const getAnswerStyle = (id, modeId) => (
+    ANSWER_STYLES.find(style => style.id === id) ||
+    ANSWER_STYLES.find(style => style.id === getTutorMode(modeId).defaultStyle)
+);
+
+/**
+ * System instruction for a conversation's mode and style
+ *
+ * @param {string} [modeId] - Tutor mode ID
+ * @param {string} [styleId] - Answer style ID (defaults to the mode's)
+ * @returns {string}
+ */
+export const buildSystemInstruction = (modeId, styleId) => [
+    BASE_INSTRUCTION,
+    getTutorMode(modeId).instruction,
+    getAnswerStyle(styleId, modeId).instruction
+].join('\n\n');
@@ -0,0 +1,190 @@
+/**
+ * User Settings - model and generation preferences in users/{uid}
+ *
+ * Data model:
+ *   users/{uid} → { model, temperature, maxOutputTokens, safety, tutorMode, answerStyle,
+ *                   responseLanguage, appearance, updatedAt }
+ *
+ * Every value is validated against the allow-lists and ranges below
+ * before it is used or saved; anything missing or invalid falls back to
+ * DEFAULT_SETTINGS, so a stale or hand-edited document can't break chat.
+ *
+ * model and safety apply to the Gemini provider; temperature and
+ * maxOutputTokens are passed to every provider that supports them.
+ * responseLanguage becomes a line of the system instruction, so it works
+ * with every provider. appearance ({ theme, accent }, see ./appearance) is
+ * saved on its own by the theme context; it is null until first changed.
+ *
+ * GREEN CODING PRINCIPLES:
+ * - Read ONCE per sign-in and kept in memory; written only on Save
+ * - Lightest model is the default - heavier ones are opt-in
+ */
+
+import { doc, getDoc, setDoc } from 'firebase/firestore';
+import { db } from './firebase';
+import { TUTOR_MODES, DEFAULT_MODE, getAnswerStyle } from './tutorModes';
+import { LANGUAGES } from './i18n';
+import { validateAppearance } from './appearance';
+
+// Mirrored by api/generate.js, which re-validates every request
+export const MODEL_OPTIONS = [
+    { id: 'gemini-2.5-flash-lite', label: 'Gemini 2.5 Flash-Lite', note: 'fastest, lowest energy' },
+    { id: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash', note: 'balanced (default)' },
+    { id: 'gemini-2.5-pro', label: 'Gemini 2.5 Pro', note: 'strongest reasoning, most energy' }
+];
+
+export const SAFETY_CATEGORIES = [
+    { id: 'HARM_CATEGORY_HARASSMENT', label: 'Harassment' },
+    { id: 'HARM_CATEGORY_HATE_SPEECH', label: 'Hate speech' },
+    { id: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', label: 'Sexually explicit' },
+    { id: 'HARM_CATEGORY_DANGEROUS_CONTENT', label: 'Dangerous content' }
+];
+
+export const SAFETY_THRESHOLDS = [
+    { id: 'BLOCK_LOW_AND_ABOVE', label: 'Strict - block low and above' },
+    { id: 'BLOCK_MEDIUM_AND_ABOVE', label: 'Standard - block medium and above' },
+    { id: 'BLOCK_ONLY_HIGH', label: 'Relaxed - block only high' }
+];
+
+// "auto" answers in the language of the question (no extra instruction)
+export const RESPONSE_LANGUAGES = [
+    { id: 'auto', label: 'Same as my question' },
+    ...LANGUAGES.map(language => ({ id: language.code, label: language.label, name: language.name }))
+];
+
+export const TEMPERATURE_RANGE = { min: 0, max: 2, step: 0.1 };
+export const MAX_OUTPUT_TOKENS_RANGE = { min: 256, max: 8192 };
+
+export const DEFAULT_SETTINGS = {
+    model: 'gemini-2.5-flash',
+    temperature: 0.7,
+    maxOutputTokens: 2048,
+    safety: Object.fromEntries(SAFETY_CATEGORIES.map(c => [c.id, 'BLOCK_MEDIUM_AND_ABOVE'])),
+    tutorMode: DEFAULT_MODE,
+    answerStyle: getAnswerStyle(null, DEFAULT_MODE).id,
+    responseLanguage: 'auto',
+    appearance: null
+};
+
+const inRange = (value, { min, max }) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+const isOption = (value, options) => options.some(option => option.id === value);
+
+/**
+ * Validate settings, replacing anything invalid with its default
+ *
+ * @param {Object} [raw] - Stored or edited settings (any shape)
+ * @returns {Object} Complete, valid settings
+ */
+export const validateSettings = (raw = {}) => {
+    const value = raw || {};
+    const tutorMode = isOption(value.tutorMode, TUTOR_MODES) ? value.tutorMode : DEFAULT_SETTINGS.tutorMode;
+
+    return {
+        model: isOption(value.model, MODEL_OPTIONS) ? value.model : DEFAULT_SETTINGS.model,
+        temperature: inRange(value.temperature, TEMPERATURE_RANGE)
+            ? Math.round(value.temperature * 10) / 10
+            : DEFAULT_SETTINGS.temperature,
+        maxOutputTokens: Number.isInteger(value.maxOutputTokens) && inRange(value.maxOutputTokens, MAX_OUTPUT_TOKENS_RANGE)
+            ? value.maxOutputTokens
+            : DEFAULT_SETTINGS.maxOutputTokens,
+        safety: Object.fromEntries(SAFETY_CATEGORIES.map(({ id }) => [
+            id,
+            isOption(value.safety?.[id], SAFETY_THRESHOLDS) ? value.safety[id] : DEFAULT_SETTINGS.safety[id]
+        ])),
+        tutorMode,
+        answerStyle: getAnswerStyle(value.answerStyle, tutorMode).id,
+        responseLanguage: isOption(value.responseLanguage, RESPONSE_LANGUAGES)
+            ? value.responseLanguage
+            : DEFAULT_SETTINGS.responseLanguage,
+        appearance: validateAppearance(value.appearance)
+    };
+};
+
+// Settings of the signed-in user, read by the AI facade (./gemini)
+let current = DEFAULT_SETTINGS;
+
+/**
+ * Settings in effect for AI requests
+ *
+ * @returns {Object} Valid settings (defaults until loadUserSettings runs)
+ */
+export const getCurrentSettings = () => current;
+
+/**
+ * Forget the signed-in user's settings (sign-out)
+ */
+export const resetCurrentSettings = () => {
+    current = DEFAULT_SETTINGS;
+};
+
+/**
+ * Read a user's settings and make them current
+ * A missing document, or a failed read, means defaults
+ *
+ * @param {string} userId - Owner's uid
+ * @returns {Promise<Object>} Valid settings
+ */
+export const loadUserSettings = async (userId) => {
+    try {
+        const snapshot = await getDoc(doc(db, 'users', userId));
+        current = validateSettings(snapshot.exists() ? snapshot.data() : {});
+    } catch (error) {
+        console.error('Error loading settings:', error);
+        current = DEFAULT_SETTINGS;
+    }
+    return current;
+};
+
+/**
+ * Validate, save and apply a user's AI settings
+ * Appearance is left as stored - it is saved by saveAppearance
+ *
+ * @param {string} userId - Owner's uid
+ * @param {Object} settings - Edited settings
+ * @returns {Promise<Object>} The settings as saved
+ */
+export const saveUserSettings = async (userId, settings) => {
+    const { appearance, ...valid } = validateSettings(settings);
+    await setDoc(doc(db, 'users', userId), { ...valid, updatedAt: new Date() }, { merge: true });
+    current = { ...valid, appearance: current.appearance };
+    return current;
+};
+
+/**
+ * Save a user's theme and accent
+ *
+ * @param {string} userId - Owner's uid
+ * @param {{theme: string, accent: string}} appearance - New appearance
+ * @returns {Promise<void>}
+ */
+export const saveAppearance = async (userId, appearance) => {
+    const valid = validateAppearance(appearance);
+    await setDoc(doc(db, 'users', userId), { appearance: valid, updatedAt: new Date() }, { merge: true });
+    current = { ...current, appearance: valid };
+};
+
+/**
+ * Generation options for a provider request
+ *
+ * @param {Object} [settings] - Valid settings (defaults to the current ones)
+ * @returns {{model: string, temperature: number, maxOutputTokens: number, safetySettings: Array<{category: string, threshold: string}>}}
+ */
+export const toGenerationOptions = (settings = current) => ({
+    model: settings.model,
+    temperature: settings.temperature,
+    maxOutputTokens: settings.maxOutputTokens,
+    safetySettings: Object.entries(settings.safety).map(([category, threshold]) => ({ category, threshold }))
+});
+
+/**
+ * System instruction line for the chosen response language
+ *
+ * @param {Object} [settings] - Valid settings (defaults to the current ones)
+ * @returns {string} Instruction, or '' for "auto"
+ */
+export const toLanguageInstruction = (settings = current) => {
+    const language = RESPONSE_LANGUAGES.find(option => option.id === settings.responseLanguage);
+    if (!language?.name) return '';
+    return `Always answer in ${language.name}, whatever language the question is in. `
+        + 'Keep formulas, code, units and standard technical terms in their usual form.';
+};
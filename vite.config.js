@@ -1,7 +1,42 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFile, writeFile } from 'node:fs/promises'
+import { resolve } from 'node:path'
+
+/**
+ * Stamp dist/sw.js with this build's ID and every script and stylesheet it
+ * emitted - lazy chunks and workers included - so each deploy installs a
+ * new service worker that precaches the whole app and drops the old cache
+ */
+const serviceWorkerManifest = () => {
+    let outDir
+    let assets = []
+    return {
+        name: 'service-worker-manifest',
+        apply: 'build',
+        configResolved(config) {
+            outDir = resolve(config.root, config.build.outDir)
+        },
+        generateBundle(options, bundle) {
+            assets = Object.keys(bundle).filter(name => /\.(js|css)$/.test(name)).sort().map(name => `/${name}`)
+        },
+        async closeBundle() {
+            const file = resolve(outDir, 'sw.js')
+            const buildId = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12)
+            const source = (await readFile(file, 'utf8'))
+                .replace("const BUILD_ID = 'dev';", `const BUILD_ID = '${buildId}';`)
+                .replace('const PRECACHE_ASSETS = [];', `const PRECACHE_ASSETS = ${JSON.stringify(assets)};`)
+            await writeFile(file, source)
+        },
+    }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-    plugins: [react()],
+    plugins: [react(), serviceWorkerManifest()],
+    // Code-runner workers are module workers (src/runners)
+    worker: {
+        format: 'es',
+    },
 })